@@ -1,21 +1,96 @@
 import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ApiToken from '../models/ApiToken.js';
+import { resolveUserPermissions, resolvedHasPermission, getLegacyPermissions } from '../utils/permissions.js';
+import { sendApiError } from '../utils/api.js';
+
+// lastUsedAt of an API token is written at most once a minute
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Refuse a request: API requests (see requireApiToken) get a JSON error,
+// pages get a flash message and a redirect
+function denyAccess(req, res, status, message, redirectTo) {
+  if (req.apiToken) {
+    return sendApiError(res, status, message);
+  }
+  
+  req.flash('error', message);
+  return res.redirect(redirectTo);
+}
 
 export const requireAuth = (req, res, next) => {
   if (!req.session.user) {
     req.flash('error', 'يجب تسجيل الدخول للوصول إلى هذه الصفحة');
     return res.redirect('/auth/login');
   }
+  
+  // Users holding a temporary password must replace it before anything else
+  if (req.session.user.mustChangePassword) {
+    req.flash('error', 'يجب تغيير كلمة المرور قبل المتابعة');
+    return res.redirect('/auth/change-password');
+  }
+  
+  // Admins have to set up two-factor login once it is made mandatory
+  if (req.session.user.mustEnrollTwoFactor) {
+    req.flash('error', 'يجب تفعيل التحقق بخطوتين قبل المتابعة');
+    return res.redirect('/auth/two-factor');
+  }
   next();
 };
 
 export const requireAdmin = (req, res, next) => {
   if (!req.session.user || req.session.user.role !== 'admin') {
-    req.flash('error', 'ليس لديك صلاحية للوصول إلى هذه الصفحة');
-    return res.redirect('/dashboard');
+    return denyAccess(req, res, 403, 'ليس لديك صلاحية للوصول إلى هذه الصفحة', '/dashboard');
   }
   next();
 };
 
+// Authenticate a /api/v1 request with a personal token (`Authorization: Bearer inv_...`).
+// The permission checks and the audit log read req.session.user, so the request
+// gets a session object of its own that is never stored.
+export const requireApiToken = async (req, res, next) => {
+  try {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return sendApiError(res, 401, 'مفتاح API مطلوب في ترويسة Authorization');
+    }
+    
+    const apiToken = await ApiToken.findActiveByToken(token);
+    if (!apiToken) {
+      return sendApiError(res, 401, 'مفتاح API غير صالح أو منتهي الصلاحية');
+    }
+    
+    const user = await User.findOne({ _id: apiToken.user, isActive: true });
+    if (!user) {
+      return sendApiError(res, 401, 'صاحب مفتاح API غير نشط');
+    }
+    
+    if (user.mustChangePassword) {
+      return sendApiError(res, 403, 'يجب على صاحب المفتاح تغيير كلمة المرور المؤقتة أولاً');
+    }
+    
+    const now = new Date();
+    await ApiToken.updateOne(
+      { _id: apiToken._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - API_TOKEN_TOUCH_INTERVAL_MS) } }] },
+      { lastUsedAt: now, lastUsedIp: req.ip || '' }
+    );
+    
+    req.apiToken = apiToken;
+    req.session = {
+      user: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        permissions: user.permissions
+      }
+    };
+    next();
+  } catch (error) {
+    console.error('API authentication error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء التحقق من مفتاح API');
+  }
+};
+
 // Legacy permission check for backward compatibility
 export const checkPermission = (permission) => {
   return (req, res, next) => {
@@ -25,8 +100,7 @@ export const checkPermission = (permission) => {
     }
     
     if (!req.session.user.permissions[permission]) {
-      req.flash('error', 'ليس لديك صلاحية لتنفيذ هذا الإجراء');
-      return res.redirect('/dashboard');
+      return denyAccess(req, res, 403, 'ليس لديك صلاحية لتنفيذ هذا الإجراء', '/dashboard');
     }
     next();
   };
@@ -40,78 +114,47 @@ export const requirePermission = (module, action) => {
       if (req.session.user.role === 'admin') {
         return next();
       }
-
-      // Import User model dynamically to avoid circular dependency
-      const { default: User } = await import('../models/User.js');
-      const user = await User.findById(req.session.user.id);
       
-      if (!user) {
-        req.flash('error', 'المستخدم غير موجود');
-        return res.redirect('/auth/login');
+      const resolved = await resolveUserPermissions(req.session.user.id);
+      
+      if (!resolved) {
+        return denyAccess(req, res, 401, 'المستخدم غير موجود', '/auth/login');
       }
-
-      const hasPermission = await user.hasPermission(module, action);
       
-      if (!hasPermission) {
-        req.flash('error', 'ليس لديك صلاحية لتنفيذ هذا الإجراء');
-        return res.redirect('/dashboard');
+      if (!resolvedHasPermission(resolved, module, action)) {
+        return denyAccess(req, res, 403, 'ليس لديك صلاحية لتنفيذ هذا الإجراء', '/dashboard');
       }
-
+      
       next();
     } catch (error) {
       console.error('Permission check error:', error);
-      req.flash('error', 'حدث خطأ أثناء التحقق من الصلاحيات');
-      return res.redirect('/dashboard');
+      return denyAccess(req, res, 500, 'حدث خطأ أثناء التحقق من الصلاحيات', '/dashboard');
     }
   };
 };
 
-// Helper middleware to load user permissions into session
+// Helper middleware to load user permissions into session (resolved once and cached)
 export const loadUserPermissions = async (req, res, next) => {
   if (req.session.user) {
-    // SUPER ADMIN BYPASS: If user is admin, they have all permissions
-    if (req.session.user.role === 'admin') {
-      // For admin users, we need to load all permissions as objects for template compatibility
-      try {
-        const { default: Permission } = await import('../models/Permission.js');
-        const allPermissions = await Permission.find();
-        req.session.user.detailedPermissions = allPermissions;
-        req.session.user.hasAllPermissions = true;
-      } catch (error) {
-        console.error('Error loading admin permissions:', error);
-        req.session.user.detailedPermissions = [];
-        req.session.user.hasAllPermissions = true;
-      }
-      return next();
-    }
-    
-    if (req.session.user.role !== 'admin') {
-      try {
-        const { default: User } = await import('../models/User.js');
-        const user = await User.findById(req.session.user.id);
+    try {
+      const resolved = await resolveUserPermissions(req.session.user.id);
+      
+      if (resolved) {
+        req.session.user.detailedPermissions = resolved.permissions;
+        // SUPER ADMIN BYPASS: If user is admin, they have all permissions
+        req.session.user.hasAllPermissions = req.session.user.role === 'admin';
         
-        if (user) {
-          const permissions = await user.getAllPermissions();
-          req.session.user.detailedPermissions = permissions;
-          req.session.user.hasAllPermissions = false;
-          
-          // Update legacy permissions based on new permissions
-          await updateLegacyPermissions(req.session.user, user);
-          
-
-          
-          // Force session save to ensure permissions are persisted
-          req.session.save((err) => {
-            if (err) {
-              console.error('Error saving session:', err);
-            }
-          });
+        // Legacy permission flags for the older checks and views
+        if (req.session.user.role !== 'admin') {
+          req.session.user.permissions = getLegacyPermissions(resolved);
         }
-      } catch (error) {
-        console.error('Error loading user permissions:', error);
-        // Set default permissions to prevent errors
-        req.session.user.detailedPermissions = [];
-        req.session.user.hasAllPermissions = false;
+      }
+    } catch (error) {
+      console.error('Error loading user permissions:', error);
+      // Set default permissions to prevent errors
+      req.session.user.detailedPermissions = [];
+      req.session.user.hasAllPermissions = req.session.user.role === 'admin';
+      if (req.session.user.role !== 'admin') {
         req.session.user.permissions = {
           canCreateCompanies: false,
           canCreateInvoices: false,
@@ -125,27 +168,6 @@ export const loadUserPermissions = async (req, res, next) => {
   next();
 };
 
-// Helper function to update legacy permissions
-async function updateLegacyPermissions(sessionUser, user) {
-  try {
-    const hasCompanyPermission = await user.hasPermission('companies', 'create');
-    const hasInvoicePermission = await user.hasPermission('invoices', 'create');
-    const hasClientPermission = await user.hasPermission('clients', 'create');
-    const hasReportPermission = await user.hasPermission('reports', 'view_own') || await user.hasPermission('reports', 'view_all');
-    const hasFilePermission = await user.hasPermission('files', 'create');
-    
-    sessionUser.permissions = {
-      canCreateCompanies: hasCompanyPermission,
-      canCreateInvoices: hasInvoicePermission,
-      canManageClients: hasClientPermission,
-      canViewReports: hasReportPermission,
-      canCreateFiles: hasFilePermission
-    };
-  } catch (error) {
-    console.error('Error updating legacy permissions:', error);
-  }
-}
-
 // Check if user has any permission for a module (view_own or view_all)
 export const requireModuleAccess = (module) => {
   return async (req, res, next) => {
@@ -162,32 +184,29 @@ export const requireModuleAccess = (module) => {
         };
         return next();
       }
-
-      const { default: User } = await import('../models/User.js');
-      const user = await User.findById(req.session.user.id);
       
-      if (!user) {
-        req.flash('error', 'المستخدم غير موجود');
-        return res.redirect('/auth/login');
+      const resolved = await resolveUserPermissions(req.session.user.id);
+      
+      if (!resolved) {
+        return denyAccess(req, res, 401, 'المستخدم غير موجود', '/auth/login');
       }
-
-      const hasViewOwn = await user.hasPermission(module, 'view_own');
-      const hasViewAll = await user.hasPermission(module, 'view_all');
+      
+      const hasViewOwn = resolvedHasPermission(resolved, module, 'view_own');
+      const hasViewAll = resolvedHasPermission(resolved, module, 'view_all');
       
       if (!hasViewOwn && !hasViewAll) {
-        req.flash('error', 'ليس لديك صلاحية للوصول إلى هذا القسم');
-        return res.redirect('/dashboard');
+        return denyAccess(req, res, 403, 'ليس لديك صلاحية للوصول إلى هذا القسم', '/dashboard');
       }
-
+      
       // Store permission level in request for use in routes
       req.userPermissionLevel = {
         canViewOwn: hasViewOwn,
         canViewAll: hasViewAll,
-        canCreate: await user.hasPermission(module, 'create'),
-        canUpdate: await user.hasPermission(module, 'update'),
-        canDelete: await user.hasPermission(module, 'delete')
+        canCreate: resolvedHasPermission(resolved, module, 'create'),
+        canUpdate: resolvedHasPermission(resolved, module, 'update'),
+        canDelete: resolvedHasPermission(resolved, module, 'delete')
       };
-
+      
       next();
     } catch (error) {
       console.error('Module access check error:', error);
@@ -199,8 +218,7 @@ export const requireModuleAccess = (module) => {
         canUpdate: false,
         canDelete: false
       };
-      req.flash('error', 'حدث خطأ أثناء التحقق من الصلاحيات');
-      return res.redirect('/dashboard');
+      return denyAccess(req, res, 500, 'حدث خطأ أثناء التحقق من الصلاحيات', '/dashboard');
     }
   };
 };
@@ -227,12 +245,8 @@ export const requireSystemAccess = (req, res, next) => {
 // Helper function to check if user has permission (can be used in views)
 export const hasPermission = async (userId, module, action) => {
   try {
-    const { default: User } = await import('../models/User.js');
-    const user = await User.findById(userId);
-    if (!user) return false;
-    
-    if (user.role === 'admin') return true;
-    return await user.hasPermission(module, action);
+    const resolved = await resolveUserPermissions(userId);
+    return resolvedHasPermission(resolved, module, action);
   } catch (error) {
     console.error('Permission check error:', error);
     return false;
@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+
+// Synchronizer-token CSRF protection. Each session gets one random token; every
+// request that changes something must send it back, either as the `_csrf` field
+// of a form or, for fetch calls, in the X-CSRF-Token header (read it from the
+// csrf-token meta tag). A cross-site form cannot know the token.
+
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getSessionToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+// Replace the session's token when its privileges change (sign in, a forced
+// password change or two-factor enrollment done), so a token seen before
+// stops working. Pages rendered afterwards get the new one.
+export function rotateCsrfToken(req) {
+  delete req.session.csrfToken;
+  return getSessionToken(req);
+}
+
+function getRequestToken(req) {
+  const token = req.get(CSRF_HEADER) || req.body?.[CSRF_FIELD];
+  if (token) {
+    return String(token);
+  }
+  
+  // Multipart forms are only parsed by the route (multer), so they carry the token in the action URL
+  if (req.is('multipart/form-data') && req.query[CSRF_FIELD]) {
+    return String(req.query[CSRF_FIELD]);
+  }
+  
+  return '';
+}
+
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Back to the page the form was on, never to another site
+function getReturnPath(req) {
+  try {
+    const referer = new URL(req.get('Referer'));
+    return referer.host === req.get('host') ? `${referer.pathname}${referer.search}` : '/';
+  } catch (error) {
+    return '/';
+  }
+}
+
+// Fetch calls get a JSON error, form posts go back to the page with a message
+function isAjaxRequest(req) {
+  return req.xhr || req.is('json') || !!req.get(CSRF_HEADER) || /application\/json/.test(req.get('Accept') || '');
+}
+
+export const csrfProtection = (req, res, next) => {
+  // Views put it in forms and in the csrf-token meta tag
+  res.locals.csrfToken = getSessionToken(req);
+  
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+  
+  if (tokensMatch(res.locals.csrfToken, getRequestToken(req))) {
+    return next();
+  }
+  
+  console.warn(`CSRF token rejected: ${req.originalMethod || req.method} ${req.path} from ${req.ip}`);
+  
+  const message = 'انتهت صلاحية الصفحة أو أن الطلب غير موثوق، يرجى تحديث الصفحة والمحاولة مرة أخرى';
+  if (isAjaxRequest(req)) {
+    return res.status(403).json({ success: false, error: message, message });
+  }
+  
+  req.flash('error', message);
+  res.redirect(getReturnPath(req));
+};
@@ -29,4 +29,21 @@ export const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024 // 10MB limit
   }
-});
\ No newline at end of file
+});
+
+// Spreadsheets for the import wizard are read from memory, never stored
+const importFileFilter = (req, file, cb) => {
+  if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new Error('يجب أن يكون الملف من نوع Excel (xlsx) أو CSV'), false);
+  }
+};
+
+export const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
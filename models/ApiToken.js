@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Personal token for the JSON API (/api/v1). The request acts as the token's
+// user with that user's permissions. Only the SHA-256 of the token is stored.
+const TOKEN_PREFIX = 'inv_';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, to tell tokens apart in the list
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  // null = never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// New token for a user. Returns { apiToken, token }; the plain token is shown once.
+apiTokenSchema.statics.issue = async function(user, name, expiresAt = null) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  const apiToken = await this.create({
+    name,
+    user,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt
+  });
+  
+  return { apiToken, token };
+};
+
+// Token that is neither revoked nor expired
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+export default mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+
+// Append-only record of a change made through the app.
+// Entries are written with utils/audit.js and are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Username at the time of the change, kept if the user is renamed or deleted
+  actorName: {
+    type: String,
+    default: ''
+  },
+  // e.g. 'create', 'update', 'delete', 'approve', 'payment', 'void_payment'
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: [
+      'invoice',
+      'payment',
+      'client',
+      'company',
+      'distributor',
+      'file',
+      'commission_tier',
+      'invoice_sequence',
+      'document_template',
+      'role',
+      'user',
+      'setting',
+      'api_token',
+      'webhook'
+    ],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Human readable name of the entity (invoice code, client name, ...)
+  entityLabel: {
+    type: String,
+    default: ''
+  },
+  // Field level diff between the entity before and after the change
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Other entities whose history should show this entry (e.g. the client of an invoice)
+  related: [{
+    _id: false,
+    entityType: String,
+    entityId: mongoose.Schema.Types.ObjectId
+  }],
+  // Extra context of the action (amounts, reasons, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'related.entityType': 1, 'related.entityId': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can only be added
+function rejectChange(next) {
+  next(new Error('Audit log entries cannot be changed'));
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+export const auditActionNames = {
+  create: 'إنشاء',
+  update: 'تعديل',
+  delete: 'حذف',
+  approve: 'موافقة',
+  unapprove: 'إلغاء الموافقة',
+  payment: 'تسجيل دفعة',
+  void_payment: 'إلغاء دفعة',
+  unmark_payment: 'إلغاء حالة الدفع',
+  credit_note: 'إشعار دائن',
+  cancel: 'إلغاء الفاتورة',
+  restore: 'استعادة إصدار',
+  merge: 'دمج عملاء',
+  unmerge: 'إلغاء الدمج',
+  toggle_status: 'تغيير الحالة',
+  login: 'تسجيل الدخول',
+  logout: 'تسجيل الخروج',
+  force_logout: 'إنهاء الجلسات',
+  password_change: 'تغيير كلمة المرور',
+  password_reset: 'إعادة تعيين كلمة المرور',
+  lockout: 'قفل بسبب محاولات دخول فاشلة',
+  unlock: 'فتح الحساب',
+  two_factor_enable: 'تفعيل التحقق بخطوتين',
+  two_factor_disable: 'إلغاء التحقق بخطوتين',
+  two_factor_backup_codes: 'رموز احتياطية جديدة',
+  revoke: 'إلغاء'
+};
+
+export const auditEntityNames = {
+  invoice: 'فاتورة',
+  payment: 'دفعة',
+  client: 'عميل',
+  company: 'شركة',
+  distributor: 'موزع',
+  file: 'ملف',
+  commission_tier: 'مستوى عمولة',
+  invoice_sequence: 'تسلسل ترقيم',
+  document_template: 'قالب طباعة',
+  role: 'دور',
+  user: 'مستخدم',
+  setting: 'إعداد',
+  api_token: 'مفتاح API',
+  webhook: 'رابط إشعارات'
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
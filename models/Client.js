@@ -24,6 +24,12 @@ const clientSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // Days the client has to pay an invoice (net 15/30/60...), 0 = due on receipt
+  paymentTermDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -33,4 +39,10 @@ const clientSchema = new mongoose.Schema({
   timestamps: true
 });
 
-export default mongoose.model('Client', clientSchema);
\ No newline at end of file
+export const PAYMENT_TERM_PRESETS = [0, 15, 30, 60];
+
+clientSchema.virtual('paymentTermLabel').get(function() {
+  return this.paymentTermDays ? `خلال ${this.paymentTermDays} يوم` : 'عند الاستلام';
+});
+
+export default mongoose.model('Client', clientSchema);
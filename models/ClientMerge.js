@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Clients merged into another one with the duplicate clients tool (see
+// utils/clientMerge.js). Keeps what is needed to undo the merge: the removed
+// clients as they were, and the invoices and commission tiers moved from each.
+const clientMergeSchema = new mongoose.Schema({
+  // The client that was kept
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  targetName: {
+    type: String,
+    default: ''
+  },
+  // Fields of the kept client filled from the removed ones: [{ field, before, after }]
+  targetChanges: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  sources: [{
+    _id: false,
+    // The removed client document, recreated with the same _id on undo
+    client: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    invoices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }],
+    // Tiers now on the kept client, with whether they were active before
+    commissionTiers: [{
+      _id: false,
+      tier: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionTier'
+      },
+      isActive: Boolean
+    }],
+    // Tiers deleted because the kept client has one with the same range
+    removedCommissionTiers: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    }
+  }],
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revertedAt: {
+    type: Date,
+    default: null
+  },
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+clientMergeSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ClientMerge', clientMergeSchema);
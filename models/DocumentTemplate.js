@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Layout of a printed document (see utils/pdf.js). Templates are HTML with
+// {{placeholders}} that are filled in, never run, so editing one can't run
+// code on the server. The tables and other parts with logic come from fixed
+// partials in views/pdf/partials. Without a stored template the default one
+// in views/pdf/<key>.html is used.
+const documentTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: ['invoice', 'statement'],
+    required: true,
+    unique: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export const documentTemplateNames = {
+  invoice: 'الفاتورة',
+  statement: 'كشف حساب العميل'
+};
+
+// Placeholders each template can use. Parts marked html are rendered on the
+// server and inserted as they are, the others are escaped text.
+export const documentTemplatePlaceholders = {
+  invoice: {
+    fontFaceCss: { label: 'خط Cairo المضمن، داخل <style>', html: true },
+    'document.title': { label: 'فاتورة أو إشعار دائن' },
+    'invoice.code': { label: 'رقم الفاتورة' },
+    'invoice.date': { label: 'تاريخ الفاتورة' },
+    'invoice.status': { label: 'علامة الإلغاء للفواتير الملغاة', html: true },
+    'invoice.finalAmount': { label: 'المبلغ النهائي' },
+    'invoice.outstandingAmount': { label: 'المتبقي على العميل' },
+    creditNote: { label: 'بيانات الإشعار الدائن والفاتورة الأصلية', html: true },
+    'company.name': { label: 'اسم الشركة' },
+    'file.name': { label: 'اسم الملف' },
+    'client.name': { label: 'اسم العميل' },
+    'client.mobile': { label: 'موبايل العميل' },
+    'distributor.name': { label: 'اسم الموزع' },
+    paymentProgress: { label: 'نسبة السداد' },
+    qrCode: { label: 'صورة رمز QR، داخل src' },
+    lineItems: { label: 'جدول البنود', html: true },
+    paymentStatus: { label: 'حالة الدفع ومراحله', html: true },
+    totals: { label: 'جدول المبالغ والضرائب', html: true },
+    generatedAt: { label: 'وقت إنشاء المستند' }
+  },
+  statement: {
+    fontFaceCss: { label: 'خط Cairo المضمن، داخل <style>', html: true },
+    'client.name': { label: 'اسم العميل' },
+    'client.mobile': { label: 'موبايل العميل' },
+    'period.start': { label: 'بداية الفترة' },
+    'period.end': { label: 'نهاية الفترة' },
+    'statement.openingBalance': { label: 'رصيد أول المدة' },
+    'statement.totalDebit': { label: 'إجمالي المدين' },
+    'statement.totalCredit': { label: 'إجمالي الدائن' },
+    'statement.closingBalance': { label: 'رصيد آخر المدة' },
+    entries: { label: 'جدول حركات الحساب', html: true },
+    generatedAt: { label: 'وقت إنشاء الكشف' }
+  }
+};
+
+// Template shipped with the app
+documentTemplateSchema.statics.getDefaultContent = function(key) {
+  return fs.readFile(path.join(__dirname, '../views/pdf', `${key}.html`), 'utf8');
+};
+
+// Whether content is an EJS template saved before templates used placeholders
+export function isEjsTemplate(content) {
+  return content.includes('<%');
+}
+
+// Template in use: the admin's edited copy, otherwise the default. An edited
+// copy still written in EJS is no longer run and the default is used instead.
+documentTemplateSchema.statics.getContent = async function(key) {
+  const template = await this.findOne({ key });
+  return template && !isEjsTemplate(template.content) ? template.content : this.getDefaultContent(key);
+};
+
+export default mongoose.model('DocumentTemplate', documentTemplateSchema);
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Uploads and their import results are removed by MongoDB after this long
+const IMPORT_RETENTION_DAYS = 30;
+
+export const importStatusNames = {
+  pending: 'بانتظار الاستيراد',
+  importing: 'جارٍ الاستيراد',
+  imported: 'تم الاستيراد'
+};
+
+// A spreadsheet uploaded to the import wizard (see routes/imports.js): the
+// cells as text, the chosen column of each field, and once imported, the
+// outcome of every record.
+const importBatchSchema = new mongoose.Schema({
+  // What is imported, e.g. invoices
+  kind: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  headers: [String],
+  // One array of cell texts per data row, in file order
+  rows: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Spreadsheet row number of rows[0], shown next to errors
+  firstRowNumber: {
+    type: Number,
+    default: 2
+  },
+  // field name -> column index
+  mapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.keys(importStatusNames),
+    default: 'pending'
+  },
+  // Filled in by the import: [{ rowNumbers, entityId, label, error }]
+  results: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  importedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+importBatchSchema.index({ createdBy: 1, createdAt: -1 });
+importBatchSchema.index({ createdAt: 1 }, { expireAfterSeconds: IMPORT_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('ImportBatch', importBatchSchema);
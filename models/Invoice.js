@@ -1,4 +1,62 @@
 import mongoose from 'mongoose';
+import {
+  calculateInvoiceAmounts,
+  calculateLineItem,
+  roundAmount,
+  AMOUNT_TOLERANCE,
+  DERIVED_AMOUNT_FIELDS
+} from '../utils/invoiceCalculations.js';
+
+// A single sold item on the invoice
+const lineItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  // Discount amount for this line (not a percentage)
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  // On credit notes: the line of the original invoice being credited
+  originalLineItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+});
+
+// Line amount after discount, before tax
+lineItemSchema.virtual('netAmount').get(function() {
+  return calculateLineItem(this).netAmount;
+});
+
+lineItemSchema.virtual('taxAmount').get(function() {
+  return calculateLineItem(this).taxAmount;
+});
+
+lineItemSchema.virtual('lineTotal').get(function() {
+  return calculateLineItem(this).lineTotal;
+});
 
 const invoiceSchema = new mongoose.Schema({
   invoiceCode: {
@@ -7,6 +65,27 @@ const invoiceSchema = new mongoose.Schema({
     unique: true,
     trim: true
   },
+  // A credit note reverses (part of) an original invoice; its amounts are stored negative
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  creditReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // On invoices: final amount reversed by credit notes so far (positive)
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
   client: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Client',
@@ -26,6 +105,13 @@ const invoiceSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Date the client has to pay by, defaulted from the client's payment terms
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Sold items; total and taxAmount are derived from these when present
+  lineItems: [lineItemSchema],
   // Basic invoice total (before any taxes or deductions)
   total: {
     type: Number,
@@ -137,6 +223,11 @@ const invoiceSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Sum of the (non-voided) Payment records for this step
+      paidAmount: {
+        type: Number,
+        default: 0
+      },
       paidAt: {
         type: Date,
         default: null
@@ -152,6 +243,11 @@ const invoiceSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Sum of the (non-voided) Payment records for this step
+      paidAmount: {
+        type: Number,
+        default: 0
+      },
       paidAt: {
         type: Date,
         default: null
@@ -167,6 +263,11 @@ const invoiceSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
+      // Sum of the (non-voided) Payment records for this step
+      paidAmount: {
+        type: Number,
+        default: 0
+      },
       paidAt: {
         type: Date,
         default: null
@@ -193,6 +294,50 @@ const invoiceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Inputs that the derived money fields are calculated from
+const AMOUNT_INPUT_FIELDS = [
+  'lineItems',
+  'total',
+  'taxPercentage',
+  'managementTaxPercentage',
+  'corporateTaxPercentage',
+  'profitPercentage',
+  'discountAmount'
+];
+
+// Recalculate every derived amount on the server (see utils/invoiceCalculations.js)
+invoiceSchema.methods.applyCalculatedAmounts = function() {
+  const amounts = calculateInvoiceAmounts({
+    lineItems: this.lineItems,
+    total: Math.abs(this.total),
+    taxPercentage: this.taxPercentage,
+    managementTaxPercentage: this.managementTaxPercentage,
+    corporateTaxPercentage: this.corporateTaxPercentage,
+    profitPercentage: this.profitPercentage,
+    discountAmount: this.discountAmount
+  });
+  
+  // Credit notes are calculated like invoices and then negated
+  if (this.documentType === 'credit_note') {
+    ['total', ...DERIVED_AMOUNT_FIELDS].forEach(field => {
+      amounts[field] = -Math.abs(amounts[field]);
+    });
+  }
+  
+  this.set(amounts);
+};
+
+invoiceSchema.pre('validate', function(next) {
+  // Leave stored amounts of untouched invoices alone (e.g. when only marking payments)
+  if (this.isNew || AMOUNT_INPUT_FIELDS.some(field => this.isModified(field))) {
+    this.applyCalculatedAmounts();
+    if (!this.isNew) {
+      this.refreshPaymentStatus();
+    }
+  }
+  next();
+});
+
 // Virtual to get overall payment completion status
 invoiceSchema.virtual('overallPaymentStatus').get(function() {
   const { clientToDistributor, distributorToAdmin, adminToCompany } = this.paymentStatus;
@@ -209,13 +354,21 @@ invoiceSchema.virtual('overallPaymentStatus').get(function() {
 });
 
 // Method to get payment progress percentage
+// (partially paid steps count for the share that has been paid)
 invoiceSchema.methods.getPaymentProgress = function() {
-  const { clientToDistributor, distributorToAdmin, adminToCompany } = this.paymentStatus;
+  const steps = ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'];
   let completed = 0;
   
-  if (clientToDistributor.isPaid) completed++;
-  if (distributorToAdmin.isPaid) completed++;
-  if (adminToCompany.isPaid) completed++;
+  steps.forEach(step => {
+    const stepStatus = this.paymentStatus[step];
+    const due = this.getStepDueAmount(step);
+    
+    if (stepStatus.isPaid) {
+      completed++;
+    } else if (due > 0 && stepStatus.paidAmount > 0) {
+      completed += Math.min(stepStatus.paidAmount / due, 1);
+    }
+  });
   
   return Math.round((completed / 3) * 100);
 };
@@ -236,15 +389,134 @@ invoiceSchema.methods.canUserMarkPayment = function(userId, userRole, step) {
   return false;
 };
 
-// Method to mark a payment step as paid
-invoiceSchema.methods.markPaymentStep = function(step, userId) {
+invoiceSchema.virtual('isCreditNote').get(function() {
+  return this.documentType === 'credit_note';
+});
+
+// Start of today: an invoice is overdue the day after its due date
+function getOverdueCutoff(asOf = new Date()) {
+  const cutoff = new Date(asOf);
+  cutoff.setHours(0, 0, 0, 0);
+  return cutoff;
+}
+
+// The client hasn't paid in full by the due date. Same rule as getOverdueQuery().
+invoiceSchema.virtual('isOverdue').get(function() {
+  return !this.isCreditNote &&
+    this.status !== 'cancelled' &&
+    !this.paymentStatus.clientToDistributor.isPaid &&
+    Boolean(this.dueDate) &&
+    this.dueDate < getOverdueCutoff();
+});
+
+// Query conditions for overdue invoices, to combine with a list's own filters
+invoiceSchema.statics.getOverdueQuery = function(asOf) {
+  return {
+    documentType: { $ne: 'credit_note' },
+    status: { $ne: 'cancelled' },
+    'paymentStatus.clientToDistributor.isPaid': false,
+    dueDate: { $ne: null, $lt: getOverdueCutoff(asOf) }
+  };
+};
+
+// Aggregation expression of getOutstandingAmount(step), for totals computed
+// in the database
+invoiceSchema.statics.getOutstandingAmountExpression = function(step) {
+  const paidAmount = { $ifNull: [`$paymentStatus.${step}.paidAmount`, 0] };
+  const dueAmount = { $max: [0, { $subtract: ['$finalAmount', { $ifNull: ['$creditedAmount', 0] }] }] };
+  
+  return {
+    $cond: [
+      {
+        $or: [
+          { $eq: ['$documentType', 'credit_note'] },
+          // Steps marked paid before the payments ledger existed have no paidAmount
+          { $and: [`$paymentStatus.${step}.isPaid`, { $eq: [paidAmount, 0] }] }
+        ]
+      },
+      0,
+      { $max: [0, { $round: [{ $subtract: [dueAmount, paidAmount] }, 2] }] }
+    ]
+  };
+};
+
+// Due date from the invoice date and the client's payment terms (in days)
+invoiceSchema.statics.calculateDueDate = function(invoiceDate, paymentTermDays) {
+  const dueDate = new Date(invoiceDate);
+  dueDate.setDate(dueDate.getDate() + (paymentTermDays || 0));
+  return dueDate;
+};
+
+// Amount due for a payment step (the same money moves down the whole chain).
+// Credit notes reduce what is due on their original invoice and are never paid themselves.
+invoiceSchema.methods.getStepDueAmount = function(step) {
   if (!this.paymentStatus[step]) {
     throw new Error('Invalid payment step');
   }
   
-  this.paymentStatus[step].isPaid = true;
-  this.paymentStatus[step].paidAt = new Date();
-  this.paymentStatus[step].markedBy = userId;
+  if (this.isCreditNote) {
+    return 0;
+  }
+  
+  return Math.max(0, roundAmount(this.finalAmount - (this.creditedAmount || 0)));
+};
+
+// Final amount that can still be reversed by credit notes
+invoiceSchema.methods.getCreditableAmount = function() {
+  if (this.isCreditNote) {
+    return 0;
+  }
+  
+  return Math.max(0, roundAmount(this.finalAmount - (this.creditedAmount || 0)));
+};
+
+// Method to take a credit note off the invoice balance.
+// Steps whose payments already cover the reduced amount become paid.
+invoiceSchema.methods.applyCredit = function(amount) {
+  this.creditedAmount = roundAmount((this.creditedAmount || 0) + amount);
+  
+  ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'].forEach(step => {
+    const stepStatus = this.paymentStatus[step];
+    if (!stepStatus.isPaid && stepStatus.paidAmount > 0 &&
+        stepStatus.paidAmount >= this.getStepDueAmount(step) - AMOUNT_TOLERANCE) {
+      stepStatus.isPaid = true;
+      stepStatus.paidAt = new Date();
+    }
+  });
+};
+
+// Amount still to be paid for a payment step
+invoiceSchema.methods.getOutstandingAmount = function(step) {
+  const stepStatus = this.paymentStatus[step];
+  if (!stepStatus) {
+    throw new Error('Invalid payment step');
+  }
+  
+  // Steps marked paid before the payments ledger existed have no paidAmount
+  if (stepStatus.isPaid && !stepStatus.paidAmount) {
+    return 0;
+  }
+  
+  return Math.max(0, roundAmount(this.getStepDueAmount(step) - (stepStatus.paidAmount || 0)));
+};
+
+// Method to apply a payment to a step, in full (no amount) or in part.
+// Use Payment.record() so the payment also lands in the ledger.
+invoiceSchema.methods.markPaymentStep = function(step, userId, amount, paidAt) {
+  if (!this.paymentStatus[step]) {
+    throw new Error('Invalid payment step');
+  }
+  
+  const stepStatus = this.paymentStatus[step];
+  const paymentAmount = amount === undefined ? this.getOutstandingAmount(step) : amount;
+  
+  stepStatus.paidAmount = roundAmount((stepStatus.paidAmount || 0) + paymentAmount);
+  stepStatus.markedBy = userId;
+  
+  if (stepStatus.paidAmount >= this.getStepDueAmount(step) - AMOUNT_TOLERANCE) {
+    stepStatus.isPaid = true;
+    stepStatus.paidAt = paidAt || new Date();
+  }
   
   // Update legacy status for backward compatibility
   if (this.paymentStatus.adminToCompany.isPaid) {
@@ -252,6 +524,31 @@ invoiceSchema.methods.markPaymentStep = function(step, userId) {
   }
 };
 
+// Method to re-check the paid steps after the amounts of an invoice changed:
+// a partly paid step becomes paid when the total goes down, and a paid step
+// unpaid when it goes up. Steps marked paid before the payments ledger existed
+// have no paidAmount and stay paid.
+invoiceSchema.methods.refreshPaymentStatus = function() {
+  let changed = false;
+  
+  ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'].forEach(step => {
+    const stepStatus = this.paymentStatus[step];
+    if (!stepStatus.paidAmount) return;
+    
+    const isPaid = stepStatus.paidAmount >= this.getStepDueAmount(step) - AMOUNT_TOLERANCE;
+    if (isPaid !== stepStatus.isPaid) {
+      stepStatus.isPaid = isPaid;
+      stepStatus.paidAt = isPaid ? new Date() : null;
+      changed = true;
+    }
+  });
+  
+  // Update legacy status for backward compatibility
+  if (changed && this.status !== 'cancelled') {
+    this.status = this.paymentStatus.adminToCompany.isPaid ? 'completed' : 'pending';
+  }
+};
+
 // Method to unmark a payment step (admin only)
 invoiceSchema.methods.unmarkPaymentStep = function(step) {
   if (!this.paymentStatus[step]) {
@@ -259,6 +556,7 @@ invoiceSchema.methods.unmarkPaymentStep = function(step) {
   }
   
   this.paymentStatus[step].isPaid = false;
+  this.paymentStatus[step].paidAmount = 0;
   this.paymentStatus[step].paidAt = null;
   this.paymentStatus[step].markedBy = null;
   
@@ -266,4 +564,151 @@ invoiceSchema.methods.unmarkPaymentStep = function(step) {
   this.status = 'pending';
 };
 
+// Credit notes issued against this invoice, oldest first
+invoiceSchema.methods.getCreditNotes = function() {
+  return this.constructor.find({ originalInvoice: this._id, documentType: 'credit_note' })
+    .sort({ createdAt: 1 });
+};
+
+// Line items of this invoice with the quantity and discount not credited yet
+invoiceSchema.methods.getCreditableLineItems = function(creditNotes) {
+  const credited = {};
+  
+  creditNotes.forEach(note => {
+    note.lineItems.forEach(item => {
+      if (!item.originalLineItem) return;
+      
+      const key = item.originalLineItem.toString();
+      credited[key] = credited[key] || { quantity: 0, discount: 0 };
+      credited[key].quantity += item.quantity;
+      credited[key].discount += item.discount;
+    });
+  });
+  
+  return this.lineItems.map(item => {
+    const creditedLine = credited[item._id.toString()] || { quantity: 0, discount: 0 };
+    
+    return {
+      item,
+      remainingQuantity: Math.max(0, roundAmount(item.quantity - creditedLine.quantity)),
+      remainingDiscount: Math.max(0, roundAmount(item.discount - creditedLine.discount))
+    };
+  });
+};
+
+// Issue a credit note against an invoice.
+// quantities maps line item ids of the original to the quantity to credit;
+// without quantities everything not credited yet is reversed and the invoice
+// is cancelled. The original invoice keeps its amounts, only creditedAmount
+// and (on full reversal) status change.
+// The code comes from the credit note sequence unless one is given.
+invoiceSchema.statics.issueCreditNote = async function(original, { quantities, reason, invoiceCode }, userId) {
+  if (original.isCreditNote) {
+    throw new Error('A credit note cannot be credited');
+  }
+  if (original.status === 'cancelled') {
+    throw new Error('Invoice is already cancelled');
+  }
+  
+  const creditNotes = await original.getCreditNotes();
+  const fullReversal = !quantities;
+  const lineItems = [];
+  let total = 0;
+  let discountAmount = 0;
+  
+  if (original.lineItems.length > 0) {
+    const creditableLines = original.getCreditableLineItems(creditNotes);
+    
+    creditableLines.forEach(({ item, remainingQuantity, remainingDiscount }) => {
+      const quantity = fullReversal ? remainingQuantity : roundAmount(parseFloat(quantities[item._id.toString()]) || 0);
+      if (quantity <= 0) return;
+      
+      if (quantity > remainingQuantity) {
+        throw new Error(`Quantity to credit exceeds what is left of "${item.description}"`);
+      }
+      
+      lineItems.push({
+        description: item.description,
+        quantity,
+        unitPrice: item.unitPrice,
+        // The last credit of a line takes whatever discount is left, so rounding adds up
+        discount: quantity === remainingQuantity ? remainingDiscount : roundAmount(item.discount * quantity / item.quantity),
+        taxRate: item.taxRate,
+        originalLineItem: item._id
+      });
+    });
+    
+    if (lineItems.length === 0) {
+      throw new Error('Nothing left to credit');
+    }
+    
+    // Spread the invoice-level discount over the credited share of the lines
+    const creditedNet = lineItems.reduce((sum, item) => sum + calculateLineItem(item).netAmount, 0);
+    const remainingInvoiceDiscount = roundAmount(
+      original.discountAmount - creditNotes.reduce((sum, note) => sum + (note.discountAmount || 0), 0)
+    );
+    const isLastCredit = creditableLines.every(({ item, remainingQuantity }) => {
+      const line = lineItems.find(lineItem => lineItem.originalLineItem.equals(item._id));
+      return (line ? line.quantity : 0) === remainingQuantity;
+    });
+    
+    discountAmount = isLastCredit || !original.total
+      ? Math.max(0, remainingInvoiceDiscount)
+      : Math.min(remainingInvoiceDiscount, roundAmount(original.discountAmount * creditedNet / original.total));
+  } else {
+    // Invoices without line items can only be reversed as a whole
+    if (!fullReversal || creditNotes.length > 0) {
+      throw new Error('Invoices without line items can only be cancelled in full');
+    }
+    
+    total = original.total;
+    discountAmount = original.discountAmount;
+  }
+  
+  if (!invoiceCode) {
+    const fileData = await mongoose.model('File').findById(original.file);
+    invoiceCode = await mongoose.model('InvoiceSequence').allocateCode({
+      companyId: fileData?.company,
+      documentType: 'credit_note'
+    });
+  }
+  
+  const creditNote = new this({
+    invoiceCode,
+    documentType: 'credit_note',
+    originalInvoice: original._id,
+    creditReason: reason,
+    client: original.client,
+    file: original.file,
+    assignedDistributor: original.assignedDistributor,
+    invoiceDate: new Date(),
+    lineItems,
+    total,
+    taxPercentage: original.taxPercentage,
+    managementTaxPercentage: original.managementTaxPercentage,
+    corporateTaxPercentage: original.corporateTaxPercentage,
+    profitPercentage: original.profitPercentage,
+    discountAmount,
+    clientCommissionRate: original.clientCommissionRate,
+    distributorCommissionRate: original.distributorCommissionRate,
+    companyCommissionRate: original.companyCommissionRate,
+    // Credit notes are final as soon as they are issued
+    isApproved: true,
+    approvedBy: userId,
+    approvedAt: new Date(),
+    status: 'completed',
+    createdBy: userId
+  });
+  
+  await creditNote.save();
+  
+  original.applyCredit(Math.abs(creditNote.finalAmount));
+  if (fullReversal || original.getCreditableAmount() <= AMOUNT_TOLERANCE) {
+    original.status = 'cancelled';
+  }
+  await original.save();
+  
+  return creditNote;
+};
+
 export default mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+// Numbering sequence for invoice codes, e.g. INV-2026-00001.
+// One sequence per company (or the default one with no company) and document type.
+const invoiceSequenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    default: 'invoice'
+  },
+  // null = default sequence for invoices of companies without their own
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    default: 'INV'
+  },
+  separator: {
+    type: String,
+    default: '-'
+  },
+  // Put the invoice year in the code and restart numbering every year
+  includeYear: {
+    type: Boolean,
+    default: true
+  },
+  padding: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 12
+  },
+  // Last number used, per year ('all' when the year is not part of the code)
+  counters: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ company: 1, documentType: 1 }, { unique: true });
+
+const defaultPrefixes = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Counter key for a date
+invoiceSequenceSchema.methods.getCounterKey = function(date) {
+  return this.includeYear ? String(new Date(date).getFullYear()) : 'all';
+};
+
+// Build the code for a number, e.g. INV-2026-00001
+invoiceSequenceSchema.methods.formatCode = function(number, date) {
+  const parts = [];
+  if (this.prefix) parts.push(this.prefix);
+  if (this.includeYear) parts.push(new Date(date).getFullYear());
+  parts.push(String(number).padStart(this.padding, '0'));
+  
+  return parts.join(this.separator);
+};
+
+// Code the next allocation would get (for display only, not reserved)
+invoiceSequenceSchema.methods.previewNextCode = function(date = new Date()) {
+  const current = this.counters.get(this.getCounterKey(date)) || 0;
+  return this.formatCode(current + 1, date);
+};
+
+// Sequence used for a company: its own active one, otherwise the default.
+// The default sequence is created on first use.
+invoiceSequenceSchema.statics.findForCompany = async function(companyId, documentType = 'invoice') {
+  if (companyId) {
+    const companySequence = await this.findOne({ company: companyId, documentType, isActive: true });
+    if (companySequence) {
+      return companySequence;
+    }
+  }
+  
+  return this.findOneAndUpdate(
+    { company: null, documentType },
+    {
+      $setOnInsert: {
+        name: documentType === 'credit_note' ? 'ترقيم الإشعارات الدائنة' : 'الترقيم الافتراضي',
+        prefix: defaultPrefixes[documentType]
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Allocate the next code of the company's sequence.
+// The counter is incremented atomically, so concurrent creates never get the
+// same number. Numbers already taken by manually entered codes are skipped.
+invoiceSequenceSchema.statics.allocateCode = async function({ companyId, date = new Date(), documentType = 'invoice' }) {
+  const Invoice = mongoose.model('Invoice');
+  const sequence = await this.findForCompany(companyId, documentType);
+  const counterPath = `counters.${sequence.getCounterKey(date)}`;
+  
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const updated = await this.findOneAndUpdate(
+      { _id: sequence._id },
+      { $inc: { [counterPath]: 1 } },
+      { new: true }
+    );
+    
+    const code = updated.formatCode(updated.counters.get(sequence.getCounterKey(date)), date);
+    if (!(await Invoice.exists({ invoiceCode: code }))) {
+      return code;
+    }
+  }
+  
+  throw new Error('Could not allocate a free invoice code');
+};
+
+export default mongoose.model('InvoiceSequence', invoiceSequenceSchema);
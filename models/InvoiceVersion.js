@@ -0,0 +1,230 @@
+import mongoose from 'mongoose';
+import { diffSnapshots } from '../utils/audit.js';
+
+// Immutable snapshot of an invoice, stored each time the invoice is created,
+// edited or restored. Version 1 is the invoice as first saved.
+const invoiceVersionSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 'create', 'update' or 'restore'. 'initial' is the state of an invoice
+  // created before versioning, recorded on its first edit.
+  reason: {
+    type: String,
+    enum: ['create', 'initial', 'update', 'restore'],
+    required: true
+  },
+  // Version number the invoice was restored from
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // Editable fields and amounts of the invoice (see VERSIONED_FIELDS)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field level diff from the previous version
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+invoiceVersionSchema.index({ invoice: 1, version: -1 }, { unique: true });
+
+// Versions can only be added
+function rejectChange(next) {
+  next(new Error('Invoice versions cannot be changed'));
+}
+
+invoiceVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  invoiceVersionSchema.pre(operation, rejectChange);
+});
+
+// Invoice fields kept in a version
+export const VERSIONED_FIELDS = [
+  'invoiceCode',
+  'client',
+  'file',
+  'assignedDistributor',
+  'invoiceDate',
+  'dueDate',
+  'lineItems',
+  'total',
+  'taxPercentage',
+  'taxAmount',
+  'managementTaxPercentage',
+  'managementTaxAmount',
+  'corporateTaxPercentage',
+  'corporateTaxAmount',
+  'profitPercentage',
+  'profitAmount',
+  'discountAmount',
+  'finalAmount',
+  'clientCommissionRate',
+  'distributorCommissionRate',
+  'companyCommissionRate',
+  'status'
+];
+
+// Fields written back when restoring; the amounts are recalculated from them
+export const RESTORABLE_FIELDS = [
+  'invoiceCode',
+  'client',
+  'file',
+  'assignedDistributor',
+  'invoiceDate',
+  'dueDate',
+  'lineItems',
+  'total',
+  'taxPercentage',
+  'managementTaxPercentage',
+  'corporateTaxPercentage',
+  'profitPercentage',
+  'discountAmount',
+  'clientCommissionRate',
+  'distributorCommissionRate',
+  'companyCommissionRate',
+  'status'
+];
+
+export const versionFieldNames = {
+  invoiceCode: 'رقم الفاتورة',
+  client: 'العميل',
+  file: 'الملف',
+  assignedDistributor: 'الموزع',
+  invoiceDate: 'تاريخ الفاتورة',
+  dueDate: 'تاريخ الاستحقاق',
+  total: 'الإجمالي',
+  taxPercentage: 'نسبة الضريبة',
+  taxAmount: 'قيمة الضريبة',
+  managementTaxPercentage: 'نسبة ضريبة الإدارة',
+  managementTaxAmount: 'قيمة ضريبة الإدارة',
+  corporateTaxPercentage: 'نسبة ضريبة الشركات',
+  corporateTaxAmount: 'قيمة ضريبة الشركات',
+  profitPercentage: 'نسبة الربح',
+  profitAmount: 'قيمة الربح',
+  discountAmount: 'الخصم',
+  finalAmount: 'المبلغ النهائي',
+  clientCommissionRate: 'عمولة العميل %',
+  distributorCommissionRate: 'عمولة الموزع %',
+  companyCommissionRate: 'عمولة الشركة %',
+  status: 'الحالة',
+  description: 'البيان',
+  quantity: 'الكمية',
+  unitPrice: 'سعر الوحدة',
+  discount: 'خصم البند',
+  taxRate: 'ضريبة البند %'
+};
+
+// Snapshot of the versioned fields (line item ids are left out, they change on every edit)
+export function getInvoiceSnapshot(invoice) {
+  const object = JSON.parse(JSON.stringify(invoice.toObject({ depopulate: true })));
+  const snapshot = {};
+  
+  VERSIONED_FIELDS.forEach(field => {
+    snapshot[field] = object[field] ?? null;
+  });
+  snapshot.lineItems = (object.lineItems || []).map(({ description, quantity, unitPrice, discount, taxRate }) => ({
+    description,
+    quantity,
+    unitPrice,
+    discount,
+    taxRate
+  }));
+  
+  return snapshot;
+}
+
+// Line items are compared by position ('lineItems.2.quantity')
+function toComparable(snapshot) {
+  if (!snapshot) {
+    return null;
+  }
+  
+  const lineItems = {};
+  (snapshot.lineItems || []).forEach((item, index) => {
+    lineItems[index + 1] = item;
+  });
+  
+  return { ...snapshot, lineItems };
+}
+
+// Field label for a diff entry, e.g. 'البند 2 - الكمية'
+invoiceVersionSchema.statics.getFieldLabel = function(field) {
+  const [name, position, itemField] = field.split('.');
+  if (name === 'lineItems') {
+    return `البند ${position}${itemField ? ' - ' + (versionFieldNames[itemField] || itemField) : ''}`;
+  }
+  return versionFieldNames[name] || field;
+};
+
+// Store the current state of the invoice as a new version.
+// `before` is the invoice before the edit; it is stored first as the initial
+// version when the invoice has no versions yet (created before versioning).
+invoiceVersionSchema.statics.record = async function(invoice, userId, { reason, before = null, restoredFrom = null }) {
+  let latest = await this.findOne({ invoice: invoice._id }).sort({ version: -1 });
+  
+  if (!latest && before) {
+    latest = await this.create({
+      invoice: invoice._id,
+      version: 1,
+      reason: 'initial',
+      snapshot: before,
+      createdBy: invoice.createdBy
+    });
+  }
+  
+  const snapshot = getInvoiceSnapshot(invoice);
+  const changes = latest ? diffSnapshots(toComparable(latest.snapshot), toComparable(snapshot)) : [];
+  
+  // Saving the form without changing anything doesn't make a new version
+  if (latest && reason === 'update' && changes.length === 0) {
+    return latest;
+  }
+  
+  return this.create({
+    invoice: invoice._id,
+    version: latest ? latest.version + 1 : 1,
+    reason,
+    restoredFrom,
+    snapshot,
+    changes,
+    createdBy: userId
+  });
+};
+
+export default mongoose.model('InvoiceVersion', invoiceVersionSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Failed login attempts for one username or one IP address (see utils/loginThrottle.js)
+const loginThrottleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['username', 'ip'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Failures since the last lockout or successful login
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lastIp: {
+    type: String,
+    default: ''
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  // The record is forgotten after this date
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Usernames currently locked out
+loginThrottleSchema.statics.findLockedUsernames = function(asOf = new Date()) {
+  return this.find({ kind: 'username', lockedUntil: { $gt: asOf } }).sort({ lockedUntil: -1 });
+};
+
+// IP addresses currently locked out
+loginThrottleSchema.statics.findLockedIps = function(asOf = new Date()) {
+  return this.find({ kind: 'ip', lockedUntil: { $gt: asOf } }).sort({ lockedUntil: -1 });
+};
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
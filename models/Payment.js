@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import { AMOUNT_TOLERANCE } from '../utils/invoiceCalculations.js';
+
+const paymentSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  // Which step of the invoice payment chain this payment belongs to
+  step: {
+    type: String,
+    enum: ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  paidAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'bank_transfer', 'cheque', 'wallet', 'other'],
+    default: 'cash'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Payments are never deleted, a cancelled payment is voided instead
+  isVoided: {
+    type: Boolean,
+    default: false
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ invoice: 1, step: 1, paidAt: 1 });
+
+export const paymentMethodNames = {
+  cash: 'نقداً',
+  bank_transfer: 'تحويل بنكي',
+  cheque: 'شيك',
+  wallet: 'محفظة إلكترونية',
+  other: 'أخرى'
+};
+
+// Update pipeline that adds an amount (negative to take it off) to the paid
+// amount of an invoice step, then sets whether the step is paid from the new
+// total. MongoDB runs it as one write, so payments made on the same invoice at
+// the same time can't overwrite each other's amounts.
+function getStepPaymentUpdate(step, amount, { userId, paidAt } = {}) {
+  const stepPath = `paymentStatus.${step}`;
+  const dueAmount = { $subtract: ['$finalAmount', { $ifNull: ['$creditedAmount', 0] }] };
+  
+  return [
+    {
+      $set: {
+        [`${stepPath}.paidAmount`]: { $max: [0, { $round: [{ $add: [{ $ifNull: [`$${stepPath}.paidAmount`, 0] }, amount] }, 2] }] },
+        ...(userId ? { [`${stepPath}.markedBy`]: new mongoose.Types.ObjectId(String(userId)) } : {})
+      }
+    },
+    {
+      $set: {
+        [`${stepPath}.isPaid`]: { $gte: [`$${stepPath}.paidAmount`, { $subtract: [dueAmount, AMOUNT_TOLERANCE] }] }
+      }
+    },
+    {
+      $set: {
+        [`${stepPath}.paidAt`]: { $cond: [`$${stepPath}.isPaid`, { $ifNull: [`$${stepPath}.paidAt`, paidAt || '$$NOW'] }, null] },
+        // Legacy status, kept for backward compatibility
+        status: {
+          $cond: [
+            '$paymentStatus.adminToCompany.isPaid',
+            'completed',
+            { $cond: [{ $eq: ['$status', 'completed'] }, 'pending', '$status'] }
+          ]
+        }
+      }
+    }
+  ];
+}
+
+// Error for a payment the invoice can't take, with a message for the user.
+// Its code tells the routes it apart from a failure.
+function paymentRejected(message) {
+  const error = new Error(message);
+  error.code = 'PAYMENT_REJECTED';
+  return error;
+}
+
+// Record a payment against an invoice step and update the invoice balance.
+// amount defaults to the outstanding balance (pay in full). A payment over
+// the outstanding balance is refused with a PAYMENT_REJECTED error.
+paymentSchema.statics.record = async function(invoice, step, details, userId) {
+  if (invoice.isCreditNote) {
+    throw paymentRejected('لا يمكن تسجيل دفعات على إشعار دائن');
+  }
+  
+  const outstanding = invoice.getOutstandingAmount(step);
+  const amount = details.amount ? Math.round(details.amount * 100) / 100 : outstanding;
+  
+  if (!(amount > 0)) {
+    throw paymentRejected('مبلغ الدفعة يجب أن يكون أكبر من صفر');
+  }
+  if (amount > outstanding + 0.01) {
+    throw paymentRejected('المبلغ أكبر من المتبقي على هذه الخطوة');
+  }
+  
+  const payment = new this({
+    invoice: invoice._id,
+    step,
+    amount,
+    paidAt: details.paidAt || new Date(),
+    method: details.method || 'cash',
+    reference: details.reference,
+    notes: details.notes,
+    recordedBy: userId
+  });
+  await payment.validate();
+  
+  // The balance is checked again by the update itself, so another payment
+  // saved since the invoice was loaded can't be paid over
+  const stepPath = `paymentStatus.${step}`;
+  const updated = await invoice.constructor.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      isCreditNote: { $ne: true },
+      [`${stepPath}.isPaid`]: { $ne: true },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: [`$${stepPath}.paidAmount`, 0] }, amount] },
+          { $add: [{ $subtract: ['$finalAmount', { $ifNull: ['$creditedAmount', 0] }] }, AMOUNT_TOLERANCE] }
+        ]
+      }
+    },
+    getStepPaymentUpdate(step, amount, { userId, paidAt: payment.paidAt }),
+    { new: true, lean: true }
+  );
+  if (!updated) {
+    throw paymentRejected('المبلغ أكبر من المتبقي على هذه الخطوة، ربما تم تسجيل دفعة أخرى عليها للتو');
+  }
+  
+  try {
+    await payment.save();
+  } catch (error) {
+    await invoice.constructor.updateOne({ _id: invoice._id }, getStepPaymentUpdate(step, -amount));
+    throw error;
+  }
+  
+  // The caller's copy shows the saved balance, without marking it as changed
+  invoice.init(updated);
+  
+  return payment;
+};
+
+// Void a payment and take it off the invoice balance. A payment already
+// voided is refused with a PAYMENT_REJECTED error.
+paymentSchema.methods.voidPayment = async function(invoice, userId) {
+  // Claimed first, so a payment voided twice at the same time is taken off once
+  const voided = await this.constructor.findOneAndUpdate(
+    { _id: this._id, isVoided: false },
+    { $set: { isVoided: true, voidedAt: new Date(), voidedBy: userId } },
+    { new: true }
+  );
+  if (!voided) {
+    throw paymentRejected('تم إلغاء هذه الدفعة بالفعل');
+  }
+  this.isVoided = voided.isVoided;
+  this.voidedAt = voided.voidedAt;
+  this.voidedBy = voided.voidedBy;
+  
+  const updated = await invoice.constructor.findOneAndUpdate(
+    { _id: invoice._id },
+    getStepPaymentUpdate(this.step, -this.amount),
+    { new: true, lean: true }
+  );
+  if (updated) {
+    invoice.init(updated);
+  }
+};
+
+export default mongoose.model('Payment', paymentSchema);
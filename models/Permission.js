@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { invalidateOnWrite } from '../utils/permissions.js';
 
 const permissionSchema = new mongoose.Schema({
   name: {
@@ -37,4 +38,29 @@ const permissionSchema = new mongoose.Schema({
 // Compound index to ensure unique module-action combinations
 permissionSchema.index({ module: 1, action: 1 }, { unique: true });
 
+// Cached permission sets are stale once a permission changes
+invalidateOnWrite(permissionSchema);
+
+// Display order of the permissions matrix in the forms
+export const permissionModuleNames = {
+  companies: 'الشركات',
+  clients: 'العملاء',
+  files: 'الملفات',
+  invoices: 'الفواتير',
+  distributors: 'الموزعين',
+  reports: 'التقارير',
+  'commission-tiers': 'مستويات العمولة',
+  roles: 'الأدوار',
+  permissions: 'الصلاحيات',
+  system: 'النظام'
+};
+
+export const permissionActionNames = {
+  view_own: 'عرض الخاصة',
+  view_all: 'عرض الكل',
+  create: 'إنشاء',
+  update: 'تعديل',
+  delete: 'حذف'
+};
+
 export default mongoose.model('Permission', permissionSchema);
\ No newline at end of file
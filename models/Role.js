@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { invalidateOnWrite } from '../utils/permissions.js';
 
 const roleSchema = new mongoose.Schema({
   name: {
@@ -36,4 +37,7 @@ const roleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Cached permission sets are stale once a role changes
+invalidateOnWrite(roleSchema);
+
 export default mongoose.model('Role', roleSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// express-session data stored by utils/sessionStore.js. The signed-in user is
+// kept outside the session data so the admin can list and end a user's sessions.
+const sessionSchema = new mongoose.Schema({
+  // The session id from the cookie
+  _id: {
+    type: String
+  },
+  // Serialized session object, as the in-memory store keeps it
+  data: {
+    type: String,
+    default: '{}'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+  // Idle expiry, pushed forward on every request
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired sessions by itself
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, expiresAt: -1 });
+
+// Sessions that have not expired yet
+sessionSchema.statics.getActiveQuery = function(asOf = new Date()) {
+  return { expiresAt: { $gt: asOf } };
+};
+
+// Log a user out everywhere, except the optional session id
+sessionSchema.statics.destroyForUser = async function(userId, exceptSessionId = null) {
+  const query = { user: userId };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  
+  const result = await this.deleteMany(query);
+  return result.deletedCount;
+};
+
+export default mongoose.model('Session', sessionSchema);
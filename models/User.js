@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import Setting from './Setting.js';
+import {
+  resolveUserPermissions,
+  resolvedHasPermission,
+  invalidateOnWrite
+} from '../utils/permissions.js';
+import { verifyTotp, generateBackupCodes, hashBackupCode } from '../utils/totp.js';
+
+// Minimum password policy, enforced whenever a password is set
+export const PASSWORD_MIN_LENGTH = 8;
+
+// One-time reset links are valid for this long
+const PASSWORD_RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Returns the reason a password is rejected, or null when it is acceptable
+export function validatePasswordPolicy(password) {
+  if (!password || password.length < PASSWORD_MIN_LENGTH) {
+    return `كلمة المرور يجب ألا تقل عن ${PASSWORD_MIN_LENGTH} أحرف`;
+  }
+  
+  if (!/[A-Za-z\u0600-\u06FF]/.test(password) || !/\d/.test(password)) {
+    return 'كلمة المرور يجب أن تحتوي على حروف وأرقام';
+  }
+  
+  return null;
+}
+
+// Easy to read out: no I, l, O or o
+const TEMPORARY_PASSWORD_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz';
+
+const hashResetToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Setting key of the admin switch that makes two-factor login mandatory for admins
+export const REQUIRE_ADMIN_TWO_FACTOR_SETTING = 'requireAdminTwoFactor';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -10,7 +45,43 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: true
+    required: true,
+    validate: {
+      // Only the plain password being set is checked, not the stored hash
+      validator: function(value) {
+        return !this.isModified('password') || !validatePasswordPolicy(value);
+      },
+      message: props => validatePasswordPolicy(props.value)
+    }
+  },
+  // Set after an admin issues a temporary password; the user must pick a new one
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 of the one-time reset token, the token itself is only shown once
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  // Optional TOTP second step at login (see utils/totp.js)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Base32 shared secret, needed as is to check the codes
+    secret: { type: String, default: null },
+    // SHA-256 of the unused backup codes
+    backupCodes: { type: [String], default: [] },
+    // Time step of the last accepted code, a code is never accepted twice
+    lastUsedStep: { type: Number, default: null },
+    enabledAt: { type: Date, default: null }
   },
   role: {
     type: String,
@@ -52,55 +123,146 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  this.passwordChangedAt = new Date();
   next();
 });
 
+// Drop the cached permission set when the user's roles may have changed
+invalidateOnWrite(userSchema, user => [user._id]);
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to check if user has a specific permission
-userSchema.methods.hasPermission = async function(module, action) {
-  if (this.role === 'admin') return true;
+// Set a new password chosen by the user and clear any pending reset
+userSchema.methods.setPassword = function(password) {
+  this.password = password;
+  this.mustChangePassword = false;
+  this.passwordResetToken = null;
+  this.passwordResetExpires = null;
+};
+
+// Replace the password with a generated one that must be changed on next login.
+// Returns the plain temporary password so it can be handed to the user.
+userSchema.methods.setTemporaryPassword = function() {
+  // Six letters and four digits, always passes the policy
+  const letters = Array.from({ length: 6 }, () => TEMPORARY_PASSWORD_LETTERS[crypto.randomInt(TEMPORARY_PASSWORD_LETTERS.length)]).join('');
+  const temporaryPassword = `${letters}${crypto.randomInt(1000, 10000)}`;
+  
+  this.setPassword(temporaryPassword);
+  this.mustChangePassword = true;
+  return temporaryPassword;
+};
+
+// Start a one-time reset, returns the plain token for the reset link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.passwordResetToken = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+// Active user holding a reset token that has not expired
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashResetToken(token || ''),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true
+  });
+};
+
+// Turn on two-factor login with a secret the user has confirmed with a code.
+// Returns the plain backup codes so they can be shown once.
+userSchema.methods.enableTwoFactor = function(secret, confirmedStep) {
+  const backupCodes = generateBackupCodes();
   
-  await this.populate('roles');
+  this.twoFactor = {
+    enabled: true,
+    secret,
+    backupCodes: backupCodes.map(hashBackupCode),
+    lastUsedStep: confirmedStep,
+    enabledAt: new Date()
+  };
+  return backupCodes;
+};
+
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = {
+    enabled: false,
+    secret: null,
+    backupCodes: [],
+    lastUsedStep: null,
+    enabledAt: null
+  };
+};
+
+// Replace all backup codes, returns the new plain codes
+userSchema.methods.regenerateBackupCodes = function() {
+  const backupCodes = generateBackupCodes();
+  
+  this.twoFactor.backupCodes = backupCodes.map(hashBackupCode);
+  return backupCodes;
+};
+
+// Check a code from the authenticator app or a backup code.
+// Returns 'totp', 'backup' or null; the used code is spent, so save the user afterwards.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactor?.enabled) {
+    return null;
+  }
+  
+  const step = verifyTotp(this.twoFactor.secret, code, { lastUsedStep: this.twoFactor.lastUsedStep });
+  if (step !== null) {
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
   
-  for (const role of this.roles) {
-    await role.populate('permissions');
-    const hasPermission = role.permissions.some(permission => 
-      permission.module === module && permission.action === action
-    );
-    if (hasPermission) return true;
+  const index = this.twoFactor.backupCodes.indexOf(hashBackupCode(code));
+  if (code && index !== -1) {
+    this.twoFactor.backupCodes.splice(index, 1);
+    return 'backup';
   }
   
-  return false;
+  return null;
 };
 
-// Method to get all user permissions
-userSchema.methods.getAllPermissions = async function() {
-  if (this.role === 'admin') {
-    // Admin has all permissions
-    const Permission = mongoose.model('Permission');
-    return await Permission.find();
+// Admins must turn on two-factor login once the admin switch is on
+userSchema.methods.isTwoFactorRequired = async function() {
+  if (this.role !== 'admin') {
+    return false;
   }
   
-  await this.populate({
-    path: 'roles',
-    populate: {
-      path: 'permissions'
-    }
-  });
+  return !!(await Setting.getValue(REQUIRE_ADMIN_TWO_FACTOR_SETTING, false));
+};
+
+// Method to check if user has a specific permission
+userSchema.methods.hasPermission = async function(module, action) {
+  if (this.role === 'admin') return true;
   
-  const permissions = new Set();
-  this.roles.forEach(role => {
-    role.permissions.forEach(permission => {
-      permissions.add(permission._id.toString());
-    });
-  });
+  const resolved = await resolveUserPermissions(this._id);
+  return resolvedHasPermission(resolved, module, action);
+};
+
+// Method to get all user permissions (admin has all of them)
+userSchema.methods.getAllPermissions = async function() {
+  const resolved = await resolveUserPermissions(this._id);
+  return resolved ? resolved.permissions : [];
+};
+
+// Method to refresh the legacy permission flags from the user's roles
+userSchema.methods.syncLegacyPermissions = async function() {
+  const Role = mongoose.model('Role');
+  const roles = await Role.find({ _id: { $in: this.roles }, isActive: true }).populate('permissions');
+  const permissions = roles.flatMap(role => role.permissions);
   
-  // Return the actual permission objects instead of just IDs
-  const Permission = mongoose.model('Permission');
-  return await Permission.find({ _id: { $in: Array.from(permissions) } });
+  this.permissions = {
+    canCreateCompanies: permissions.some(p => p.module === 'companies' && p.action === 'create'),
+    canCreateInvoices: permissions.some(p => p.module === 'invoices' && p.action === 'create'),
+    canManageClients: permissions.some(p => p.module === 'clients' && ['create', 'update', 'delete'].includes(p.action)),
+    canViewReports: permissions.some(p => p.module === 'reports' && ['view_own', 'view_all'].includes(p.action)),
+    canCreateFiles: permissions.some(p => p.module === 'files' && p.action === 'create')
+  };
 };
 
 export default mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Events a webhook can subscribe to (sent by utils/webhooks.js)
+export const webhookEventNames = {
+  'invoice.created': 'إنشاء فاتورة أو إشعار دائن',
+  'invoice.approved': 'الموافقة على فاتورة',
+  'invoice.cancelled': 'إلغاء فاتورة',
+  'invoice.payment_step.paid': 'سداد خطوة دفع',
+  'invoice.payment_step.unpaid': 'إلغاء سداد خطوة دفع'
+};
+
+// Sent by the "test" button only, every endpoint receives it
+export const WEBHOOK_PING_EVENT = 'ping';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// An endpoint of the accounting tooling that is sent the selected events.
+// Payloads are signed with the secret (HMAC-SHA256), so it's stored as is.
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: value => /^https?:\/\/[^\s<>"'`]+$/i.test(value),
+      message: 'رابط غير صالح، يجب أن يبدأ بـ http:// أو https://'
+    }
+  },
+  events: {
+    type: [{ type: String, enum: Object.keys(webhookEventNames) }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'اختر حدثاً واحداً على الأقل'
+    }
+  },
+  secret: {
+    type: String,
+    required: true,
+    default: generateWebhookSecret
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Deliveries are kept for this long, then removed by MongoDB
+const DELIVERY_RETENTION_DAYS = 90;
+
+export const deliveryStatusNames = {
+  pending: 'قيد الإرسال',
+  succeeded: 'تم',
+  failed: 'فشل'
+};
+
+// One event sent (or being sent) to one webhook. A pending delivery is
+// retried at nextAttemptAt until it succeeds or runs out of attempts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body exactly as sent; a redelivery sends it again unchanged
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(deliveryStatusNames),
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  // Result of the last attempt
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: ''
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  // Set on deliveries started by hand from the delivery log
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  redeliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
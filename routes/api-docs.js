@@ -0,0 +1,16 @@
+import express from 'express';
+import { getOpenApiSpec } from '../utils/openapi.js';
+
+const router = express.Router();
+
+// API explorer, a self-contained page (no CDN assets) that reads the document below
+router.get('/', (req, res) => {
+  res.render('api-docs/index');
+});
+
+// OpenAPI 3 document of /api/v1
+router.get('/openapi.json', (req, res) => {
+  res.json(getOpenApiSpec(`${req.protocol}://${req.get('host')}`));
+});
+
+export default router;
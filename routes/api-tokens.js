@@ -0,0 +1,103 @@
+import express from 'express';
+import ApiToken from '../models/ApiToken.js';
+import { logAudit } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Expiry choices offered by the form, in days (0 = never)
+const TOKEN_EXPIRY_DAYS = [30, 90, 365, 0];
+
+// Helper function to get the tokens a user may manage: their own, or every token for admins
+function getTokenQuery(req) {
+  return req.session.user.role === 'admin' ? {} : { user: req.session.user.id };
+}
+
+// List API tokens
+router.get('/', async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.find({ ...getTokenQuery(req), revokedAt: null })
+      .populate('user', 'username role')
+      .sort({ createdAt: -1 });
+    
+    // Shown once right after it is created
+    const newToken = req.session.newApiToken || null;
+    delete req.session.newApiToken;
+    
+    res.render('api-tokens/index', {
+      apiTokens,
+      newToken,
+      expiryDays: TOKEN_EXPIRY_DAYS,
+      apiBaseUrl: `${req.protocol}://${req.get('host')}/api/v1`
+    });
+  } catch (error) {
+    console.error('API tokens error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل مفاتيح API');
+    res.redirect('/dashboard');
+  }
+});
+
+// Create a token for the signed in user
+router.post('/', async (req, res) => {
+  try {
+    // Pages print the name as is, keep it plain text
+    const name = String(req.body.name || '').replace(/[<>&"'`]/g, '').trim().slice(0, 100);
+    if (!name) {
+      req.flash('error', 'اسم المفتاح مطلوب');
+      return res.redirect('/api-tokens');
+    }
+    
+    const days = parseInt(req.body.expiresInDays);
+    const expiresAt = TOKEN_EXPIRY_DAYS.includes(days) && days > 0
+      ? new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      : null;
+    
+    const { apiToken, token } = await ApiToken.issue(req.session.user.id, name, expiresAt);
+    await logAudit(req, {
+      action: 'create',
+      entityType: 'api_token',
+      entityId: apiToken._id,
+      entityLabel: `${apiToken.name} (${apiToken.tokenPrefix}…)`,
+      details: { user: req.session.user.username, expiresAt }
+    });
+    
+    req.session.newApiToken = token;
+    req.flash('success', 'تم إنشاء مفتاح API، انسخه الآن فلن يظهر مرة أخرى');
+    res.redirect('/api-tokens');
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    req.flash('error', 'حدث خطأ أثناء إنشاء مفتاح API');
+    res.redirect('/api-tokens');
+  }
+});
+
+// Revoke a token, it stops working immediately
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOne({ ...getTokenQuery(req), _id: req.params.id, revokedAt: null })
+      .populate('user', 'username');
+    if (!apiToken) {
+      req.flash('error', 'المفتاح غير موجود');
+      return res.redirect('/api-tokens');
+    }
+    
+    apiToken.revokedAt = new Date();
+    apiToken.revokedBy = req.session.user.id;
+    await apiToken.save();
+    await logAudit(req, {
+      action: 'revoke',
+      entityType: 'api_token',
+      entityId: apiToken._id,
+      entityLabel: `${apiToken.name} (${apiToken.tokenPrefix}…)`,
+      details: { user: apiToken.user?.username || '' }
+    });
+    
+    req.flash('success', `تم إلغاء المفتاح "${apiToken.name}"`);
+    res.redirect('/api-tokens');
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    req.flash('error', 'حدث خطأ أثناء إلغاء المفتاح');
+    res.redirect('/api-tokens');
+  }
+});
+
+export default router;
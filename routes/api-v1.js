@@ -0,0 +1,681 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import Company from '../models/Company.js';
+import File from '../models/File.js';
+import User from '../models/User.js';
+import Payment from '../models/Payment.js';
+import { requireApiToken, requireAdmin, requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import { resolveUserPermissions, getVisibleRecordsQuery } from '../utils/permissions.js';
+import { logAudit } from '../utils/audit.js';
+import { getPaymentDetails, recordPayment } from '../utils/payments.js';
+import { resolveDueDate, createInvoice } from '../utils/invoices.js';
+import { calculateInvoiceAmounts, validateInvoiceInputs } from '../utils/invoiceCalculations.js';
+import { agingGroupNames, agingBasisNames, buildAgingReport } from '../utils/aging.js';
+import { sendApiError, sendPage, getValidationDetails } from '../utils/api.js';
+import { validateBody } from '../utils/openapi.js';
+
+// JSON API, version 1. Requests authenticate with a personal API token
+// (see /api-tokens) and get the permissions of the token's user, checked by the
+// same requirePermission/requireModuleAccess rules as the pages.
+// Documented in utils/openapi.js (served at /api/docs); a new route goes there too.
+const router = express.Router();
+
+const PAYMENT_STEPS = ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'];
+
+// Never sent for users
+const USER_FIELDS = 'username role roles isActive commissionRate whatsappNumber createdAt updatedAt';
+
+router.use(express.json());
+router.use(requireApiToken);
+
+// Helper function to read a text field of a JSON body
+function asText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Helper function to find the first query/body field holding an invalid id
+function findInvalidId(source, fields) {
+  return fields.find(field => source[field] && !mongoose.isValidObjectId(source[field]));
+}
+
+// Helper function to parse a from/to date range into a query condition
+function getDateRange(from, to) {
+  const range = {};
+  if (from && !isNaN(new Date(from))) range.$gte = new Date(from);
+  if (to && !isNaN(new Date(to))) range.$lte = new Date(to);
+  return Object.keys(range).length ? range : null;
+}
+
+// Helper function to get the invoices the user may see (same rules as the invoice pages)
+async function getInvoiceScopeQuery(req) {
+  const query = {};
+  
+  if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
+    query.assignedDistributor = req.session.user.id;
+    // Invoices created by admins are private
+    const adminIds = (await User.find({ role: 'admin' }).select('_id')).map(user => user._id);
+    query.createdBy = { $nin: adminIds };
+  }
+  
+  return query;
+}
+
+// Helper function to limit clients, companies and files to their creator for view_own users
+function getOwnerScopeQuery(req) {
+  return !req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn
+    ? { createdBy: req.session.user.id }
+    : {};
+}
+
+// Helper function to note in the audit log that a change came through the API
+function getApiAuditDetails(req) {
+  return { via: 'api', apiToken: req.apiToken.tokenPrefix };
+}
+
+// Helper function to validate an :id route parameter
+const requireValidId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return sendApiError(res, 404, 'العنصر غير موجود');
+  }
+  next();
+};
+
+const populateInvoice = query => query
+  .populate('client', 'fullName mobileNumber')
+  .populate('file', 'fileName company')
+  .populate('assignedDistributor', 'username')
+  .populate('createdBy', 'username');
+
+// The token's user and their permissions
+router.get('/me', async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id).select(USER_FIELDS).populate('roles', 'name displayName');
+    const resolved = await resolveUserPermissions(req.session.user.id);
+    
+    res.json({
+      data: {
+        user,
+        permissions: user.role === 'admin' ? 'all' : [...(resolved?.keys || [])]
+      }
+    });
+  } catch (error) {
+    console.error('API /me error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل بيانات المستخدم');
+  }
+});
+
+// ---- Invoices ----
+
+router.get('/invoices', requireModuleAccess('invoices'), async (req, res) => {
+  try {
+    const invalidField = findInvalidId(req.query, ['client', 'distributor', 'company', 'file']);
+    if (invalidField) {
+      return sendApiError(res, 400, `قيمة غير صالحة للحقل ${invalidField}`);
+    }
+    
+    const { status, documentType, client, distributor, company, file, from, to, overdue } = req.query;
+    const query = await getInvoiceScopeQuery(req);
+    const conditions = [];
+    
+    if (status) query.status = String(status);
+    if (documentType) query.documentType = String(documentType);
+    if (client) query.client = client;
+    if (distributor) conditions.push({ assignedDistributor: distributor });
+    if (file) query.file = file;
+    if (company) {
+      const fileIds = await File.find({ company }).distinct('_id');
+      conditions.push({ file: { $in: fileIds } });
+    }
+    
+    const invoiceDate = getDateRange(from, to);
+    if (invoiceDate) query.invoiceDate = invoiceDate;
+    if (overdue === '1' || overdue === 'true') conditions.push(Invoice.getOverdueQuery());
+    if (conditions.length) query.$and = conditions;
+    
+    await sendPage(res, Invoice, query, req.query, q => populateInvoice(q).sort({ invoiceDate: -1, createdAt: -1 }));
+  } catch (error) {
+    console.error('API invoices list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الفواتير');
+  }
+});
+
+// Create an invoice (body: InvoiceCreate). Amounts are calculated from the
+// line items and percentages, like the invoice form.
+router.post('/invoices', requirePermission('invoices', 'create'), validateBody('InvoiceCreate'), async (req, res) => {
+  try {
+    const { invoiceCode, client, file, assignedDistributor, invoiceDate, dueDate } = req.body;
+    
+    // Manual codes are for admins only, as on the invoice form
+    if (invoiceCode && req.session.user.role !== 'admin') {
+      return sendApiError(res, 403, 'إدخال رقم الفاتورة يدوياً متاح للمديرين فقط');
+    }
+    if (invoiceCode && await Invoice.exists({ invoiceCode: invoiceCode.trim() })) {
+      return sendApiError(res, 409, 'رقم الفاتورة مستخدم بالفعل');
+    }
+    
+    // Without view_all on distributors, only themselves or distributors they created
+    const distributorQuery = { _id: assignedDistributor, role: 'distributor', isActive: true };
+    const currentUser = await User.findById(req.session.user.id);
+    if (req.session.user.role !== 'admin' && !await currentUser.hasPermission('distributors', 'view_all')) {
+      distributorQuery.$or = [{ _id: req.session.user.id }, { createdBy: req.session.user.id }];
+    }
+    
+    // Only clients and files the user can see, as in the import
+    const [clientQuery, fileQuery] = await Promise.all([
+      getVisibleRecordsQuery(req, 'clients'),
+      getVisibleRecordsQuery(req, 'files')
+    ]);
+    const [clientExists, fileExists, distributorExists] = await Promise.all([
+      Client.exists({ ...clientQuery, _id: client }),
+      File.exists({ ...fileQuery, _id: file }),
+      User.exists(distributorQuery)
+    ]);
+    const missing = {};
+    if (!clientExists) missing.client = 'العميل غير موجود أو ليس لديك صلاحية عليه';
+    if (!fileExists) missing.file = 'الملف غير موجود أو ليس لديك صلاحية عليه';
+    if (!distributorExists) missing.assignedDistributor = 'الموزع غير موجود أو غير نشط أو ليس لديك صلاحية عليه';
+    if (Object.keys(missing).length) {
+      return sendApiError(res, 422, 'بيانات الفاتورة غير صالحة', missing);
+    }
+    
+    const dueDateValue = await resolveDueDate(dueDate, invoiceDate, client);
+    if (!dueDateValue) {
+      return sendApiError(res, 422, 'تاريخ الاستحقاق غير صحيح', { dueDate: 'يجب ألا يسبق تاريخ الفاتورة' });
+    }
+    
+    const amountInputs = {
+      lineItems: req.body.lineItems.map(item => ({ ...item, description: item.description.trim() })),
+      managementTaxPercentage: req.body.managementTaxPercentage,
+      corporateTaxPercentage: req.body.corporateTaxPercentage,
+      profitPercentage: req.body.profitPercentage,
+      discountAmount: req.body.discountAmount
+    };
+    const inputErrors = validateInvoiceInputs(amountInputs);
+    if (inputErrors.length > 0) {
+      return sendApiError(res, 422, inputErrors.join('، '));
+    }
+    
+    const invoice = await createInvoice(req, {
+      invoiceCode: invoiceCode?.trim(),
+      client,
+      file,
+      assignedDistributor,
+      invoiceDate,
+      dueDate: dueDateValue,
+      lineItems: amountInputs.lineItems,
+      amounts: calculateInvoiceAmounts(amountInputs),
+      customClientCommissionRate: req.body.customClientCommissionRate,
+      customDistributorCommissionRate: req.body.customDistributorCommissionRate
+    }, getApiAuditDetails(req));
+    
+    res.status(201).json({ data: await populateInvoice(Invoice.findById(invoice._id)) });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.invoiceCode) {
+      return sendApiError(res, 409, 'رقم الفاتورة مستخدم بالفعل');
+    }
+    console.error('API invoice create error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء إنشاء الفاتورة');
+  }
+});
+
+router.get('/invoices/:id', requireValidId, requireModuleAccess('invoices'), async (req, res) => {
+  try {
+    const query = { ...(await getInvoiceScopeQuery(req)), _id: req.params.id };
+    const invoice = await populateInvoice(Invoice.findOne(query));
+    
+    if (!invoice) {
+      return sendApiError(res, 404, 'الفاتورة غير موجودة أو ليس لديك صلاحية للوصول إليها');
+    }
+    
+    res.json({
+      data: {
+        ...invoice.toJSON(),
+        outstanding: Object.fromEntries(PAYMENT_STEPS.map(step => [step, invoice.getOutstandingAmount(step)]))
+      }
+    });
+  } catch (error) {
+    console.error('API invoice error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الفاتورة');
+  }
+});
+
+router.get('/invoices/:id/payments', requireValidId, requireModuleAccess('invoices'), async (req, res) => {
+  try {
+    const query = { ...(await getInvoiceScopeQuery(req)), _id: req.params.id };
+    if (!(await Invoice.exists(query))) {
+      return sendApiError(res, 404, 'الفاتورة غير موجودة أو ليس لديك صلاحية للوصول إليها');
+    }
+    
+    await sendPage(res, Payment, { invoice: req.params.id }, req.query, q => q
+      .populate('recordedBy', 'username')
+      .sort({ paidAt: 1, createdAt: 1 }));
+  } catch (error) {
+    console.error('API invoice payments error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الدفعات');
+  }
+});
+
+// Record a payment on one step of an invoice (body: PaymentCreate).
+// Without an amount the step is paid in full.
+router.post('/invoices/:id/payments', requireValidId, requireModuleAccess('invoices'), validateBody('PaymentCreate'), async (req, res) => {
+  try {
+    const { step } = req.body;
+    
+    const query = { _id: req.params.id };
+    if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
+      query.assignedDistributor = req.session.user.id;
+    }
+    
+    const invoice = await Invoice.findOne(query);
+    if (!invoice) {
+      return sendApiError(res, 404, 'الفاتورة غير موجودة أو ليس لديك صلاحية للوصول إليها');
+    }
+    
+    if (!invoice.canUserMarkPayment(req.session.user.id, req.session.user.role, step)) {
+      return sendApiError(res, 403, 'ليس لديك صلاحية لتحديث هذه الخطوة');
+    }
+    
+    if (invoice.isCreditNote) {
+      return sendApiError(res, 409, 'لا يمكن تسجيل دفعات على إشعار دائن');
+    }
+    
+    const outstanding = invoice.getOutstandingAmount(step);
+    if (invoice.paymentStatus[step].isPaid || outstanding <= 0) {
+      return sendApiError(res, 409, 'هذه الخطوة مدفوعة بالفعل');
+    }
+    
+    const details = getPaymentDetails(req.body);
+    if (details.amount && details.amount > outstanding + 0.01) {
+      return sendApiError(res, 422, 'المبلغ أكبر من المتبقي على هذه الخطوة', { amount: `الحد الأقصى ${outstanding}` });
+    }
+    
+    const payment = await recordPayment(req, invoice, step, details);
+    
+    res.status(201).json({
+      data: payment,
+      invoice: {
+        _id: invoice._id,
+        paymentStatus: invoice.paymentStatus,
+        outstanding: invoice.getOutstandingAmount(step)
+      }
+    });
+  } catch (error) {
+    // Another payment saved meanwhile left less to pay than was checked above
+    if (error.code === 'PAYMENT_REJECTED') {
+      return sendApiError(res, 409, error.message);
+    }
+    console.error('API payment error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تسجيل الدفعة');
+  }
+});
+
+// ---- Payments ----
+
+router.get('/payments', requireModuleAccess('invoices'), async (req, res) => {
+  try {
+    if (findInvalidId(req.query, ['invoice'])) {
+      return sendApiError(res, 400, 'قيمة غير صالحة للحقل invoice');
+    }
+    
+    const { invoice, step, from, to, includeVoided } = req.query;
+    const query = {};
+    
+    // Only payments of invoices the user may see
+    const scope = await getInvoiceScopeQuery(req);
+    if (Object.keys(scope).length) {
+      query.invoice = { $in: await Invoice.find(scope).distinct('_id') };
+    }
+    if (invoice) query.invoice = query.invoice ? { $in: query.invoice.$in.filter(id => id.equals(invoice)) } : invoice;
+    if (step) query.step = String(step);
+    if (includeVoided !== '1' && includeVoided !== 'true') query.isVoided = false;
+    
+    const paidAt = getDateRange(from, to);
+    if (paidAt) query.paidAt = paidAt;
+    
+    await sendPage(res, Payment, query, req.query, q => q
+      .populate('invoice', 'invoiceCode')
+      .populate('recordedBy', 'username')
+      .sort({ paidAt: -1, createdAt: -1 }));
+  } catch (error) {
+    console.error('API payments list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الدفعات');
+  }
+});
+
+// ---- Clients ----
+
+// Helper function to read the client fields sent to the API (only the ones present)
+function getClientUpdate(body) {
+  const update = {};
+  
+  if (body.fullName !== undefined) update.fullName = asText(body.fullName);
+  if (body.mobileNumber !== undefined) update.mobileNumber = asText(body.mobileNumber);
+  if (body.whatsappNumber !== undefined) {
+    // Same +20 prefix as the client form
+    const whatsappNumber = asText(body.whatsappNumber);
+    update.whatsappNumber = whatsappNumber ? `+20${whatsappNumber.replace(/^\+20/, '')}` : '';
+  }
+  if (body.notes !== undefined) update.notes = asText(body.notes);
+  if (body.commissionRate !== undefined) update.commissionRate = parseFloat(body.commissionRate) || 0;
+  if (body.paymentTermDays !== undefined) update.paymentTermDays = Math.max(0, parseInt(body.paymentTermDays) || 0);
+  
+  return update;
+}
+
+router.get('/clients', requireModuleAccess('clients'), async (req, res) => {
+  try {
+    const query = getOwnerScopeQuery(req);
+    if (req.query.search) {
+      const search = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [{ fullName: new RegExp(search, 'i') }, { mobileNumber: new RegExp(search, 'i') }];
+    }
+    
+    await sendPage(res, Client, query, req.query, q => q.sort({ createdAt: -1 }));
+  } catch (error) {
+    console.error('API clients list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل العملاء');
+  }
+});
+
+router.get('/clients/:id', requireValidId, requireModuleAccess('clients'), async (req, res) => {
+  try {
+    const client = await Client.findOne({ ...getOwnerScopeQuery(req), _id: req.params.id });
+    if (!client) {
+      return sendApiError(res, 404, 'العميل غير موجود أو ليس لديك صلاحية للوصول إليه');
+    }
+    
+    res.json({ data: client });
+  } catch (error) {
+    console.error('API client error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل العميل');
+  }
+});
+
+router.post('/clients', requirePermission('clients', 'create'), async (req, res) => {
+  try {
+    const client = new Client({ ...getClientUpdate(req.body), createdBy: req.session.user.id });
+    await client.save();
+    await logAudit(req, { action: 'create', entityType: 'client', entityId: client._id, entityLabel: client.fullName, after: client, details: getApiAuditDetails(req) });
+    
+    res.status(201).json({ data: client });
+  } catch (error) {
+    const details = getValidationDetails(error);
+    if (details) {
+      return sendApiError(res, 422, 'بيانات العميل غير صالحة', details);
+    }
+    console.error('API client create error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء إضافة العميل');
+  }
+});
+
+// Update the fields sent, the others are kept
+router.put('/clients/:id', requireValidId, requireModuleAccess('clients'), requirePermission('clients', 'update'), async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    // The module access check sets the view level, so updates are limited to what the user sees
+    if (!req.userPermissionLevel.canViewAll) {
+      query.createdBy = req.session.user.id;
+    }
+    
+    const client = await Client.findOne(query);
+    if (!client) {
+      return sendApiError(res, 404, 'العميل غير موجود أو ليس لديك صلاحية لتعديله');
+    }
+    
+    const before = client.toObject();
+    client.set(getClientUpdate(req.body));
+    await client.save();
+    await logAudit(req, { action: 'update', entityType: 'client', entityId: client._id, entityLabel: client.fullName, before, after: client, details: getApiAuditDetails(req) });
+    
+    res.json({ data: client });
+  } catch (error) {
+    const details = getValidationDetails(error);
+    if (details) {
+      return sendApiError(res, 422, 'بيانات العميل غير صالحة', details);
+    }
+    console.error('API client update error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحديث بيانات العميل');
+  }
+});
+
+// ---- Companies ----
+
+// Helper function to read the company fields sent to the API (only the ones present)
+function getCompanyUpdate(body) {
+  const update = {};
+  
+  if (body.name !== undefined) update.name = asText(body.name);
+  if (body.commissionRate !== undefined) update.commissionRate = parseFloat(body.commissionRate) || 0;
+  
+  return update;
+}
+
+router.get('/companies', requireModuleAccess('companies'), async (req, res) => {
+  try {
+    await sendPage(res, Company, getOwnerScopeQuery(req), req.query, q => q.sort({ createdAt: -1 }));
+  } catch (error) {
+    console.error('API companies list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الشركات');
+  }
+});
+
+router.get('/companies/:id', requireValidId, requireModuleAccess('companies'), async (req, res) => {
+  try {
+    const company = await Company.findOne({ ...getOwnerScopeQuery(req), _id: req.params.id });
+    if (!company) {
+      return sendApiError(res, 404, 'الشركة غير موجودة أو ليس لديك صلاحية للوصول إليها');
+    }
+    
+    res.json({ data: company });
+  } catch (error) {
+    console.error('API company error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الشركة');
+  }
+});
+
+router.post('/companies', requirePermission('companies', 'create'), async (req, res) => {
+  try {
+    const company = new Company({ ...getCompanyUpdate(req.body), createdBy: req.session.user.id });
+    await company.save();
+    await logAudit(req, { action: 'create', entityType: 'company', entityId: company._id, entityLabel: company.name, after: company, details: getApiAuditDetails(req) });
+    
+    res.status(201).json({ data: company });
+  } catch (error) {
+    const details = getValidationDetails(error);
+    if (details) {
+      return sendApiError(res, 422, 'بيانات الشركة غير صالحة', details);
+    }
+    console.error('API company create error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء إضافة الشركة');
+  }
+});
+
+// Update the fields sent, the others are kept
+router.put('/companies/:id', requireValidId, requireModuleAccess('companies'), requirePermission('companies', 'update'), async (req, res) => {
+  try {
+    const query = { _id: req.params.id };
+    if (!req.userPermissionLevel.canViewAll) {
+      query.createdBy = req.session.user.id;
+    }
+    
+    const company = await Company.findOne(query);
+    if (!company) {
+      return sendApiError(res, 404, 'الشركة غير موجودة أو ليس لديك صلاحية لتعديلها');
+    }
+    
+    const before = company.toObject();
+    company.set(getCompanyUpdate(req.body));
+    await company.save();
+    await logAudit(req, { action: 'update', entityType: 'company', entityId: company._id, entityLabel: company.name, before, after: company, details: getApiAuditDetails(req) });
+    
+    res.json({ data: company });
+  } catch (error) {
+    const details = getValidationDetails(error);
+    if (details) {
+      return sendApiError(res, 422, 'بيانات الشركة غير صالحة', details);
+    }
+    console.error('API company update error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحديث بيانات الشركة');
+  }
+});
+
+// ---- Files ----
+
+router.get('/files', requireModuleAccess('files'), async (req, res) => {
+  try {
+    if (findInvalidId(req.query, ['company'])) {
+      return sendApiError(res, 400, 'قيمة غير صالحة للحقل company');
+    }
+    
+    const query = getOwnerScopeQuery(req);
+    if (req.query.company) query.company = req.query.company;
+    if (req.query.status) query.status = String(req.query.status);
+    
+    await sendPage(res, File, query, req.query, q => q.populate('company', 'name').sort({ createdAt: -1 }));
+  } catch (error) {
+    console.error('API files list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الملفات');
+  }
+});
+
+router.get('/files/:id', requireValidId, requireModuleAccess('files'), async (req, res) => {
+  try {
+    const file = await File.findOne({ ...getOwnerScopeQuery(req), _id: req.params.id }).populate('company', 'name');
+    if (!file) {
+      return sendApiError(res, 404, 'الملف غير موجود أو ليس لديك صلاحية للوصول إليه');
+    }
+    
+    res.json({ data: file });
+  } catch (error) {
+    console.error('API file error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الملف');
+  }
+});
+
+// ---- Distributors (admins only, like the distributor pages) ----
+
+router.get('/distributors', requireAdmin, async (req, res) => {
+  try {
+    const query = { role: 'distributor' };
+    if (req.query.isActive === 'true' || req.query.isActive === 'false') {
+      query.isActive = req.query.isActive === 'true';
+    }
+    
+    await sendPage(res, User, query, req.query, q => q.select(USER_FIELDS).populate('roles', 'name displayName').sort({ createdAt: -1 }));
+  } catch (error) {
+    console.error('API distributors list error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الموزعين');
+  }
+});
+
+router.get('/distributors/:id', requireValidId, requireAdmin, async (req, res) => {
+  try {
+    const distributor = await User.findOne({ _id: req.params.id, role: 'distributor' })
+      .select(USER_FIELDS)
+      .populate('roles', 'name displayName');
+    if (!distributor) {
+      return sendApiError(res, 404, 'الموزع غير موجود');
+    }
+    
+    res.json({ data: distributor });
+  } catch (error) {
+    console.error('API distributor error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء تحميل الموزع');
+  }
+});
+
+// ---- Reports ----
+
+// Totals of the invoices in a date range (invoice date), with what is still owed per payment step
+router.get('/reports/summary', requireModuleAccess('reports'), async (req, res) => {
+  try {
+    const query = await getInvoiceScopeQuery(req);
+    query.documentType = { $ne: 'credit_note' };
+    query.status = { $ne: 'cancelled' };
+    
+    const invoiceDate = getDateRange(req.query.from, req.query.to);
+    if (invoiceDate) query.invoiceDate = invoiceDate;
+    
+    const invoices = await Invoice.find(query);
+    const round = value => Math.round(value * 100) / 100;
+    const summary = {
+      invoiceCount: invoices.length,
+      total: 0,
+      finalAmount: 0,
+      outstanding: Object.fromEntries(PAYMENT_STEPS.map(step => [step, 0])),
+      overdueCount: invoices.filter(invoice => invoice.isOverdue).length
+    };
+    
+    invoices.forEach(invoice => {
+      summary.total = round(summary.total + (invoice.total || 0));
+      summary.finalAmount = round(summary.finalAmount + (invoice.finalAmount || 0));
+      PAYMENT_STEPS.forEach(step => {
+        summary.outstanding[step] = round(summary.outstanding[step] + invoice.getOutstandingAmount(step));
+      });
+    });
+    
+    res.json({ data: summary, filters: { from: req.query.from || null, to: req.query.to || null } });
+  } catch (error) {
+    console.error('API summary report error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء إعداد التقرير');
+  }
+});
+
+// Receivables aging, same buckets as the aging report page
+router.get('/reports/aging', requireModuleAccess('reports'), async (req, res) => {
+  try {
+    const options = {
+      groupBy: agingGroupNames[req.query.groupBy] ? req.query.groupBy : 'client',
+      basis: agingBasisNames[req.query.basis] ? req.query.basis : 'invoiceDate',
+      asOf: new Date()
+    };
+    
+    const query = await getInvoiceScopeQuery(req);
+    query.documentType = { $ne: 'credit_note' };
+    query.status = { $ne: 'cancelled' };
+    query['paymentStatus.clientToDistributor.isPaid'] = false;
+    
+    const invoices = await Invoice.find(query)
+      .populate('client', 'fullName mobileNumber')
+      .populate('assignedDistributor', 'username');
+    const report = buildAgingReport(invoices, options);
+    
+    res.json({
+      data: {
+        groups: report.groups,
+        totals: report.totals,
+        items: report.items.map(item => ({
+          invoice: { _id: item.invoice._id, invoiceCode: item.invoice.invoiceCode },
+          groupId: item.groupId,
+          groupName: item.groupName,
+          startDate: item.startDate,
+          days: item.days,
+          bucket: item.bucket,
+          outstanding: item.outstanding
+        }))
+      },
+      filters: { groupBy: options.groupBy, basis: options.basis }
+    });
+  } catch (error) {
+    console.error('API aging report error:', error);
+    sendApiError(res, 500, 'حدث خطأ أثناء إعداد التقرير');
+  }
+});
+
+router.use((req, res) => {
+  sendApiError(res, 404, 'المسار غير موجود');
+});
+
+// Malformed JSON bodies and anything a route did not catch
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'نص الطلب ليس JSON صالحاً');
+  }
+  
+  console.error('API error:', err);
+  sendApiError(res, 500, 'حدث خطأ غير متوقع');
+});
+
+export default router;
@@ -0,0 +1,159 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import AuditLog, { auditActionNames, auditEntityNames } from '../models/AuditLog.js';
+import User from '../models/User.js';
+
+const router = express.Router();
+
+// Helper function to build the query from the filters.
+// An entity's history also includes the entries of its related entities
+// (e.g. a client's history shows the changes to its invoices).
+function buildAuditQuery({ entityType, entityId, action, actor, from, to }) {
+  const query = {};
+  
+  if (entityType && entityId && mongoose.isValidObjectId(entityId)) {
+    query.$or = [
+      { entityType, entityId },
+      { related: { $elemMatch: { entityType, entityId } } }
+    ];
+  } else if (entityType) {
+    query.entityType = entityType;
+  }
+  
+  if (action) {
+    query.action = action;
+  }
+  
+  if (actor && mongoose.isValidObjectId(actor)) {
+    query.actor = actor;
+  }
+  
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      query.createdAt.$gte = new Date(from);
+    }
+    if (to) {
+      const endDate = new Date(to);
+      endDate.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = endDate;
+    }
+  }
+  
+  return query;
+}
+
+// Helper function to show a logged value as text
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Audit trail with filters
+router.get('/', async (req, res) => {
+  const {
+    entityType = '',
+    entityId = '',
+    action = '',
+    actor = '',
+    from = '',
+    to = '',
+    page = 1
+  } = req.query;
+  const filters = { entityType, entityId, action, actor, from, to };
+  const limit = 50;
+  
+  try {
+    const query = buildAuditQuery(filters);
+    const totalLogs = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(totalLogs / limit);
+    const currentPage = Math.max(1, Math.min(parseInt(page) || 1, totalPages || 1));
+    
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * limit)
+      .limit(limit);
+    
+    const users = await User.find().select('username').sort({ username: 1 });
+    
+    res.render('audit-logs/index', {
+      logs,
+      users,
+      filters,
+      auditActionNames,
+      auditEntityNames,
+      formatAuditValue,
+      pagination: { currentPage, totalPages, totalLogs }
+    });
+  } catch (error) {
+    console.error('Audit logs error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل سجل التغييرات');
+    res.redirect('/dashboard');
+  }
+});
+
+// Export the filtered audit trail to Excel
+router.get('/export', async (req, res) => {
+  try {
+    const logs = await AuditLog.find(buildAuditQuery(req.query)).sort({ createdAt: -1 });
+    
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('سجل التغييرات');
+    worksheet.views = [{ rightToLeft: true }];
+    
+    worksheet.columns = [
+      { header: 'التاريخ', key: 'createdAt', width: 20 },
+      { header: 'المستخدم', key: 'actorName', width: 15 },
+      { header: 'الإجراء', key: 'action', width: 15 },
+      { header: 'النوع', key: 'entityType', width: 15 },
+      { header: 'السجل', key: 'entityLabel', width: 20 },
+      { header: 'الحقل', key: 'field', width: 30 },
+      { header: 'القيمة السابقة', key: 'before', width: 30 },
+      { header: 'القيمة الجديدة', key: 'after', width: 30 },
+      { header: 'تفاصيل', key: 'details', width: 30 },
+      { header: 'عنوان IP', key: 'ip', width: 15 }
+    ];
+    worksheet.getRow(1).font = { bold: true };
+    
+    // One row per changed field, or a single row when nothing was compared
+    logs.forEach(log => {
+      const entry = {
+        createdAt: log.createdAt.toLocaleString('ar-EG'),
+        actorName: log.actorName,
+        action: auditActionNames[log.action] || log.action,
+        entityType: auditEntityNames[log.entityType] || log.entityType,
+        entityLabel: log.entityLabel,
+        details: log.details ? JSON.stringify(log.details) : '',
+        ip: log.ip
+      };
+      
+      if (log.changes.length === 0) {
+        worksheet.addRow(entry);
+        return;
+      }
+      
+      log.changes.forEach(change => {
+        worksheet.addRow({
+          ...entry,
+          field: change.field,
+          before: formatAuditValue(change.before),
+          after: formatAuditValue(change.after)
+        });
+      });
+    });
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${new Date().toISOString().split('T')[0]}.xlsx`);
+    
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Audit log export error:', error);
+    res.status(500).json({ error: 'حدث خطأ أثناء تصدير البيانات' });
+  }
+});
+
+export default router;
@@ -1,8 +1,108 @@
 import express from 'express';
-import User from '../models/User.js';
+import QRCode from 'qrcode';
+import User, { validatePasswordPolicy, PASSWORD_MIN_LENGTH, REQUIRE_ADMIN_TWO_FACTOR_SETTING } from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { rotateCsrfToken } from '../middleware/csrf.js';
+import { logAudit } from '../utils/audit.js';
+import { checkLoginAllowed, recordLoginFailure, clearLoginFailures } from '../utils/loginThrottle.js';
+import { generateTotpSecret, verifyTotp, getOtpauthUrl } from '../utils/totp.js';
 
 const router = express.Router();
 
+// The password pages are open to users who must still change their password,
+// so they cannot use requireAuth
+const requireSignedIn = (req, res, next) => {
+  if (!req.session.user) {
+    req.flash('error', 'يجب تسجيل الدخول للوصول إلى هذه الصفحة');
+    return res.redirect('/auth/login');
+  }
+  next();
+};
+
+// Helper function to check a new password and its confirmation
+function getNewPasswordError(newPassword, confirmPassword) {
+  if (newPassword !== confirmPassword) {
+    return 'كلمة المرور الجديدة وتأكيدها غير متطابقين';
+  }
+  return validatePasswordPolicy(newPassword);
+}
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'نظام الفواتير';
+
+// Time allowed to enter the two-factor code after the password was accepted
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000;
+
+// Helper function to get the user waiting for the two-factor step, if still valid
+async function getPendingTwoFactorUser(req) {
+  const pending = req.session.twoFactorPending;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.twoFactorPending;
+    return null;
+  }
+  
+  const user = await User.findOne({ _id: pending.userId, isActive: true });
+  return user?.twoFactor?.enabled ? user : null;
+}
+
+// Helper function to move the visitor to a new session id and CSRF token when
+// they sign in, so an id or token known before the login (e.g. planted in
+// their browser) is not signed in with them. Only the flash messages are
+// carried over.
+function regenerateSession(req) {
+  const { flash } = req.session;
+  
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) {
+        return reject(error);
+      }
+      if (flash) {
+        req.session.flash = flash;
+      }
+      rotateCsrfToken(req);
+      resolve();
+    });
+  });
+}
+
+// Helper function to sign the user in once every login step has passed
+async function completeLogin(req, res, user, details) {
+  await clearLoginFailures(user.username);
+  await regenerateSession(req);
+  
+  req.session.user = {
+    id: user._id,
+    username: user.username,
+    role: user.role,
+    permissions: user.permissions,
+    mustChangePassword: user.mustChangePassword,
+    mustEnrollTwoFactor: !user.twoFactor?.enabled && await user.isTwoFactorRequired()
+  };
+  // Shown to the admin in the active sessions list
+  req.session.client = {
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || ''
+  };
+  
+  await logAudit(req, { action: 'login', entityType: 'user', entityId: user._id, entityLabel: user.username, details });
+  
+  if (user.mustChangePassword) {
+    req.flash('error', 'يجب تغيير كلمة المرور المؤقتة قبل المتابعة');
+    return res.redirect('/auth/change-password');
+  }
+  
+  if (req.session.user.mustEnrollTwoFactor) {
+    req.flash('error', 'يجب تفعيل التحقق بخطوتين لحسابات المدراء قبل المتابعة');
+    return res.redirect('/auth/two-factor');
+  }
+  
+  req.flash('success', 'تم تسجيل الدخول بنجاح');
+  res.redirect('/dashboard');
+}
+
 // Login page
 router.get('/login', (req, res) => {
   res.render('auth/login');
@@ -11,33 +111,385 @@ router.get('/login', (req, res) => {
 // Login POST
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    // Plain strings only, never query objects
+    const username = String(req.body.username || '');
+    const password = String(req.body.password || '');
+    
+    const throttle = await checkLoginAllowed(username, req.ip);
+    if (!throttle.allowed) {
+      req.flash('error', throttle.message);
+      return res.redirect('/auth/login');
+    }
     
     const user = await User.findOne({ username, isActive: true });
     if (!user || !(await user.comparePassword(password))) {
-      req.flash('error', 'اسم المستخدم أو كلمة المرور غير صحيحة');
+      const locked = await recordLoginFailure(req, username, req.ip);
+      req.flash('error', locked
+        ? 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة'
+        : 'اسم المستخدم أو كلمة المرور غير صحيحة');
       return res.redirect('/auth/login');
     }
     
-    req.session.user = {
-      id: user._id,
-      username: user.username,
-      role: user.role,
-      permissions: user.permissions
-    };
+    // The password alone is not enough, failures stay counted until the code is entered
+    if (user.twoFactor?.enabled) {
+      await regenerateSession(req);
+      req.session.twoFactorPending = {
+        userId: user._id,
+        expiresAt: Date.now() + TWO_FACTOR_PENDING_MS
+      };
+      return res.redirect('/auth/two-factor/verify');
+    }
     
-    req.flash('success', 'تم تسجيل الدخول بنجاح');
-    res.redirect('/dashboard');
+    await completeLogin(req, res, user);
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تسجيل الدخول');
+    res.redirect('/auth/login');
+  }
+});
+
+// Second login step: code from the authenticator app or a backup code
+router.get('/two-factor/verify', async (req, res) => {
+  try {
+    const user = await getPendingTwoFactorUser(req);
+    if (!user) {
+      req.flash('error', 'انتهت مهلة إدخال رمز التحقق، يرجى تسجيل الدخول مرة أخرى');
+      return res.redirect('/auth/login');
+    }
+    
+    res.render('auth/two-factor-verify', { username: user.username });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل الصفحة');
+    res.redirect('/auth/login');
+  }
+});
+
+router.post('/two-factor/verify', async (req, res) => {
+  try {
+    const user = await getPendingTwoFactorUser(req);
+    if (!user) {
+      req.flash('error', 'انتهت مهلة إدخال رمز التحقق، يرجى تسجيل الدخول مرة أخرى');
+      return res.redirect('/auth/login');
+    }
+    
+    const throttle = await checkLoginAllowed(user.username, req.ip);
+    if (!throttle.allowed) {
+      delete req.session.twoFactorPending;
+      req.flash('error', throttle.message);
+      return res.redirect('/auth/login');
+    }
+    
+    const method = user.verifyTwoFactorCode(String(req.body.code || ''));
+    if (!method) {
+      const locked = await recordLoginFailure(req, user.username, req.ip);
+      if (locked) {
+        delete req.session.twoFactorPending;
+        req.flash('error', 'تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة');
+        return res.redirect('/auth/login');
+      }
+      req.flash('error', 'رمز التحقق غير صحيح');
+      return res.redirect('/auth/two-factor/verify');
+    }
+    
+    // Keeps the spent code from being used again
+    await user.save();
+    
+    if (method === 'backup') {
+      req.flash('error', `تم استخدام رمز احتياطي، تبقى ${user.twoFactor.backupCodes.length} رموز`);
+    }
+    
+    await completeLogin(req, res, user, { twoFactor: method });
   } catch (error) {
+    console.error('Two-factor login error:', error);
     req.flash('error', 'حدث خطأ أثناء تسجيل الدخول');
     res.redirect('/auth/login');
   }
 });
 
 // Logout
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
+  if (req.session.user) {
+    await logAudit(req, { action: 'logout', entityType: 'user', entityId: req.session.user.id, entityLabel: req.session.user.username });
+  }
+  
   req.session.destroy();
   res.redirect('/auth/login');
 });
 
+// Change own password form
+router.get('/change-password', requireSignedIn, (req, res) => {
+  res.render('auth/change-password', {
+    mustChangePassword: !!req.session.user.mustChangePassword,
+    passwordMinLength: PASSWORD_MIN_LENGTH
+  });
+});
+
+// Change own password (other sessions of the user are ended)
+router.post('/change-password', requireSignedIn, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+    
+    const user = await User.findById(req.session.user.id);
+    if (!user || !(await user.comparePassword(currentPassword || ''))) {
+      req.flash('error', 'كلمة المرور الحالية غير صحيحة');
+      return res.redirect('/auth/change-password');
+    }
+    
+    const passwordError = getNewPasswordError(newPassword, confirmPassword);
+    if (passwordError) {
+      req.flash('error', passwordError);
+      return res.redirect('/auth/change-password');
+    }
+    
+    if (await user.comparePassword(newPassword)) {
+      req.flash('error', 'كلمة المرور الجديدة يجب أن تختلف عن الحالية');
+      return res.redirect('/auth/change-password');
+    }
+    
+    user.setPassword(newPassword);
+    await user.save();
+    await Session.destroyForUser(user._id, req.sessionID);
+    await logAudit(req, { action: 'password_change', entityType: 'user', entityId: user._id, entityLabel: user.username });
+    
+    req.session.user.mustChangePassword = false;
+    rotateCsrfToken(req);
+    req.flash('success', 'تم تغيير كلمة المرور بنجاح');
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error('Password change error:', error);
+    req.flash('error', 'حدث خطأ أثناء تغيير كلمة المرور');
+    res.redirect('/auth/change-password');
+  }
+});
+
+// One-time reset link issued by an admin
+router.get('/reset-password/:token', async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      req.flash('error', 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية');
+      return res.redirect('/auth/login');
+    }
+    
+    res.render('auth/reset-password', {
+      token: req.params.token,
+      username: user.username,
+      passwordMinLength: PASSWORD_MIN_LENGTH
+    });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل الصفحة');
+    res.redirect('/auth/login');
+  }
+});
+
+// Set a new password through the reset link (the link stops working afterwards)
+router.post('/reset-password/:token', async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      req.flash('error', 'رابط إعادة التعيين غير صالح أو منتهي الصلاحية');
+      return res.redirect('/auth/login');
+    }
+    
+    const passwordError = getNewPasswordError(req.body.newPassword, req.body.confirmPassword);
+    if (passwordError) {
+      req.flash('error', passwordError);
+      return res.redirect(`/auth/reset-password/${req.params.token}`);
+    }
+    
+    user.setPassword(req.body.newPassword);
+    await user.save();
+    await Session.destroyForUser(user._id);
+    await logAudit(req, { action: 'password_change', entityType: 'user', entityId: user._id, entityLabel: user.username, details: { via: 'reset_link' } });
+    
+    req.flash('success', 'تم تعيين كلمة المرور الجديدة، يمكنك تسجيل الدخول الآن');
+    res.redirect('/auth/login');
+  } catch (error) {
+    console.error('Password reset error:', error);
+    req.flash('error', 'حدث خطأ أثناء إعادة تعيين كلمة المرور');
+    res.redirect('/auth/login');
+  }
+});
+
+// Two-factor settings of the signed in user: enrollment with a QR code, backup codes,
+// and for admins the switch making it mandatory for every admin
+router.get('/two-factor', requireSignedIn, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user) {
+      req.flash('error', 'المستخدم غير موجود');
+      return res.redirect('/auth/login');
+    }
+    
+    let setup = null;
+    if (!user.twoFactor?.enabled) {
+      // The secret is kept in the session until it is confirmed with a code
+      if (!req.session.twoFactorSetupSecret) {
+        req.session.twoFactorSetupSecret = generateTotpSecret();
+      }
+      
+      const secret = req.session.twoFactorSetupSecret;
+      setup = {
+        secret,
+        qrCode: await QRCode.toDataURL(getOtpauthUrl(secret, user.username, TOTP_ISSUER), { margin: 1, width: 220 })
+      };
+    }
+    
+    const isRequired = await user.isTwoFactorRequired();
+    if (!isRequired) {
+      req.session.user.mustEnrollTwoFactor = false;
+    }
+    
+    // Shown once right after they are generated
+    const backupCodes = req.session.newBackupCodes || null;
+    delete req.session.newBackupCodes;
+    
+    res.render('auth/two-factor', {
+      twoFactor: user.twoFactor,
+      setup,
+      backupCodes,
+      isRequired,
+      requireAdminTwoFactor: user.role === 'admin'
+        ? !!(await Setting.getValue(REQUIRE_ADMIN_TWO_FACTOR_SETTING, false))
+        : false
+    });
+  } catch (error) {
+    console.error('Error loading two-factor settings:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل إعدادات التحقق بخطوتين');
+    res.redirect('/dashboard');
+  }
+});
+
+// Turn on two-factor login after checking a first code from the app
+router.post('/two-factor/enable', requireSignedIn, async (req, res) => {
+  try {
+    const secret = req.session.twoFactorSetupSecret;
+    const user = await User.findById(req.session.user.id);
+    if (!user || !secret || user.twoFactor?.enabled) {
+      return res.redirect('/auth/two-factor');
+    }
+    
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      req.flash('error', 'رمز التحقق غير صحيح، تأكد من ضبط الوقت على جهازك وحاول مرة أخرى');
+      return res.redirect('/auth/two-factor');
+    }
+    
+    const backupCodes = user.enableTwoFactor(secret, step);
+    await user.save();
+    await logAudit(req, { action: 'two_factor_enable', entityType: 'user', entityId: user._id, entityLabel: user.username });
+    
+    delete req.session.twoFactorSetupSecret;
+    req.session.newBackupCodes = backupCodes;
+    req.session.user.mustEnrollTwoFactor = false;
+    rotateCsrfToken(req);
+    
+    req.flash('success', 'تم تفعيل التحقق بخطوتين، احفظ الرموز الاحتياطية في مكان آمن');
+    res.redirect('/auth/two-factor');
+  } catch (error) {
+    console.error('Error enabling two-factor login:', error);
+    req.flash('error', 'حدث خطأ أثناء تفعيل التحقق بخطوتين');
+    res.redirect('/auth/two-factor');
+  }
+});
+
+// New backup codes, the old ones stop working
+router.post('/two-factor/backup-codes', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user?.twoFactor?.enabled) {
+      return res.redirect('/auth/two-factor');
+    }
+    
+    if (user.verifyTwoFactorCode(String(req.body.code || '')) !== 'totp') {
+      req.flash('error', 'رمز التحقق غير صحيح');
+      return res.redirect('/auth/two-factor');
+    }
+    
+    req.session.newBackupCodes = user.regenerateBackupCodes();
+    await user.save();
+    await logAudit(req, { action: 'two_factor_backup_codes', entityType: 'user', entityId: user._id, entityLabel: user.username });
+    
+    req.flash('success', 'تم إنشاء رموز احتياطية جديدة، الرموز السابقة لم تعد صالحة');
+    res.redirect('/auth/two-factor');
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    req.flash('error', 'حدث خطأ أثناء إنشاء الرموز الاحتياطية');
+    res.redirect('/auth/two-factor');
+  }
+});
+
+// Turn off two-factor login (not allowed while it is mandatory for the user)
+router.post('/two-factor/disable', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user.id);
+    if (!user?.twoFactor?.enabled) {
+      return res.redirect('/auth/two-factor');
+    }
+    
+    if (await user.isTwoFactorRequired()) {
+      req.flash('error', 'التحقق بخطوتين إلزامي لحسابات المدراء ولا يمكن إلغاؤه');
+      return res.redirect('/auth/two-factor');
+    }
+    
+    if (!(await user.comparePassword(String(req.body.password || '')))) {
+      req.flash('error', 'كلمة المرور غير صحيحة');
+      return res.redirect('/auth/two-factor');
+    }
+    
+    user.disableTwoFactor();
+    await user.save();
+    await logAudit(req, { action: 'two_factor_disable', entityType: 'user', entityId: user._id, entityLabel: user.username });
+    
+    req.flash('success', 'تم إلغاء التحقق بخطوتين');
+    res.redirect('/auth/two-factor');
+  } catch (error) {
+    console.error('Error disabling two-factor login:', error);
+    req.flash('error', 'حدث خطأ أثناء إلغاء التحقق بخطوتين');
+    res.redirect('/auth/two-factor');
+  }
+});
+
+// Make two-factor login mandatory for every admin, or optional again.
+// Admins without it are signed out and have to set it up at their next login.
+router.post('/two-factor/policy', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const required = req.body.required === 'on' || req.body.required === 'true';
+    const user = await User.findById(req.session.user.id);
+    
+    if (required && !user?.twoFactor?.enabled) {
+      req.flash('error', 'يجب تفعيل التحقق بخطوتين لحسابك أولاً');
+      return res.redirect('/auth/two-factor');
+    }
+    
+    const previous = !!(await Setting.getValue(REQUIRE_ADMIN_TWO_FACTOR_SETTING, false));
+    await Setting.setValue(REQUIRE_ADMIN_TWO_FACTOR_SETTING, required, user._id);
+    
+    let endedSessions = 0;
+    if (required) {
+      const admins = await User.find({ role: 'admin', 'twoFactor.enabled': { $ne: true } }).select('_id');
+      for (const admin of admins) {
+        endedSessions += await Session.destroyForUser(admin._id);
+      }
+    }
+    
+    await logAudit(req, {
+      action: 'update',
+      entityType: 'setting',
+      entityLabel: 'التحقق بخطوتين للمدراء',
+      before: { [REQUIRE_ADMIN_TWO_FACTOR_SETTING]: previous },
+      after: { [REQUIRE_ADMIN_TWO_FACTOR_SETTING]: required },
+      details: required ? { endedSessions } : undefined
+    });
+    
+    req.flash('success', required
+      ? `أصبح التحقق بخطوتين إلزامياً لكل المدراء${endedSessions ? ` وتم إنهاء ${endedSessions} جلسة لمدراء لم يفعّلوه بعد` : ''}`
+      : 'أصبح التحقق بخطوتين اختيارياً للمدراء');
+    res.redirect('/auth/two-factor');
+  } catch (error) {
+    console.error('Error updating two-factor policy:', error);
+    req.flash('error', 'حدث خطأ أثناء حفظ الإعداد');
+    res.redirect('/auth/two-factor');
+  }
+});
+
 export default router;
\ No newline at end of file
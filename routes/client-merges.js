@@ -0,0 +1,146 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Client from '../models/Client.js';
+import Invoice from '../models/Invoice.js';
+import ClientMerge from '../models/ClientMerge.js';
+import { logAudit, toAuditSnapshot } from '../utils/audit.js';
+import { escapeHtml } from '../utils/imports.js';
+import { findDuplicateGroups, mergeClients, revertClientMerge, duplicateReasonNames } from '../utils/clientMerge.js';
+
+const router = express.Router();
+
+// Helper function to describe a merge in the audit log
+function getMergeDetails(merge) {
+  return {
+    mergeId: merge._id,
+    mergedClients: merge.sources.map(entry => `${entry.client.fullName} (${entry.client.mobileNumber})`),
+    invoices: merge.sources.reduce((sum, entry) => sum + entry.invoices.length, 0),
+    commissionTiers: merge.sources.reduce((sum, entry) => sum + entry.commissionTiers.length + entry.removedCommissionTiers.length, 0)
+  };
+}
+
+// Helper function to list the clients and invoices a merge touched, so their
+// histories show it too
+function getMergeRelations(merge) {
+  return merge.sources.flatMap(entry => [
+    { entityType: 'client', entityId: entry.client._id },
+    ...entry.invoices.map(invoiceId => ({ entityType: 'invoice', entityId: invoiceId }))
+  ]);
+}
+
+// Likely duplicate clients and the recent merges
+router.get('/', async (req, res) => {
+  try {
+    const clients = await Client.find().select('fullName mobileNumber whatsappNumber createdAt').sort({ createdAt: 1 });
+    const groups = findDuplicateGroups(clients);
+    
+    const counts = await Invoice.aggregate([
+      { $match: { client: { $in: groups.flatMap(group => group.clients.map(client => client._id)) } } },
+      { $group: { _id: '$client', count: { $sum: 1 } } }
+    ]);
+    const invoiceCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    
+    // The client with the most invoices is suggested as the one to keep
+    groups.forEach(group => {
+      group.suggested = group.clients.reduce((best, client) => (
+        (invoiceCounts[client._id] || 0) > (invoiceCounts[best._id] || 0) ? client : best
+      ));
+    });
+    
+    const merges = await ClientMerge.find()
+      .populate('mergedBy', 'username')
+      .populate('revertedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(20);
+    
+    res.render('client-merges/index', { groups, invoiceCounts, merges, duplicateReasonNames, escapeHtml });
+  } catch (error) {
+    console.error('Duplicate clients error:', error);
+    req.flash('error', 'حدث خطأ أثناء البحث عن العملاء المكررين');
+    res.redirect('/clients');
+  }
+});
+
+// Merge the selected clients into the kept one
+router.post('/', async (req, res) => {
+  try {
+    const targetId = String(req.body.target || '');
+    const sourceIds = [...new Set([].concat(req.body.sources || []).map(String))]
+      .filter(id => id !== targetId && mongoose.isValidObjectId(id));
+    
+    if (!mongoose.isValidObjectId(targetId) || sourceIds.length === 0) {
+      req.flash('error', 'اختر العميل الذي سيتم الإبقاء عليه وعميلاً آخر على الأقل لدمجه فيه');
+      return res.redirect('/client-merges');
+    }
+    
+    const target = await Client.findById(targetId);
+    const sources = await Client.find({ _id: { $in: sourceIds } });
+    if (!target || sources.length !== sourceIds.length) {
+      req.flash('error', 'بعض العملاء المحددين غير موجودين، ربما تم دمجهم أو حذفهم بالفعل');
+      return res.redirect('/client-merges');
+    }
+    
+    const before = toAuditSnapshot(target);
+    const merge = await mergeClients(target, sources, req.session.user.id);
+    await logAudit(req, {
+      action: 'merge',
+      entityType: 'client',
+      entityId: target._id,
+      entityLabel: target.fullName,
+      before,
+      after: target,
+      related: getMergeRelations(merge),
+      details: getMergeDetails(merge)
+    });
+    
+    req.flash('success', `تم دمج ${sources.length} عميل في ${target.fullName}، ويمكن التراجع عن الدمج من صفحة العملاء المكررين`);
+    res.redirect(`/clients/${target._id}`);
+  } catch (error) {
+    console.error('Client merge error:', error);
+    req.flash('error', 'حدث خطأ أثناء دمج العملاء');
+    res.redirect('/client-merges');
+  }
+});
+
+// Undo a merge
+router.post('/:id/revert', async (req, res) => {
+  let merge = null;
+  
+  try {
+    // Claimed first, so a second click doesn't undo it twice
+    merge = mongoose.isValidObjectId(req.params.id)
+      ? await ClientMerge.findOneAndUpdate(
+        { _id: req.params.id, revertedAt: null },
+        { $set: { revertedAt: new Date(), revertedBy: req.session.user.id } },
+        { new: true }
+      )
+      : null;
+    if (!merge) {
+      req.flash('error', 'عملية الدمج غير موجودة أو تم التراجع عنها بالفعل');
+      return res.redirect('/client-merges');
+    }
+    
+    const target = await revertClientMerge(merge);
+    await logAudit(req, {
+      action: 'unmerge',
+      entityType: 'client',
+      entityId: merge.target,
+      entityLabel: target?.fullName || merge.targetName,
+      related: getMergeRelations(merge),
+      details: getMergeDetails(merge)
+    });
+    
+    req.flash('success', `تم التراجع عن الدمج واستعادة ${merge.sources.length} عميل`);
+    res.redirect('/client-merges');
+  } catch (error) {
+    console.error('Client merge revert error:', error);
+    // Undoing can be run again, let it be retried
+    if (merge) {
+      await ClientMerge.updateOne({ _id: merge._id }, { $set: { revertedAt: null, revertedBy: null } });
+    }
+    req.flash('error', 'حدث خطأ أثناء التراجع عن الدمج');
+    res.redirect('/client-merges');
+  }
+});
+
+export default router;
@@ -1,10 +1,21 @@
 import express from 'express';
-import Client from '../models/Client.js';
+import Client, { PAYMENT_TERM_PRESETS } from '../models/Client.js';
 import Invoice from '../models/Invoice.js';
 import { requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import DocumentTemplate from '../models/DocumentTemplate.js';
+import ExcelJS from 'exceljs';
+import { logAudit } from '../utils/audit.js';
+import { getDeleteBlockedMessage, deleteCommissionTiers } from '../utils/dependents.js';
+import { buildClientStatement, statementEntryNames } from '../utils/statements.js';
+import { renderStatementPdf } from '../utils/pdf.js';
 
 const router = express.Router();
 
+// Helper function to read the payment terms field (whole days, never negative)
+function parsePaymentTermDays(value) {
+  return Math.max(0, parseInt(value) || 0);
+}
+
 // List clients
 router.get('/', requireModuleAccess('clients'), async (req, res) => {
   try {
@@ -66,13 +77,13 @@ router.get('/', requireModuleAccess('clients'), async (req, res) => {
 
 // New client form
 router.get('/new', requirePermission('clients', 'create'), (req, res) => {
-  res.render('clients/new');
+  res.render('clients/new', { paymentTermPresets: PAYMENT_TERM_PRESETS });
 });
 
 // Create client
 router.post('/', requirePermission('clients', 'create'), async (req, res) => {
   try {
-    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate } = req.body;
+    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate, paymentTermDays } = req.body;
     
     // Add +20 prefix to WhatsApp number if provided
     const formattedWhatsappNumber = whatsappNumber ? `+20${whatsappNumber.replace(/^\+20/, '')}` : '';
@@ -83,10 +94,12 @@ router.post('/', requirePermission('clients', 'create'), async (req, res) => {
       whatsappNumber: formattedWhatsappNumber,
       notes,
       commissionRate: parseFloat(commissionRate) || 0,
+      paymentTermDays: parsePaymentTermDays(paymentTermDays),
       createdBy: req.session.user.id
     });
     
     await client.save();
+    await logAudit(req, { action: 'create', entityType: 'client', entityId: client._id, entityLabel: client.fullName, after: client });
     req.flash('success', 'تم إضافة العميل بنجاح');
     res.redirect('/clients');
   } catch (error) {
@@ -110,7 +123,7 @@ router.get('/:id/edit', requirePermission('clients', 'update'), async (req, res)
       req.flash('error', 'العميل غير موجود أو ليس لديك صلاحية للوصول إليه');
       return res.redirect('/clients');
     }
-    res.render('clients/edit', { client });
+    res.render('clients/edit', { client, paymentTermPresets: PAYMENT_TERM_PRESETS });
   } catch (error) {
     req.flash('error', 'حدث خطأ أثناء تحميل بيانات العميل');
     res.redirect('/clients');
@@ -120,7 +133,7 @@ router.get('/:id/edit', requirePermission('clients', 'update'), async (req, res)
 // Update client
 router.put('/:id', requirePermission('clients', 'update'), async (req, res) => {
   try {
-    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate } = req.body;
+    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate, paymentTermDays } = req.body;
     
     // Add +20 prefix to WhatsApp number if provided
     const formattedWhatsappNumber = whatsappNumber ? `+20${whatsappNumber.replace(/^\+20/, '')}` : '';
@@ -132,19 +145,23 @@ router.put('/:id', requirePermission('clients', 'update'), async (req, res) => {
       query.createdBy = req.session.user.id;
     }
     
-    const result = await Client.updateOne(query, {
+    const before = await Client.findOne(query);
+    const client = await Client.findOneAndUpdate(query, {
       fullName,
       mobileNumber,
       whatsappNumber: formattedWhatsappNumber,
       notes,
-      commissionRate: parseFloat(commissionRate) || 0
-    });
+      commissionRate: parseFloat(commissionRate) || 0,
+      paymentTermDays: parsePaymentTermDays(paymentTermDays)
+    }, { new: true });
     
-    if (result.matchedCount === 0) {
+    if (!client) {
       req.flash('error', 'العميل غير موجود أو ليس لديك صلاحية لتعديله');
       return res.redirect('/clients');
     }
     
+    await logAudit(req, { action: 'update', entityType: 'client', entityId: client._id, entityLabel: client.fullName, before, after: client });
+    
     req.flash('success', 'تم تحديث بيانات العميل بنجاح');
     res.redirect('/clients');
   } catch (error) {
@@ -163,13 +180,23 @@ router.delete('/:id', requirePermission('clients', 'delete'), async (req, res) =
       query.createdBy = req.session.user.id;
     }
     
-    const result = await Client.deleteOne(query);
+    const client = await Client.findOne(query);
     
-    if (result.deletedCount === 0) {
+    if (!client) {
       req.flash('error', 'العميل غير موجود أو ليس لديك صلاحية لحذفه');
       return res.redirect('/clients');
     }
     
+    const blockedMessage = await getDeleteBlockedMessage('client', client._id);
+    if (blockedMessage) {
+      req.flash('error', blockedMessage);
+      return res.redirect('/clients');
+    }
+    
+    await Client.deleteOne({ _id: client._id });
+    await logAudit(req, { action: 'delete', entityType: 'client', entityId: client._id, entityLabel: client.fullName, before: client });
+    await deleteCommissionTiers(req, 'client', client._id);
+    
     req.flash('success', 'تم حذف العميل بنجاح');
     res.redirect('/clients');
   } catch (error) {
@@ -205,7 +232,7 @@ router.get('/:id', requireModuleAccess('clients'), async (req, res) => {
     const totalInvoices = await Invoice.countDocuments({ client: client._id });
     const totalAmount = await Invoice.aggregate([
       { $match: { client: client._id } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+      { $group: { _id: null, total: { $sum: '$total' } } } // credit notes are negative
     ]);
     
     const completedInvoices = await Invoice.countDocuments({ 
@@ -231,6 +258,143 @@ router.get('/:id', requireModuleAccess('clients'), async (req, res) => {
   }
 });
 
+// Helper function to load a client and its statement for the requested period.
+// Redirects and returns null when the client isn't accessible.
+async function loadClientStatement(req, res) {
+  let query = { _id: req.params.id };
+  
+  // If user can only view own, ensure they own this client
+  if (!req.userPermissionLevel?.canViewAll && req.userPermissionLevel?.canViewOwn) {
+    query.createdBy = req.session.user.id;
+  }
+  
+  const client = await Client.findOne(query);
+  if (!client) {
+    req.flash('error', 'العميل غير موجود أو ليس لديك صلاحية للوصول إليه');
+    res.redirect('/clients');
+    return null;
+  }
+  
+  try {
+    const statement = await buildClientStatement(client._id, { from: req.query.from, to: req.query.to });
+    return { client, statement };
+  } catch (error) {
+    req.flash('error', 'الفترة المحددة غير صحيحة');
+    res.redirect(`/clients/${client._id}/statement`);
+    return null;
+  }
+}
+
+// Helper function to format a date for the statement period inputs
+function toDateInput(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Client account statement
+router.get('/:id/statement', requireModuleAccess('clients'), async (req, res) => {
+  try {
+    const result = await loadClientStatement(req, res);
+    if (!result) return;
+    
+    // Not passed as `client`, which EJS takes as an option and then breaks include()
+    const { client, statement } = result;
+    res.render('clients/statement', {
+      statementClient: client,
+      statement,
+      statementEntryNames,
+      filters: { from: toDateInput(statement.startDate), to: toDateInput(statement.endDate) }
+    });
+  } catch (error) {
+    console.error('Client statement error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل كشف الحساب');
+    res.redirect(`/clients/${req.params.id}`);
+  }
+});
+
+// Client account statement as Excel
+router.get('/:id/statement/excel', requireModuleAccess('clients'), async (req, res) => {
+  try {
+    const result = await loadClientStatement(req, res);
+    if (!result) return;
+    
+    const { client, statement } = result;
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('كشف حساب');
+    worksheet.views = [{ rightToLeft: true }];
+    
+    worksheet.columns = [
+      { key: 'date', width: 14 },
+      { key: 'type', width: 14 },
+      { key: 'reference', width: 20 },
+      { key: 'description', width: 30 },
+      { key: 'debit', width: 15 },
+      { key: 'credit', width: 15 },
+      { key: 'balance', width: 15 }
+    ];
+    
+    worksheet.addRow([`كشف حساب العميل: ${client.fullName}`]).font = { bold: true, size: 14 };
+    worksheet.addRow([`الفترة من ${statement.startDate.toLocaleDateString('ar-EG')} إلى ${statement.endDate.toLocaleDateString('ar-EG')}`]);
+    worksheet.addRow([]);
+    
+    const headerRow = worksheet.addRow(['التاريخ', 'النوع', 'المرجع', 'البيان', 'مدين', 'دائن', 'الرصيد']);
+    headerRow.font = { bold: true };
+    
+    worksheet.addRow({ description: 'رصيد أول المدة', balance: statement.openingBalance }).font = { bold: true };
+    statement.entries.forEach(entry => {
+      worksheet.addRow({
+        date: new Date(entry.date).toLocaleDateString('ar-EG'),
+        type: statementEntryNames[entry.type],
+        reference: entry.reference,
+        description: entry.description,
+        debit: entry.debit || null,
+        credit: entry.credit || null,
+        balance: entry.balance
+      });
+    });
+    const totalRow = worksheet.addRow({
+      description: 'الإجمالي / رصيد آخر المدة',
+      debit: statement.totalDebit,
+      credit: statement.totalCredit,
+      balance: statement.closingBalance
+    });
+    totalRow.font = { bold: true };
+    
+    ['debit', 'credit', 'balance'].forEach(key => {
+      worksheet.getColumn(key).numFmt = '#,##0.00';
+    });
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=statement-${client._id}-${toDateInput(statement.endDate)}.xlsx`);
+    
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Client statement export error:', error);
+    res.status(500).json({ error: 'حدث خطأ أثناء تصدير كشف الحساب' });
+  }
+});
+
+// Client account statement as PDF (layout from the admin editable template)
+router.get('/:id/statement/pdf', requireModuleAccess('clients'), async (req, res) => {
+  try {
+    const result = await loadClientStatement(req, res);
+    if (!result) return;
+    
+    const { client, statement } = result;
+    const pdf = await renderStatementPdf(client, statement, {
+      template: await DocumentTemplate.getContent('statement')
+    });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=statement-${client._id}-${toDateInput(statement.endDate)}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Client statement PDF error:', error);
+    req.flash('error', 'حدث خطأ أثناء إنشاء ملف PDF لكشف الحساب');
+    res.redirect(`/clients/${req.params.id}/statement`);
+  }
+});
+
 // API endpoint to search clients (for dropdown)
 router.get('/api/search', requireModuleAccess('clients'), async (req, res) => {
   try {
@@ -271,7 +435,7 @@ router.get('/api/search', requireModuleAccess('clients'), async (req, res) => {
 // API endpoint to create client via AJAX
 router.post('/api/create', requirePermission('clients', 'create'), async (req, res) => {
   try {
-    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate } = req.body;
+    const { fullName, mobileNumber, whatsappNumber, notes, commissionRate, paymentTermDays } = req.body;
     
     // Check if client already exists
     const existingClient = await Client.findOne({ 
@@ -301,10 +465,12 @@ router.post('/api/create', requirePermission('clients', 'create'), async (req, r
       whatsappNumber: formattedWhatsappNumber,
       notes: notes?.trim() || '',
       commissionRate: parseFloat(commissionRate) || 0,
+      paymentTermDays: parsePaymentTermDays(paymentTermDays),
       createdBy: req.session.user.id
     });
     
     await client.save();
+    await logAudit(req, { action: 'create', entityType: 'client', entityId: client._id, entityLabel: client.fullName, after: client });
     
     res.json({
       success: true,
@@ -4,6 +4,7 @@ import Company from '../models/Company.js';
 import Client from '../models/Client.js';
 import User from '../models/User.js';
 import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { logAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
@@ -118,6 +119,14 @@ router.post('/', requireAuth, async (req, res) => {
     });
     
     await tier.save();
+    await logAudit(req, {
+      action: 'create',
+      entityType: 'commission_tier',
+      entityId: tier._id,
+      entityLabel: `${tier.minAmount} - ${tier.maxAmount}`,
+      after: tier,
+      related: [{ entityType: tier.entityType, entityId: tier.entityId }]
+    });
     req.flash('success', 'تم إضافة مستوى العمولة بنجاح');
     res.redirect('/commission-tiers');
   } catch (error) {
@@ -182,11 +191,20 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.redirect(`/commission-tiers/${req.params.id}/edit`);
     }
     
-    await CommissionTier.findByIdAndUpdate(req.params.id, {
+    const updatedTier = await CommissionTier.findByIdAndUpdate(req.params.id, {
       minAmount: parseFloat(minAmount),
       maxAmount: parseFloat(maxAmount),
       commissionRate: parseFloat(commissionRate),
       isActive: isActive === 'on'
+    }, { new: true });
+    await logAudit(req, {
+      action: 'update',
+      entityType: 'commission_tier',
+      entityId: tier._id,
+      entityLabel: `${updatedTier.minAmount} - ${updatedTier.maxAmount}`,
+      before: tier,
+      after: updatedTier,
+      related: [{ entityType: tier.entityType, entityId: tier.entityId }]
     });
     
     req.flash('success', 'تم تحديث مستوى العمولة بنجاح');
@@ -200,7 +218,17 @@ router.put('/:id', requireAuth, async (req, res) => {
 // Delete commission tier
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
-    await CommissionTier.findByIdAndDelete(req.params.id);
+    const tier = await CommissionTier.findByIdAndDelete(req.params.id);
+    if (tier) {
+      await logAudit(req, {
+        action: 'delete',
+        entityType: 'commission_tier',
+        entityId: tier._id,
+        entityLabel: `${tier.minAmount} - ${tier.maxAmount}`,
+        before: tier,
+        related: [{ entityType: tier.entityType, entityId: tier.entityId }]
+      });
+    }
     req.flash('success', 'تم حذف مستوى العمولة بنجاح');
     res.redirect('/commission-tiers');
   } catch (error) {
@@ -3,6 +3,8 @@ import Company from '../models/Company.js';
 import File from '../models/File.js';
 import Invoice from '../models/Invoice.js';
 import { requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import { logAudit } from '../utils/audit.js';
+import { getDeleteBlockedMessage, deleteCommissionTiers, deleteInvoiceSequences } from '../utils/dependents.js';
 
 const router = express.Router();
 
@@ -48,6 +50,7 @@ router.post('/', requirePermission('companies', 'create'), async (req, res) => {
     });
     
     await company.save();
+    await logAudit(req, { action: 'create', entityType: 'company', entityId: company._id, entityLabel: company.name, after: company });
     req.flash('success', 'تم إضافة الشركة بنجاح');
     res.redirect('/companies');
   } catch (error) {
@@ -90,16 +93,19 @@ router.put('/:id', requirePermission('companies', 'update'), async (req, res) =>
       query.createdBy = req.session.user.id;
     }
     
-    const result = await Company.updateOne(query, {
+    const before = await Company.findOne(query);
+    const company = await Company.findOneAndUpdate(query, {
       name,
       commissionRate: parseFloat(commissionRate) || 0
-    });
+    }, { new: true });
     
-    if (result.matchedCount === 0) {
+    if (!company) {
       req.flash('error', 'الشركة غير موجودة أو ليس لديك صلاحية لتعديلها');
       return res.redirect('/companies');
     }
     
+    await logAudit(req, { action: 'update', entityType: 'company', entityId: company._id, entityLabel: company.name, before, after: company });
+    
     req.flash('success', 'تم تحديث بيانات الشركة بنجاح');
     res.redirect('/companies');
   } catch (error) {
@@ -118,13 +124,24 @@ router.delete('/:id', requirePermission('companies', 'delete'), async (req, res)
       query.createdBy = req.session.user.id;
     }
     
-    const result = await Company.deleteOne(query);
+    const company = await Company.findOne(query);
     
-    if (result.deletedCount === 0) {
+    if (!company) {
       req.flash('error', 'الشركة غير موجودة أو ليس لديك صلاحية لحذفها');
       return res.redirect('/companies');
     }
     
+    const blockedMessage = await getDeleteBlockedMessage('company', company._id);
+    if (blockedMessage) {
+      req.flash('error', blockedMessage);
+      return res.redirect('/companies');
+    }
+    
+    await Company.deleteOne({ _id: company._id });
+    await logAudit(req, { action: 'delete', entityType: 'company', entityId: company._id, entityLabel: company.name, before: company });
+    await deleteCommissionTiers(req, 'company', company._id);
+    await deleteInvoiceSequences(req, company._id);
+    
     req.flash('success', 'تم حذف الشركة بنجاح');
     res.redirect('/companies');
   } catch (error) {
@@ -195,7 +212,7 @@ router.get('/:id', requireModuleAccess('companies'), async (req, res) => {
         $match: { 'fileData.company': company._id }
       },
       {
-        $group: { _id: null, total: { $sum: '$amount' } }
+        $group: { _id: null, total: { $sum: '$total' } } // credit notes are negative
       }
     ]);
     
@@ -296,6 +313,7 @@ router.post('/api/create', requirePermission('companies', 'create'), async (req,
     });
     
     await company.save();
+    await logAudit(req, { action: 'create', entityType: 'company', entityId: company._id, entityLabel: company.name, after: company });
     
     res.json({
       success: true,
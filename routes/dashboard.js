@@ -5,6 +5,7 @@ import Client from '../models/Client.js';
 import Company from '../models/Company.js';
 import File from '../models/File.js';
 import User from '../models/User.js';
+import LoginThrottle from '../models/LoginThrottle.js';
 import { requireAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -98,7 +99,7 @@ router.get('/', async (req, res) => {
         companies: []
       }
     };
-
+    
     if (user.role === 'admin') {
       // Debug: Check total invoices without date filter
       const totalInvoicesNoFilter = await Invoice.countDocuments({ createdBy: user.id });
@@ -112,7 +113,7 @@ router.get('/', async (req, res) => {
       stats.totalInvoices = await Invoice.countDocuments(invoiceQuery);
       
       console.log('Total invoices (with filter):', stats.totalInvoices);
-      
+          
           // Calculate total invoices amount
     const invoicesForAmount = await Invoice.find(invoiceQuery).select('total');
     stats.totalInvoicesAmount = invoicesForAmount.reduce((sum, invoice) => sum + (invoice.total || 0), 0);
@@ -240,13 +241,15 @@ router.get('/', async (req, res) => {
         .populate('assignedDistributor', 'username')
         .sort({ createdAt: -1 })
         .limit(5);
-
+      
       // Get bulk payment data for admin
       // Distributors with unpaid invoices (ready for distributorToAdmin payment)
       // Show only unpaid admin-created invoices within the date range
       const distributorMatch = {
         createdBy: new mongoose.Types.ObjectId(user.id), // Only invoices created by admin
         'paymentStatus.distributorToAdmin.isPaid': false, // Only unpaid invoices
+        documentType: { $ne: 'credit_note' }, // Credit notes are never paid
+        status: { $ne: 'cancelled' }, // Cancelled invoices are reversed by a credit note
         // Ensure it's not created by distributors
         $expr: {
           $eq: [
@@ -268,7 +271,10 @@ router.get('/', async (req, res) => {
           $group: {
             _id: '$assignedDistributor',
             count: { $sum: 1 },
-            totalAmount: { $sum: '$total' }
+            // What is left to pay on the step, after credit notes and partial payments
+            totalAmount: { $sum: Invoice.getOutstandingAmountExpression('distributorToAdmin') },
+            totalTax: { $sum: '$taxAmount' },
+            totalProfit: { $sum: '$profitAmount' }
           }
         },
         {
@@ -288,16 +294,20 @@ router.get('/', async (req, res) => {
             distributorName: '$distributor.username',
             distributorWhatsapp: '$distributor.whatsappNumber',
             unpaidCount: '$count',
-            totalAmount: '$totalAmount'
+            totalAmount: '$totalAmount',
+            totalTax: '$totalTax',
+            totalProfit: '$totalProfit'
           }
         }
       ]);
-
+      
       // Companies with unpaid invoices (ready for adminToCompany payment)
       // Show only unpaid admin-created invoices within the date range
       const companyMatch = {
         createdBy: new mongoose.Types.ObjectId(user.id), // Only invoices created by admin
         'paymentStatus.adminToCompany.isPaid': false, // Only unpaid invoices
+        documentType: { $ne: 'credit_note' }, // Credit notes are never paid
+        status: { $ne: 'cancelled' }, // Cancelled invoices are reversed by a credit note
         // Ensure it's not created by distributors
         $expr: {
           $eq: [
@@ -342,7 +352,10 @@ router.get('/', async (req, res) => {
             _id: '$company._id',
             companyName: { $first: '$company.name' },
             count: { $sum: 1 },
-            totalAmount: { $sum: '$total' }
+            // What is left to pay on the step, after credit notes and partial payments
+            totalAmount: { $sum: Invoice.getOutstandingAmountExpression('adminToCompany') },
+            totalTax: { $sum: '$taxAmount' },
+            totalProfit: { $sum: '$profitAmount' }
           }
         },
         {
@@ -350,11 +363,13 @@ router.get('/', async (req, res) => {
             companyId: '$_id',
             companyName: '$companyName',
             unpaidCount: '$count',
-            totalAmount: '$totalAmount'
+            totalAmount: '$totalAmount',
+            totalTax: '$totalTax',
+            totalProfit: '$totalProfit'
           }
         }
       ]);
-
+      
       console.log('Bulk payment data for admin:', {
         distributors: distributorsWithUnpaid.length,
         companies: companiesWithUnpaid.length,
@@ -364,7 +379,7 @@ router.get('/', async (req, res) => {
       
       stats.bulkPaymentData.distributors = distributorsWithUnpaid;
       stats.bulkPaymentData.companies = companiesWithUnpaid;
-
+      
       // Get all admin-created invoices for management within the date range
       const allAdminInvoicesQuery = { createdBy: user.id };
       if (applyDateFilter) {
@@ -376,9 +391,9 @@ router.get('/', async (req, res) => {
         .populate('assignedDistributor', 'username')
         .sort({ createdAt: -1 })
         .limit(10);
-
+      
       stats.allAdminInvoices = allAdminInvoices || [];
-
+    
     } else {
       // Distributor dashboard - exclude invoices created by admin
       const distributorInvoiceQuery = { 
@@ -407,12 +422,14 @@ router.get('/', async (req, res) => {
         .populate('file', 'fileName')
         .sort({ createdAt: -1 })
         .limit(5);
-
+      
       // Get bulk payment data for distributor
       // Clients with unpaid invoices (ready for clientToDistributor payment)
       const clientMatch = {
         assignedDistributor: new mongoose.Types.ObjectId(user.id),
         'paymentStatus.clientToDistributor.isPaid': false,
+        documentType: { $ne: 'credit_note' }, // Credit notes are never paid
+        status: { $ne: 'cancelled' }, // Cancelled invoices are reversed by a credit note
         createdBy: { $nin: adminIds } // Exclude admin-created invoices
       };
       
@@ -428,7 +445,10 @@ router.get('/', async (req, res) => {
           $group: {
             _id: '$client',
             count: { $sum: 1 },
-            totalAmount: { $sum: '$total' }
+            // What is left to pay on the step, after credit notes and partial payments
+            totalAmount: { $sum: Invoice.getOutstandingAmountExpression('clientToDistributor') },
+            totalTax: { $sum: '$taxAmount' },
+            totalProfit: { $sum: '$profitAmount' }
           }
         },
         {
@@ -447,14 +467,41 @@ router.get('/', async (req, res) => {
             clientId: '$_id',
             clientName: '$client.fullName',
             unpaidCount: '$count',
-            totalAmount: '$totalAmount'
+            totalAmount: '$totalAmount',
+            totalTax: '$totalTax',
+            totalProfit: '$totalProfit'
           }
         }
       ]);
-
+      
       stats.bulkPaymentData.clients = clientsWithUnpaid;
     }
-
+    
+    // Overdue invoices, whatever the period filter
+    const overdueQuery = Invoice.getOverdueQuery();
+    if (user.role === 'distributor') {
+      overdueQuery.assignedDistributor = new mongoose.Types.ObjectId(user.id);
+      overdueQuery.createdBy = { $nin: adminIds };
+    }
+    
+    const overdueInvoices = await Invoice.find(overdueQuery)
+      .select('documentType finalAmount creditedAmount paymentStatus');
+    stats.overdue = {
+      count: overdueInvoices.length,
+      amount: Math.round(overdueInvoices.reduce((sum, invoice) => sum + invoice.getOutstandingAmount('clientToDistributor'), 0) * 100) / 100
+    };
+    
+    // Existing accounts and IP addresses locked out after failed logins, for
+    // the admin to review
+    stats.lockedAccounts = [];
+    stats.lockedIps = 0;
+    if (user.role === 'admin') {
+      const lockedUsernames = (await LoginThrottle.findLockedUsernames()).map(throttle => throttle.key);
+      const lockedUsers = await User.find({ username: { $in: lockedUsernames } }).select('username');
+      stats.lockedAccounts = lockedUsers.map(lockedUser => lockedUser.username);
+      stats.lockedIps = (await LoginThrottle.findLockedIps()).length;
+    }
+    
     // Get last 30 unpaid invoices for all users
     const unpaidInvoicesQuery = {
       $or: [
@@ -463,11 +510,11 @@ router.get('/', async (req, res) => {
         { 'paymentStatus.adminToCompany.isPaid': false }
       ]
     };
-
+    
     if (applyDateFilter) {
       unpaidInvoicesQuery.createdAt = { $gte: startDate, $lte: endDate };
     }
-
+    
     // Add role-based filtering
     if (user.role === 'distributor') {
       unpaidInvoicesQuery.assignedDistributor = new mongoose.Types.ObjectId(user.id);
@@ -475,22 +522,22 @@ router.get('/', async (req, res) => {
     } else if (user.role === 'admin') {
       // Admin can see all unpaid invoices
     }
-
+    
     const unpaidInvoices = await Invoice.find(unpaidInvoicesQuery)
       .populate('client', 'fullName')
       .populate('assignedDistributor', 'username')
       .sort({ createdAt: -1 })
       .limit(30);
-
+    
     // Format unpaid invoices for display
     stats.unpaidInvoices = (unpaidInvoices || []).map(invoice => {
       const isClientToDistributorUnpaid = !invoice.paymentStatus.clientToDistributor.isPaid;
       const isDistributorToAdminUnpaid = !invoice.paymentStatus.distributorToAdmin.isPaid;
       const isAdminToCompanyUnpaid = !invoice.paymentStatus.adminToCompany.isPaid;
-
+      
       let status = 'مدفوعة';
       let statusClass = 'badge bg-success';
-
+      
       if (isAdminToCompanyUnpaid) {
         status = 'انتظار';
         statusClass = 'badge bg-warning';
@@ -501,7 +548,7 @@ router.get('/', async (req, res) => {
         status = 'انتظار';
         statusClass = 'badge bg-warning';
       }
-
+      
       return {
         _id: invoice._id,
         code: invoice.code,
@@ -517,7 +564,7 @@ router.get('/', async (req, res) => {
         createdAt: invoice.createdAt
       };
     });
-
+    
     res.render('dashboard/index', { stats, currentUser: user, filter });
   } catch (error) {
     console.error('Dashboard error:', error);
@@ -535,6 +582,9 @@ router.get('/', async (req, res) => {
         recentInvoices: [],
         allAdminInvoices: [],
         unpaidInvoices: [],
+        overdue: { count: 0, amount: 0 },
+        lockedAccounts: [],
+        lockedIps: 0,
         bulkPaymentData: {
           clients: [],
           distributors: [],
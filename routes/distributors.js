@@ -1,11 +1,25 @@
 import express from 'express';
-import User from '../models/User.js';
+import User, { validatePasswordPolicy } from '../models/User.js';
 import Role from '../models/Role.js';
-import Permission from '../models/Permission.js';
+import Session from '../models/Session.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { unlockUsername } from '../utils/loginThrottle.js';
 import { requireAdmin } from '../middleware/auth.js';
+import { logAudit, toAuditSnapshot } from '../utils/audit.js';
 
 const router = express.Router();
 
+// Helper function to load the shared roles a distributor can be given
+async function getAssignableRoles() {
+  return Role.find({ isActive: true, name: { $ne: 'admin' } }).sort({ isSystemRole: -1, displayName: 1 });
+}
+
+// Helper function to read the selected role ids posted by the form
+function getSelectedRoles(body) {
+  const { roles } = body;
+  return Array.isArray(roles) ? roles : (roles ? [roles] : []);
+}
+
 // List distributors
 router.get('/', requireAdmin, async (req, res) => {
   try {
@@ -17,34 +31,24 @@ router.get('/', requireAdmin, async (req, res) => {
         }
       })
       .sort({ createdAt: -1 });
-    res.render('distributors/index', { distributors });
+    const lockedUsernames = (await LoginThrottle.findLockedUsernames()).map(throttle => throttle.key);
+    
+    res.render('distributors/index', { distributors, lockedUsernames });
   } catch (error) {
     req.flash('error', 'حدث خطأ أثناء تحميل الموزعين');
-    res.render('distributors/index', { distributors: [] });
+    res.render('distributors/index', { distributors: [], lockedUsernames: [] });
   }
 });
 
 // New distributor form
 router.get('/new', requireAdmin, async (req, res) => {
   try {
-    // Get all permissions grouped by module
-    const permissions = await Permission.find().sort({ module: 1, action: 1 });
-    const groupedPermissions = {};
+    const roles = await getAssignableRoles();
+    const basicRole = roles.find(role => role.name === 'basic_distributor');
     
-    permissions.forEach(permission => {
-      if (!groupedPermissions[permission.module]) {
-        groupedPermissions[permission.module] = [];
-      }
-      groupedPermissions[permission.module].push(permission);
-    });
-
-    // Get default permissions for basic distributor role
-    const basicRole = await Role.findOne({ name: 'basic_distributor' }).populate('permissions');
-    const defaultPermissions = basicRole ? basicRole.permissions.map(p => p._id.toString()) : [];
-
-    res.render('distributors/new', { 
-      groupedPermissions,
-      defaultPermissions
+    res.render('distributors/new', {
+      roles,
+      defaultRoles: basicRole ? [basicRole._id.toString()] : []
     });
   } catch (error) {
     console.error('Error loading distributor form:', error);
@@ -56,58 +60,53 @@ router.get('/new', requireAdmin, async (req, res) => {
 // Create distributor
 router.post('/', requireAdmin, async (req, res) => {
   try {
-    const { username, password, commissionRate, permissions } = req.body;
+    const { username, password, commissionRate } = req.body;
+    const roles = getSelectedRoles(req.body);
     
     // Validate required fields
     if (!username || !password) {
       req.flash('error', 'اسم المستخدم وكلمة المرور مطلوبان');
       return res.redirect('/distributors/new');
     }
-
+    
+    const passwordError = validatePasswordPolicy(password);
+    if (passwordError) {
+      req.flash('error', passwordError);
+      return res.redirect('/distributors/new');
+    }
+    
+    if (roles.length === 0) {
+      req.flash('error', 'يجب اختيار دور واحد على الأقل');
+      return res.redirect('/distributors/new');
+    }
+    
     // Check if username already exists
     const existingUser = await User.findOne({ username });
     if (existingUser) {
       req.flash('error', 'اسم المستخدم موجود بالفعل');
       return res.redirect('/distributors/new');
     }
-
-    // Create custom role for this distributor
-    const roleName = `distributor_${username}_${Date.now()}`;
-    const role = new Role({
-      name: roleName,
-      displayName: `دور ${username}`,
-      description: `دور مخصص للموزع ${username}`,
-      permissions: Array.isArray(permissions) ? permissions : (permissions ? [permissions] : []),
-      createdBy: req.session.user.id
-    });
-
-    await role.save();
-
-    // Create distributor with legacy permissions for backward compatibility
-    const selectedPermissions = await Permission.find({
-      _id: { $in: role.permissions }
-    });
-
-    const legacyPermissions = {
-      canCreateCompanies: selectedPermissions.some(p => p.module === 'companies' && p.action === 'create'),
-      canCreateInvoices: selectedPermissions.some(p => p.module === 'invoices' && p.action === 'create'),
-      canManageClients: selectedPermissions.some(p => p.module === 'clients' && ['create', 'update', 'delete'].includes(p.action)),
-      canViewReports: selectedPermissions.some(p => p.module === 'reports' && ['view_own', 'view_all'].includes(p.action)),
-      canCreateFiles: selectedPermissions.some(p => p.module === 'files' && p.action === 'create')
-    };
-
+    
     const distributor = new User({
       username,
       password,
       role: 'distributor',
-      roles: [role._id],
+      roles,
       commissionRate: parseFloat(commissionRate) || 0,
       whatsappNumber: req.body.whatsappNumber,
-      permissions: legacyPermissions,
       createdBy: req.session.user.id
     });
     
+    // Legacy permission flags are still read by older checks
+    await distributor.syncLegacyPermissions();
     await distributor.save();
+    await logAudit(req, {
+      action: 'create',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username,
+      after: distributor
+    });
     req.flash('success', 'تم إضافة الموزع بنجاح');
     res.redirect('/distributors');
   } catch (error) {
@@ -120,41 +119,19 @@ router.post('/', requireAdmin, async (req, res) => {
 // Edit distributor form
 router.get('/:id/edit', requireAdmin, async (req, res) => {
   try {
-    const distributor = await User.findById(req.params.id).populate({
-      path: 'roles',
-      populate: {
-        path: 'permissions'
-      }
-    });
+    const distributor = await User.findById(req.params.id);
     
     if (!distributor) {
       req.flash('error', 'الموزع غير موجود');
       return res.redirect('/distributors');
     }
-
-    // Get all permissions grouped by module
-    const permissions = await Permission.find().sort({ module: 1, action: 1 });
-    const groupedPermissions = {};
     
-    permissions.forEach(permission => {
-      if (!groupedPermissions[permission.module]) {
-        groupedPermissions[permission.module] = [];
-      }
-      groupedPermissions[permission.module].push(permission);
-    });
-
-    // Get user's current permissions
-    const userPermissions = [];
-    distributor.roles.forEach(role => {
-      role.permissions.forEach(permission => {
-        userPermissions.push(permission._id.toString());
-      });
-    });
-
-    res.render('distributors/edit', { 
-      distributor, 
-      groupedPermissions,
-      userPermissions
+    const roles = await getAssignableRoles();
+    
+    res.render('distributors/edit', {
+      distributor,
+      roles,
+      selectedRoles: distributor.roles.map(role => role.toString())
     });
   } catch (error) {
     console.error('Error loading distributor edit form:', error);
@@ -166,89 +143,46 @@ router.get('/:id/edit', requireAdmin, async (req, res) => {
 // Update distributor
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
-    const { username, commissionRate, permissions, isActive } = req.body;
+    const { username, commissionRate, isActive } = req.body;
+    const roles = getSelectedRoles(req.body);
     
-
+    if (roles.length === 0) {
+      req.flash('error', 'يجب اختيار دور واحد على الأقل');
+      return res.redirect(`/distributors/${req.params.id}/edit`);
+    }
     
-    const distributor = await User.findById(req.params.id).populate('roles');
+    const distributor = await User.findById(req.params.id);
     if (!distributor) {
       req.flash('error', 'الموزع غير موجود');
       return res.redirect('/distributors');
     }
-
-    // Update distributor's custom role permissions
-    if (distributor.roles.length > 0) {
-      
-      
-      const customRole = distributor.roles.find(role => !role.isSystemRole);
-      if (customRole) {
-
-        
-        customRole.permissions = Array.isArray(permissions) ? permissions : (permissions ? [permissions] : []);
-        await customRole.save();
-
-        // Update legacy permissions for backward compatibility
-        const selectedPermissions = await Permission.find({
-          _id: { $in: customRole.permissions }
-        });
-
-        const legacyPermissions = {
-          canCreateCompanies: selectedPermissions.some(p => p.module === 'companies' && p.action === 'create'),
-          canCreateInvoices: selectedPermissions.some(p => p.module === 'invoices' && p.action === 'create'),
-          canManageClients: selectedPermissions.some(p => p.module === 'clients' && ['create', 'update', 'delete'].includes(p.action)),
-          canViewReports: selectedPermissions.some(p => p.module === 'reports' && ['view_own', 'view_all'].includes(p.action)),
-          canCreateFiles: selectedPermissions.some(p => p.module === 'files' && p.action === 'create')
-        };
-
-
-
-        distributor.permissions = legacyPermissions;
-      } else {
-
-        
-        // Create a new custom role for this distributor
-        const roleName = `distributor_${distributor.username}_${Date.now()}`;
-        const newRole = new Role({
-          name: roleName,
-          displayName: `دور ${distributor.username}`,
-          description: `دور مخصص للموزع ${distributor.username}`,
-          permissions: Array.isArray(permissions) ? permissions : (permissions ? [permissions] : []),
-          createdBy: req.session.user.id
-        });
-
-        await newRole.save();
-        
-        // Update distributor to use the new role
-        distributor.roles = [newRole._id];
-        
-        // Update legacy permissions
-        const selectedPermissions = await Permission.find({
-          _id: { $in: newRole.permissions }
-        });
-
-        const legacyPermissions = {
-          canCreateCompanies: selectedPermissions.some(p => p.module === 'companies' && p.action === 'create'),
-          canCreateInvoices: selectedPermissions.some(p => p.module === 'invoices' && p.action === 'create'),
-          canManageClients: selectedPermissions.some(p => p.module === 'clients' && ['create', 'update', 'delete'].includes(p.action)),
-          canViewReports: selectedPermissions.some(p => p.module === 'reports' && ['view_own', 'view_all'].includes(p.action)),
-          canCreateFiles: selectedPermissions.some(p => p.module === 'files' && p.action === 'create')
-        };
-
-
-
-        distributor.permissions = legacyPermissions;
-      }
-    }
-
+    
+    const before = toAuditSnapshot(distributor);
+    
+    distributor.roles = roles;
+    await distributor.syncLegacyPermissions();
+    
     // Update distributor basic info
     distributor.username = username;
     distributor.commissionRate = parseFloat(commissionRate) || 0;
     distributor.whatsappNumber = req.body.whatsappNumber;
     distributor.isActive = isActive === 'on';
-
+    
     await distributor.save();
     
-
+    // A deactivated distributor is logged out right away
+    if (!distributor.isActive) {
+      await Session.destroyForUser(distributor._id);
+    }
+    
+    await logAudit(req, {
+      action: 'update',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username,
+      before,
+      after: distributor
+    });
     
     req.flash('success', 'تم تحديث بيانات الموزع بنجاح');
     res.redirect('/distributors');
@@ -267,12 +201,27 @@ router.post('/:id/toggle-status', requireAdmin, async (req, res) => {
       req.flash('error', 'الموزع غير موجود');
       return res.redirect('/distributors');
     }
-
+    
+    const before = toAuditSnapshot(distributor);
     distributor.isActive = !distributor.isActive;
     await distributor.save();
     
+    // A deactivated distributor is logged out right away
+    const endedSessions = distributor.isActive ? 0 : await Session.destroyForUser(distributor._id);
+    
+    await logAudit(req, {
+      action: 'toggle_status',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username,
+      before,
+      after: distributor,
+      details: endedSessions ? { endedSessions } : null
+    });
+    
     const action = distributor.isActive ? 'تم تفعيل' : 'تم إلغاء تفعيل';
-    req.flash('success', `${action} الموزع "${distributor.username}" بنجاح`);
+    const sessionsNote = endedSessions ? ` وإنهاء ${endedSessions} جلسة مفتوحة` : '';
+    req.flash('success', `${action} الموزع "${distributor.username}"${sessionsNote} بنجاح`);
     res.redirect('/distributors');
   } catch (error) {
     console.error('Error toggling distributor status:', error);
@@ -281,6 +230,113 @@ router.post('/:id/toggle-status', requireAdmin, async (req, res) => {
   }
 });
 
+// Reset a distributor's password: a temporary password to change on next login,
+// or a one-time link where they choose a new one. Either is shown to the admin once.
+router.post('/:id/reset-password', requireAdmin, async (req, res) => {
+  try {
+    const distributor = await User.findById(req.params.id);
+    if (!distributor || distributor.role !== 'distributor') {
+      req.flash('error', 'الموزع غير موجود');
+      return res.redirect('/distributors');
+    }
+    
+    let message;
+    if (req.body.method === 'link') {
+      const token = distributor.createPasswordResetToken();
+      const link = `${req.protocol}://${req.get('host')}/auth/reset-password/${token}`;
+      message = `رابط إعادة التعيين (صالح لمدة 24 ساعة ويُستخدم مرة واحدة): ${link}`;
+    } else {
+      const temporaryPassword = distributor.setTemporaryPassword();
+      message = `كلمة المرور المؤقتة: ${temporaryPassword} - سيُطلب من الموزع تغييرها عند تسجيل الدخول`;
+    }
+    
+    await distributor.save();
+    
+    // The old password no longer works, so neither should the open sessions
+    if (req.body.method !== 'link') {
+      await Session.destroyForUser(distributor._id);
+    }
+    
+    await logAudit(req, {
+      action: 'password_reset',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username,
+      details: { method: req.body.method === 'link' ? 'link' : 'temporary_password' }
+    });
+    
+    req.flash('success', message);
+    res.redirect(`/distributors/${distributor._id}/edit`);
+  } catch (error) {
+    console.error('Error resetting distributor password:', error);
+    req.flash('error', 'حدث خطأ أثناء إعادة تعيين كلمة المرور');
+    res.redirect('/distributors');
+  }
+});
+
+// Turn off two-factor login for a distributor who lost their phone and backup codes
+router.post('/:id/two-factor/disable', requireAdmin, async (req, res) => {
+  try {
+    const distributor = await User.findById(req.params.id);
+    if (!distributor || distributor.role !== 'distributor') {
+      req.flash('error', 'الموزع غير موجود');
+      return res.redirect('/distributors');
+    }
+    
+    if (!distributor.twoFactor?.enabled) {
+      req.flash('error', 'التحقق بخطوتين غير مفعّل لهذا الموزع');
+      return res.redirect(`/distributors/${distributor._id}/edit`);
+    }
+    
+    distributor.disableTwoFactor();
+    await distributor.save();
+    await logAudit(req, {
+      action: 'two_factor_disable',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username
+    });
+    
+    req.flash('success', 'تم إلغاء التحقق بخطوتين للموزع، يمكنه تفعيله من جديد بعد تسجيل الدخول');
+    res.redirect(`/distributors/${distributor._id}/edit`);
+  } catch (error) {
+    console.error('Error disabling distributor two-factor login:', error);
+    req.flash('error', 'حدث خطأ أثناء إلغاء التحقق بخطوتين');
+    res.redirect('/distributors');
+  }
+});
+
+// Lift a login lockout before it expires
+router.post('/:id/unlock', requireAdmin, async (req, res) => {
+  try {
+    const distributor = await User.findById(req.params.id);
+    if (!distributor || distributor.role !== 'distributor') {
+      req.flash('error', 'الموزع غير موجود');
+      return res.redirect('/distributors');
+    }
+    
+    const wasLocked = await unlockUsername(distributor.username);
+    if (!wasLocked) {
+      req.flash('error', 'حساب الموزع غير مقفل');
+      return res.redirect('/distributors');
+    }
+    
+    await logAudit(req, {
+      action: 'unlock',
+      entityType: 'distributor',
+      entityId: distributor._id,
+      entityLabel: distributor.username
+    });
+    
+    req.flash('success', `تم فتح حساب الموزع "${distributor.username}" بنجاح`);
+    res.redirect('/distributors');
+  } catch (error) {
+    console.error('Error unlocking distributor:', error);
+    req.flash('error', 'حدث خطأ أثناء فتح الحساب');
+    res.redirect('/distributors');
+  }
+});
+
 // API endpoint to search distributors (for dropdown)
 router.get('/api/search', requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,196 @@
+import express from 'express';
+import DocumentTemplate, { documentTemplateNames, documentTemplatePlaceholders, isEjsTemplate } from '../models/DocumentTemplate.js';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import { renderInvoicePdf, renderStatementPdf, findUnknownPlaceholders } from '../utils/pdf.js';
+import { buildClientStatement } from '../utils/statements.js';
+import { logAudit } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Render a template with sample data, by template key
+const templatePreviews = {
+  invoice: async (req, content) => {
+    const invoice = await Invoice.findOne({ documentType: 'invoice' })
+      .sort({ createdAt: -1 })
+      .populate('client', 'fullName mobileNumber')
+      .populate({ path: 'file', select: 'fileName company', populate: { path: 'company', select: 'name' } })
+      .populate('assignedDistributor', 'username');
+    
+    if (!invoice) {
+      throw new Error('لا توجد فواتير لمعاينة القالب');
+    }
+    
+    return renderInvoicePdf(invoice, {
+      template: content,
+      verificationUrl: `${req.protocol}://${req.get('host')}/invoices/${invoice._id}`
+    });
+  },
+  statement: async (req, content) => {
+    // The client of the latest invoice, so the preview has entries
+    const invoice = await Invoice.findOne().sort({ createdAt: -1 }).select('client');
+    const client = invoice ? await Client.findById(invoice.client) : await Client.findOne();
+    
+    if (!client) {
+      throw new Error('لا يوجد عملاء لمعاينة القالب');
+    }
+    
+    const statement = await buildClientStatement(client._id, {});
+    return renderStatementPdf(client, statement, { template: content });
+  }
+};
+
+// Helper function to check a template, returns the error message if any
+function validateTemplate(key, content) {
+  if (isEjsTemplate(content)) {
+    return 'القوالب لم تعد تدعم أكواد EJS، استخدم المتغيرات بصيغة {{name}}';
+  }
+  
+  const unknown = findUnknownPlaceholders(key, content);
+  if (unknown.length > 0) {
+    return `متغيرات غير معروفة في القالب: ${unknown.join('، ')}`;
+  }
+  return null;
+}
+
+// Helper function to load the key from the url, redirects on unknown keys
+function getTemplateKey(req, res) {
+  if (!documentTemplateNames[req.params.key]) {
+    req.flash('error', 'القالب غير موجود');
+    res.redirect('/document-templates/invoice');
+    return null;
+  }
+  return req.params.key;
+}
+
+router.get('/', (req, res) => {
+  res.redirect('/document-templates/invoice');
+});
+
+// Template editor
+router.get('/:key', async (req, res) => {
+  try {
+    const key = getTemplateKey(req, res);
+    if (!key) return;
+    
+    const template = await DocumentTemplate.findOne({ key }).populate('updatedBy', 'username');
+    
+    // A template saved in EJS is not used any more, tell the admin
+    if (template && isEjsTemplate(template.content)) {
+      res.locals.error = [...(res.locals.error || []), 'القالب المحفوظ مكتوب بصيغة EJS القديمة ولا يتم استخدامه، تتم الطباعة بالقالب الافتراضي حتى يتم تحويله إلى المتغيرات أو استعادة القالب الافتراضي'];
+    }
+    
+    res.render('document-templates/edit', {
+      key,
+      templateName: documentTemplateNames[key],
+      documentTemplateNames,
+      placeholders: documentTemplatePlaceholders[key],
+      template,
+      content: template ? template.content : await DocumentTemplate.getDefaultContent(key)
+    });
+  } catch (error) {
+    console.error('Document template error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل القالب');
+    res.redirect('/dashboard');
+  }
+});
+
+// Save template
+router.put('/:key', async (req, res) => {
+  try {
+    const key = getTemplateKey(req, res);
+    if (!key) return;
+    
+    const content = req.body.content || '';
+    if (!content.trim()) {
+      req.flash('error', 'محتوى القالب مطلوب');
+      return res.redirect(`/document-templates/${key}`);
+    }
+    
+    const templateError = validateTemplate(key, content);
+    if (templateError) {
+      return res.render('document-templates/edit', {
+        key,
+        templateName: documentTemplateNames[key],
+        documentTemplateNames,
+        placeholders: documentTemplatePlaceholders[key],
+        template: await DocumentTemplate.findOne({ key }).populate('updatedBy', 'username'),
+        content,
+        error: [templateError]
+      });
+    }
+    
+    const before = await DocumentTemplate.findOne({ key });
+    const template = await DocumentTemplate.findOneAndUpdate(
+      { key },
+      { content, updatedBy: req.session.user.id },
+      { upsert: true, new: true }
+    );
+    await logAudit(req, {
+      action: 'update',
+      entityType: 'document_template',
+      entityId: template._id,
+      entityLabel: documentTemplateNames[key],
+      before,
+      after: template
+    });
+    
+    req.flash('success', 'تم حفظ القالب بنجاح');
+    res.redirect(`/document-templates/${key}`);
+  } catch (error) {
+    console.error('Document template save error:', error);
+    req.flash('error', 'حدث خطأ أثناء حفظ القالب');
+    res.redirect(`/document-templates/${req.params.key}`);
+  }
+});
+
+// Preview the posted (unsaved) template as a PDF
+router.post('/:key/preview', async (req, res) => {
+  try {
+    const key = getTemplateKey(req, res);
+    if (!key) return;
+    
+    const content = req.body.content || '';
+    const templateError = validateTemplate(key, content);
+    if (templateError) {
+      return res.status(400).type('text/plain; charset=utf-8').send(`تعذرت معاينة القالب: ${templateError}`);
+    }
+    
+    const pdf = await templatePreviews[key](req, content);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${key}-preview.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Document template preview error:', error);
+    res.status(400).type('text/plain; charset=utf-8').send(`تعذرت معاينة القالب: ${error.message}`);
+  }
+});
+
+// Go back to the default template
+router.delete('/:key', async (req, res) => {
+  try {
+    const key = getTemplateKey(req, res);
+    if (!key) return;
+    
+    const template = await DocumentTemplate.findOneAndDelete({ key });
+    if (template) {
+      await logAudit(req, {
+        action: 'delete',
+        entityType: 'document_template',
+        entityId: template._id,
+        entityLabel: documentTemplateNames[key],
+        before: template
+      });
+    }
+    
+    req.flash('success', 'تمت استعادة القالب الافتراضي');
+    res.redirect(`/document-templates/${key}`);
+  } catch (error) {
+    console.error('Document template reset error:', error);
+    req.flash('error', 'حدث خطأ أثناء استعادة القالب الافتراضي');
+    res.redirect(`/document-templates/${req.params.key}`);
+  }
+});
+
+export default router;
@@ -4,6 +4,8 @@ import Company from '../models/Company.js';
 import Invoice from '../models/Invoice.js';
 import { upload } from '../middleware/upload.js';
 import { requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import { logAudit } from '../utils/audit.js';
+import { getDeleteBlockedMessage, removeIfParentDeleted } from '../utils/dependents.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -11,6 +13,21 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Helper function to log a change to a file (also shown in its company's history)
+async function logFileAudit(req, action, file, before, after) {
+  const companyId = file.company?._id || file.company;
+  
+  await logAudit(req, {
+    action,
+    entityType: 'file',
+    entityId: file._id,
+    entityLabel: file.fileName,
+    before,
+    after,
+    related: companyId ? [{ entityType: 'company', entityId: companyId }] : []
+  });
+}
+
 const router = express.Router();
 
 // List files
@@ -117,6 +134,13 @@ router.post('/', requirePermission('files', 'create'), upload.single('pdf'), asy
     });
     
     await file.save();
+    const parentDeletedMessage = await removeIfParentDeleted('file', file);
+    if (parentDeletedMessage) {
+      req.flash('error', parentDeletedMessage);
+      return res.redirect('/files/new');
+    }
+    
+    await logFileAudit(req, 'create', file, null, file);
     req.flash('success', 'تم إضافة الملف بنجاح');
     res.redirect('/files');
   } catch (error) {
@@ -191,13 +215,15 @@ router.put('/:id', requirePermission('files', 'update'), upload.single('pdf'), a
       updateData.pdfPath = req.file.filename;
     }
     
-    const result = await File.updateOne(query, updateData);
+    const updatedFile = await File.findOneAndUpdate(query, updateData, { new: true });
     
-    if (result.matchedCount === 0) {
+    if (!updatedFile) {
       req.flash('error', 'الملف غير موجود أو ليس لديك صلاحية لتعديله');
       return res.redirect('/files');
     }
     
+    await logFileAudit(req, 'update', updatedFile, file, updatedFile);
+    
     req.flash('success', 'تم تحديث بيانات الملف بنجاح');
     res.redirect('/files');
   } catch (error) {
@@ -217,13 +243,22 @@ router.delete('/:id', requirePermission('files', 'delete'), async (req, res) =>
       query.createdBy = req.session.user.id;
     }
     
-    const result = await File.deleteOne(query);
+    const file = await File.findOne(query);
     
-    if (result.deletedCount === 0) {
+    if (!file) {
       req.flash('error', 'الملف غير موجود أو ليس لديك صلاحية لحذفه');
       return res.redirect('/files');
     }
     
+    const blockedMessage = await getDeleteBlockedMessage('file', file._id);
+    if (blockedMessage) {
+      req.flash('error', blockedMessage);
+      return res.redirect('/files');
+    }
+    
+    await File.deleteOne({ _id: file._id });
+    await logFileAudit(req, 'delete', file, file, null);
+    
     req.flash('success', 'تم حذف الملف بنجاح');
     res.redirect('/files');
   } catch (error) {
@@ -306,6 +341,12 @@ router.post('/api/create', requirePermission('files', 'create'), upload.single('
     });
     
     await file.save();
+    const parentDeletedMessage = await removeIfParentDeleted('file', file);
+    if (parentDeletedMessage) {
+      return res.status(400).json({ error: parentDeletedMessage });
+    }
+    
+    await logFileAudit(req, 'create', file, null, file);
     
     // Populate company info for response
     await file.populate('company', 'name');
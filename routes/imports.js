@@ -0,0 +1,312 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import ImportBatch, { importStatusNames } from '../models/ImportBatch.js';
+import { importUpload } from '../middleware/upload.js';
+import { requirePermission } from '../middleware/auth.js';
+import {
+  readSpreadsheet,
+  guessMapping,
+  getPostedMapping,
+  escapeHtml,
+  duplicateActionNames,
+  MAX_IMPORT_ROWS
+} from '../utils/imports.js';
+import { invoiceImporter } from '../utils/invoiceImport.js';
+import { clientImporter, companyImporter } from '../utils/recordImport.js';
+
+const router = express.Router();
+
+// What can be imported, by the :kind of the URL. An importer names the
+// permission module, lists the fields a column can be mapped to, and checks
+// (preview) and saves (commit) the rows. commit() catches the error of each
+// row in its result, so it only throws before any row was saved.
+const importers = {
+  invoices: invoiceImporter,
+  clients: clientImporter,
+  companies: companyImporter
+};
+
+// Every import page needs the create permission of what is imported
+router.param('kind', (req, res, next, kind) => {
+  req.importer = importers[kind];
+  if (!req.importer) {
+    return next('route');
+  }
+  requirePermission(req.importer.module, 'create')(req, res, next);
+});
+
+// Helper function to load an upload of the current user
+async function findBatch(req, res) {
+  const batch = mongoose.isValidObjectId(req.params.id)
+    ? await ImportBatch.findOne({ _id: req.params.id, kind: req.params.kind, createdBy: req.session.user.id })
+    : null;
+  if (!batch) {
+    req.flash('error', 'عملية الاستيراد غير موجودة أو انتهت صلاحيتها');
+    res.redirect(`/imports/${req.params.kind}`);
+  }
+  return batch;
+}
+
+// Helper function to list the required fields that have no column
+function getUnmappedFields(fields, mapping) {
+  return fields.filter(field => field.required && mapping?.[field.key] === undefined);
+}
+
+// Helper function to read the action chosen for each duplicate row of the
+// preview (fields action_<row number>)
+function getDuplicateActions(body) {
+  return Object.fromEntries(Object.entries(body)
+    .filter(([name]) => /^action_\d+$/.test(name))
+    .map(([name, action]) => [name.slice('action_'.length), String(action)]));
+}
+
+// Upload form and the recent uploads of the user
+router.get('/:kind', async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ kind: req.params.kind, createdBy: req.session.user.id })
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(10);
+    
+    res.render('imports/upload', {
+      importer: req.importer,
+      kind: req.params.kind,
+      fields: req.importer.getFields(req),
+      batches,
+      importStatusNames,
+      maxRows: MAX_IMPORT_ROWS,
+      escapeHtml
+    });
+  } catch (error) {
+    console.error('Import page error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل صفحة الاستيراد');
+    res.redirect(req.importer.backUrl);
+  }
+});
+
+// Empty CSV with the column names, to fill in
+router.get('/:kind/template', (req, res) => {
+  const header = req.importer.getFields(req).map(field => `"${field.label}"`).join(',');
+  
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.kind}-import.csv"`);
+  // The byte order mark makes Excel read the Arabic names as UTF-8
+  res.send(`\uFEFF${header}\r\n`);
+});
+
+// Read the uploaded spreadsheet, then on to the column mapping
+router.post('/:kind', (req, res) => {
+  const uploadUrl = `/imports/${req.params.kind}`;
+  
+  importUpload.single('spreadsheet')(req, res, async uploadError => {
+    try {
+      if (uploadError) {
+        req.flash('error', uploadError.code === 'LIMIT_FILE_SIZE' ? 'حجم الملف يتجاوز 5 ميجابايت' : uploadError.message);
+        return res.redirect(uploadUrl);
+      }
+      if (!req.file) {
+        req.flash('error', 'يجب اختيار ملف Excel أو CSV');
+        return res.redirect(uploadUrl);
+      }
+      
+      const { headers, rows, firstRowNumber, error } = await readSpreadsheet(req.file);
+      if (error) {
+        req.flash('error', error);
+        return res.redirect(uploadUrl);
+      }
+      
+      const batch = await ImportBatch.create({
+        kind: req.params.kind,
+        fileName: req.file.originalname.slice(0, 200),
+        headers,
+        rows,
+        firstRowNumber,
+        mapping: guessMapping(headers, req.importer.getFields(req)),
+        createdBy: req.session.user.id
+      });
+      
+      res.redirect(`/imports/${req.params.kind}/${batch._id}`);
+    } catch (error) {
+      console.error('Import upload error:', error);
+      req.flash('error', 'حدث خطأ أثناء رفع الملف');
+      res.redirect(uploadUrl);
+    }
+  });
+});
+
+// Column mapping, or the results once imported
+router.get('/:kind/:id', async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+    
+    if (batch.status !== 'pending') {
+      return res.render('imports/results', { importer: req.importer, kind: req.params.kind, batch, importStatusNames, escapeHtml });
+    }
+    
+    res.render('imports/mapping', {
+      importer: req.importer,
+      kind: req.params.kind,
+      batch,
+      fields: req.importer.getFields(req),
+      sampleRows: batch.rows.slice(0, 3),
+      escapeHtml
+    });
+  } catch (error) {
+    console.error('Import mapping error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل عملية الاستيراد');
+    res.redirect(`/imports/${req.params.kind}`);
+  }
+});
+
+// Save the column mapping, then on to the preview
+router.post('/:kind/:id/mapping', async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+    
+    if (batch.status !== 'pending') {
+      req.flash('error', 'تم استيراد هذا الملف بالفعل');
+      return res.redirect(`/imports/${req.params.kind}/${batch._id}`);
+    }
+    
+    const fields = req.importer.getFields(req);
+    batch.mapping = getPostedMapping(req.body, fields, batch.headers.length);
+    await batch.save();
+    
+    const unmapped = getUnmappedFields(fields, batch.mapping);
+    if (unmapped.length > 0) {
+      req.flash('error', `اختر عموداً لكل حقل مطلوب: ${unmapped.map(field => field.label).join('، ')}`);
+      return res.redirect(`/imports/${req.params.kind}/${batch._id}`);
+    }
+    
+    res.redirect(`/imports/${req.params.kind}/${batch._id}/preview`);
+  } catch (error) {
+    console.error('Import mapping save error:', error);
+    req.flash('error', 'حدث خطأ أثناء حفظ ربط الأعمدة');
+    res.redirect(`/imports/${req.params.kind}/${req.params.id}`);
+  }
+});
+
+// Every row checked, with its errors, before anything is saved
+router.get('/:kind/:id/preview', async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+    
+    if (batch.status !== 'pending' || getUnmappedFields(req.importer.getFields(req), batch.mapping).length > 0) {
+      return res.redirect(`/imports/${req.params.kind}/${batch._id}`);
+    }
+    
+    const preview = await req.importer.preview(req, batch);
+    const errorRowCount = preview.rows.filter(row => row.errors.length > 0).length;
+    const errorsOnly = req.query.errors === '1';
+    
+    res.render('imports/preview', {
+      importer: req.importer,
+      kind: req.params.kind,
+      batch,
+      preview,
+      rows: errorsOnly ? preview.rows.filter(row => row.errors.length > 0) : preview.rows,
+      errorRowCount,
+      errorsOnly,
+      duplicateActionNames,
+      escapeHtml
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    req.flash('error', 'حدث خطأ أثناء فحص الملف');
+    res.redirect(`/imports/${req.params.kind}/${req.params.id}`);
+  }
+});
+
+// Save the rows without errors; rows with errors are skipped
+router.post('/:kind/:id/commit', async (req, res) => {
+  const batchUrl = `/imports/${req.params.kind}/${req.params.id}`;
+  let batch = null;
+  let results = null;
+  
+  try {
+    // Claimed first, so a second click doesn't import the file twice
+    batch = mongoose.isValidObjectId(req.params.id)
+      ? await ImportBatch.findOneAndUpdate(
+        { _id: req.params.id, kind: req.params.kind, createdBy: req.session.user.id, status: 'pending' },
+        { $set: { status: 'importing' } },
+        { new: true }
+      )
+      : null;
+    if (!batch) {
+      req.flash('error', 'عملية الاستيراد غير موجودة أو تم تنفيذها بالفعل');
+      return res.redirect(batchUrl);
+    }
+    
+    results = await req.importer.commit(req, batch, getDuplicateActions(req.body));
+    batch.results = results;
+    batch.status = 'imported';
+    batch.importedAt = new Date();
+    await batch.save();
+    
+    const importedCount = batch.results.filter(result => !result.error && !result.skipped).length;
+    const failedCount = batch.results.filter(result => result.error).length;
+    req.flash('success', `تم استيراد ${importedCount} ${req.importer.recordName}${failedCount > 0 ? `، وتم تخطي ${failedCount} بسبب الأخطاء` : ''}`);
+    res.redirect(batchUrl);
+  } catch (error) {
+    console.error('Import commit error:', error);
+    // Nothing was saved when commit() itself failed, so it can be tried again.
+    // Once rows are saved the batch stays importing: importing it again would
+    // add them twice.
+    if (batch && !results) {
+      await ImportBatch.updateOne({ _id: batch._id }, { $set: { status: 'pending' } });
+    }
+    req.flash('error', 'حدث خطأ أثناء الاستيراد');
+    res.redirect(batchUrl);
+  }
+});
+
+// The rows that were not imported, with their errors in an extra column.
+// It can be corrected and uploaded again as it is.
+router.get('/:kind/:id/errors', async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+    
+    const rowErrors = new Map();
+    if (batch.status === 'pending') {
+      if (getUnmappedFields(req.importer.getFields(req), batch.mapping).length > 0) {
+        return res.redirect(`/imports/${req.params.kind}/${batch._id}`);
+      }
+      const preview = await req.importer.preview(req, batch);
+      preview.rows
+        .filter(row => row.errors.length > 0)
+        .forEach(row => rowErrors.set(row.rowNumber, row.errors.join('، ')));
+    } else {
+      batch.results
+        .filter(result => result.error)
+        .forEach(result => result.rowNumbers.forEach(rowNumber => rowErrors.set(rowNumber, result.error)));
+    }
+    
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('الأخطاء');
+    worksheet.views = [{ rightToLeft: true }];
+    
+    worksheet.addRow([...batch.headers, 'رقم الصف', 'الأخطاء']).font = { bold: true };
+    [...rowErrors.keys()].sort((a, b) => a - b).forEach(rowNumber => {
+      const cells = batch.rows[rowNumber - batch.firstRowNumber] || [];
+      worksheet.addRow([...cells, rowNumber, rowErrors.get(rowNumber)]);
+    });
+    worksheet.getColumn(batch.headers.length + 2).width = 60;
+    
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=import-errors-${batch._id}.xlsx`);
+    
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Import error report error:', error);
+    req.flash('error', 'حدث خطأ أثناء إنشاء تقرير الأخطاء');
+    res.redirect(`/imports/${req.params.kind}/${req.params.id}`);
+  }
+});
+
+export default router;
@@ -0,0 +1,152 @@
+import express from 'express';
+import InvoiceSequence from '../models/InvoiceSequence.js';
+import Company from '../models/Company.js';
+import { logAudit, toAuditSnapshot } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Helper function to read the sequence settings posted by the form
+function getSequenceData(body) {
+  return {
+    name: body.name?.trim(),
+    prefix: (body.prefix || '').trim(),
+    separator: body.separator ?? '-',
+    includeYear: body.includeYear === 'on',
+    padding: parseInt(body.padding) || 5
+  };
+}
+
+// List invoice sequences
+router.get('/', async (req, res) => {
+  try {
+    // Make sure the default sequences exist so they can be configured
+    await InvoiceSequence.findForCompany(null, 'invoice');
+    await InvoiceSequence.findForCompany(null, 'credit_note');
+    
+    const sequences = await InvoiceSequence.find()
+      .populate('company', 'name')
+      .sort({ documentType: 1, company: 1, name: 1 });
+    
+    res.render('invoice-sequences/index', { sequences });
+  } catch (error) {
+    console.error('Invoice sequences error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل تسلسلات الترقيم');
+    res.render('invoice-sequences/index', { sequences: [] });
+  }
+});
+
+// New sequence form
+router.get('/new', async (req, res) => {
+  try {
+    const companies = await Company.find().sort({ name: 1 });
+    res.render('invoice-sequences/new', { companies });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل البيانات');
+    res.redirect('/invoice-sequences');
+  }
+});
+
+// Create sequence
+router.post('/', async (req, res) => {
+  try {
+    const { company, documentType } = req.body;
+    const data = getSequenceData(req.body);
+    
+    if (!data.name || !company) {
+      req.flash('error', 'الاسم والشركة مطلوبان');
+      return res.redirect('/invoice-sequences/new');
+    }
+    
+    const existing = await InvoiceSequence.findOne({ company, documentType });
+    if (existing) {
+      req.flash('error', 'يوجد تسلسل ترقيم لهذه الشركة ونوع المستند بالفعل');
+      return res.redirect('/invoice-sequences/new');
+    }
+    
+    const sequence = new InvoiceSequence({
+      ...data,
+      company,
+      documentType,
+      createdBy: req.session.user.id
+    });
+    
+    await sequence.save();
+    await logAudit(req, { action: 'create', entityType: 'invoice_sequence', entityId: sequence._id, entityLabel: sequence.name, after: sequence });
+    req.flash('success', 'تم إضافة تسلسل الترقيم بنجاح');
+    res.redirect('/invoice-sequences');
+  } catch (error) {
+    console.error('Invoice sequence create error:', error);
+    req.flash('error', 'حدث خطأ أثناء إضافة تسلسل الترقيم');
+    res.redirect('/invoice-sequences/new');
+  }
+});
+
+// Edit sequence form
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const sequence = await InvoiceSequence.findById(req.params.id).populate('company', 'name');
+    if (!sequence) {
+      req.flash('error', 'تسلسل الترقيم غير موجود');
+      return res.redirect('/invoice-sequences');
+    }
+    
+    res.render('invoice-sequences/edit', { sequence });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل بيانات تسلسل الترقيم');
+    res.redirect('/invoice-sequences');
+  }
+});
+
+// Update sequence (counters are left alone)
+router.put('/:id', async (req, res) => {
+  try {
+    const data = getSequenceData(req.body);
+    
+    if (!data.name) {
+      req.flash('error', 'اسم التسلسل مطلوب');
+      return res.redirect(`/invoice-sequences/${req.params.id}/edit`);
+    }
+    
+    const sequence = await InvoiceSequence.findById(req.params.id);
+    if (!sequence) {
+      req.flash('error', 'تسلسل الترقيم غير موجود');
+      return res.redirect('/invoice-sequences');
+    }
+    
+    const before = toAuditSnapshot(sequence);
+    
+    // The default sequences are always active
+    sequence.set({ ...data, isActive: sequence.company ? req.body.isActive === 'on' : true });
+    await sequence.save();
+    await logAudit(req, { action: 'update', entityType: 'invoice_sequence', entityId: sequence._id, entityLabel: sequence.name, before, after: sequence });
+    
+    req.flash('success', 'تم تحديث تسلسل الترقيم بنجاح');
+    res.redirect('/invoice-sequences');
+  } catch (error) {
+    console.error('Invoice sequence update error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحديث تسلسل الترقيم');
+    res.redirect('/invoice-sequences');
+  }
+});
+
+// Delete a company sequence (its invoices fall back to the default sequence)
+router.delete('/:id', async (req, res) => {
+  try {
+    const sequence = await InvoiceSequence.findById(req.params.id);
+    
+    if (!sequence || !sequence.company) {
+      req.flash('error', 'لا يمكن حذف تسلسل الترقيم الافتراضي');
+      return res.redirect('/invoice-sequences');
+    }
+    
+    await InvoiceSequence.findByIdAndDelete(req.params.id);
+    await logAudit(req, { action: 'delete', entityType: 'invoice_sequence', entityId: sequence._id, entityLabel: sequence.name, before: sequence });
+    req.flash('success', 'تم حذف تسلسل الترقيم بنجاح');
+    res.redirect('/invoice-sequences');
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء حذف تسلسل الترقيم');
+    res.redirect('/invoice-sequences');
+  }
+});
+
+export default router;
@@ -5,36 +5,84 @@ import Client from '../models/Client.js';
 import File from '../models/File.js';
 import User from '../models/User.js';
 import Company from '../models/Company.js';
-import CommissionTier from '../models/CommissionTier.js';
+import Payment, { paymentMethodNames } from '../models/Payment.js';
+import InvoiceVersion, { getInvoiceSnapshot, RESTORABLE_FIELDS } from '../models/InvoiceVersion.js';
+import DocumentTemplate from '../models/DocumentTemplate.js';
+import { renderInvoicePdf } from '../utils/pdf.js';
+import { logInvoiceAudit, toAuditSnapshot } from '../utils/audit.js';
+import { getPaymentDetails, recordPayment } from '../utils/payments.js';
+import { calculateCommissionRate, resolveDueDate, recordInvoiceVersion, createInvoice } from '../utils/invoices.js';
+import { getDeleteBlockedMessage } from '../utils/dependents.js';
 import ExcelJS from 'exceljs';
-import { requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import { requireAdmin, requireModuleAccess, requirePermission } from '../middleware/auth.js';
+import {
+  calculateInvoiceAmounts,
+  validateInvoiceInputs,
+  findAmountMismatches,
+  calculateCommissionAmounts
+} from '../utils/invoiceCalculations.js';
 
 const router = express.Router();
 
-// Helper function to calculate commission rate
-async function calculateCommissionRate(entityType, entityId, amount) {
-  // First try to find a commission tier for the specific amount
-  const tierRate = await CommissionTier.findCommissionRate(entityType, entityId, amount);
-  
-  if (tierRate !== null) {
-    return tierRate;
+// Helper function to normalize posted line items
+// (qs turns lineItems[0][description] into an array, or an object past 20 rows)
+function parseLineItems(rawItems) {
+  if (!rawItems) {
+    return [];
   }
   
-  // If no tier found, use default rate from the entity
-  let entity;
-  switch (entityType) {
-    case 'client':
-      entity = await Client.findById(entityId);
-      break;
-    case 'distributor':
-      entity = await User.findById(entityId);
-      break;
-    case 'company':
-      entity = await Company.findById(entityId);
-      break;
+  const items = Array.isArray(rawItems) ? rawItems : Object.values(rawItems);
+  
+  return items
+    .filter(item => item && item.description && item.description.trim())
+    .map(item => ({
+      description: item.description.trim(),
+      quantity: parseFloat(item.quantity) || 0,
+      unitPrice: parseFloat(item.unitPrice) || 0,
+      discount: parseFloat(item.discount) || 0,
+      taxRate: parseFloat(item.taxRate) || 0
+    }));
+}
+
+// Helper function to pick the calculation inputs out of a posted form
+function getAmountInputs(body, lineItems) {
+  return {
+    lineItems,
+    total: body.total,
+    taxPercentage: body.taxPercentage,
+    managementTaxPercentage: body.managementTaxPercentage,
+    corporateTaxPercentage: body.corporateTaxPercentage,
+    profitPercentage: body.profitPercentage,
+    discountAmount: body.discountAmount
+  };
+}
+
+// Helper function to pay a list of invoices for one step.
+// Without an amount every invoice is paid in full; with an amount it is
+// spread over the invoices, oldest first, and the last one may be paid in part.
+async function recordBulkPayments(req, invoices, step, details) {
+  const sortedInvoices = [...invoices].sort((a, b) => new Date(a.invoiceDate) - new Date(b.invoiceDate));
+  let remaining = details.amount;
+  let paidCount = 0;
+  let totalPaid = 0;
+  
+  for (const invoice of sortedInvoices) {
+    const outstanding = invoice.getOutstandingAmount(step);
+    if (outstanding <= 0) continue;
+    
+    let amount = outstanding;
+    if (remaining !== null) {
+      if (remaining <= 0) break;
+      amount = Math.min(outstanding, remaining);
+      remaining = Math.round((remaining - amount) * 100) / 100;
+    }
+    
+    await recordPayment(req, invoice, step, { ...details, amount });
+    paidCount++;
+    totalPaid += amount;
   }
   
-  return entity ? entity.commissionRate : 0;
+  return { paidCount, totalPaid };
 }
 
 // List invoices
@@ -53,11 +101,15 @@ router.get('/', requireModuleAccess('invoices'), async (req, res) => {
       query.createdBy = { $nin: adminIds };
     }
     
+    // Optional list filter on top of the role-based query
+    const overdue = req.query.overdue === '1';
+    const filterQuery = overdue ? Invoice.getOverdueQuery() : {};
+    
     // For admin, show all invoices but prioritize their own created invoices
     let invoices;
     if (req.session.user.role === 'admin') {
       // Get all invoices for admin
-      invoices = await Invoice.find({})
+      invoices = await Invoice.find(filterQuery)
         .populate('client', 'fullName')
         .populate('file', 'fileName')
         .populate('assignedDistributor', 'username')
@@ -69,7 +121,7 @@ router.get('/', requireModuleAccess('invoices'), async (req, res) => {
         .sort({ createdAt: -1 });
     } else {
       // For distributors, use the filtered query
-      invoices = await Invoice.find(query)
+      invoices = await Invoice.find({ ...query, ...filterQuery })
         .populate('client', 'fullName')
         .populate('file', 'fileName')
         .populate('assignedDistributor', 'username')
@@ -80,9 +132,10 @@ router.get('/', requireModuleAccess('invoices'), async (req, res) => {
         .populate('paymentStatus.adminToCompany.markedBy', 'username')
         .sort({ createdAt: -1 });
     }
-      
+    
     res.render('invoices/index', { 
       invoices,
+      filters: { overdue },
       userPermissions: req.userPermissionLevel || {},
       currentUser: req.session.user || {}
     });
@@ -91,6 +144,7 @@ router.get('/', requireModuleAccess('invoices'), async (req, res) => {
     req.flash('error', 'حدث خطأ أثناء تحميل الفواتير');
     res.render('invoices/index', { 
       invoices: [],
+      filters: { overdue: false },
       userPermissions: req.userPermissionLevel || {},
       currentUser: req.session.user || {}
     });
@@ -125,12 +179,25 @@ router.get('/new', requirePermission('invoices', 'create'), async (req, res) =>
   }
 });
 
-// API endpoint to calculate commission rates
+// API endpoint to calculate commission rates and invoice amounts
 router.post('/calculate-commission', requirePermission('invoices', 'create'), async (req, res) => {
   try {
-    const { clientId, distributorId, fileId, amount, customClientRate, customDistributorRate } = req.body;
+    const { clientId, distributorId, fileId, customClientRate, customDistributorRate } = req.body;
+    
+    const amountInputs = getAmountInputs(
+      { ...req.body, total: req.body.total ?? req.body.amount },
+      parseLineItems(req.body.lineItems)
+    );
+    
+    const inputErrors = validateInvoiceInputs(amountInputs);
+    if (inputErrors.length > 0) {
+      return res.json({ error: inputErrors[0], errors: inputErrors });
+    }
+    
+    const amounts = calculateInvoiceAmounts(amountInputs);
+    const amount = amounts.total;
     
-    if (!amount || amount <= 0) {
+    if (amount <= 0) {
       return res.json({ error: 'المبلغ غير صحيح' });
     }
     
@@ -159,13 +226,16 @@ router.post('/calculate-commission', requirePermission('invoices', 'create'), as
       companyRate = await calculateCommissionRate('company', file.company._id, amount);
     }
     
+    const commissions = calculateCommissionAmounts(amount, { clientRate, distributorRate, companyRate });
+    
     res.json({
       clientRate,
       distributorRate,
       companyRate,
-      clientCommission: (amount * clientRate / 100).toFixed(2),
-      distributorCommission: (amount * distributorRate / 100).toFixed(2),
-      companyCommission: (amount * companyRate / 100).toFixed(2),
+      clientCommission: commissions.clientCommission.toFixed(2),
+      distributorCommission: commissions.distributorCommission.toFixed(2),
+      companyCommission: commissions.companyCommission.toFixed(2),
+      amounts,
       isCustomClientRate,
       isCustomDistributorRate
     });
@@ -184,123 +254,74 @@ router.post('/', requirePermission('invoices', 'create'), async (req, res) => {
       file, 
       assignedDistributor, 
       invoiceDate, 
-      total,
-      taxPercentage,
-      taxAmount,
-      managementTaxPercentage,
-      managementTaxAmount,
-      corporateTaxPercentage,
-      corporateTaxAmount,
-      profitPercentage,
-      profitAmount,
-      finalAmount,
-      discountAmount,
+      dueDate,
+      lineItems,
       customClientCommissionRate,
       customDistributorCommissionRate
     } = req.body;
     
+    // Admins may type a code by hand (e.g. when entering legacy invoices),
+    // otherwise the next number of the company's sequence is used
+    const manualCode = req.session.user.role === 'admin' ? (invoiceCode || '').trim() : '';
+    
     // Check for duplicate invoice code
-    const existingInvoice = await Invoice.findOne({ invoiceCode: invoiceCode.trim() });
-    if (existingInvoice) {
-      req.flash('error', 'Invoice code already exists.');
-      return res.redirect('/invoices/new');
+    if (manualCode) {
+      const existingInvoice = await Invoice.findOne({ invoiceCode: manualCode });
+      if (existingInvoice) {
+        req.flash('error', 'Invoice code already exists.');
+        return res.redirect('/invoices/new');
+      }
     }
     
-    const invoiceTotal = parseFloat(total) || 0;
-    const taxPercentageValue = parseFloat(taxPercentage) || 0;
-    const taxAmountValue = parseFloat(taxAmount) || 0;
-    const managementTaxPercentageValue = parseFloat(managementTaxPercentage) || 0;
-    const managementTaxAmountValue = parseFloat(managementTaxAmount) || 0;
-    const corporateTaxPercentageValue = parseFloat(corporateTaxPercentage) || 0;
-    const corporateTaxAmountValue = parseFloat(corporateTaxAmount) || 0;
-    const profitPercentageValue = parseFloat(profitPercentage) || 0;
-    const profitAmountValue = parseFloat(profitAmount) || 0;
-    const finalAmountValue = parseFloat(finalAmount) || 0;
-    const discountAmountValue = parseFloat(discountAmount) || 0;
-    
-    console.log('Form data received:', { 
-      customClientCommissionRate, 
-      customDistributorCommissionRate, 
-      total: invoiceTotal,
-      taxPercentage: taxPercentageValue,
-      taxAmount: taxAmountValue,
-      managementTaxPercentage: managementTaxPercentageValue,
-      managementTaxAmount: managementTaxAmountValue,
-      corporateTaxPercentage: corporateTaxPercentageValue,
-      corporateTaxAmount: corporateTaxAmountValue,
-      profitPercentage: profitPercentageValue,
-      profitAmount: profitAmountValue,
-      finalAmount: finalAmountValue,
-      discountAmount: discountAmountValue 
-    });
-    
-    // Calculate commission rates based on total
-    let clientCommissionRate, distributorCommissionRate;
-    let customClientCommissionRateValue = null, customDistributorCommissionRateValue = null;
-    
-    if (customClientCommissionRate && customClientCommissionRate > 0) {
-      clientCommissionRate = parseFloat(customClientCommissionRate);
-      customClientCommissionRateValue = clientCommissionRate;
-      console.log('Using custom client rate:', clientCommissionRate);
-    } else {
-      clientCommissionRate = await calculateCommissionRate('client', client, invoiceTotal);
-      console.log('Using default client rate:', clientCommissionRate);
+    const lineItemsValue = parseLineItems(lineItems);
+    if (lineItemsValue.length === 0) {
+      req.flash('error', 'يجب إضافة بند واحد على الأقل للفاتورة');
+      return res.redirect('/invoices/new');
     }
     
-    if (customDistributorCommissionRate && customDistributorCommissionRate > 0) {
-      distributorCommissionRate = parseFloat(customDistributorCommissionRate);
-      customDistributorCommissionRateValue = distributorCommissionRate;
-      console.log('Using custom distributor rate:', distributorCommissionRate);
-    } else {
-      distributorCommissionRate = await calculateCommissionRate('distributor', assignedDistributor, invoiceTotal);
-      console.log('Using default distributor rate:', distributorCommissionRate);
+    const dueDateValue = await resolveDueDate(dueDate, invoiceDate, client);
+    if (!dueDateValue) {
+      req.flash('error', 'تاريخ الاستحقاق غير صحيح، يجب ألا يسبق تاريخ الفاتورة');
+      return res.redirect('/invoices/new');
     }
     
-    const fileData = await File.findById(file).populate('company');
-    
-    let companyCommissionRate = 0;
-    if (fileData && fileData.company) {
-      companyCommissionRate = await calculateCommissionRate('company', fileData.company._id, invoiceTotal);
+    // All money figures are calculated here; posted amounts are only checked
+    const amountInputs = getAmountInputs(req.body, lineItemsValue);
+    const inputErrors = validateInvoiceInputs(amountInputs);
+    if (inputErrors.length > 0) {
+      req.flash('error', inputErrors.join('، '));
+      return res.redirect('/invoices/new');
     }
     
-    console.log('Saving invoice with custom rates:', {
-      customClientCommissionRate: customClientCommissionRateValue,
-      customDistributorCommissionRate: customDistributorCommissionRateValue
-    });
+    const amounts = calculateInvoiceAmounts(amountInputs);
+    const mismatches = findAmountMismatches(req.body, amounts);
+    if (mismatches.length > 0) {
+      console.error('Posted invoice amounts do not match calculation:', { mismatches, amounts });
+      req.flash('error', 'المبالغ المرسلة لا تتطابق مع حساب النظام، يرجى مراجعة الفاتورة وإعادة المحاولة');
+      return res.redirect('/invoices/new');
+    }
     
-    const invoice = new Invoice({
-      invoiceCode: invoiceCode.trim(),
+    const invoice = await createInvoice(req, {
+      invoiceCode: manualCode,
       client,
       file,
       assignedDistributor,
-      invoiceDate: new Date(invoiceDate),
-      total: invoiceTotal,
-      taxPercentage: taxPercentageValue,
-      taxAmount: taxAmountValue,
-      managementTaxPercentage: managementTaxPercentageValue,
-      managementTaxAmount: managementTaxAmountValue,
-      corporateTaxPercentage: corporateTaxPercentageValue,
-      corporateTaxAmount: corporateTaxAmountValue,
-      profitPercentage: profitPercentageValue,
-      profitAmount: profitAmountValue,
-      finalAmount: finalAmountValue,
-      discountAmount: discountAmountValue,
-      clientCommissionRate,
-      distributorCommissionRate,
-      companyCommissionRate,
-      customClientCommissionRate: customClientCommissionRateValue,
-      customDistributorCommissionRate: customDistributorCommissionRateValue,
-      createdBy: req.session.user.id
+      invoiceDate,
+      dueDate: dueDateValue,
+      lineItems: lineItemsValue,
+      amounts,
+      customClientCommissionRate,
+      customDistributorCommissionRate
     });
-    
-    await invoice.save();
     console.log('Invoice saved successfully with ID:', invoice._id);
-    req.flash('success', 'تم إنشاء الفاتورة بنجاح');
+    req.flash('success', `تم إنشاء الفاتورة ${invoice.invoiceCode} بنجاح`);
     res.redirect('/invoices');
   } catch (error) {
     console.error('Invoice creation error:', error);
     if (error.code === 11000 && error.keyPattern?.invoiceCode) {
       req.flash('error', 'Invoice code already exists.');
+    } else if (error.code === 'PARENT_DELETED') {
+      req.flash('error', error.message);
     } else {
       req.flash('error', 'حدث خطأ أثناء إنشاء الفاتورة');
     }
@@ -339,15 +360,26 @@ router.post('/:id/payment/:step', requireModuleAccess('invoices'), async (req, r
       return res.redirect('/invoices');
     }
     
+    if (invoice.isCreditNote) {
+      req.flash('error', 'لا يمكن تسجيل دفعات على إشعار دائن');
+      return res.redirect(`/invoices/${id}`);
+    }
+    
     // Check if step is already paid
-    if (invoice.paymentStatus[step].isPaid) {
+    const outstanding = invoice.getOutstandingAmount(step);
+    if (invoice.paymentStatus[step].isPaid || outstanding <= 0) {
       req.flash('error', 'هذه الخطوة مدفوعة بالفعل');
       return res.redirect('/invoices');
     }
     
-    // Mark the payment step as paid
-    invoice.markPaymentStep(step, req.session.user.id);
-    await invoice.save();
+    // Record the payment, in full unless a smaller amount was posted
+    const details = getPaymentDetails(req.body);
+    if (details.amount && details.amount > outstanding + 0.01) {
+      req.flash('error', `المبلغ أكبر من المتبقي على هذه الخطوة (${outstanding.toLocaleString('ar-EG')} جنيه)`);
+      return res.redirect(`/invoices/${id}`);
+    }
+    
+    const payment = await recordPayment(req, invoice, step, details);
     
     const stepNames = {
       clientToDistributor: 'العميل → الموزع',
@@ -355,16 +387,30 @@ router.post('/:id/payment/:step', requireModuleAccess('invoices'), async (req, r
       adminToCompany: 'الإدارة → الشركة'
     };
     
-    req.flash('success', `تم تحديث حالة الدفع: ${stepNames[step]}`);
+    if (invoice.paymentStatus[step].isPaid) {
+      req.flash('success', `تم تحديث حالة الدفع: ${stepNames[step]}`);
+    } else {
+      req.flash('success', `تم تسجيل دفعة جزئية بقيمة ${payment.amount.toLocaleString('ar-EG')} جنيه (${stepNames[step]})، المتبقي ${invoice.getOutstandingAmount(step).toLocaleString('ar-EG')} جنيه`);
+    }
     
     // Redirect back to dashboard if coming from dashboard
     if (req.headers.referer && req.headers.referer.includes('/dashboard')) {
       return res.redirect('/dashboard');
     }
     
+    // Redirect back to the invoice if the payment was recorded from its details page
+    if (req.headers.referer && req.headers.referer.includes(`/invoices/${id}`)) {
+      return res.redirect(`/invoices/${id}`);
+    }
+    
     res.redirect('/invoices');
   } catch (error) {
-    req.flash('error', 'حدث خطأ أثناء تحديث حالة الدفع');
+    if (error.code === 'PAYMENT_REJECTED') {
+      req.flash('error', error.message);
+    } else {
+      console.error('Payment recording error:', error);
+      req.flash('error', 'حدث خطأ أثناء تحديث حالة الدفع');
+    }
     res.redirect('/invoices');
   }
 });
@@ -392,16 +438,13 @@ router.post('/bulk-pay/client/:clientId', requireModuleAccess('invoices'), async
       return res.redirect('/dashboard');
     }
     
-    // Mark all as paid
-    let updatedCount = 0;
-    for (const invoice of invoices) {
-      invoice.markPaymentStep('clientToDistributor', req.session.user.id);
-      await invoice.save();
-      updatedCount++;
-    }
+    // Pay all in full, or spread the posted amount over the oldest invoices
+    const { paidCount, totalPaid } = await recordBulkPayments(
+      req, invoices, 'clientToDistributor', getPaymentDetails(req.body)
+    );
     
     const clientName = invoices[0].client?.fullName || 'العميل';
-    req.flash('success', `تم تحديث ${updatedCount} فاتورة للعميل "${clientName}" كمدفوعة`);
+    req.flash('success', `تم تسجيل دفعات بقيمة ${totalPaid.toLocaleString('ar-EG')} جنيه على ${paidCount} فاتورة للعميل "${clientName}"`);
     res.redirect('/dashboard');
   } catch (error) {
     console.error('Bulk payment error:', error);
@@ -459,24 +502,20 @@ router.post('/bulk-pay/distributor/:distributorId', requireModuleAccess('invoice
       return res.redirect('/dashboard');
     }
     
-    // Mark all as paid (distributor to admin)
-    let updatedCount = 0;
-    for (const invoice of adminInvoices) {
-      console.log('Processing invoice:', invoice._id);
-      // Only mark distributorToAdmin as paid (admin is paying the distributor)
-      // Don't mark clientToDistributor as paid since that's a separate step
-      invoice.markPaymentStep('distributorToAdmin', req.session.user.id);
-      await invoice.save();
-      updatedCount++;
-    }
+    // Pay distributor to admin in full, or spread the posted amount over the oldest invoices
+    // Don't mark clientToDistributor as paid since that's a separate step
+    const { paidCount, totalPaid } = await recordBulkPayments(
+      req, adminInvoices, 'distributorToAdmin', getPaymentDetails(req.body)
+    );
     
     const distributorName = invoices[0].assignedDistributor?.username || 'الموزع';
     console.log('Bulk payment completed:', {
-      updatedCount,
+      paidCount,
+      totalPaid,
       distributorName
     });
     
-    req.flash('success', `تم تحديث جميع الفواتير (${updatedCount} فاتورة) للموزع "${distributorName}" كمدفوعة`);
+    req.flash('success', `تم تسجيل دفعات بقيمة ${totalPaid.toLocaleString('ar-EG')} جنيه على ${paidCount} فاتورة للموزع "${distributorName}"`);
     res.redirect('/dashboard');
   } catch (error) {
     console.error('Bulk payment error:', error);
@@ -549,23 +588,19 @@ router.post('/bulk-pay/company/:companyId', requireModuleAccess('invoices'), asy
       return res.redirect('/dashboard');
     }
     
-    // Mark all as paid (admin to company)
-    let updatedCount = 0;
-    for (const invoice of companyInvoices) {
-      console.log('Processing company invoice:', invoice._id);
-      // Mark as admin to company paid
-      invoice.markPaymentStep('adminToCompany', req.session.user.id);
-      await invoice.save();
-      updatedCount++;
-    }
+    // Pay admin to company in full, or spread the posted amount over the oldest invoices
+    const { paidCount, totalPaid } = await recordBulkPayments(
+      req, companyInvoices, 'adminToCompany', getPaymentDetails(req.body)
+    );
     
     const companyName = companyInvoices[0].file?.company?.name || 'الشركة';
     console.log('Company bulk payment completed:', {
-      updatedCount,
+      paidCount,
+      totalPaid,
       companyName
     });
     
-    req.flash('success', `تم تحديث جميع الفواتير (${updatedCount} فاتورة) للشركة "${companyName}" كمدفوعة`);
+    req.flash('success', `تم تسجيل دفعات بقيمة ${totalPaid.toLocaleString('ar-EG')} جنيه على ${paidCount} فاتورة للشركة "${companyName}"`);
     res.redirect('/dashboard');
   } catch (error) {
     console.error('Bulk payment error:', error);
@@ -598,9 +633,15 @@ router.delete('/:id/payment/:step', requirePermission('invoices', 'update'), asy
       return res.redirect('/invoices');
     }
     
-    // Unmark the payment step
+    // Void the step's payments and unmark it
+    const before = toAuditSnapshot(invoice);
+    await Payment.updateMany(
+      { invoice: invoice._id, step, isVoided: false },
+      { isVoided: true, voidedAt: new Date(), voidedBy: req.session.user.id }
+    );
     invoice.unmarkPaymentStep(step);
     await invoice.save();
+    await logInvoiceAudit(req, 'unmark_payment', invoice, { before, details: { step } });
     
     const stepNames = {
       clientToDistributor: 'العميل → الموزع',
@@ -616,6 +657,168 @@ router.delete('/:id/payment/:step', requirePermission('invoices', 'update'), asy
   }
 });
 
+// Void a single recorded payment (admin only)
+router.delete('/:id/payments/:paymentId', requirePermission('invoices', 'update'), async (req, res) => {
+  try {
+    if (req.session.user.role !== 'admin') {
+      req.flash('error', 'ليس لديك صلاحية لإلغاء الدفعات');
+      return res.redirect(`/invoices/${req.params.id}`);
+    }
+    
+    const invoice = await Invoice.findById(req.params.id);
+    const payment = await Payment.findOne({ _id: req.params.paymentId, invoice: req.params.id, isVoided: false });
+    
+    if (!invoice || !payment) {
+      req.flash('error', 'الدفعة غير موجودة أو تم إلغاؤها بالفعل');
+      return res.redirect(`/invoices/${req.params.id}`);
+    }
+    
+    const before = toAuditSnapshot(invoice);
+    await payment.voidPayment(invoice, req.session.user.id);
+    await logInvoiceAudit(req, 'void_payment', invoice, {
+      before,
+      details: { paymentId: payment._id, step: payment.step, amount: payment.amount }
+    });
+    
+    req.flash('success', `تم إلغاء الدفعة بقيمة ${payment.amount.toLocaleString('ar-EG')} جنيه`);
+    res.redirect(`/invoices/${req.params.id}`);
+  } catch (error) {
+    if (error.code === 'PAYMENT_REJECTED') {
+      req.flash('error', error.message);
+    } else {
+      console.error('Payment void error:', error);
+      req.flash('error', 'حدث خطأ أثناء إلغاء الدفعة');
+    }
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
+// Helper function to show the client, file and distributor ids of the
+// version diffs by name
+async function getVersionValueNames(versions) {
+  const ids = { client: new Set(), file: new Set(), assignedDistributor: new Set() };
+  versions.forEach(version => {
+    version.changes.forEach(change => {
+      if (ids[change.field]) {
+        [change.before, change.after].filter(Boolean).forEach(id => ids[change.field].add(String(id)));
+      }
+    });
+  });
+  
+  const [clients, files, distributors] = await Promise.all([
+    Client.find({ _id: { $in: [...ids.client] } }).select('fullName'),
+    File.find({ _id: { $in: [...ids.file] } }).select('fileName'),
+    User.find({ _id: { $in: [...ids.assignedDistributor] } }).select('username')
+  ]);
+  
+  const names = {};
+  clients.forEach(client => { names[client._id] = client.fullName; });
+  files.forEach(file => { names[file._id] = file.fileName; });
+  distributors.forEach(distributor => { names[distributor._id] = distributor.username; });
+  
+  return names;
+}
+
+// Helper function to load an invoice that can be credited
+async function findCreditableInvoice(req, res) {
+  const invoice = await Invoice.findById(req.params.id);
+  
+  if (!invoice) {
+    req.flash('error', 'الفاتورة غير موجودة');
+    res.redirect('/invoices');
+    return null;
+  }
+  
+  if (invoice.isCreditNote || invoice.status === 'cancelled') {
+    req.flash('error', 'لا يمكن إصدار إشعار دائن لهذه الفاتورة');
+    res.redirect(`/invoices/${req.params.id}`);
+    return null;
+  }
+  
+  return invoice;
+}
+
+// Helper function to issue a credit note and report the outcome
+async function issueCreditNote(req, res, invoice, quantities) {
+  const reason = req.body.reason?.trim();
+  if (!reason) {
+    req.flash('error', 'سبب الإشعار الدائن مطلوب');
+    return res.redirect(quantities ? `/invoices/${invoice._id}/credit-note` : `/invoices/${invoice._id}`);
+  }
+  
+  try {
+    const before = toAuditSnapshot(invoice);
+    const creditNote = await Invoice.issueCreditNote(invoice, { quantities, reason }, req.session.user.id);
+    await logInvoiceAudit(req, 'create', creditNote, { details: { originalInvoice: invoice._id, reason } });
+    await logInvoiceAudit(req, quantities ? 'credit_note' : 'cancel', invoice, {
+      before,
+      details: { creditNote: creditNote._id, creditNoteCode: creditNote.invoiceCode, reason }
+    });
+    
+    req.flash('success', quantities
+      ? `تم إصدار الإشعار الدائن ${creditNote.invoiceCode} بقيمة ${Math.abs(creditNote.finalAmount).toLocaleString('ar-EG')} جنيه`
+      : `تم إلغاء الفاتورة وإصدار الإشعار الدائن ${creditNote.invoiceCode}`);
+    res.redirect(`/invoices/${creditNote._id}`);
+  } catch (error) {
+    console.error('Credit note error:', error);
+    req.flash('error', `تعذر إصدار الإشعار الدائن: ${error.message}`);
+    res.redirect(quantities ? `/invoices/${invoice._id}/credit-note` : `/invoices/${invoice._id}`);
+  }
+}
+
+// Credit note form (admin only)
+router.get('/:id/credit-note', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await findCreditableInvoice(req, res);
+    if (!invoice) return;
+    
+    if (invoice.lineItems.length === 0) {
+      req.flash('error', 'الفواتير بدون بنود يمكن إلغاؤها بالكامل فقط');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    await invoice.populate('client', 'fullName');
+    const creditNotes = await invoice.getCreditNotes();
+    
+    res.render('invoices/credit-note', {
+      invoice,
+      creditableLines: invoice.getCreditableLineItems(creditNotes)
+    });
+  } catch (error) {
+    console.error('Credit note form error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل نموذج الإشعار الدائن');
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
+// Issue a partial credit note (admin only)
+router.post('/:id/credit-notes', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await findCreditableInvoice(req, res);
+    if (!invoice) return;
+    
+    await issueCreditNote(req, res, invoice, req.body.quantities || {});
+  } catch (error) {
+    console.error('Credit note error:', error);
+    req.flash('error', 'حدث خطأ أثناء إصدار الإشعار الدائن');
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
+// Cancel an invoice by crediting everything not credited yet (admin only)
+router.post('/:id/cancel', requireAdmin, async (req, res) => {
+  try {
+    const invoice = await findCreditableInvoice(req, res);
+    if (!invoice) return;
+    
+    await issueCreditNote(req, res, invoice, null);
+  } catch (error) {
+    console.error('Invoice cancel error:', error);
+    req.flash('error', 'حدث خطأ أثناء إلغاء الفاتورة');
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
 // Show invoice details
 router.get('/:id', requireModuleAccess('invoices'), async (req, res) => {
   try {
@@ -636,6 +839,7 @@ router.get('/:id', requireModuleAccess('invoices'), async (req, res) => {
       .populate('assignedDistributor', 'username')
       .populate('createdBy', 'username')
       .populate('approvedBy', 'username')
+      .populate('originalInvoice', 'invoiceCode')
       .populate('paymentStatus.clientToDistributor.markedBy', 'username')
       .populate('paymentStatus.distributorToAdmin.markedBy', 'username')
       .populate('paymentStatus.adminToCompany.markedBy', 'username');
@@ -645,14 +849,32 @@ router.get('/:id', requireModuleAccess('invoices'), async (req, res) => {
       return res.redirect('/invoices');
     }
     
+    const creditNotes = invoice.isCreditNote ? [] : await invoice.getCreditNotes().populate('createdBy', 'username');
+    
     // Calculate commission amounts
-    const clientCommission = (invoice.amount * invoice.clientCommissionRate / 100);
-    const distributorCommission = (invoice.amount * invoice.distributorCommissionRate / 100);
-    const companyCommission = (invoice.amount * invoice.companyCommissionRate / 100);
-    const netProfit = invoice.amount - clientCommission - distributorCommission - companyCommission;
+    const { clientCommission, distributorCommission, companyCommission, netProfit } = calculateCommissionAmounts(invoice.total, {
+      clientRate: invoice.clientCommissionRate,
+      distributorRate: invoice.distributorCommissionRate,
+      companyRate: invoice.companyCommissionRate
+    });
+    
+    const payments = await Payment.find({ invoice: invoice._id })
+      .populate('recordedBy', 'username')
+      .populate('voidedBy', 'username')
+      .sort({ paidAt: 1, createdAt: 1 });
+    
+    const versions = await InvoiceVersion.find({ invoice: invoice._id })
+      .populate('createdBy', 'username')
+      .sort({ version: -1 });
     
     res.render('invoices/details', { 
       invoice, 
+      payments,
+      creditNotes,
+      versions,
+      versionValueNames: await getVersionValueNames(versions),
+      getVersionFieldLabel: field => InvoiceVersion.getFieldLabel(field),
+      paymentMethodNames,
       clientCommission, 
       distributorCommission, 
       companyCommission, 
@@ -667,6 +889,46 @@ router.get('/:id', requireModuleAccess('invoices'), async (req, res) => {
   }
 });
 
+// Printable PDF of an invoice (layout from the admin editable template)
+router.get('/:id/pdf', requireModuleAccess('invoices'), async (req, res) => {
+  try {
+    let query = { _id: req.params.id };
+    
+    // If user can only view own, ensure they are assigned to this invoice
+    if (!req.userPermissionLevel?.canViewAll && req.userPermissionLevel?.canViewOwn) {
+      query.assignedDistributor = req.session.user.id;
+      // For distributors, exclude invoices created by admin (admin invoices are private)
+      const adminUsers = await User.find({ role: 'admin' }).select('_id');
+      const adminIds = adminUsers.map(user => user._id);
+      query.createdBy = { $nin: adminIds };
+    }
+    
+    const invoice = await Invoice.findOne(query)
+      .populate('client', 'fullName mobileNumber')
+      .populate({ path: 'file', select: 'fileName company', populate: { path: 'company', select: 'name' } })
+      .populate('assignedDistributor', 'username')
+      .populate('originalInvoice', 'invoiceCode');
+    
+    if (!invoice) {
+      req.flash('error', 'الفاتورة غير موجودة أو ليس لديك صلاحية للوصول إليها');
+      return res.redirect('/invoices');
+    }
+    
+    const pdf = await renderInvoicePdf(invoice, {
+      template: await DocumentTemplate.getContent('invoice'),
+      verificationUrl: `${req.protocol}://${req.get('host')}/invoices/${invoice._id}`
+    });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=${encodeURIComponent(invoice.invoiceCode)}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    req.flash('error', 'حدث خطأ أثناء إنشاء ملف PDF للفاتورة');
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
 // Edit invoice form
 router.get('/:id/edit', requirePermission('invoices', 'update'), async (req, res) => {
   try {
@@ -706,6 +968,12 @@ router.get('/:id/edit', requirePermission('invoices', 'update'), async (req, res
       return res.redirect('/invoices');
     }
     
+    // Credited invoices and credit notes are kept as issued
+    if (invoice.isCreditNote || invoice.creditedAmount > 0) {
+      req.flash('error', 'لا يمكن تعديل إشعار دائن أو فاتورة صدر لها إشعار دائن');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
     res.render('invoices/edit', { invoice, clients, files, distributors });
   } catch (error) {
     req.flash('error', 'حدث خطأ أثناء تحميل بيانات الفاتورة');
@@ -722,8 +990,8 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
       file, 
       assignedDistributor, 
       invoiceDate, 
-      amount, 
-      discountAmount,
+      dueDate,
+      lineItems,
       customClientCommissionRate,
       customDistributorCommissionRate,
       status 
@@ -747,15 +1015,42 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
       return res.redirect('/invoices');
     }
     
+    // Credited invoices and credit notes are kept as issued
+    if (currentInvoice.isCreditNote || currentInvoice.creditedAmount > 0) {
+      req.flash('error', 'لا يمكن تعديل إشعار دائن أو فاتورة صدر لها إشعار دائن');
+      return res.redirect(`/invoices/${req.params.id}`);
+    }
+    
+    // Cancelling has to go through a credit note so the amounts are reversed
+    if (status === 'cancelled' && currentInvoice.status !== 'cancelled') {
+      req.flash('error', 'لإلغاء الفاتورة استخدم زر "إلغاء الفاتورة" في صفحة التفاصيل لإصدار إشعار دائن');
+      return res.redirect(`/invoices/${req.params.id}/edit`);
+    }
+    
+    const dueDateValue = await resolveDueDate(dueDate, invoiceDate, client);
+    if (!dueDateValue) {
+      req.flash('error', 'تاريخ الاستحقاق غير صحيح، يجب ألا يسبق تاريخ الفاتورة');
+      return res.redirect(`/invoices/${req.params.id}/edit`);
+    }
+    
+    const before = toAuditSnapshot(currentInvoice);
+    const versionBefore = getInvoiceSnapshot(currentInvoice);
+    
+    // Only admins may change the sequence-generated code
+    const newInvoiceCode = req.session.user.role === 'admin' && invoiceCode?.trim()
+      ? invoiceCode.trim()
+      : currentInvoice.invoiceCode;
+    
     // Check if invoice is approved - restrict editing of sensitive fields
     if (currentInvoice.isApproved) {
       // Only allow editing non-sensitive fields when approved
       const updateData = {
-        invoiceCode,
+        invoiceCode: newInvoiceCode,
         client,
         file,
         assignedDistributor,
         invoiceDate: new Date(invoiceDate),
+        dueDate: dueDateValue,
         status
       };
       
@@ -766,13 +1061,43 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
         return res.redirect('/invoices');
       }
       
+      const updatedInvoice = await Invoice.findById(currentInvoice._id);
+      await logInvoiceAudit(req, 'update', updatedInvoice, { before });
+      await recordInvoiceVersion(req, updatedInvoice, { reason: 'update', before: versionBefore });
+      
       req.flash('success', 'تم تحديث الفاتورة بنجاح (الحقول المالية محمية بعد الموافقة)');
       return res.redirect('/invoices');
     }
     
     // If not approved, allow full editing
-    const invoiceAmount = parseFloat(amount) || 0;
-    const discountAmountValue = parseFloat(discountAmount) || 0;
+    const lineItemsValue = parseLineItems(lineItems);
+    if (lineItemsValue.length === 0) {
+      req.flash('error', 'يجب إضافة بند واحد على الأقل للفاتورة');
+      return res.redirect(`/invoices/${req.params.id}/edit`);
+    }
+    
+    // Percentages the edit form doesn't post keep their stored values
+    const amountInputs = getAmountInputs({
+      managementTaxPercentage: currentInvoice.managementTaxPercentage,
+      corporateTaxPercentage: currentInvoice.corporateTaxPercentage,
+      profitPercentage: currentInvoice.profitPercentage,
+      ...req.body
+    }, lineItemsValue);
+    const inputErrors = validateInvoiceInputs(amountInputs);
+    if (inputErrors.length > 0) {
+      req.flash('error', inputErrors.join('، '));
+      return res.redirect(`/invoices/${req.params.id}/edit`);
+    }
+    
+    const amounts = calculateInvoiceAmounts(amountInputs);
+    const mismatches = findAmountMismatches(req.body, amounts);
+    if (mismatches.length > 0) {
+      console.error('Posted invoice amounts do not match calculation:', { mismatches, amounts });
+      req.flash('error', 'المبالغ المرسلة لا تتطابق مع حساب النظام، يرجى مراجعة الفاتورة وإعادة المحاولة');
+      return res.redirect(`/invoices/${req.params.id}/edit`);
+    }
+    
+    const invoiceAmount = amounts.total;
     
     // Calculate commission rates based on amount
     let clientCommissionRate, distributorCommissionRate;
@@ -799,14 +1124,16 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
       companyCommissionRate = await calculateCommissionRate('company', fileData.company._id, invoiceAmount);
     }
     
-    const result = await Invoice.updateOne(query, {
-      invoiceCode,
+    // Saved through the document so the model re-checks the calculation
+    currentInvoice.set({
+      invoiceCode: newInvoiceCode,
       client,
       file,
       assignedDistributor,
       invoiceDate: new Date(invoiceDate),
-      amount: invoiceAmount,
-      discountAmount: discountAmountValue,
+      dueDate: dueDateValue,
+      lineItems: lineItemsValue,
+      ...amounts,
       clientCommissionRate,
       distributorCommissionRate,
       companyCommissionRate,
@@ -814,11 +1141,9 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
       customDistributorCommissionRate: customDistributorCommissionRateValue,
       status
     });
-    
-    if (result.matchedCount === 0) {
-      req.flash('error', 'الفاتورة غير موجودة أو ليس لديك صلاحية لتعديلها');
-      return res.redirect('/invoices');
-    }
+    await currentInvoice.save();
+    await logInvoiceAudit(req, 'update', currentInvoice, { before });
+    await recordInvoiceVersion(req, currentInvoice, { reason: 'update', before: versionBefore });
     
     req.flash('success', 'تم تحديث الفاتورة بنجاح');
     res.redirect('/invoices');
@@ -829,6 +1154,69 @@ router.put('/:id', requirePermission('invoices', 'update'), async (req, res) =>
   }
 });
 
+// Restore a previous version of an unapproved invoice (admin only).
+// The restore is saved as a new version, older versions are kept.
+router.post('/:id/versions/:version/restore', requirePermission('invoices', 'update'), async (req, res) => {
+  try {
+    if (req.session.user.role !== 'admin') {
+      req.flash('error', 'ليس لديك صلاحية لاستعادة إصدارات الفاتورة');
+      return res.redirect(`/invoices/${req.params.id}`);
+    }
+    
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      req.flash('error', 'الفاتورة غير موجودة');
+      return res.redirect('/invoices');
+    }
+    
+    if (invoice.isApproved) {
+      req.flash('error', 'لا يمكن استعادة إصدار سابق لفاتورة موافق عليها، ألغِ الموافقة أولاً');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    if (invoice.isCreditNote || invoice.creditedAmount > 0 || invoice.status === 'cancelled') {
+      req.flash('error', 'لا يمكن استعادة إصدار سابق لإشعار دائن أو فاتورة صدر لها إشعار دائن');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    const version = await InvoiceVersion.findOne({ invoice: invoice._id, version: parseInt(req.params.version) });
+    if (!version) {
+      req.flash('error', 'الإصدار غير موجود');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    const { snapshot } = version;
+    if (snapshot.invoiceCode !== invoice.invoiceCode &&
+        await Invoice.exists({ invoiceCode: snapshot.invoiceCode, _id: { $ne: invoice._id } })) {
+      req.flash('error', `رقم الفاتورة ${snapshot.invoiceCode} مستخدم في فاتورة أخرى`);
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    const before = toAuditSnapshot(invoice);
+    
+    // Versions saved before a field existed leave it as it is
+    RESTORABLE_FIELDS.filter(field => field in snapshot).forEach(field => {
+      invoice.set(field, snapshot[field]);
+    });
+    // Cancelling only happens through a credit note
+    if (snapshot.status === 'cancelled') {
+      invoice.status = 'pending';
+    }
+    
+    // Amounts are recalculated from the restored line items and percentages
+    await invoice.save();
+    await logInvoiceAudit(req, 'restore', invoice, { before, details: { version: version.version } });
+    await recordInvoiceVersion(req, invoice, { reason: 'restore', restoredFrom: version.version });
+    
+    req.flash('success', `تم استعادة الإصدار ${version.version} من الفاتورة`);
+    res.redirect(`/invoices/${invoice._id}`);
+  } catch (error) {
+    console.error('Invoice restore error:', error);
+    req.flash('error', 'حدث خطأ أثناء استعادة إصدار الفاتورة');
+    res.redirect(`/invoices/${req.params.id}`);
+  }
+});
+
 // Delete invoice
 router.delete('/:id', requirePermission('invoices', 'delete'), async (req, res) => {
   try {
@@ -843,13 +1231,28 @@ router.delete('/:id', requirePermission('invoices', 'delete'), async (req, res)
       query.createdBy = { $nin: adminIds };
     }
     
-    const result = await Invoice.deleteOne(query);
+    const invoice = await Invoice.findOne(query);
     
-    if (result.deletedCount === 0) {
+    if (!invoice) {
       req.flash('error', 'الفاتورة غير موجودة أو ليس لديك صلاحية لحذفها');
       return res.redirect('/invoices');
     }
     
+    // Credit notes and the invoices they reverse are kept for audit
+    if (invoice.isCreditNote || invoice.creditedAmount > 0) {
+      req.flash('error', 'لا يمكن حذف إشعار دائن أو فاتورة صدر لها إشعار دائن');
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    const blockedMessage = await getDeleteBlockedMessage('invoice', invoice._id);
+    if (blockedMessage) {
+      req.flash('error', blockedMessage);
+      return res.redirect(`/invoices/${invoice._id}`);
+    }
+    
+    await Invoice.deleteOne({ _id: invoice._id });
+    await logInvoiceAudit(req, 'delete', invoice, { before: invoice, after: null });
+    
     req.flash('success', 'تم حذف الفاتورة بنجاح');
     res.redirect('/invoices');
   } catch (error) {
@@ -861,12 +1264,40 @@ router.delete('/:id', requirePermission('invoices', 'delete'), async (req, res)
 // Export invoices to Excel
 router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) => {
   try {
-    const { invoices } = req.body;
+    const { invoiceIds } = req.body;
     
-    if (!invoices || !Array.isArray(invoices) || invoices.length === 0) {
+    if (!invoiceIds || !Array.isArray(invoiceIds) || invoiceIds.length === 0) {
       return res.status(400).json({ error: 'لا توجد بيانات للتصدير' });
     }
     
+    let query = { _id: { $in: invoiceIds } };
+    
+    // If user can only view own, filter by assigned distributor
+    if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
+      query.assignedDistributor = req.session.user.id;
+      // For distributors, exclude invoices created by admin (admin invoices are private)
+      const adminUsers = await User.find({ role: 'admin' }).select('_id');
+      const adminIds = adminUsers.map(user => user._id);
+      query.createdBy = { $nin: adminIds };
+    }
+    
+    const invoices = await Invoice.find(query)
+      .populate('client', 'fullName')
+      .populate('file', 'fileName')
+      .populate('assignedDistributor', 'username')
+      .sort({ invoiceDate: -1 });
+    
+    if (invoices.length === 0) {
+      return res.status(400).json({ error: 'لا توجد بيانات للتصدير' });
+    }
+    
+    const paymentStatusNames = {
+      fully_completed: 'مكتملة',
+      admin_pending: 'في انتظار الشركة',
+      distributor_pending: 'في انتظار الإدارة',
+      client_pending: 'في انتظار العميل'
+    };
+    
     // Create a new workbook and worksheet
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet('الفواتير');
@@ -880,7 +1311,11 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
       { header: 'اسم العميل', key: 'clientName', width: 20 },
       { header: 'اسم الملف', key: 'fileName', width: 25 },
       { header: 'اسم الموزع', key: 'distributorName', width: 15 },
-      { header: 'مبلغ الفاتورة (جنيه)', key: 'amount', width: 18 },
+      { header: 'عدد البنود', key: 'lineCount', width: 10 },
+      { header: 'إجمالي البنود (جنيه)', key: 'total', width: 18 },
+      { header: 'الضريبة (جنيه)', key: 'taxAmount', width: 15 },
+      { header: 'الخصم (جنيه)', key: 'discountAmount', width: 15 },
+      { header: 'المبلغ النهائي (جنيه)', key: 'finalAmount', width: 18 },
       { header: 'عمولة العميل (جنيه)', key: 'clientCommission', width: 18 },
       { header: 'عمولة الموزع (جنيه)', key: 'distributorCommission', width: 18 },
       { header: 'عمولة الشركة (جنيه)', key: 'companyCommission', width: 18 },
@@ -890,6 +1325,8 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
       { header: 'تاريخ الفاتورة', key: 'invoiceDate', width: 15 }
     ];
     
+    const currencyColumns = [6, 7, 8, 9, 10, 11, 12, 13];
+    
     // Style the header row
     const headerRow = worksheet.getRow(1);
     headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
@@ -901,25 +1338,53 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
     headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
     headerRow.height = 25;
     
+    const totals = {
+      total: 0,
+      taxAmount: 0,
+      discountAmount: 0,
+      finalAmount: 0,
+      clientCommission: 0,
+      distributorCommission: 0,
+      companyCommission: 0,
+      netProfit: 0
+    };
+    
     // Add data rows
     invoices.forEach((invoice, index) => {
-      const netProfit = invoice.amount - invoice.clientCommission - invoice.distributorCommission - invoice.companyCommission;
+      const { clientCommission, distributorCommission, companyCommission, netProfit } = calculateCommissionAmounts(invoice.total, {
+        clientRate: invoice.clientCommissionRate,
+        distributorRate: invoice.distributorCommissionRate,
+        companyRate: invoice.companyCommissionRate
+      });
       
       const row = worksheet.addRow({
         invoiceCode: invoice.invoiceCode,
-        clientName: invoice.clientName,
-        fileName: invoice.fileName,
-        distributorName: invoice.distributorName,
-        amount: invoice.amount,
-        clientCommission: invoice.clientCommission,
-        distributorCommission: invoice.distributorCommission,
-        companyCommission: invoice.companyCommission,
-        netProfit: netProfit,
-        paymentStatus: invoice.paymentStatus,
-        progressPercent: invoice.progressPercent,
-        invoiceDate: invoice.invoiceDate
+        clientName: invoice.client?.fullName || 'غير محدد',
+        fileName: invoice.file?.fileName || 'غير محدد',
+        distributorName: invoice.assignedDistributor?.username || 'غير محدد',
+        lineCount: invoice.lineItems.length,
+        total: invoice.total,
+        taxAmount: invoice.taxAmount,
+        discountAmount: invoice.discountAmount || 0,
+        finalAmount: invoice.finalAmount,
+        clientCommission,
+        distributorCommission,
+        companyCommission,
+        netProfit,
+        paymentStatus: paymentStatusNames[invoice.overallPaymentStatus],
+        progressPercent: `${invoice.getPaymentProgress()}%`,
+        invoiceDate: new Date(invoice.invoiceDate).toLocaleDateString('ar-EG')
       });
       
+      totals.total += invoice.total;
+      totals.taxAmount += invoice.taxAmount;
+      totals.discountAmount += invoice.discountAmount || 0;
+      totals.finalAmount += invoice.finalAmount;
+      totals.clientCommission += clientCommission;
+      totals.distributorCommission += distributorCommission;
+      totals.companyCommission += companyCommission;
+      totals.netProfit += netProfit;
+      
       // Style data rows
       row.alignment = { horizontal: 'center', vertical: 'middle' };
       
@@ -933,13 +1398,13 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
       }
       
       // Format currency cells
-      [5, 6, 7, 8, 9].forEach(colIndex => {
+      currencyColumns.forEach(colIndex => {
         const cell = row.getCell(colIndex);
         cell.numFmt = '#,##0.00';
       });
       
       // Color code net profit
-      const netProfitCell = row.getCell(9);
+      const netProfitCell = row.getCell(13);
       if (netProfit >= 0) {
         netProfitCell.font = { color: { argb: '008000' } }; // Green for positive
       } else {
@@ -963,19 +1428,16 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
     const summaryRowIndex = worksheet.rowCount + 2;
     const summaryRow = worksheet.getRow(summaryRowIndex);
     
-    const totalAmount = invoices.reduce((sum, inv) => sum + inv.amount, 0);
-    const totalClientCommission = invoices.reduce((sum, inv) => sum + inv.clientCommission, 0);
-    const totalDistributorCommission = invoices.reduce((sum, inv) => sum + inv.distributorCommission, 0);
-    const totalCompanyCommission = invoices.reduce((sum, inv) => sum + inv.companyCommission, 0);
-    const totalNetProfit = totalAmount - totalClientCommission - totalDistributorCommission - totalCompanyCommission;
-    
     summaryRow.values = [
-      '', '', '', 'الإجمالي:', 
-      totalAmount, 
-      totalClientCommission, 
-      totalDistributorCommission, 
-      totalCompanyCommission, 
-      totalNetProfit, 
+      '', '', '', '', 'الإجمالي:', 
+      totals.total, 
+      totals.taxAmount, 
+      totals.discountAmount, 
+      totals.finalAmount, 
+      totals.clientCommission, 
+      totals.distributorCommission, 
+      totals.companyCommission, 
+      totals.netProfit, 
       '', '', ''
     ];
     
@@ -987,11 +1449,56 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
     };
     
     // Format summary currency cells
-    [5, 6, 7, 8, 9].forEach(colIndex => {
+    currencyColumns.forEach(colIndex => {
       const cell = summaryRow.getCell(colIndex);
       cell.numFmt = '#,##0.00';
     });
     
+    // Line items sheet
+    const itemsSheet = workbook.addWorksheet('بنود الفواتير');
+    itemsSheet.views = [{ rightToLeft: true }];
+    itemsSheet.columns = [
+      { header: 'رقم الفاتورة', key: 'invoiceCode', width: 15 },
+      { header: 'البند', key: 'description', width: 30 },
+      { header: 'الكمية', key: 'quantity', width: 10 },
+      { header: 'سعر الوحدة (جنيه)', key: 'unitPrice', width: 15 },
+      { header: 'الخصم (جنيه)', key: 'discount', width: 12 },
+      { header: 'نسبة الضريبة (%)', key: 'taxRate', width: 12 },
+      { header: 'الصافي (جنيه)', key: 'netAmount', width: 15 },
+      { header: 'الضريبة (جنيه)', key: 'taxAmount', width: 15 },
+      { header: 'الإجمالي (جنيه)', key: 'lineTotal', width: 15 }
+    ];
+    
+    const itemsHeaderRow = itemsSheet.getRow(1);
+    itemsHeaderRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    itemsHeaderRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: '4472C4' }
+    };
+    itemsHeaderRow.alignment = { horizontal: 'center', vertical: 'middle' };
+    
+    invoices.forEach(invoice => {
+      invoice.lineItems.forEach(item => {
+        const row = itemsSheet.addRow({
+          invoiceCode: invoice.invoiceCode,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          discount: item.discount,
+          taxRate: item.taxRate,
+          netAmount: item.netAmount,
+          taxAmount: item.taxAmount,
+          lineTotal: item.lineTotal
+        });
+        
+        row.alignment = { horizontal: 'center', vertical: 'middle' };
+        [4, 5, 7, 8, 9].forEach(colIndex => {
+          row.getCell(colIndex).numFmt = '#,##0.00';
+        });
+      });
+    });
+    
     // Set response headers
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename=invoices-${new Date().toISOString().split('T')[0]}.xlsx`);
@@ -999,7 +1506,7 @@ router.post('/export-excel', requireModuleAccess('invoices'), async (req, res) =
     // Write to response
     await workbook.xlsx.write(res);
     res.end();
-    
+  
   } catch (error) {
     console.error('Excel export error:', error);
     res.status(500).json({ error: 'حدث خطأ أثناء تصدير البيانات' });
@@ -1020,11 +1527,13 @@ router.post('/:id/approve', requirePermission('invoices', 'update'), async (req,
       return res.redirect('/invoices');
     }
     
+    const before = toAuditSnapshot(invoice);
     invoice.isApproved = true;
     invoice.approvedBy = req.session.user.id;
     invoice.approvedAt = new Date();
     
     await invoice.save();
+    await logInvoiceAudit(req, 'approve', invoice, { before });
     
     req.flash('success', 'تم الموافقة على الفاتورة بنجاح');
     res.redirect('/invoices');
@@ -1049,11 +1558,13 @@ router.post('/:id/unapprove', requirePermission('invoices', 'update'), async (re
       return res.redirect('/invoices');
     }
     
+    const before = toAuditSnapshot(invoice);
     invoice.isApproved = false;
     invoice.approvedBy = null;
     invoice.approvedAt = null;
     
     await invoice.save();
+    await logInvoiceAudit(req, 'unapprove', invoice, { before });
     
     req.flash('success', 'تم إلغاء الموافقة على الفاتورة بنجاح');
     res.redirect('/invoices');
@@ -1071,7 +1582,7 @@ router.get('/mass-payment', requireModuleAccess('invoices'), async (req, res) =>
     let clients = [];
     let distributors = [];
     let companies = [];
-
+    
     if (user.role === 'admin') {
       // Admin can see all entities
       clients = await Client.find({ isActive: true }).sort({ fullName: 1 });
@@ -1090,7 +1601,7 @@ router.get('/mass-payment', requireModuleAccess('invoices'), async (req, res) =>
         isActive: true 
       }).sort({ fullName: 1 });
     }
-
+    
     res.render('invoices/mass-payment', {
       clients,
       distributors,
@@ -1138,7 +1649,7 @@ router.get('/api/invoices/unpaid-data/:entityType', requireModuleAccess('invoice
           }));
         }
         break;
-        
+      
       case 'distributor':
         if (user.role === 'admin') {
           const distributorData = await Invoice.aggregate([
@@ -1164,7 +1675,7 @@ router.get('/api/invoices/unpaid-data/:entityType', requireModuleAccess('invoice
           }));
         }
         break;
-        
+      
       case 'company':
         if (user.role === 'admin') {
           const companyData = await Invoice.aggregate([
@@ -1220,11 +1731,11 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
       req.flash('error', 'يرجى تحديد نوع الكيان والكيانات المطلوبة');
       return res.redirect('/invoices/mass-payment');
     }
-
+    
     let processedCount = 0;
     let totalAmount = 0;
     const errors = [];
-
+    
     for (const entityId of entityIds) {
       try {
         let invoices = [];
@@ -1239,7 +1750,7 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
               });
             }
             break;
-            
+          
           case 'distributor':
             if (user.role === 'admin') {
               invoices = await Invoice.find({
@@ -1249,7 +1760,7 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
               });
             }
             break;
-            
+          
           case 'company':
             if (user.role === 'admin') {
               const companyInvoices = await Invoice.find({
@@ -1268,29 +1779,23 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
             }
             break;
         }
-
+        
         if (invoices.length > 0) {
+          const details = { method: paymentMethodNames[paymentMethod] ? paymentMethod : 'cash', notes };
+          const stepsByEntity = {
+            client: ['clientToDistributor'],
+            distributor: ['clientToDistributor', 'distributorToAdmin'],
+            company: ['adminToCompany']
+          };
+          
           for (const invoice of invoices) {
-            switch (entityType) {
-              case 'client':
-                invoice.markPaymentStep('clientToDistributor', user.id);
-                break;
-              case 'distributor':
-                invoice.markPaymentStep('clientToDistributor', user.id);
-                invoice.markPaymentStep('distributorToAdmin', user.id);
-                break;
-              case 'company':
-                invoice.markPaymentStep('adminToCompany', user.id);
-                break;
-            }
-            
-            // Add payment notes if provided
-            if (notes) {
-              invoice.paymentNotes = notes;
+            for (const step of stepsByEntity[entityType]) {
+              const outstanding = invoice.getOutstandingAmount(step);
+              if (outstanding > 0) {
+                await recordPayment(req, invoice, step, { ...details, amount: outstanding });
+                totalAmount += outstanding;
+              }
             }
-            
-            await invoice.save();
-            totalAmount += invoice.amount;
           }
           processedCount += invoices.length;
         }
@@ -1298,7 +1803,7 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
         errors.push(`خطأ في معالجة الكيان ${entityId}: ${error.message}`);
       }
     }
-
+    
     if (processedCount > 0) {
       req.flash('success', `تم معالجة ${processedCount} فاتورة بنجاح. إجمالي المبلغ: ${totalAmount.toLocaleString('ar-SA')} جنيه`);
     }
@@ -1306,7 +1811,7 @@ router.post('/mass-payment', requireModuleAccess('invoices'), async (req, res) =
     if (errors.length > 0) {
       req.flash('warning', `تم معالجة ${processedCount} فاتورة مع ${errors.length} أخطاء`);
     }
-
+    
     res.redirect('/invoices/mass-payment');
   } catch (error) {
     console.error('Mass payment processing error:', error);
@@ -1322,7 +1827,9 @@ router.get('/api/invoices/customer-debts', requireModuleAccess('invoices'), asyn
     const customerDebts = await Invoice.aggregate([
       {
         $match: {
-          'paymentStatus.clientToDistributor.status': { $ne: 'paid' }
+          documentType: { $ne: 'credit_note' },
+          status: { $ne: 'cancelled' },
+          'paymentStatus.clientToDistributor.isPaid': false
         }
       },
       {
@@ -1357,17 +1864,18 @@ router.get('/api/invoices/customer-debts', requireModuleAccess('invoices'), asyn
           distributorName: { $first: '$distributorInfo.username' },
           distributorWhatsapp: { $first: '$distributorInfo.whatsappNumber' },
           invoiceCount: { $sum: 1 },
-          totalAmount: { $sum: '$totalAmount' },
+          totalAmount: { $sum: '$finalAmount' },
           totalTax: { $sum: '$taxAmount' },
           totalProfit: { $sum: '$profitAmount' },
-          totalDue: { $sum: '$totalAmount' }
+          // Credit notes and partial payments already recorded are not due any more
+          totalDue: { $sum: Invoice.getOutstandingAmountExpression('clientToDistributor') }
         }
       },
       {
         $sort: { totalDue: -1 }
       }
     ]);
-
+    
     // Format the data for the frontend
     const formattedData = customerDebts.map(customer => ({
       customerId: customer.customerId,
@@ -1382,7 +1890,7 @@ router.get('/api/invoices/customer-debts', requireModuleAccess('invoices'), asyn
       totalProfit: customer.totalProfit,
       totalDue: customer.totalDue
     }));
-
+    
     res.json({
       success: true,
       data: formattedData
@@ -1400,40 +1908,35 @@ router.get('/api/invoices/customer-debts', requireModuleAccess('invoices'), asyn
 router.post('/api/invoices/process-payment', requireModuleAccess('invoices'), async (req, res) => {
   try {
     const { customerId, paymentMethod, paymentDate, paymentNotes } = req.body;
-
+    
     if (!customerId || !paymentMethod || !paymentDate) {
       return res.status(400).json({
         success: false,
         message: 'جميع الحقول مطلوبة'
       });
     }
-
+    
     // Find all unpaid invoices for this customer
     const unpaidInvoices = await Invoice.find({
       client: customerId,
-      'paymentStatus.clientToDistributor.status': { $ne: 'paid' }
+      'paymentStatus.clientToDistributor.isPaid': false
     });
-
+    
     if (unpaidInvoices.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'لا توجد فواتير غير مدفوعة لهذا العميل'
       });
     }
-
-    // Update all invoices as paid
-    const updatePromises = unpaidInvoices.map(invoice => {
-      return Invoice.findByIdAndUpdate(invoice._id, {
-        'paymentStatus.clientToDistributor.status': 'paid',
-        'paymentStatus.clientToDistributor.paidAt': new Date(paymentDate),
-        'paymentStatus.clientToDistributor.paymentMethod': paymentMethod,
-        'paymentStatus.clientToDistributor.notes': paymentNotes,
-        'paymentStatus.clientToDistributor.markedBy': req.session.user.id
-      });
+    
+    // Record the outstanding balance of every invoice as paid
+    await recordBulkPayments(req, unpaidInvoices, 'clientToDistributor', {
+      amount: null,
+      paidAt: new Date(paymentDate),
+      method: paymentMethodNames[paymentMethod] ? paymentMethod : 'other',
+      notes: paymentNotes
     });
-
-    await Promise.all(updatePromises);
-
+    
     res.json({
       success: true,
       message: 'تم معالجة الدفع بنجاح',
@@ -1457,13 +1960,13 @@ router.post('/bulk-mark-paid', requireModuleAccess('invoices'), async (req, res)
       req.flash('error', 'لم يتم تحديد أي فواتير للدفع');
       return res.redirect('/dashboard');
     }
-
+    
     console.log('Bulk mark paid - Invoice IDs:', invoiceIds);
     console.log('User:', req.session.user);
-
+    
     let updatedCount = 0;
     const userRole = req.session.user.role;
-
+    
     for (const invoiceId of invoiceIds) {
       try {
         const invoice = await Invoice.findById(invoiceId);
@@ -1472,7 +1975,7 @@ router.post('/bulk-mark-paid', requireModuleAccess('invoices'), async (req, res)
           console.log(`Invoice not found: ${invoiceId}`);
           continue;
         }
-
+        
         // Determine which payment step to mark based on user role
         let paymentStep = '';
         if (userRole === 'distributor') {
@@ -1488,10 +1991,9 @@ router.post('/bulk-mark-paid', requireModuleAccess('invoices'), async (req, res)
             paymentStep = 'distributorToAdmin';
           }
         }
-
-        if (paymentStep) {
-          invoice.markPaymentStep(paymentStep, req.session.user.id);
-          await invoice.save();
+        
+        if (paymentStep && invoice.getOutstandingAmount(paymentStep) > 0) {
+          await recordPayment(req, invoice, paymentStep, {});
           updatedCount++;
           console.log(`Marked invoice ${invoiceId} as paid for step: ${paymentStep}`);
         }
@@ -1499,13 +2001,13 @@ router.post('/bulk-mark-paid', requireModuleAccess('invoices'), async (req, res)
         console.error(`Error processing invoice ${invoiceId}:`, error);
       }
     }
-
+    
     if (updatedCount > 0) {
       req.flash('success', `تم تحديث ${updatedCount} فاتورة كمدفوعة بنجاح`);
     } else {
       req.flash('warning', 'لم يتم تحديث أي فواتير');
     }
-
+    
     res.redirect('/dashboard');
   } catch (error) {
     console.error('Bulk mark paid error:', error);
@@ -5,9 +5,27 @@ import File from '../models/File.js';
 import User from '../models/User.js';
 import Company from '../models/Company.js';
 import { requireModuleAccess } from '../middleware/auth.js';
+import { calculateCommissionAmounts } from '../utils/invoiceCalculations.js';
+import { AGING_BUCKETS, agingBucketNames, agingGroupNames, agingBasisNames, buildAgingReport } from '../utils/aging.js';
+import ExcelJS from 'exceljs';
 
 const router = express.Router();
 
+// Helper function to get the invoices a user may see in reports
+async function getScopeQuery(req) {
+  const query = {};
+  
+  if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
+    query.assignedDistributor = req.session.user.id;
+    // For distributors, exclude invoices created by admin (admin invoices are private)
+    const adminUsers = await User.find({ role: 'admin' }).select('_id');
+    const adminIds = adminUsers.map(user => user._id);
+    query.createdBy = { $nin: adminIds };
+  }
+  
+  return query;
+}
+
 // Helper function to get month start and end dates
 function getMonthDateRange(monthString) {
   let year, month;
@@ -40,6 +58,7 @@ router.get('/', requireModuleAccess('reports'), async (req, res) => {
       company,
       status,
       paymentStatus,
+      overdue,
       minAmount,
       maxAmount,
       sortBy = 'invoiceDate',
@@ -51,17 +70,8 @@ router.get('/', requireModuleAccess('reports'), async (req, res) => {
     // Get month date range
     const { startDate, endDate, monthString } = getMonthDateRange(month);
 
-    // Build query
-    let query = {};
-    
-    // Role-based filtering
-    if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
-      query.assignedDistributor = req.session.user.id;
-      // For distributors, exclude invoices created by admin (admin invoices are private)
-      const adminUsers = await User.find({ role: 'admin' }).select('_id');
-      const adminIds = adminUsers.map(user => user._id);
-      query.createdBy = { $nin: adminIds };
-    }
+    // Build query (role-based filtering first)
+    let query = await getScopeQuery(req);
 
     // Month filter (always applied)
     query.invoiceDate = {
@@ -94,11 +104,16 @@ router.get('/', requireModuleAccess('reports'), async (req, res) => {
       }
     }
 
+    // Overdue filter (kept apart so it doesn't replace the status filter)
+    if (overdue === '1') {
+      query.$and = [Invoice.getOverdueQuery()];
+    }
+
     // Amount range filter
     if (minAmount || maxAmount) {
-      if (!query.amount) query.amount = {};
-      if (minAmount) query.amount.$gte = parseFloat(minAmount);
-      if (maxAmount) query.amount.$lte = parseFloat(maxAmount);
+      if (!query.total) query.total = {};
+      if (minAmount) query.total.$gte = parseFloat(minAmount);
+      if (maxAmount) query.total.$lte = parseFloat(maxAmount);
     }
 
     // Company filter (through file)
@@ -178,6 +193,7 @@ router.get('/', requireModuleAccess('reports'), async (req, res) => {
         company,
         status,
         paymentStatus,
+        overdue,
         minAmount,
         maxAmount,
         sortBy,
@@ -232,6 +248,7 @@ router.get('/', requireModuleAccess('reports'), async (req, res) => {
         company: '',
         status: '',
         paymentStatus: '',
+        overdue: '',
         minAmount: '',
         maxAmount: '',
         sortBy: 'invoiceDate',
@@ -261,6 +278,7 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
       company,
       status,
       paymentStatus,
+      overdue,
       format = 'json'
     } = req.query;
 
@@ -268,15 +286,7 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
     const { startDate, endDate } = getMonthDateRange(month);
 
     // Build query (same as above)
-    let query = {};
-    
-    if (!req.userPermissionLevel.canViewAll && req.userPermissionLevel.canViewOwn) {
-      query.assignedDistributor = req.session.user.id;
-      // For distributors, exclude invoices created by admin (admin invoices are private)
-      const adminUsers = await User.find({ role: 'admin' }).select('_id');
-      const adminIds = adminUsers.map(user => user._id);
-      query.createdBy = { $nin: adminIds };
-    }
+    let query = await getScopeQuery(req);
 
     // Month filter (always applied)
     query.invoiceDate = {
@@ -308,6 +318,11 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
       }
     }
 
+    // Overdue filter (kept apart so it doesn't replace the status filter)
+    if (overdue === '1') {
+      query.$and = [Invoice.getOverdueQuery()];
+    }
+
     const invoices = await Invoice.find(query)
       .populate('client', 'fullName')
       .populate('file', 'fileName company')
@@ -331,10 +346,8 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
 
     // Calculate detailed profit data
     const exportData = filteredInvoices.map(invoice => {
-      const clientCommission = (invoice.amount * invoice.clientCommissionRate) / 100;
-      const distributorCommission = (invoice.amount * invoice.distributorCommissionRate) / 100;
-      const companyCommission = (invoice.amount * invoice.companyCommissionRate) / 100;
-      const netProfit = invoice.amount - clientCommission - distributorCommission - companyCommission;
+      // Credit notes have negative totals, so their commissions come out as reversals
+      const { clientCommission, distributorCommission, companyCommission, netProfit } = getInvoiceCommissions(invoice);
 
       // Determine payment status
       let paymentStatus = 'client_pending';
@@ -348,11 +361,12 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
 
       return {
         invoiceCode: invoice.invoiceCode,
+        documentType: invoice.documentType === 'credit_note' ? 'إشعار دائن' : 'فاتورة',
         clientName: invoice.client?.fullName || 'غير محدد',
         fileName: invoice.file?.fileName || 'غير محدد',
         companyName: invoice.file?.company?.name || 'غير محدد',
         distributorName: invoice.assignedDistributor?.username || 'غير محدد',
-        amount: invoice.amount,
+        amount: invoice.total,
         clientCommissionRate: invoice.clientCommissionRate,
         clientCommission: clientCommission.toFixed(2),
         distributorCommissionRate: invoice.distributorCommissionRate,
@@ -394,6 +408,133 @@ router.get('/export', requireModuleAccess('reports'), async (req, res) => {
   }
 });
 
+// Helper function to read the aging report options from the query string
+function getAgingOptions(query) {
+  return {
+    groupBy: agingGroupNames[query.groupBy] ? query.groupBy : 'client',
+    basis: agingBasisNames[query.basis] ? query.basis : 'invoiceDate',
+    asOf: new Date()
+  };
+}
+
+// Helper function to build the aging report of the invoices the user may see
+async function loadAgingReport(req, options) {
+  const query = await getScopeQuery(req);
+  query.documentType = { $ne: 'credit_note' };
+  query.status = { $ne: 'cancelled' };
+  query['paymentStatus.clientToDistributor.isPaid'] = false;
+  
+  const invoices = await Invoice.find(query)
+    .populate('client', 'fullName mobileNumber')
+    .populate('assignedDistributor', 'username');
+  
+  return buildAgingReport(invoices, options);
+}
+
+// Receivables aging report, with drill-down into a group and bucket
+router.get('/aging', requireModuleAccess('reports'), async (req, res) => {
+  try {
+    const options = getAgingOptions(req.query);
+    const report = await loadAgingReport(req, options);
+    
+    const { group, bucket } = req.query;
+    const isDrillDown = group !== undefined || bucket !== undefined;
+    const drillDownItems = isDrillDown
+      ? report.items.filter(item =>
+        (group === undefined || item.groupId === group) &&
+        (!bucket || item.bucket === bucket))
+      : [];
+    
+    res.render('reports/aging', {
+      report,
+      agingBuckets: AGING_BUCKETS,
+      agingBucketNames,
+      agingGroupNames,
+      agingBasisNames,
+      filters: { groupBy: options.groupBy, basis: options.basis, group, bucket },
+      isDrillDown,
+      drillDownItems,
+      drillDownGroupName: group !== undefined ? report.groups.find(item => item.id === group)?.name : null
+    });
+  } catch (error) {
+    console.error('Aging report error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل تقرير أعمار الديون');
+    res.redirect('/reports');
+  }
+});
+
+// Export the aging report to Excel: totals per group and the outstanding invoices
+router.get('/aging/export', requireModuleAccess('reports'), async (req, res) => {
+  try {
+    const options = getAgingOptions(req.query);
+    const report = await loadAgingReport(req, options);
+    const groupName = agingGroupNames[options.groupBy];
+    
+    const workbook = new ExcelJS.Workbook();
+    
+    const summarySheet = workbook.addWorksheet('أعمار الديون');
+    summarySheet.views = [{ rightToLeft: true }];
+    summarySheet.columns = [
+      { header: groupName, key: 'name', width: 30 },
+      { header: 'عدد الفواتير', key: 'invoiceCount', width: 12 },
+      ...AGING_BUCKETS.map(bucket => ({ header: agingBucketNames[bucket.key], key: bucket.key, width: 16 })),
+      { header: 'الإجمالي', key: 'total', width: 16 }
+    ];
+    report.groups.forEach(group => {
+      summarySheet.addRow({ name: group.name, invoiceCount: group.invoiceCount, ...group.buckets, total: group.total });
+    });
+    summarySheet.addRow({
+      name: 'الإجمالي',
+      invoiceCount: report.totals.invoiceCount,
+      ...report.totals.buckets,
+      total: report.totals.total
+    }).font = { bold: true };
+    summarySheet.getRow(1).font = { bold: true };
+    [...AGING_BUCKETS.map(bucket => bucket.key), 'total'].forEach(key => {
+      summarySheet.getColumn(key).numFmt = '#,##0.00';
+    });
+    
+    const invoicesSheet = workbook.addWorksheet('الفواتير');
+    invoicesSheet.views = [{ rightToLeft: true }];
+    invoicesSheet.columns = [
+      { header: 'رقم الفاتورة', key: 'invoiceCode', width: 20 },
+      { header: 'العميل', key: 'client', width: 25 },
+      { header: 'الموزع', key: 'distributor', width: 20 },
+      { header: agingBasisNames[options.basis], key: 'date', width: 15 },
+      { header: 'عدد الأيام', key: 'days', width: 12 },
+      { header: 'الفترة', key: 'bucket', width: 16 },
+      { header: 'المبلغ النهائي', key: 'finalAmount', width: 16 },
+      { header: 'المتبقي', key: 'outstanding', width: 16 }
+    ];
+    report.items.forEach(item => {
+      invoicesSheet.addRow({
+        invoiceCode: item.invoice.invoiceCode,
+        client: item.invoice.client?.fullName || 'غير محدد',
+        distributor: item.invoice.assignedDistributor?.username || 'غير محدد',
+        date: new Date(item.startDate).toLocaleDateString('ar-EG'),
+        days: item.days,
+        bucket: agingBucketNames[item.bucket],
+        finalAmount: item.invoice.finalAmount,
+        outstanding: item.outstanding
+      });
+    });
+    invoicesSheet.getRow(1).font = { bold: true };
+    ['finalAmount', 'outstanding'].forEach(key => {
+      invoicesSheet.getColumn(key).numFmt = '#,##0.00';
+    });
+    
+    const today = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=aging-${options.groupBy}-${today}.xlsx`);
+    
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Aging export error:', error);
+    res.status(500).json({ error: 'حدث خطأ أثناء تصدير تقرير أعمار الديون' });
+  }
+});
+
 // Helper function to calculate profit statistics
 async function calculateProfitStats(query, companyFilter) {
   try {
@@ -424,6 +565,8 @@ async function calculateProfitStats(query, companyFilter) {
       totalNetProfit: 0,
       averageAmount: 0,
       averageNetProfit: 0,
+      creditNotesCount: 0,
+      creditNotesAmount: 0,
       statusBreakdown: {
         pending: 0,
         completed: 0,
@@ -439,17 +582,34 @@ async function calculateProfitStats(query, companyFilter) {
     };
 
     invoices.forEach(invoice => {
-      const clientCommission = (invoice.amount * invoice.clientCommissionRate) / 100;
-      const distributorCommission = (invoice.amount * invoice.distributorCommissionRate) / 100;
-      const companyCommission = (invoice.amount * invoice.companyCommissionRate) / 100;
-      const netProfit = invoice.amount - clientCommission - distributorCommission - companyCommission;
+      const { clientCommission, distributorCommission, companyCommission, netProfit } = getInvoiceCommissions(invoice);
 
-      stats.totalAmount += invoice.amount;
+      // Credit notes are negative, so they reverse their invoice in every total
+      stats.totalAmount += invoice.total;
       stats.totalClientCommission += clientCommission;
       stats.totalDistributorCommission += distributorCommission;
       stats.totalCompanyCommission += companyCommission;
       stats.totalNetProfit += netProfit;
 
+      // Monthly breakdown
+      const monthKey = invoice.invoiceDate.toISOString().substring(0, 7); // YYYY-MM
+      if (!stats.monthlyBreakdown[monthKey]) {
+        stats.monthlyBreakdown[monthKey] = {
+          count: 0,
+          amount: 0,
+          netProfit: 0
+        };
+      }
+      stats.monthlyBreakdown[monthKey].count++;
+      stats.monthlyBreakdown[monthKey].amount += invoice.total;
+      stats.monthlyBreakdown[monthKey].netProfit += netProfit;
+
+      if (invoice.documentType === 'credit_note') {
+        stats.creditNotesCount++;
+        stats.creditNotesAmount += invoice.total;
+        return;
+      }
+
       // Status breakdown
       stats.statusBreakdown[invoice.status]++;
 
@@ -463,19 +623,6 @@ async function calculateProfitStats(query, companyFilter) {
         paymentStatus = 'distributor_pending';
       }
       stats.paymentStatusBreakdown[paymentStatus]++;
-
-      // Monthly breakdown
-      const monthKey = invoice.invoiceDate.toISOString().substring(0, 7); // YYYY-MM
-      if (!stats.monthlyBreakdown[monthKey]) {
-        stats.monthlyBreakdown[monthKey] = {
-          count: 0,
-          amount: 0,
-          netProfit: 0
-        };
-      }
-      stats.monthlyBreakdown[monthKey].count++;
-      stats.monthlyBreakdown[monthKey].amount += invoice.amount;
-      stats.monthlyBreakdown[monthKey].netProfit += netProfit;
     });
 
     if (stats.totalInvoices > 0) {
@@ -491,6 +638,7 @@ async function calculateProfitStats(query, companyFilter) {
     stats.totalNetProfit = Math.round(stats.totalNetProfit * 100) / 100;
     stats.averageAmount = Math.round(stats.averageAmount * 100) / 100;
     stats.averageNetProfit = Math.round(stats.averageNetProfit * 100) / 100;
+    stats.creditNotesAmount = Math.round(stats.creditNotesAmount * 100) / 100;
 
     return stats;
   } catch (error) {
@@ -499,6 +647,15 @@ async function calculateProfitStats(query, companyFilter) {
   }
 }
 
+// Helper function to get the commission amounts of an invoice or credit note
+function getInvoiceCommissions(invoice) {
+  return calculateCommissionAmounts(invoice.total || 0, {
+    clientRate: invoice.clientCommissionRate,
+    distributorRate: invoice.distributorCommissionRate,
+    companyRate: invoice.companyCommissionRate
+  });
+}
+
 // Helper function to generate month options
 function generateMonthOptions() {
   const options = [];
@@ -537,6 +694,7 @@ function generateCSV(data) {
 
   const headers = [
     'رقم الفاتورة',
+    'نوع المستند',
     'اسم العميل',
     'اسم الملف',
     'اسم الشركة',
@@ -565,6 +723,7 @@ function generateCSV(data) {
     headers.join(','),
     ...data.map(row => [
       `"${row.invoiceCode}"`,
+      `"${row.documentType}"`,
       `"${row.clientName}"`,
       `"${row.fileName}"`,
       `"${row.companyName}"`,
@@ -0,0 +1,232 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import Permission, { permissionModuleNames, permissionActionNames } from '../models/Permission.js';
+import User from '../models/User.js';
+import { logAudit, toAuditSnapshot } from '../utils/audit.js';
+
+const router = express.Router();
+
+// Helper function to read the role fields posted by the form
+function getRoleData(body) {
+  const { permissions } = body;
+  
+  return {
+    name: (body.name || '').trim().toLowerCase(),
+    displayName: body.displayName?.trim(),
+    description: (body.description || '').trim(),
+    permissions: Array.isArray(permissions) ? permissions : (permissions ? [permissions] : [])
+  };
+}
+
+// Helper function to validate the role fields, returns the error message if any
+async function validateRoleData(data, roleId = null) {
+  if (!data.name || !data.displayName) {
+    return 'اسم الدور والاسم المعروض مطلوبان';
+  }
+  
+  if (/\s/.test(data.name)) {
+    return 'اسم الدور يجب أن يكون بدون مسافات';
+  }
+  
+  const existing = await Role.findOne({ name: data.name, _id: { $ne: roleId } });
+  if (existing) {
+    return 'يوجد دور بهذا الاسم بالفعل';
+  }
+  
+  return null;
+}
+
+// Helper function to load all permissions grouped by module for the forms
+async function getGroupedPermissions() {
+  const permissions = await Permission.find().sort({ module: 1, action: 1 });
+  const groupedPermissions = {};
+  
+  permissions.forEach(permission => {
+    if (!groupedPermissions[permission.module]) {
+      groupedPermissions[permission.module] = [];
+    }
+    groupedPermissions[permission.module].push(permission);
+  });
+  
+  return groupedPermissions;
+}
+
+// Helper function to refresh the legacy permission flags of everyone holding a role
+async function syncRoleUsers(roleId) {
+  const users = await User.find({ roles: roleId });
+  
+  for (const user of users) {
+    await user.syncLegacyPermissions();
+    await user.save();
+  }
+}
+
+// List roles
+router.get('/', async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystemRole: -1, displayName: 1 });
+    
+    const userCounts = await User.aggregate([
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const userCountByRole = Object.fromEntries(userCounts.map(item => [item._id.toString(), item.count]));
+    
+    res.render('roles/index', { roles, userCountByRole });
+  } catch (error) {
+    console.error('Roles error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل الأدوار');
+    res.render('roles/index', { roles: [], userCountByRole: {} });
+  }
+});
+
+// New role form
+router.get('/new', async (req, res) => {
+  try {
+    const groupedPermissions = await getGroupedPermissions();
+    res.render('roles/new', { groupedPermissions, permissionModuleNames, permissionActionNames });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل النموذج');
+    res.redirect('/roles');
+  }
+});
+
+// Create role
+router.post('/', async (req, res) => {
+  try {
+    const data = getRoleData(req.body);
+    
+    const validationError = await validateRoleData(data);
+    if (validationError) {
+      req.flash('error', validationError);
+      return res.redirect('/roles/new');
+    }
+    
+    const role = new Role({
+      ...data,
+      createdBy: req.session.user.id
+    });
+    
+    await role.save();
+    await logAudit(req, { action: 'create', entityType: 'role', entityId: role._id, entityLabel: role.displayName, after: role });
+    req.flash('success', 'تم إضافة الدور بنجاح');
+    res.redirect('/roles');
+  } catch (error) {
+    console.error('Role create error:', error);
+    req.flash('error', 'حدث خطأ أثناء إضافة الدور');
+    res.redirect('/roles/new');
+  }
+});
+
+// Users holding a role
+router.get('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id).populate('permissions');
+    if (!role) {
+      req.flash('error', 'الدور غير موجود');
+      return res.redirect('/roles');
+    }
+    
+    const users = await User.find({ roles: role._id })
+      .populate('roles', 'displayName')
+      .sort({ username: 1 });
+    
+    res.render('roles/details', { role, users, permissionModuleNames, permissionActionNames });
+  } catch (error) {
+    console.error('Role details error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل بيانات الدور');
+    res.redirect('/roles');
+  }
+});
+
+// Edit role form
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id)
+      .populate('permissions')
+      .populate('createdBy', 'username');
+    if (!role) {
+      req.flash('error', 'الدور غير موجود');
+      return res.redirect('/roles');
+    }
+    
+    const groupedPermissions = await getGroupedPermissions();
+    const rolePermissions = role.permissions.map(permission => permission._id.toString());
+    
+    res.render('roles/edit', { role, groupedPermissions, rolePermissions, permissionModuleNames, permissionActionNames });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل بيانات الدور');
+    res.redirect('/roles');
+  }
+});
+
+// Update role and refresh the users holding it
+router.put('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      req.flash('error', 'الدور غير موجود');
+      return res.redirect('/roles');
+    }
+    
+    if (role.isSystemRole) {
+      req.flash('error', 'لا يمكن تعديل أدوار النظام');
+      return res.redirect(`/roles/${role._id}/edit`);
+    }
+    
+    const data = getRoleData(req.body);
+    
+    const validationError = await validateRoleData(data, role._id);
+    if (validationError) {
+      req.flash('error', validationError);
+      return res.redirect(`/roles/${role._id}/edit`);
+    }
+    
+    const before = toAuditSnapshot(role);
+    
+    role.set({ ...data, isActive: req.body.isActive === 'on' });
+    await role.save();
+    await syncRoleUsers(role._id);
+    await logAudit(req, { action: 'update', entityType: 'role', entityId: role._id, entityLabel: role.displayName, before, after: role });
+    
+    req.flash('success', 'تم تحديث الدور بنجاح');
+    res.redirect('/roles');
+  } catch (error) {
+    console.error('Role update error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحديث الدور');
+    res.redirect('/roles');
+  }
+});
+
+// Delete role (system roles and roles still assigned to users are kept)
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      req.flash('error', 'الدور غير موجود');
+      return res.redirect('/roles');
+    }
+    
+    if (role.isSystemRole) {
+      req.flash('error', 'لا يمكن حذف أدوار النظام');
+      return res.redirect('/roles');
+    }
+    
+    const userCount = await User.countDocuments({ roles: role._id });
+    if (userCount > 0) {
+      req.flash('error', `لا يمكن حذف الدور لأنه مُعيّن لـ ${userCount} مستخدم`);
+      return res.redirect(`/roles/${role._id}`);
+    }
+    
+    await Role.findByIdAndDelete(role._id);
+    await logAudit(req, { action: 'delete', entityType: 'role', entityId: role._id, entityLabel: role.displayName, before: role });
+    req.flash('success', 'تم حذف الدور بنجاح');
+    res.redirect('/roles');
+  } catch (error) {
+    console.error('Role delete error:', error);
+    req.flash('error', 'حدث خطأ أثناء حذف الدور');
+    res.redirect('/roles');
+  }
+});
+
+export default router;
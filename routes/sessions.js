@@ -0,0 +1,134 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { unlockIp } from '../utils/loginThrottle.js';
+import { logAudit } from '../utils/audit.js';
+import { escapeHtml } from '../utils/imports.js';
+
+const router = express.Router();
+
+// List the active sessions of signed-in users
+router.get('/', async (req, res) => {
+  try {
+    const query = { ...Session.getActiveQuery(), user: { $ne: null } };
+    const filters = { user: '' };
+    
+    if (req.query.user && mongoose.Types.ObjectId.isValid(req.query.user)) {
+      query.user = req.query.user;
+      filters.user = req.query.user;
+    }
+    
+    const sessions = await Session.find(query)
+      .select('-data')
+      .populate('user', 'username role isActive')
+      .sort({ lastActivity: -1 });
+    
+    const filterUser = filters.user ? await User.findById(filters.user).select('username') : null;
+    const lockedIps = await LoginThrottle.findLockedIps();
+    
+    res.render('sessions/index', {
+      sessions,
+      filters,
+      filterUser,
+      lockedIps,
+      currentSessionId: req.sessionID,
+      escapeHtml
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل الجلسات');
+    res.render('sessions/index', { sessions: [], filters: { user: '' }, filterUser: null, lockedIps: [], currentSessionId: req.sessionID, escapeHtml });
+  }
+});
+
+// Lift the login lockout of an IP address before it expires
+router.post('/ip-lockouts/unlock', async (req, res) => {
+  try {
+    const ip = String(req.body.ip || '');
+    
+    const wasLocked = await unlockIp(ip);
+    if (!wasLocked) {
+      req.flash('error', 'عنوان IP غير مقفل');
+      return res.redirect('/sessions');
+    }
+    
+    await logAudit(req, {
+      action: 'unlock',
+      entityType: 'user',
+      entityLabel: `IP ${ip}`,
+      details: { kind: 'ip', key: ip }
+    });
+    
+    req.flash('success', `تم السماح بمحاولات الدخول من ${ip} مرة أخرى`);
+    res.redirect('/sessions');
+  } catch (error) {
+    console.error('IP unlock error:', error);
+    req.flash('error', 'حدث خطأ أثناء فتح عنوان IP');
+    res.redirect('/sessions');
+  }
+});
+
+// End a single session
+router.delete('/:id', async (req, res) => {
+  try {
+    if (req.params.id === req.sessionID) {
+      req.flash('error', 'لا يمكن إنهاء جلستك الحالية من هنا، استخدم تسجيل الخروج');
+      return res.redirect('/sessions');
+    }
+    
+    const session = await Session.findById(req.params.id).populate('user', 'username');
+    if (!session) {
+      req.flash('error', 'الجلسة غير موجودة أو انتهت بالفعل');
+      return res.redirect('/sessions');
+    }
+    
+    await Session.deleteOne({ _id: session._id });
+    if (session.user) {
+      await logAudit(req, {
+        action: 'force_logout',
+        entityType: 'user',
+        entityId: session.user._id,
+        entityLabel: session.user.username,
+        details: { sessions: 1 }
+      });
+    }
+    
+    req.flash('success', 'تم إنهاء الجلسة بنجاح');
+    res.redirect('/sessions');
+  } catch (error) {
+    console.error('Session delete error:', error);
+    req.flash('error', 'حدث خطأ أثناء إنهاء الجلسة');
+    res.redirect('/sessions');
+  }
+});
+
+// Force-logout a user from all of their sessions (the admin's own current session is kept)
+router.post('/users/:userId/logout', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      req.flash('error', 'المستخدم غير موجود');
+      return res.redirect('/sessions');
+    }
+    
+    const count = await Session.destroyForUser(user._id, req.sessionID);
+    await logAudit(req, {
+      action: 'force_logout',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.username,
+      details: { sessions: count }
+    });
+    
+    req.flash('success', `تم تسجيل خروج "${user.username}" من ${count} جلسة`);
+    res.redirect('/sessions');
+  } catch (error) {
+    console.error('Force logout error:', error);
+    req.flash('error', 'حدث خطأ أثناء تسجيل خروج المستخدم');
+    res.redirect('/sessions');
+  }
+});
+
+export default router;
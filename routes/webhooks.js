@@ -0,0 +1,252 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Webhook, { webhookEventNames, generateWebhookSecret } from '../models/Webhook.js';
+import WebhookDelivery, { deliveryStatusNames } from '../models/WebhookDelivery.js';
+import { logAudit, toAuditSnapshot } from '../utils/audit.js';
+import { sendWebhookPing, redeliver, WEBHOOK_RETRY_DELAYS_MINUTES } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+const DELIVERIES_PER_PAGE = 25;
+
+// Helper function to read the webhook settings posted by the form
+function getWebhookData(body) {
+  const events = [].concat(body.events || []).filter(event => webhookEventNames[event]);
+  
+  return {
+    // Pages print the name as is, keep it plain text
+    name: String(body.name || '').replace(/[<>&"'`]/g, '').trim().slice(0, 100),
+    url: String(body.url || '').trim(),
+    events,
+    isActive: body.isActive === 'on'
+  };
+}
+
+// Helper function to show a payload or response body as escaped text
+function formatDeliveryText(value) {
+  const text = typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value ?? '');
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper function to show a validation error of the webhook form
+function getWebhookError(error) {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => fieldError.message).join('، ');
+  }
+  return null;
+}
+
+// Helper function to load the webhook of the route
+async function findWebhook(req, res) {
+  const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+  if (!webhook) {
+    req.flash('error', 'الرابط غير موجود');
+    res.redirect('/webhooks');
+  }
+  return webhook;
+}
+
+// List webhooks with the outcome of their recent deliveries
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().populate('createdBy', 'username').sort({ createdAt: -1 });
+    
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const deliveryCounts = {};
+    counts.forEach(({ _id, count }) => {
+      deliveryCounts[_id.webhook] = deliveryCounts[_id.webhook] || { pending: 0, succeeded: 0, failed: 0 };
+      deliveryCounts[_id.webhook][_id.status] = count;
+    });
+    
+    res.render('webhooks/index', { webhooks, deliveryCounts, webhookEventNames });
+  } catch (error) {
+    console.error('Webhooks error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل روابط الإشعارات');
+    res.redirect('/dashboard');
+  }
+});
+
+// New webhook form
+router.get('/new', (req, res) => {
+  res.render('webhooks/new', { webhookEventNames });
+});
+
+// Create webhook
+router.post('/', async (req, res) => {
+  try {
+    const webhook = new Webhook({ ...getWebhookData(req.body), createdBy: req.session.user.id });
+    await webhook.save();
+    await logAudit(req, { action: 'create', entityType: 'webhook', entityId: webhook._id, entityLabel: webhook.name, after: webhook });
+    
+    req.flash('success', 'تم إضافة الرابط، انسخ المفتاح السري لاستخدامه في التحقق من التوقيع');
+    res.redirect(`/webhooks/${webhook._id}`);
+  } catch (error) {
+    const message = getWebhookError(error);
+    if (!message) {
+      console.error('Webhook create error:', error);
+    }
+    req.flash('error', message || 'حدث خطأ أثناء إضافة الرابط');
+    res.redirect('/webhooks/new');
+  }
+});
+
+// Webhook settings and delivery log
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const status = deliveryStatusNames[req.query.status] ? req.query.status : '';
+    const query = { webhook: webhook._id };
+    if (status) query.status = status;
+    
+    const totalDeliveries = await WebhookDelivery.countDocuments(query);
+    const totalPages = Math.ceil(totalDeliveries / DELIVERIES_PER_PAGE);
+    const currentPage = Math.max(1, Math.min(parseInt(req.query.page) || 1, totalPages || 1));
+    const deliveries = await WebhookDelivery.find(query)
+      .populate('redeliveredBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * DELIVERIES_PER_PAGE)
+      .limit(DELIVERIES_PER_PAGE);
+    
+    res.render('webhooks/details', {
+      webhook,
+      deliveries,
+      status,
+      webhookEventNames,
+      deliveryStatusNames,
+      retryDelays: WEBHOOK_RETRY_DELAYS_MINUTES,
+      formatDeliveryText,
+      pagination: { currentPage, totalPages, totalDeliveries }
+    });
+  } catch (error) {
+    console.error('Webhook details error:', error);
+    req.flash('error', 'حدث خطأ أثناء تحميل الرابط');
+    res.redirect('/webhooks');
+  }
+});
+
+// Edit webhook form
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    res.render('webhooks/edit', { webhook, webhookEventNames });
+  } catch (error) {
+    req.flash('error', 'حدث خطأ أثناء تحميل الرابط');
+    res.redirect('/webhooks');
+  }
+});
+
+// Update webhook (the secret is kept)
+router.put('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const before = toAuditSnapshot(webhook);
+    webhook.set(getWebhookData(req.body));
+    await webhook.save();
+    await logAudit(req, { action: 'update', entityType: 'webhook', entityId: webhook._id, entityLabel: webhook.name, before, after: webhook });
+    
+    req.flash('success', 'تم تحديث الرابط بنجاح');
+    res.redirect(`/webhooks/${webhook._id}`);
+  } catch (error) {
+    const message = getWebhookError(error);
+    if (!message) {
+      console.error('Webhook update error:', error);
+    }
+    req.flash('error', message || 'حدث خطأ أثناء تحديث الرابط');
+    res.redirect(`/webhooks/${req.params.id}/edit`);
+  }
+});
+
+// New secret; the receiver has to be updated with it
+router.post('/:id/secret', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    webhook.secret = generateWebhookSecret();
+    await webhook.save();
+    await logAudit(req, { action: 'update', entityType: 'webhook', entityId: webhook._id, entityLabel: webhook.name, details: { secret: 'تم تغييره' } });
+    
+    req.flash('success', 'تم إنشاء مفتاح سري جديد، حدّث الجهة المستقبلة به');
+    res.redirect(`/webhooks/${webhook._id}`);
+  } catch (error) {
+    console.error('Webhook secret error:', error);
+    req.flash('error', 'حدث خطأ أثناء تغيير المفتاح السري');
+    res.redirect(`/webhooks/${req.params.id}`);
+  }
+});
+
+// Send a ping event to check the endpoint
+router.post('/:id/test', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    await sendWebhookPing(webhook, req.session.user.username);
+    req.flash('success', 'تم إرسال حدث تجريبي، تظهر نتيجته في سجل الإرسال خلال ثوان');
+    res.redirect(`/webhooks/${webhook._id}`);
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    req.flash('error', 'حدث خطأ أثناء إرسال الحدث التجريبي');
+    res.redirect(`/webhooks/${req.params.id}`);
+  }
+});
+
+// Send a delivery again, with the same payload
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+    if (!delivery) {
+      req.flash('error', 'عملية الإرسال غير موجودة');
+      return res.redirect(`/webhooks/${webhook._id}`);
+    }
+    
+    if (!webhook.isActive) {
+      req.flash('error', 'الرابط معطل، فعّله أولاً لإعادة الإرسال');
+      return res.redirect(`/webhooks/${webhook._id}`);
+    }
+    
+    await redeliver(delivery, webhook, req.session.user.id);
+    req.flash('success', 'تمت إعادة الإرسال، تظهر النتيجة في سجل الإرسال خلال ثوان');
+    res.redirect(`/webhooks/${webhook._id}`);
+  } catch (error) {
+    console.error('Webhook redelivery error:', error);
+    req.flash('error', 'حدث خطأ أثناء إعادة الإرسال');
+    res.redirect(`/webhooks/${req.params.id}`);
+  }
+});
+
+// Delete webhook and its delivery log
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await Webhook.findByIdAndDelete(webhook._id);
+    await logAudit(req, { action: 'delete', entityType: 'webhook', entityId: webhook._id, entityLabel: webhook.name, before: webhook });
+    
+    req.flash('success', 'تم حذف الرابط بنجاح');
+    res.redirect('/webhooks');
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    req.flash('error', 'حدث خطأ أثناء حذف الرابط');
+    res.redirect('/webhooks');
+  }
+});
+
+export default router;
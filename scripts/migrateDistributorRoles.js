@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// One-off migration for the private roles distributors used to get on creation
+// (`distributor_<username>_<timestamp>`). Distributors now pick shared roles, so
+// each private role is replaced by a shared role with the same permissions: an
+// existing one when the permissions match exactly, otherwise a new shared role
+// per distinct permission set. The private roles are deleted afterwards.
+//
+//   npm run migrate-distributor-roles -- --dry-run   # only print the plan
+//   npm run migrate-distributor-roles
+//
+// Running servers pick the change up once their permission cache expires
+// (5 minutes), or right away after a restart.
+
+const LEGACY_ROLE_PATTERN = /^distributor_.+_\d+$/;
+const dryRun = process.argv.includes('--dry-run');
+
+// Helper function to compare roles by the permissions they grant
+function getPermissionSetKey(role) {
+  return role.permissions.map(id => id.toString()).sort().join(',');
+}
+
+// Helper function to pick an unused name for a new shared role
+async function getSharedRoleName(takenNames) {
+  let index = 1;
+  while (takenNames.has(`shared_distributor_role_${index}`)) {
+    index++;
+  }
+
+  const name = `shared_distributor_role_${index}`;
+  takenNames.add(name);
+  return { name, index };
+}
+
+async function migrateDistributorRoles() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/arabic-invoice-system');
+    console.log('MongoDB connected');
+    if (dryRun) {
+      console.log('Dry run, nothing will be saved');
+    }
+
+    const roles = await Role.find().sort({ isSystemRole: -1, isActive: -1, createdAt: 1 });
+    const legacyRoles = roles.filter(role => !role.isSystemRole && LEGACY_ROLE_PATTERN.test(role.name));
+    if (legacyRoles.length === 0) {
+      console.log('No per-distributor roles left, nothing to migrate');
+      process.exit(0);
+    }
+
+    // Shared roles that can stand in for a private one, system roles first
+    const sharedRoleByKey = new Map();
+    roles
+      .filter(role => role.name !== 'admin' && role.isActive && !legacyRoles.includes(role))
+      .forEach(role => {
+        const key = getPermissionSetKey(role);
+        if (!sharedRoleByKey.has(key)) {
+          sharedRoleByKey.set(key, role);
+        }
+      });
+
+    const takenNames = new Set(roles.map(role => role.name));
+
+    for (const legacyRole of legacyRoles) {
+      const users = await User.find({ roles: legacyRole._id });
+      const usernames = users.map(user => user.username).join(', ') || '-';
+
+      // An inactive role granted nothing, so its users just lose it
+      let sharedRole = null;
+      if (legacyRole.isActive) {
+        const key = getPermissionSetKey(legacyRole);
+        sharedRole = sharedRoleByKey.get(key);
+
+        if (!sharedRole) {
+          const { name, index } = await getSharedRoleName(takenNames);
+          sharedRole = new Role({
+            name,
+            displayName: `دور موزع مشترك ${index}`,
+            description: 'أُنشئ عند نقل الموزعين من أدوارهم الخاصة إلى أدوار مشتركة',
+            permissions: legacyRole.permissions,
+            createdBy: legacyRole.createdBy
+          });
+          if (!dryRun) {
+            await sharedRole.save();
+          }
+          sharedRoleByKey.set(key, sharedRole);
+          console.log(`Created shared role ${name} (${legacyRole.permissions.length} permissions)`);
+        }
+      }
+
+      console.log(`${legacyRole.name} -> ${sharedRole ? sharedRole.name : '(removed, role was inactive)'} for: ${usernames}`);
+      if (dryRun) {
+        continue;
+      }
+
+      for (const user of users) {
+        const roleIds = user.roles
+          .map(id => id.toString())
+          .filter(id => id !== legacyRole._id.toString());
+        if (sharedRole) {
+          roleIds.push(sharedRole._id.toString());
+        }
+
+        user.roles = [...new Set(roleIds)];
+        await user.syncLegacyPermissions();
+        await user.save();
+      }
+
+      await legacyRole.deleteOne();
+    }
+
+    console.log(`Migrated ${legacyRoles.length} per-distributor roles`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating distributor roles:', error);
+    process.exit(1);
+  }
+}
+
+migrateDistributorRoles();
@@ -0,0 +1,45 @@
+// Local HTTP receiver for testing webhooks: prints every event it gets and
+// whether its signature is valid.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhookReceiver.js [port]
+//
+// Then add http://localhost:<port>/ as a webhook. Set WEBHOOK_RECEIVER_FAIL=1
+// to answer 500 and watch the retries in the delivery log.
+import http from 'http';
+import crypto from 'crypto';
+import { signWebhookPayload } from '../utils/webhooks.js';
+
+const port = parseInt(process.argv[2]) || parseInt(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || '';
+const fail = process.env.WEBHOOK_RECEIVER_FAIL === '1';
+
+function isValidSignature(timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(signature || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const signature = secret
+      ? (isValidSignature(timestamp, body, req.headers['x-webhook-signature']) ? 'valid' : 'INVALID')
+      : 'not checked (WEBHOOK_SECRET not set)';
+    
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`event: ${req.headers['x-webhook-event']}  delivery: ${req.headers['x-webhook-delivery']}  signature: ${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    
+    const status = fail ? 500 : signature === 'INVALID' ? 401 : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: !fail, signature }));
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -16,10 +16,25 @@ import companyRoutes from './routes/companies.js';
 import fileRoutes from './routes/files.js';
 import invoiceRoutes from './routes/invoices.js';
 import commissionTierRoutes from './routes/commission-tiers.js';
+import invoiceSequenceRoutes from './routes/invoice-sequences.js';
+import auditLogRoutes from './routes/audit-logs.js';
+import documentTemplateRoutes from './routes/document-templates.js';
+import roleRoutes from './routes/roles.js';
+import sessionRoutes from './routes/sessions.js';
 import reportRoutes from './routes/reports.js';
+import apiTokenRoutes from './routes/api-tokens.js';
+import apiV1Routes from './routes/api-v1.js';
+import apiDocsRoutes from './routes/api-docs.js';
+import webhookRoutes from './routes/webhooks.js';
+import importRoutes from './routes/imports.js';
+import clientMergeRoutes from './routes/client-merges.js';
 
 // Import middleware
+import { MongoSessionStore } from './utils/sessionStore.js';
 import { requireAuth, requireAdmin, loadUserPermissions } from './middleware/auth.js';
+import { csrfProtection } from './middleware/csrf.js';
+import { findSpecMismatches } from './utils/openapi.js';
+import { startWebhookRetries } from './utils/webhooks.js';
 
 dotenv.config();
 
@@ -31,9 +46,23 @@ const PORT = process.env.PORT || 3000;
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/arabic-invoice-system')
-  .then(() => console.log('MongoDB connected'))
+  .then(() => {
+    console.log('MongoDB connected');
+    // Failed webhook deliveries are retried in the background
+    startWebhookRetries();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
+// JSON API, authenticated with API tokens: no session cookie, so no CSRF token either
+app.use('/api/v1', apiV1Routes);
+app.use('/api/docs', apiDocsRoutes);
+
+// The OpenAPI document is written by hand, say so when it no longer matches the routes
+const specMismatches = findSpecMismatches(apiV1Routes);
+if (specMismatches.length > 0) {
+  console.warn('OpenAPI document out of date:', specMismatches);
+}
+
 // Middleware
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
@@ -41,16 +70,25 @@ app.use(methodOverride('_method'));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// Session configuration
+// Session configuration: stored in MongoDB, ended after SESSION_IDLE_MINUTES
+// without a request and after SESSION_MAX_AGE_HOURS in any case
+const SESSION_IDLE_MINUTES = parseInt(process.env.SESSION_IDLE_MINUTES) || 60;
+const SESSION_MAX_AGE_HOURS = parseInt(process.env.SESSION_MAX_AGE_HOURS) || 12;
+
 app.use(session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
+  store: new MongoSessionStore({ maxAge: SESSION_MAX_AGE_HOURS * 60 * 60 * 1000 }),
   resave: false,
   saveUninitialized: false,
-  cookie: { secure: false }
+  rolling: true,
+  cookie: { secure: false, maxAge: SESSION_IDLE_MINUTES * 60 * 1000 }
 }));
 
 app.use(flash());
 
+// Every POST, PUT and DELETE (including ?_method overrides) must carry the session's CSRF token
+app.use(csrfProtection);
+
 // Load user permissions middleware
 app.use(loadUserPermissions);
 
@@ -94,7 +132,16 @@ app.use('/companies', requireAuth, companyRoutes);
 app.use('/files', requireAuth, fileRoutes);
 app.use('/invoices', requireAuth, invoiceRoutes);
 app.use('/commission-tiers', requireAuth, requireAdmin, commissionTierRoutes);
+app.use('/invoice-sequences', requireAuth, requireAdmin, invoiceSequenceRoutes);
+app.use('/audit-logs', requireAuth, requireAdmin, auditLogRoutes);
+app.use('/document-templates', requireAuth, requireAdmin, documentTemplateRoutes);
+app.use('/roles', requireAuth, requireAdmin, roleRoutes);
+app.use('/sessions', requireAuth, requireAdmin, sessionRoutes);
 app.use('/reports', requireAuth, reportRoutes);
+app.use('/api-tokens', requireAuth, apiTokenRoutes);
+app.use('/webhooks', requireAuth, requireAdmin, webhookRoutes);
+app.use('/imports', requireAuth, importRoutes);
+app.use('/client-merges', requireAuth, requireAdmin, clientMergeRoutes);
 
 // Home route
 app.get('/', (req, res) => {
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAgingDays, getAgingBucket, buildAgingReport } from '../utils/aging.js';
+
+const asOf = new Date(2026, 5, 30, 15, 0);
+
+// Invoice as the report reads it, owing `outstanding` on the client step
+function makeInvoice({ outstanding, invoiceDate, dueDate = null, client, distributor }) {
+  return {
+    invoiceDate,
+    dueDate,
+    client,
+    assignedDistributor: distributor,
+    getOutstandingAmount: step => (step === 'clientToDistributor' ? outstanding : 0)
+  };
+}
+
+describe('getAgingDays', () => {
+  it('counts whole days whatever the time of day', () => {
+    assert.equal(getAgingDays({ invoiceDate: new Date(2026, 5, 1, 23, 59) }, 'invoiceDate', asOf), 29);
+    assert.equal(getAgingDays({ invoiceDate: new Date(2026, 5, 30, 0, 1) }, 'invoiceDate', asOf), 0);
+  });
+  
+  it('counts from the due date when asked to', () => {
+    const invoice = { invoiceDate: new Date(2026, 3, 1), dueDate: new Date(2026, 5, 20) };
+    
+    assert.equal(getAgingDays(invoice, 'invoiceDate', asOf), 90);
+    assert.equal(getAgingDays(invoice, 'dueDate', asOf), 10);
+  });
+  
+  it('falls back to the invoice date without a due date', () => {
+    assert.equal(getAgingDays({ invoiceDate: new Date(2026, 5, 10), dueDate: null }, 'dueDate', asOf), 20);
+  });
+  
+  it('counts invoices not due yet as 0 days', () => {
+    assert.equal(getAgingDays({ invoiceDate: new Date(2026, 4, 1), dueDate: new Date(2026, 6, 15) }, 'dueDate', asOf), 0);
+  });
+});
+
+describe('getAgingBucket', () => {
+  it('puts the bucket limits in the lower bucket', () => {
+    assert.deepEqual(
+      [0, 30, 31, 60, 61, 90, 91, 400].map(getAgingBucket),
+      ['0-30', '0-30', '31-60', '31-60', '61-90', '61-90', '90+', '90+']
+    );
+  });
+});
+
+describe('buildAgingReport', () => {
+  const ahmed = { _id: 'c1', fullName: 'أحمد' };
+  const sara = { _id: 'c2', fullName: 'سارة' };
+  const distributor = { _id: 'd1', username: 'dist' };
+  
+  const invoices = [
+    makeInvoice({ outstanding: 100.1, invoiceDate: new Date(2026, 5, 20), client: ahmed, distributor }),
+    makeInvoice({ outstanding: 50.2, invoiceDate: new Date(2026, 2, 1), client: ahmed, distributor }),
+    makeInvoice({ outstanding: 300, invoiceDate: new Date(2026, 4, 15), client: sara, distributor }),
+    makeInvoice({ outstanding: 0, invoiceDate: new Date(2026, 0, 1), client: sara, distributor })
+  ];
+  
+  it('totals the outstanding amounts per group and bucket, largest group first', () => {
+    const report = buildAgingReport(invoices, { asOf });
+    
+    assert.deepEqual(report.groups.map(group => [group.name, group.total, group.invoiceCount]), [
+      ['سارة', 300, 1],
+      ['أحمد', 150.3, 2]
+    ]);
+    assert.deepEqual(report.groups[1].buckets, { '0-30': 100.1, '31-60': 0, '61-90': 0, '90+': 50.2 });
+    assert.deepEqual(report.totals, {
+      buckets: { '0-30': 100.1, '31-60': 300, '61-90': 0, '90+': 50.2 },
+      total: 450.3,
+      invoiceCount: 3
+    });
+  });
+  
+  it('skips paid invoices and lists the oldest debt first', () => {
+    const report = buildAgingReport(invoices, { asOf });
+    
+    assert.deepEqual(report.items.map(item => [item.groupId, item.days, item.bucket]), [
+      ['c1', 121, '90+'],
+      ['c2', 46, '31-60'],
+      ['c1', 10, '0-30']
+    ]);
+  });
+  
+  it('groups by distributor and names missing owners', () => {
+    const report = buildAgingReport([
+      ...invoices,
+      makeInvoice({ outstanding: 20, invoiceDate: new Date(2026, 5, 1), client: null, distributor: null })
+    ], { groupBy: 'distributor', asOf });
+    
+    assert.deepEqual(report.groups.map(group => [group.id, group.name, group.total]), [
+      ['d1', 'dist', 450.3],
+      ['', 'غير محدد', 20]
+    ]);
+  });
+});
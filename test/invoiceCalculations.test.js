@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  roundAmount,
+  calculateLineItem,
+  calculateInvoiceAmounts,
+  validateInvoiceInputs,
+  findAmountMismatches,
+  calculateCommissionAmounts
+} from '../utils/invoiceCalculations.js';
+
+describe('roundAmount', () => {
+  it('rounds to 2 decimals', () => {
+    assert.equal(roundAmount(10.123), 10.12);
+    assert.equal(roundAmount(10.126), 10.13);
+    assert.equal(roundAmount(0.1 + 0.2), 0.3);
+  });
+  
+  it('rounds halves away from zero', () => {
+    assert.equal(roundAmount(1.005), 1.01);
+    assert.equal(roundAmount(-1.005), -1.01);
+    assert.equal(roundAmount(-2.5), -2.5);
+  });
+  
+  it('reads numeric strings and treats anything else as 0', () => {
+    assert.equal(roundAmount('12.345'), 12.35);
+    assert.equal(roundAmount(''), 0);
+    assert.equal(roundAmount('abc'), 0);
+    assert.equal(roundAmount(undefined), 0);
+    assert.equal(roundAmount(null), 0);
+  });
+});
+
+describe('calculateLineItem', () => {
+  it('applies the discount before the tax', () => {
+    assert.deepEqual(
+      calculateLineItem({ quantity: 3, unitPrice: 10.5, discount: 1.5, taxRate: 14 }),
+      { netAmount: 30, taxAmount: 4.2, lineTotal: 34.2 }
+    );
+  });
+  
+  it('rounds the tax of each line', () => {
+    assert.deepEqual(
+      calculateLineItem({ quantity: '1', unitPrice: '9.99', discount: '', taxRate: '14' }),
+      { netAmount: 9.99, taxAmount: 1.4, lineTotal: 11.39 }
+    );
+  });
+  
+  it('treats missing or invalid inputs as 0', () => {
+    assert.deepEqual(
+      calculateLineItem({ quantity: '2', unitPrice: 'abc' }),
+      { netAmount: 0, taxAmount: 0, lineTotal: 0 }
+    );
+  });
+});
+
+describe('calculateInvoiceAmounts', () => {
+  it('sums the line items and applies the invoice percentages to their total', () => {
+    const amounts = calculateInvoiceAmounts({
+      lineItems: [
+        { quantity: 2, unitPrice: 100, discount: 0, taxRate: 14 },
+        { quantity: 1, unitPrice: 50, discount: 10, taxRate: 0 }
+      ],
+      managementTaxPercentage: '1',
+      corporateTaxPercentage: '2',
+      profitPercentage: '10',
+      discountAmount: '5',
+      // Ignored when there are line items
+      total: 999,
+      taxPercentage: 50
+    });
+    
+    assert.deepEqual(amounts, {
+      total: 240,
+      taxPercentage: 11.67,
+      taxAmount: 28,
+      managementTaxPercentage: 1,
+      managementTaxAmount: 2.4,
+      corporateTaxPercentage: 2,
+      corporateTaxAmount: 4.8,
+      profitPercentage: 10,
+      profitAmount: 24,
+      discountAmount: 5,
+      finalAmount: 294.2
+    });
+  });
+  
+  it('uses the single total and taxPercentage without line items', () => {
+    const amounts = calculateInvoiceAmounts({ total: '1000', taxPercentage: '14', discountAmount: '' });
+    
+    assert.equal(amounts.total, 1000);
+    assert.equal(amounts.taxPercentage, 14);
+    assert.equal(amounts.taxAmount, 140);
+    assert.equal(amounts.discountAmount, 0);
+    assert.equal(amounts.finalAmount, 1140);
+  });
+  
+  it('gives a 0 effective tax rate when the line items total 0', () => {
+    const amounts = calculateInvoiceAmounts({ lineItems: [{ quantity: 1, unitPrice: 0, taxRate: 14 }] });
+    
+    assert.equal(amounts.total, 0);
+    assert.equal(amounts.taxPercentage, 0);
+    assert.equal(amounts.finalAmount, 0);
+  });
+  
+  it('does not accumulate floating point errors', () => {
+    const amounts = calculateInvoiceAmounts({
+      lineItems: [
+        { quantity: 1, unitPrice: 0.1, taxRate: 0 },
+        { quantity: 1, unitPrice: 0.2, taxRate: 0 }
+      ]
+    });
+    
+    assert.equal(amounts.total, 0.3);
+    assert.equal(amounts.finalAmount, 0.3);
+  });
+});
+
+describe('validateInvoiceInputs', () => {
+  it('accepts valid inputs', () => {
+    assert.deepEqual(validateInvoiceInputs({
+      lineItems: [{ quantity: 1, unitPrice: 100, discount: 10, taxRate: 14 }],
+      profitPercentage: 10,
+      discountAmount: 5
+    }), []);
+  });
+  
+  it('reports invalid line items and percentages', () => {
+    const errors = validateInvoiceInputs({
+      lineItems: [{ quantity: 0, unitPrice: -1, discount: 0, taxRate: 120 }],
+      profitPercentage: 101
+    });
+    
+    assert.equal(errors.length, 4);
+  });
+  
+  it('rejects a discount bigger than the invoice', () => {
+    assert.deepEqual(
+      validateInvoiceInputs({ total: 100, discountAmount: 150 }),
+      ['الخصم أكبر من قيمة الفاتورة']
+    );
+  });
+});
+
+describe('findAmountMismatches', () => {
+  const calculated = calculateInvoiceAmounts({ total: 100, taxPercentage: 14, profitPercentage: 10 });
+  
+  it('ignores amounts that were not posted', () => {
+    assert.deepEqual(findAmountMismatches({}, calculated), []);
+    assert.deepEqual(findAmountMismatches({ taxAmount: '', profitAmount: null }, calculated), []);
+  });
+  
+  it('accepts amounts within the tolerance', () => {
+    assert.deepEqual(findAmountMismatches({ taxAmount: '14', finalAmount: '124.005' }, calculated), []);
+  });
+  
+  it('returns the fields that differ or are not numbers', () => {
+    assert.deepEqual(
+      findAmountMismatches({ taxAmount: '14', profitAmount: 'abc', finalAmount: '124.5' }, calculated),
+      ['profitAmount', 'finalAmount']
+    );
+  });
+  
+  it('uses the given tolerance', () => {
+    assert.deepEqual(findAmountMismatches({ finalAmount: '124.5' }, calculated, 1), []);
+  });
+});
+
+describe('calculateCommissionAmounts', () => {
+  it('takes each rate from the total and the rest as net profit', () => {
+    assert.deepEqual(
+      calculateCommissionAmounts(1000, { clientRate: 5, distributorRate: 2.5, companyRate: 1 }),
+      { clientCommission: 50, distributorCommission: 25, companyCommission: 10, netProfit: 915 }
+    );
+  });
+  
+  it('treats missing rates as 0', () => {
+    assert.deepEqual(
+      calculateCommissionAmounts(500, {}),
+      { clientCommission: 0, distributorCommission: 0, companyCommission: 0, netProfit: 500 }
+    );
+  });
+  
+  it('rounds each commission and the net profit', () => {
+    assert.deepEqual(
+      calculateCommissionAmounts(333.33, { clientRate: 10, distributorRate: 3.3 }),
+      { clientCommission: 33.33, distributorCommission: 11, companyCommission: 0, netProfit: 289 }
+    );
+  });
+});
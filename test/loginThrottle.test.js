@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLoginDelaySeconds } from '../utils/loginThrottle.js';
+
+describe('getLoginDelaySeconds', () => {
+  it('does not slow down the first two failures', () => {
+    assert.equal(getLoginDelaySeconds(0), 0);
+    assert.equal(getLoginDelaySeconds(1), 0);
+  });
+  
+  it('doubles the wait with each failure after that', () => {
+    assert.deepEqual([2, 3, 4, 5, 6].map(getLoginDelaySeconds), [1, 2, 4, 8, 16]);
+  });
+  
+  it('never waits more than 30 seconds', () => {
+    assert.equal(getLoginDelaySeconds(7), 30);
+    assert.equal(getLoginDelaySeconds(50), 30);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { getOpenApiSpec, validateSchema, findSpecMismatches } from '../utils/openapi.js';
+import apiRouter from '../routes/api-v1.js';
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+
+const validInvoice = {
+  client: '65f1c2a9e4b0a1b2c3d4e5f6',
+  file: '65f1c2a9e4b0a1b2c3d4e5f7',
+  assignedDistributor: '65f1c2a9e4b0a1b2c3d4e5f8',
+  invoiceDate: '2026-06-30',
+  lineItems: [{ description: 'استشارة', quantity: 2, unitPrice: 150.5, taxRate: 14 }],
+  profitPercentage: 10
+};
+
+describe('validateSchema', () => {
+  it('accepts a valid body', () => {
+    assert.equal(validateSchema(schemaRef('InvoiceCreate'), validInvoice), null);
+  });
+  
+  it('reports missing, unknown and invalid fields by path', () => {
+    const { file, ...body } = validInvoice;
+    
+    assert.deepEqual(validateSchema(schemaRef('InvoiceCreate'), {
+      ...body,
+      client: 'abc',
+      invoiceDate: '30/06/2026',
+      lineItems: [{ description: '', quantity: 0, unitPrice: -1 }],
+      profitPercentage: 101,
+      notes: 'x'
+    }), {
+      file: 'مطلوب',
+      client: 'معرّف غير صالح',
+      invoiceDate: 'تاريخ بصيغة YYYY-MM-DD',
+      'lineItems[0].description': 'لا يمكن أن يكون فارغاً',
+      'lineItems[0].quantity': 'أكبر من 0',
+      'lineItems[0].unitPrice': '0 على الأقل',
+      profitPercentage: '100 على الأكثر',
+      notes: 'حقل غير معروف'
+    });
+  });
+  
+  it('checks types, enums and array sizes', () => {
+    assert.deepEqual(validateSchema({ type: 'integer' }, 1.5), { body: 'يجب أن يكون من النوع integer' });
+    assert.deepEqual(validateSchema({ type: 'number' }, 3), null);
+    assert.deepEqual(validateSchema({ type: 'string', enum: ['a', 'b'] }, 'c'), { body: 'واحدة من: a, b' });
+    assert.deepEqual(validateSchema({ type: 'array', minItems: 1 }, []), { body: '1 عنصر على الأقل' });
+  });
+  
+  it('accepts null only where the schema is nullable', () => {
+    assert.deepEqual(validateSchema({ type: 'string' }, null), { body: 'لا يقبل null' });
+    assert.equal(validateSchema({ type: 'string', nullable: true }, null), null);
+  });
+});
+
+describe('findSpecMismatches', () => {
+  it('finds nothing for the API router', () => {
+    assert.deepEqual(findSpecMismatches(apiRouter), []);
+  });
+  
+  it('lists undocumented routes and documented operations without a route', () => {
+    const router = express.Router();
+    router.get('/invoices/:id', () => {});
+    router.post('/widgets', () => {});
+    
+    const mismatches = findSpecMismatches(router);
+    
+    assert.ok(mismatches.includes('undocumented: POST /widgets'));
+    assert.ok(mismatches.includes('no such route: GET /invoices'));
+    assert.ok(!mismatches.some(mismatch => mismatch.endsWith('GET /invoices/{id}')));
+  });
+});
+
+describe('getOpenApiSpec', () => {
+  it('points the server at the API under the given base URL', () => {
+    assert.deepEqual(getOpenApiSpec('https://example.com').servers, [{ url: 'https://example.com/api/v1' }]);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { fillTemplate, findUnknownPlaceholders } from '../utils/pdf.js';
+
+describe('fillTemplate', () => {
+  it('escapes text placeholders', () => {
+    assert.equal(
+      fillTemplate('invoice', '<h1>{{client.name}}</h1>', { 'client.name': '<script>alert(1)</script>' }),
+      '<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>'
+    );
+  });
+  
+  it('inserts the html parts as they are', () => {
+    assert.equal(
+      fillTemplate('invoice', '<div>{{ totals }}</div>', { totals: '<table class="totals"></table>' }),
+      '<div><table class="totals"></table></div>'
+    );
+  });
+  
+  it('leaves unknown and missing placeholders empty', () => {
+    assert.equal(
+      fillTemplate('statement', '[{{process.env.SESSION_SECRET}}][{{client.mobile}}]', { 'process.env.SESSION_SECRET': 'secret' }),
+      '[][]'
+    );
+  });
+  
+  it('does not run EJS code', () => {
+    const template = '<%= process.env.HOME %>';
+    assert.equal(fillTemplate('invoice', template, {}), template);
+  });
+});
+
+describe('findUnknownPlaceholders', () => {
+  it('accepts the default templates', async () => {
+    for (const key of ['invoice', 'statement']) {
+      const template = await fs.readFile(new URL(`../views/pdf/${key}.html`, import.meta.url), 'utf8');
+      assert.deepEqual(findUnknownPlaceholders(key, template), []);
+    }
+  });
+  
+  it('lists each unknown placeholder once', () => {
+    assert.deepEqual(
+      findUnknownPlaceholders('statement', '{{invoice.code}} {{client.name}} {{invoice.code}}'),
+      ['invoice.code']
+    );
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectRolePermissionIds } from '../utils/permissions.js';
+
+describe('collectRolePermissionIds', () => {
+  it('merges the permissions of all roles without duplicates', () => {
+    assert.deepEqual(
+      collectRolePermissionIds([
+        { isActive: true, permissions: ['a', 'b'] },
+        { isActive: true, permissions: ['b', 'c'] }
+      ]),
+      ['a', 'b', 'c']
+    );
+  });
+  
+  it('skips deactivated roles', () => {
+    assert.deepEqual(
+      collectRolePermissionIds([
+        { isActive: false, permissions: ['a'] },
+        { isActive: true, permissions: ['b'] }
+      ]),
+      ['b']
+    );
+  });
+  
+  it('counts roles saved before isActive existed as active', () => {
+    assert.deepEqual(collectRolePermissionIds([{ permissions: ['a'] }]), ['a']);
+  });
+  
+  it('returns string ids', () => {
+    const id = { toString: () => 'a' };
+    assert.deepEqual(collectRolePermissionIds([{ isActive: true, permissions: [id, id] }]), ['a']);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateTotp,
+  verifyTotp,
+  getOtpauthUrl,
+  normalizeBackupCode,
+  hashBackupCode,
+  generateBackupCodes
+} from '../utils/totp.js';
+
+// The SHA-1 secret of the RFC 6238 test vectors ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('base32', () => {
+  it('encodes and decodes the RFC secret', () => {
+    assert.equal(base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+    assert.equal(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  });
+  
+  it('ignores case, spaces, dashes and padding when decoding', () => {
+    assert.equal(base32Decode('gezd gnbv-gy3t qojq====').toString(), '1234567890');
+  });
+  
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32 character "1"/);
+  });
+  
+  it('generates 160 bit secrets', () => {
+    assert.equal(base32Decode(generateTotpSecret()).length, 20);
+  });
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 test vectors (last 6 digits)', () => {
+    assert.equal(generateTotp(RFC_SECRET, getTotpStep(59 * 1000)), '287082');
+    assert.equal(generateTotp(RFC_SECRET, getTotpStep(1111111109 * 1000)), '081804');
+    assert.equal(generateTotp(RFC_SECRET, getTotpStep(1111111111 * 1000)), '050471');
+    assert.equal(generateTotp(RFC_SECRET, getTotpStep(1234567890 * 1000)), '005924');
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1234567890 * 1000;
+  const step = getTotpStep(time);
+  
+  it('returns the step of a valid code', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { time }), step);
+    assert.equal(verifyTotp(RFC_SECRET, '005 924', { time }), step);
+  });
+  
+  it('accepts codes one step before or after', () => {
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { time }), null);
+  });
+  
+  it('rejects a code from a step already used', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { time, lastUsedStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { time, lastUsedStep: step - 1 }), step);
+  });
+  
+  it('rejects wrong or malformed codes', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '000000', { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '05924', { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined, { time }), null);
+  });
+});
+
+describe('getOtpauthUrl', () => {
+  it('encodes the account, issuer and parameters', () => {
+    assert.equal(
+      getOtpauthUrl(RFC_SECRET, 'ahmed ali', 'الفواتير'),
+      `otpauth://totp/${encodeURIComponent('الفواتير')}:ahmed%20ali?secret=${RFC_SECRET}` +
+        `&issuer=${encodeURIComponent('الفواتير')}&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('backup codes', () => {
+  it('generates distinct readable codes', () => {
+    const codes = generateBackupCodes();
+    
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[A-HJKMNP-Z2-9]{4}-[A-HJKMNP-Z2-9]{4}$/));
+  });
+  
+  it('hashes codes without case, spaces or dashes', () => {
+    assert.equal(normalizeBackupCode(' abcd-ef23 '), 'ABCDEF23');
+    assert.equal(hashBackupCode('abcd ef23'), hashBackupCode('ABCD-EF23'));
+    assert.notEqual(hashBackupCode('ABCD-EF23'), hashBackupCode('ABCD-EF24'));
+  });
+});
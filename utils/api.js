@@ -0,0 +1,56 @@
+// Response helpers for the JSON API (routes/api-v1.js). Every error has the
+// same shape, { error: { code, message, details? } }, and every list is paged,
+// { data: [...], pagination: { page, limit, total, pages } }.
+
+export const API_PAGE_SIZE = 20;
+export const API_MAX_PAGE_SIZE = 100;
+
+const errorCodes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation_failed',
+  500: 'internal_error'
+};
+
+export function sendApiError(res, status, message, details = null) {
+  const error = { code: errorCodes[status] || 'error', message };
+  if (details) {
+    error.details = details;
+  }
+  
+  return res.status(status).json({ error });
+}
+
+// page and limit from the query string, within bounds
+export function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(API_MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || API_PAGE_SIZE));
+  
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Run a paged find and send the page. `build` gets the base query to add populate/sort to.
+export async function sendPage(res, model, filter, query, build = q => q) {
+  const { page, limit, skip } = getPagination(query);
+  const [data, total] = await Promise.all([
+    build(model.find(filter)).skip(skip).limit(limit),
+    model.countDocuments(filter)
+  ]);
+  
+  return res.json({
+    data,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  });
+}
+
+// Validation errors of a mongoose save, as { field: message }
+export function getValidationDetails(error) {
+  if (error?.name !== 'ValidationError') {
+    return null;
+  }
+  
+  return Object.fromEntries(Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message]));
+}
@@ -0,0 +1,115 @@
+// Helpers to write the audit trail (see models/AuditLog.js).
+// Routes call logAudit() after a change has been saved.
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { emitInvoiceEvents } from './webhooks.js';
+
+// Never stored in the log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'passwordResetToken', 'twoFactor', 'secret'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Plain JSON copy of a document or object (ids and dates become strings)
+export function toAuditSnapshot(doc) {
+  if (!doc) {
+    return null;
+  }
+  
+  const object = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  const snapshot = JSON.parse(JSON.stringify(object));
+  IGNORED_FIELDS.forEach(field => delete snapshot[field]);
+  
+  return snapshot;
+}
+
+// Fields that differ between two snapshots. Nested objects are compared field
+// by field ('paymentStatus.clientToDistributor.isPaid'), arrays as a whole.
+export function diffSnapshots(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  
+  keys.forEach(key => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const beforeValue = before ? before[key] : undefined;
+    const afterValue = after ? after[key] : undefined;
+    
+    if (isPlainObject(beforeValue) || isPlainObject(afterValue)) {
+      changes.push(...diffSnapshots(
+        isPlainObject(beforeValue) ? beforeValue : null,
+        isPlainObject(afterValue) ? afterValue : null,
+        field
+      ));
+    } else if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes.push({ field, before: beforeValue ?? null, after: afterValue ?? null });
+    }
+  });
+  
+  return changes;
+}
+
+// The client, distributor and company histories also show their invoices' entries
+export async function getInvoiceRelations(invoice) {
+  const idOf = value => value?._id || value || null;
+  const related = [
+    { entityType: 'client', entityId: idOf(invoice.client) },
+    { entityType: 'distributor', entityId: idOf(invoice.assignedDistributor) }
+  ];
+  
+  const file = invoice.file?.company !== undefined
+    ? invoice.file
+    : await mongoose.model('File').findById(idOf(invoice.file)).select('company');
+  if (file?.company) {
+    related.push({ entityType: 'company', entityId: idOf(file.company) });
+  }
+  
+  return related.filter(relation => relation.entityId);
+}
+
+// Write an audit entry. before/after are the entity before and after the
+// change (null on create/delete). A failure is logged but never breaks the
+// request, the change itself has already been saved.
+export async function logAudit(req, { action, entityType, entityId, entityLabel, before, after, related = [], details = null }) {
+  try {
+    await AuditLog.create({
+      actor: req.session?.user?.id || null,
+      actorName: req.session?.user?.username || '',
+      action,
+      entityType,
+      entityId: entityId || null,
+      entityLabel: entityLabel || '',
+      changes: diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after)),
+      related,
+      details,
+      ip: req.ip || '',
+      userAgent: req.get?.('user-agent') || ''
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+// Log a change to an invoice, with its client/distributor/company as related
+// entities, and send the webhook events the change amounts to
+export async function logInvoiceAudit(req, action, invoice, { before = null, after = invoice, details = null } = {}) {
+  let related = [];
+  try {
+    related = await getInvoiceRelations(invoice);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+  
+  await logAudit(req, {
+    action,
+    entityType: 'invoice',
+    entityId: invoice._id,
+    entityLabel: invoice.invoiceCode,
+    before,
+    after,
+    related,
+    details
+  });
+  
+  await emitInvoiceEvents(req, action, toAuditSnapshot(before), after);
+}
@@ -0,0 +1,169 @@
+// Finding clients entered more than once and merging them into one client
+// (routes/client-merges.js). A merge moves the invoices and commission tiers
+// of the removed clients to the kept one and is saved as a ClientMerge, which
+// has what is needed to undo it.
+import Client from '../models/Client.js';
+import Invoice from '../models/Invoice.js';
+import CommissionTier from '../models/CommissionTier.js';
+import ClientMerge from '../models/ClientMerge.js';
+import { normalizeArabicText, getPhoneKey } from './imports.js';
+
+export const duplicateReasonNames = {
+  phone: 'نفس رقم الموبايل',
+  name: 'نفس الاسم بكتابة مختلفة'
+};
+
+// Keys two records of the same client share: the phone numbers and the name
+// without spaces ('عبد الله' and 'عبدالله' are the same name)
+function getDuplicateKeys(client) {
+  const keys = [client.mobileNumber, client.whatsappNumber]
+    .map(getPhoneKey)
+    .filter(Boolean)
+    .map(phone => ({ key: `phone:${phone}`, reason: 'phone' }));
+  
+  const name = normalizeArabicText(client.fullName).replace(/\s/g, '');
+  if (name) {
+    keys.push({ key: `name:${name}`, reason: 'name' });
+  }
+  return keys;
+}
+
+// Groups of clients that are probably the same client. A client joins a
+// group when it shares a phone number or name with any client of the group.
+// Returns [{ clients, reasons }], the biggest groups first.
+export function findDuplicateGroups(clients) {
+  const parent = clients.map((client, index) => index);
+  const findRoot = index => (parent[index] === index ? index : (parent[index] = findRoot(parent[index])));
+  const firstByKey = new Map();
+  const links = [];
+  
+  clients.forEach((client, index) => {
+    getDuplicateKeys(client).forEach(({ key, reason }) => {
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, index);
+        return;
+      }
+      parent[findRoot(index)] = findRoot(firstByKey.get(key));
+      links.push({ index, reason });
+    });
+  });
+  
+  const groups = new Map();
+  clients.forEach((client, index) => {
+    const root = findRoot(index);
+    if (!groups.has(root)) groups.set(root, { clients: [], reasons: new Set() });
+    groups.get(root).clients.push(client);
+  });
+  links.forEach(({ index, reason }) => groups.get(findRoot(index)).reasons.add(reason));
+  
+  return [...groups.values()]
+    .filter(group => group.clients.length > 1)
+    .map(group => ({ clients: group.clients, reasons: [...group.reasons] }))
+    .sort((a, b) => b.clients.length - a.clients.length);
+}
+
+// Fill the empty fields of the kept client from the removed ones and add
+// their notes. Returns the changed fields as [{ field, before, after }].
+function fillTargetFields(target, sources) {
+  const before = { whatsappNumber: target.whatsappNumber || '', notes: target.notes || '' };
+  
+  if (!target.whatsappNumber) {
+    target.whatsappNumber = sources.find(source => source.whatsappNumber)?.whatsappNumber || '';
+  }
+  sources
+    .map(source => source.notes)
+    .filter(notes => notes && !(target.notes || '').includes(notes))
+    .forEach(notes => {
+      target.notes = target.notes ? `${target.notes}\n${notes}` : notes;
+    });
+  
+  return Object.keys(before)
+    .filter(field => (target[field] || '') !== before[field])
+    .map(field => ({ field, before: before[field], after: target[field] }));
+}
+
+// Merge the sources into the target client: their invoices and commission
+// tiers move to the target and the source clients are deleted. A tier with the
+// same range as a tier of the target is deleted; one overlapping an active
+// tier of the target moves inactive, so the target's own rates still apply.
+export async function mergeClients(target, sources, userId) {
+  const targetTiers = await CommissionTier.find({ entityType: 'client', entityId: target._id });
+  const takenRanges = new Set(targetTiers.map(tier => `${tier.minAmount}-${tier.maxAmount}`));
+  const activeRanges = targetTiers.filter(tier => tier.isActive);
+  const overlapsActiveRange = tier => activeRanges.some(range => tier.minAmount <= range.maxAmount && tier.maxAmount >= range.minAmount);
+  
+  const merge = new ClientMerge({ target: target._id, targetName: target.fullName, mergedBy: userId });
+  const tierChanges = [];
+  
+  for (const source of sources) {
+    const invoices = await Invoice.find({ client: source._id }).distinct('_id');
+    const tiers = await CommissionTier.find({ entityType: 'client', entityId: source._id });
+    const entry = { client: source.toObject(), invoices, commissionTiers: [], removedCommissionTiers: [] };
+    
+    tiers.forEach(tier => {
+      const range = `${tier.minAmount}-${tier.maxAmount}`;
+      if (takenRanges.has(range)) {
+        entry.removedCommissionTiers.push(tier.toObject());
+        return;
+      }
+      takenRanges.add(range);
+      entry.commissionTiers.push({ tier: tier._id, isActive: tier.isActive });
+      const isActive = tier.isActive && !overlapsActiveRange(tier);
+      if (isActive) activeRanges.push(tier);
+      tierChanges.push({ tier, isActive });
+    });
+    merge.sources.push(entry);
+  }
+  merge.targetChanges = fillTargetFields(target, sources);
+  
+  // Saved before anything changes, so a merge that fails halfway can be undone
+  await merge.save();
+  
+  for (const entry of merge.sources) {
+    await Invoice.updateMany({ _id: { $in: entry.invoices } }, { $set: { client: target._id } });
+    await CommissionTier.deleteMany({ _id: { $in: entry.removedCommissionTiers.map(tier => tier._id) } });
+  }
+  for (const { tier, isActive } of tierChanges) {
+    await CommissionTier.updateOne({ _id: tier._id }, { $set: { entityId: target._id, isActive } });
+  }
+  await Client.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+  await target.save();
+  
+  return merge;
+}
+
+// Undo a merge: the removed clients come back with their ids, and their
+// invoices and tiers go back to them. Invoices added to the kept client since
+// the merge stay with it. Fields of the kept client filled by the merge are
+// restored unless they were edited since. Safe to run again after a failure.
+export async function revertClientMerge(merge) {
+  for (const entry of merge.sources) {
+    const sourceId = entry.client._id;
+    
+    if (!(await Client.exists({ _id: sourceId }))) {
+      await new Client(entry.client).save({ timestamps: false });
+    }
+    await Invoice.updateMany({ _id: { $in: entry.invoices }, client: merge.target }, { $set: { client: sourceId } });
+    
+    for (const { tier, isActive } of entry.commissionTiers) {
+      await CommissionTier.updateOne({ _id: tier, entityType: 'client', entityId: merge.target }, { $set: { entityId: sourceId, isActive } });
+    }
+    for (const tier of entry.removedCommissionTiers) {
+      if (!(await CommissionTier.exists({ _id: tier._id }))) {
+        await new CommissionTier(tier).save({ timestamps: false });
+      }
+    }
+  }
+  
+  const target = await Client.findById(merge.target);
+  if (target && merge.targetChanges.length > 0) {
+    merge.targetChanges
+      .filter(change => (target[change.field] || '') === change.after)
+      .forEach(change => {
+        target[change.field] = change.before;
+      });
+    await target.save();
+  }
+  
+  return target;
+}
@@ -0,0 +1,123 @@
+// What still points at a client, company, file or invoice, checked before
+// deleting it. Invoices, a company's files and an invoice's payments are part
+// of the accounts, so a record they use can't be deleted and the user is told
+// what to move first. Commission tiers and a company's invoice sequences only
+// configure the record and are deleted with it. Distributors are never
+// deleted, only deactivated.
+//
+// The check and the delete are two steps, so a record saved between them
+// would point at a deleted one. The create paths check again after saving
+// (removeIfParentDeleted) and take the new record back.
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import Company from '../models/Company.js';
+import File from '../models/File.js';
+import Payment from '../models/Payment.js';
+import CommissionTier from '../models/CommissionTier.js';
+import InvoiceSequence from '../models/InvoiceSequence.js';
+import { logAudit } from './audit.js';
+
+// Records that block deleting each entity type, and what to do about them
+const blockingDependents = {
+  client: {
+    message: 'لا يمكن حذف العميل لأن لديه',
+    checks: [{ model: Invoice, field: 'client', label: 'فاتورة' }],
+    hint: 'انقل فواتيره إلى عميل آخر أو ادمجه مع العميل الصحيح من صفحة العملاء المكررين'
+  },
+  company: {
+    message: 'لا يمكن حذف الشركة لأن لديها',
+    checks: [{ model: File, field: 'company', label: 'ملف' }],
+    hint: 'انقل ملفاتها إلى شركة أخرى أو احذفها أولاً'
+  },
+  file: {
+    message: 'لا يمكن حذف الملف لأن عليه',
+    checks: [{ model: Invoice, field: 'file', label: 'فاتورة' }],
+    hint: 'انقل فواتيره إلى ملف آخر أو احذفها أولاً'
+  },
+  invoice: {
+    message: 'لا يمكن حذف الفاتورة لأن عليها',
+    checks: [{ model: Payment, field: 'invoice', filter: { isVoided: false }, label: 'دفعة' }],
+    hint: 'ألغِ الدفعات أولاً أو أصدر إشعاراً دائناً لإلغاء الفاتورة'
+  }
+};
+
+// Records a new record of each type points at
+const requiredParents = {
+  file: [{ model: Company, field: 'company', message: 'تم حذف الشركة المختارة أثناء الحفظ، اختر شركة أخرى' }],
+  invoice: [
+    { model: Client, field: 'client', message: 'تم حذف العميل المختار أثناء الحفظ، اختر عميلاً آخر' },
+    { model: File, field: 'file', message: 'تم حذف الملف المختار أثناء الحفظ، اختر ملفاً آخر' }
+  ]
+};
+
+// Message explaining why the entity can't be deleted, or null when nothing
+// depends on it
+export async function getDeleteBlockedMessage(entityType, entityId) {
+  const { message, checks, hint } = blockingDependents[entityType];
+  const counts = [];
+  
+  for (const { model, field, filter, label } of checks) {
+    const count = await model.countDocuments({ ...filter, [field]: entityId });
+    if (count > 0) {
+      counts.push(`${count} ${label}`);
+    }
+  }
+  
+  if (counts.length === 0) {
+    return null;
+  }
+  return `${message} ${counts.join(' و')}. ${hint}`;
+}
+
+// Delete the commission tiers of a deleted entity, each with its audit entry
+export async function deleteCommissionTiers(req, entityType, entityId) {
+  const tiers = await CommissionTier.find({ entityType, entityId });
+  await CommissionTier.deleteMany({ _id: { $in: tiers.map(tier => tier._id) } });
+  
+  for (const tier of tiers) {
+    await logAudit(req, {
+      action: 'delete',
+      entityType: 'commission_tier',
+      entityId: tier._id,
+      entityLabel: `${tier.minAmount} - ${tier.maxAmount}`,
+      before: tier,
+      related: [{ entityType, entityId }]
+    });
+  }
+  
+  return tiers.length;
+}
+
+// Delete the invoice sequences of a deleted company, each with its audit
+// entry. Its invoices would have been blocking the delete, so no code of
+// theirs depends on the counters.
+export async function deleteInvoiceSequences(req, companyId) {
+  const sequences = await InvoiceSequence.find({ company: companyId });
+  await InvoiceSequence.deleteMany({ _id: { $in: sequences.map(sequence => sequence._id) } });
+  
+  for (const sequence of sequences) {
+    await logAudit(req, {
+      action: 'delete',
+      entityType: 'invoice_sequence',
+      entityId: sequence._id,
+      entityLabel: sequence.name,
+      before: sequence,
+      related: [{ entityType: 'company', entityId: companyId }]
+    });
+  }
+  
+  return sequences.length;
+}
+
+// Delete a record just saved when a record it points at was deleted in the
+// meantime. Returns the message to show then, otherwise null.
+export async function removeIfParentDeleted(entityType, record) {
+  for (const { model, field, message } of requiredParents[entityType]) {
+    if (record[field] && !(await model.exists({ _id: record[field] }))) {
+      await record.constructor.deleteOne({ _id: record._id });
+      return message;
+    }
+  }
+  
+  return null;
+}
@@ -0,0 +1,308 @@
+// Reading spreadsheets for the import wizard (routes/imports.js) and matching
+// their cells with existing records. What each kind of record needs is in its
+// importer, e.g. utils/invoiceImport.js.
+import ExcelJS from 'exceljs';
+import { resolveUserPermissions, resolvedHasPermission } from './permissions.js';
+
+export const MAX_IMPORT_ROWS = 2000;
+const MAX_CELL_LENGTH = 500;
+
+// What to do with a row that matches an existing record
+export const duplicateActionNames = {
+  skip: 'تخطي',
+  merge: 'دمج مع الموجود',
+  create: 'إضافة كسجل جديد'
+};
+
+const ARABIC_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+const PERSIAN_DIGITS = '۰۱۲۳۴۵۶۷۸۹';
+
+export function toLatinDigits(value) {
+  return String(value ?? '').replace(/[٠-٩۰-۹]/g, digit => {
+    const index = ARABIC_DIGITS.indexOf(digit);
+    return String(index >= 0 ? index : PERSIAN_DIGITS.indexOf(digit));
+  });
+}
+
+// Text for comparing names: no diacritics or tatweel, one form of alef, yeh
+// and teh marbuta, lower case, single spaces
+export function normalizeArabicText(value) {
+  return toLatinDigits(value)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/[ىئ]/g, 'ي')
+    .replace(/ؤ/g, 'و')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Key for comparing phone numbers written in different formats
+// (+20 100 123 4567, 01001234567, ٠١٠٠١٢٣٤٥٦٧): the last 9 digits.
+// Returns '' when the value doesn't look like a phone number.
+export function getPhoneKey(value) {
+  const text = toLatinDigits(value).trim();
+  if (!/^[\d\s+\-().]+$/.test(text)) {
+    return '';
+  }
+  
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+}
+
+// Number of a cell: Arabic digits, thousands separators and a trailing % are
+// accepted. NaN when the text is not a number.
+export function parseImportNumber(value) {
+  const text = toLatinDigits(value).replace(/[\s,٬]/g, '').replace('٫', '.').replace(/%$/, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+// Date of a cell as YYYY-MM-DD: year first (2024-03-31, 2024/3/31) or day
+// first (31/03/2024, 31-3-2024). null when it is not a valid date.
+export function parseImportDate(value) {
+  const text = toLatinDigits(value).trim();
+  let parts = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (parts) {
+    parts = [parts[1], parts[2], parts[3]];
+  } else {
+    const dayFirst = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    parts = dayFirst && [dayFirst[3], dayFirst[2], dayFirst[1]];
+  }
+  if (!parts) {
+    return null;
+  }
+  
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Pages print cell texts inside HTML, they go through this first
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/`/g, '&#96;');
+}
+
+// Rows of a CSV text. The delimiter (comma, semicolon or tab) is the one the
+// header line uses most; quoted cells may contain delimiters and line breaks.
+export function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  ));
+  
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+// CSV files saved by Arabic Excel are often Windows-1256 rather than UTF-8
+function decodeCsv(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('windows-1256').decode(buffer);
+  }
+}
+
+// Text of an Excel cell value; dates become YYYY-MM-DD
+function getCellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number') {
+    return String(Number(value.toPrecision(15)));
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return getCellText(value.result);
+    if ('text' in value) return getCellText(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+async function readWorkbookRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+  worksheet?.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    // row.values is 1-based
+    rows[rowNumber - 1] = row.values.slice(1).map(getCellText);
+  });
+  
+  return Array.from(rows, row => row || []);
+}
+
+// Read an uploaded .xlsx (first sheet) or .csv file. The first non-empty row
+// holds the column names. Returns { headers, rows, firstRowNumber } with every
+// cell as trimmed text, or { error }.
+export async function readSpreadsheet(file) {
+  let table;
+  try {
+    table = /\.csv$/i.test(file.originalname)
+      ? parseCsv(decodeCsv(file.buffer))
+      : await readWorkbookRows(file.buffer);
+  } catch (error) {
+    console.error('Spreadsheet read error:', error);
+    return { error: 'تعذرت قراءة الملف، تأكد أنه ملف Excel (xlsx) أو CSV سليم' };
+  }
+  
+  table = table.map(row => Array.from(row, cell => String(cell ?? '').trim().slice(0, MAX_CELL_LENGTH)));
+  const isBlank = row => !row.some(Boolean);
+  
+  const headerIndex = table.findIndex(row => !isBlank(row));
+  if (headerIndex === -1) {
+    return { error: 'الملف فارغ' };
+  }
+  while (table.length > headerIndex + 1 && isBlank(table[table.length - 1])) {
+    table.pop();
+  }
+  
+  const rows = table.slice(headerIndex + 1);
+  if (rows.length === 0) {
+    return { error: 'الملف لا يحتوي على صفوف بيانات بعد صف العناوين' };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `الحد الأقصى ${MAX_IMPORT_ROWS} صف في الملف الواحد، قسّم الملف وأعد المحاولة` };
+  }
+  
+  const width = Math.max(...table.slice(headerIndex).map(row => row.length));
+  const headers = Array.from({ length: width }, (_, index) => table[headerIndex][index] || `عمود ${index + 1}`);
+  
+  return {
+    headers,
+    rows: rows.map(row => Array.from({ length: width }, (_, index) => row[index] || '')),
+    firstRowNumber: headerIndex + 2
+  };
+}
+
+// Column of each field whose name or alias matches a column name
+export function guessMapping(headers, fields) {
+  const normalize = value => normalizeArabicText(value).replace(/[\s_\-.%()]/g, '');
+  const columns = headers.map(normalize);
+  const used = new Set();
+  const mapping = {};
+  
+  fields.forEach(field => {
+    const names = [field.label, ...(field.aliases || [])].map(normalize);
+    const index = columns.findIndex((column, columnIndex) => !used.has(columnIndex) && names.includes(column));
+    if (index !== -1) {
+      mapping[field.key] = index;
+      used.add(index);
+    }
+  });
+  
+  return mapping;
+}
+
+// The column chosen for each field, from the mapping form
+export function getPostedMapping(body, fields, columnCount) {
+  const mapping = {};
+  
+  fields.forEach(field => {
+    const index = parseInt(body[`mapping_${field.key}`], 10);
+    if (index >= 0 && index < columnCount) {
+      mapping[field.key] = index;
+    }
+  });
+  
+  return mapping;
+}
+
+// Cell text of each mapped field of a row ('' when the field has no column)
+export function getMappedValues(cells, mapping, fields) {
+  return Object.fromEntries(fields.map(field => {
+    const index = mapping?.[field.key];
+    return [field.key, index === undefined ? '' : String(cells[index] ?? '').trim()];
+  }));
+}
+
+// Find records by any of their identifiers (id, name, phone number), ignoring
+// differences in how Arabic names and phone numbers are written.
+// Returns a function from a cell text to the matching records.
+export function createLookup(records, getIdentifiers) {
+  const getKeys = value => {
+    const keys = [];
+    const name = normalizeArabicText(value);
+    const phone = getPhoneKey(value);
+    if (name) keys.push(`name:${name}`);
+    if (phone) keys.push(`phone:${phone}`);
+    return keys;
+  };
+  
+  const index = new Map();
+  records.forEach(record => {
+    getIdentifiers(record).flatMap(getKeys).forEach(key => {
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(record);
+    });
+  });
+  
+  return value => [...new Set(getKeys(value).flatMap(key => [...(index.get(key) || [])]))];
+}
+
+// Whether the user may merge rows into a found record: the update permission
+// of the module and, with view_own only, a record they created.
+// Returns a function from a record to true/false.
+export async function getMergePermission(req, module) {
+  if (req.session.user.role === 'admin') {
+    return () => true;
+  }
+  
+  const resolved = await resolveUserPermissions(req.session.user.id);
+  const canUpdate = resolvedHasPermission(resolved, module, 'update');
+  const canViewAll = resolvedHasPermission(resolved, module, 'view_all');
+  
+  return record => canUpdate && (canViewAll || String(record.createdBy) === String(req.session.user.id));
+}
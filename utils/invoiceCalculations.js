@@ -0,0 +1,167 @@
+// Server-side money calculations for invoices.
+// Every derived amount stored on an Invoice comes from here, so the browser
+// only ever sends inputs (line items, percentages, discount).
+
+export const AMOUNT_TOLERANCE = 0.01;
+
+// Fields the browser displays but the server always recalculates
+export const DERIVED_AMOUNT_FIELDS = [
+  'taxAmount',
+  'managementTaxAmount',
+  'corporateTaxAmount',
+  'profitAmount',
+  'finalAmount'
+];
+
+// Round to 2 decimals (piasters), half away from zero
+export function roundAmount(value) {
+  const number = Number(value) || 0;
+  const rounded = Math.round((Math.abs(number) + Number.EPSILON) * 100) / 100;
+  return number < 0 ? -rounded : rounded;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+// Amounts for a single line item
+export function calculateLineItem(item) {
+  const quantity = toNumber(item.quantity);
+  const unitPrice = toNumber(item.unitPrice);
+  const discount = toNumber(item.discount);
+  const taxRate = toNumber(item.taxRate);
+  
+  const netAmount = roundAmount(quantity * unitPrice - discount);
+  const taxAmount = roundAmount(netAmount * taxRate / 100);
+  
+  return {
+    netAmount,
+    taxAmount,
+    lineTotal: roundAmount(netAmount + taxAmount)
+  };
+}
+
+// Calculate every derived amount of an invoice.
+// Uses the line items when there are any, otherwise the legacy single total
+// with taxPercentage.
+export function calculateInvoiceAmounts(input) {
+  const lineItems = input.lineItems || [];
+  const managementTaxPercentage = toNumber(input.managementTaxPercentage);
+  const corporateTaxPercentage = toNumber(input.corporateTaxPercentage);
+  const profitPercentage = toNumber(input.profitPercentage);
+  const discountAmount = roundAmount(toNumber(input.discountAmount));
+  
+  let total;
+  let taxAmount;
+  let taxPercentage;
+  
+  if (lineItems.length > 0) {
+    const lines = lineItems.map(calculateLineItem);
+    total = roundAmount(lines.reduce((sum, line) => sum + line.netAmount, 0));
+    taxAmount = roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+    // Effective rate across all lines, kept for reports that read taxPercentage
+    taxPercentage = total > 0 ? roundAmount(taxAmount / total * 100) : 0;
+  } else {
+    total = roundAmount(toNumber(input.total));
+    taxPercentage = toNumber(input.taxPercentage);
+    taxAmount = roundAmount(total * taxPercentage / 100);
+  }
+  
+  const managementTaxAmount = roundAmount(total * managementTaxPercentage / 100);
+  const corporateTaxAmount = roundAmount(total * corporateTaxPercentage / 100);
+  const profitAmount = roundAmount(total * profitPercentage / 100);
+  const finalAmount = roundAmount(
+    total + taxAmount + managementTaxAmount + corporateTaxAmount + profitAmount - discountAmount
+  );
+  
+  return {
+    total,
+    taxPercentage,
+    taxAmount,
+    managementTaxPercentage,
+    managementTaxAmount,
+    corporateTaxPercentage,
+    corporateTaxAmount,
+    profitPercentage,
+    profitAmount,
+    discountAmount,
+    finalAmount
+  };
+}
+
+// Validate the inputs of calculateInvoiceAmounts, returns a list of error messages
+export function validateInvoiceInputs(input) {
+  const errors = [];
+  const lineItems = input.lineItems || [];
+  
+  lineItems.forEach((item, index) => {
+    const quantity = toNumber(item.quantity);
+    const unitPrice = toNumber(item.unitPrice);
+    const discount = toNumber(item.discount);
+    const taxRate = toNumber(item.taxRate);
+    
+    if (quantity <= 0) {
+      errors.push(`كمية البند ${index + 1} يجب أن تكون أكبر من صفر`);
+    }
+    if (unitPrice < 0) {
+      errors.push(`سعر البند ${index + 1} لا يمكن أن يكون سالباً`);
+    }
+    if (discount < 0 || discount > quantity * unitPrice) {
+      errors.push(`خصم البند ${index + 1} غير صحيح`);
+    }
+    if (taxRate < 0 || taxRate > 100) {
+      errors.push(`نسبة ضريبة البند ${index + 1} يجب أن تكون بين 0 و 100`);
+    }
+  });
+  
+  const percentages = {
+    taxPercentage: 'نسبة الضريبة',
+    managementTaxPercentage: 'نسبة ضريبة الإدارة',
+    corporateTaxPercentage: 'نسبة الضريبة المؤسسية',
+    profitPercentage: 'نسبة الربح'
+  };
+  
+  Object.entries(percentages).forEach(([field, label]) => {
+    const value = toNumber(input[field]);
+    if (value < 0 || value > 100) {
+      errors.push(`${label} يجب أن تكون بين 0 و 100`);
+    }
+  });
+  
+  if (toNumber(input.discountAmount) < 0) {
+    errors.push('الخصم لا يمكن أن يكون سالباً');
+  } else if (errors.length === 0 && calculateInvoiceAmounts(input).finalAmount < 0) {
+    errors.push('الخصم أكبر من قيمة الفاتورة');
+  }
+  
+  return errors;
+}
+
+// Compare the amounts posted by the browser with the calculated ones.
+// Fields that were not posted are ignored. Returns the mismatching field names.
+export function findAmountMismatches(posted, calculated, tolerance = AMOUNT_TOLERANCE) {
+  return DERIVED_AMOUNT_FIELDS.filter(field => {
+    const value = posted[field];
+    if (value === undefined || value === null || value === '') {
+      return false;
+    }
+    
+    const number = parseFloat(value);
+    return !Number.isFinite(number) || Math.abs(number - calculated[field]) > tolerance;
+  });
+}
+
+// Commission amounts for the given rates (percentages) on the invoice total
+export function calculateCommissionAmounts(total, { clientRate = 0, distributorRate = 0, companyRate = 0 }) {
+  const clientCommission = roundAmount(total * clientRate / 100);
+  const distributorCommission = roundAmount(total * distributorRate / 100);
+  const companyCommission = roundAmount(total * companyRate / 100);
+  
+  return {
+    clientCommission,
+    distributorCommission,
+    companyCommission,
+    netProfit: roundAmount(total - clientCommission - distributorCommission - companyCommission)
+  };
+}
@@ -0,0 +1,396 @@
+// Invoice import for the import wizard (routes/imports.js). Every spreadsheet
+// row is a line item: rows with the same invoice code make one invoice, a row
+// without a code is an invoice of its own. Rows are checked like the invoice
+// form and saved with createInvoice, so codes, amounts and commission tiers
+// follow the same rules as invoices entered by hand.
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import File from '../models/File.js';
+import User from '../models/User.js';
+import { validateInvoiceInputs, calculateInvoiceAmounts, calculateLineItem } from './invoiceCalculations.js';
+import { calculateCommissionRate, resolveDueDate, createInvoice } from './invoices.js';
+import { getMappedValues, parseImportNumber, parseImportDate, createLookup } from './imports.js';
+import { getVisibleRecordsQuery } from './permissions.js';
+
+const INVOICE_IMPORT_FIELDS = [
+  {
+    key: 'invoiceCode',
+    label: 'رقم الفاتورة',
+    aliases: ['invoice code', 'invoice number', 'invoice no', 'كود الفاتورة', 'رقم'],
+    help: 'الصفوف التي تحمل نفس الرقم تصبح بنود فاتورة واحدة؛ بدونه يُعطى لكل صف رقم من تسلسل الشركة',
+    adminOnly: true
+  },
+  { key: 'client', label: 'العميل', required: true, aliases: ['client', 'customer', 'اسم العميل'], help: 'الاسم أو رقم الموبايل' },
+  { key: 'file', label: 'الملف', required: true, aliases: ['file', 'file name', 'اسم الملف'] },
+  {
+    key: 'assignedDistributor',
+    label: 'الموزع',
+    aliases: ['distributor', 'اسم الموزع'],
+    help: 'اسم المستخدم؛ يُترك فارغاً لفواتيرك أنت إن كنت موزعاً'
+  },
+  { key: 'invoiceDate', label: 'تاريخ الفاتورة', required: true, aliases: ['invoice date', 'date', 'التاريخ'] },
+  { key: 'dueDate', label: 'تاريخ الاستحقاق', aliases: ['due date', 'الاستحقاق'], help: 'إن تُرك فارغاً يُحسب من شروط دفع العميل' },
+  { key: 'description', label: 'وصف البند', aliases: ['description', 'item', 'الوصف', 'البيان', 'البند'], help: 'إن تُرك فارغاً يُستخدم اسم الملف' },
+  { key: 'quantity', label: 'الكمية', aliases: ['quantity', 'qty', 'العدد'], help: 'الافتراضي 1' },
+  { key: 'unitPrice', label: 'سعر الوحدة', required: true, aliases: ['unit price', 'price', 'amount', 'السعر', 'المبلغ', 'القيمة'] },
+  { key: 'discount', label: 'خصم البند', aliases: ['line discount', 'item discount'] },
+  { key: 'taxRate', label: 'نسبة ضريبة البند', aliases: ['tax rate', 'tax', 'الضريبة', 'نسبة الضريبة'] },
+  { key: 'managementTaxPercentage', label: 'نسبة ضريبة الإدارة', aliases: ['management tax', 'ضريبة الإدارة'] },
+  { key: 'corporateTaxPercentage', label: 'نسبة الضريبة المؤسسية', aliases: ['corporate tax', 'الضريبة المؤسسية'] },
+  { key: 'profitPercentage', label: 'نسبة الربح', aliases: ['profit', 'الربح'] },
+  { key: 'discountAmount', label: 'خصم الفاتورة', aliases: ['discount', 'invoice discount', 'الخصم'] }
+];
+
+// Fields of the invoice rather than of the line item; the rows of one invoice
+// have to agree on them
+const INVOICE_LEVEL_FIELDS = [
+  'client',
+  'file',
+  'assignedDistributor',
+  'invoiceDate',
+  'dueDate',
+  'managementTaxPercentage',
+  'corporateTaxPercentage',
+  'profitPercentage',
+  'discountAmount'
+];
+
+// Numbers and the value used when the cell is empty
+const NUMBER_DEFAULTS = {
+  quantity: 1,
+  discount: 0,
+  taxRate: 0,
+  managementTaxPercentage: 0,
+  corporateTaxPercentage: 0,
+  profitPercentage: 0,
+  discountAmount: 0
+};
+
+const formatAmount = value => Number(value || 0).toFixed(2);
+
+// Manual invoice codes are for admins only, as on the invoice form
+function getInvoiceImportFields(req) {
+  return INVOICE_IMPORT_FIELDS.filter(field => !field.adminOnly || req.session.user.role === 'admin');
+}
+
+// Clients, files and distributors the rows can refer to, only those the user
+// can see
+async function loadLookups(req) {
+  // Without view_all on distributors, only themselves or distributors they created
+  const distributorQuery = { role: 'distributor', isActive: true };
+  const currentUser = await User.findById(req.session.user.id);
+  if (req.session.user.role !== 'admin' && !await currentUser.hasPermission('distributors', 'view_all')) {
+    distributorQuery.$or = [{ _id: req.session.user.id }, { createdBy: req.session.user.id }];
+  }
+  
+  const [clientQuery, fileQuery] = await Promise.all([
+    getVisibleRecordsQuery(req, 'clients'),
+    getVisibleRecordsQuery(req, 'files')
+  ]);
+  const [clients, files, distributors] = await Promise.all([
+    Client.find(clientQuery).select('fullName mobileNumber'),
+    File.find(fileQuery).select('fileName company').populate('company', 'name'),
+    User.find(distributorQuery).select('username')
+  ]);
+  
+  return {
+    findClients: createLookup(clients, client => [String(client._id), client.fullName, client.mobileNumber]),
+    findFiles: createLookup(files, file => [String(file._id), file.fileName]),
+    findDistributors: createLookup(distributors, distributor => [String(distributor._id), distributor.username]),
+    currentDistributor: distributors.find(distributor => String(distributor._id) === String(req.session.user.id)) || null
+  };
+}
+
+// The one record a cell refers to, or the reason there is none
+function resolveRecord(find, value, notFound, ambiguous) {
+  const matches = find(value);
+  if (matches.length === 1) {
+    return { record: matches[0] };
+  }
+  return { error: matches.length === 0 ? `${notFound}: ${value}` : `"${value}" ${ambiguous}` };
+}
+
+// Read and check the cells of one row
+function checkRow(values, rowNumber, lookups, labels) {
+  const row = { rowNumber, values, errors: [] };
+  const { errors } = row;
+  
+  Object.keys(labels).forEach(field => {
+    if (labels[field].required && !values[field]) {
+      errors.push(`${labels[field].label} مطلوب`);
+    }
+  });
+  
+  if (values.client) {
+    const { record, error } = resolveRecord(lookups.findClients, values.client, 'العميل غير موجود', 'يطابق أكثر من عميل، استخدم رقم الموبايل');
+    row.client = record;
+    if (error) errors.push(error);
+  }
+  if (values.file) {
+    const { record, error } = resolveRecord(lookups.findFiles, values.file, 'الملف غير موجود', 'يطابق أكثر من ملف');
+    row.file = record;
+    if (error) errors.push(error);
+  }
+  if (values.assignedDistributor) {
+    const { record, error } = resolveRecord(
+      lookups.findDistributors,
+      values.assignedDistributor,
+      'الموزع غير موجود أو غير نشط أو ليس لديك صلاحية عليه',
+      'يطابق أكثر من موزع'
+    );
+    row.distributor = record;
+    if (error) errors.push(error);
+  } else if (lookups.currentDistributor) {
+    row.distributor = lookups.currentDistributor;
+  } else {
+    errors.push('الموزع مطلوب');
+  }
+  
+  ['invoiceDate', 'dueDate'].forEach(field => {
+    if (!values[field]) return;
+    row[field] = parseImportDate(values[field]);
+    if (!row[field]) {
+      errors.push(`${labels[field].label} غير صحيح: ${values[field]}`);
+    }
+  });
+  
+  const numbers = {};
+  ['unitPrice', ...Object.keys(NUMBER_DEFAULTS)].forEach(field => {
+    if (!values[field]) {
+      numbers[field] = NUMBER_DEFAULTS[field] ?? 0;
+      return;
+    }
+    numbers[field] = parseImportNumber(values[field]);
+    if (isNaN(numbers[field])) {
+      errors.push(`${labels[field].label} ليس رقماً: ${values[field]}`);
+    }
+  });
+  row.numbers = numbers;
+  
+  row.lineItem = {
+    description: values.description || row.file?.fileName || '',
+    quantity: numbers.quantity,
+    unitPrice: numbers.unitPrice,
+    discount: numbers.discount,
+    taxRate: numbers.taxRate
+  };
+  
+  return row;
+}
+
+// An invoice field of a row as it will be saved, to compare the rows of one invoice
+function getInvoiceValue(row, field) {
+  const record = { client: row.client, file: row.file, assignedDistributor: row.distributor }[field];
+  if (record) {
+    return String(record._id);
+  }
+  return String(field in row.numbers ? row.numbers[field] : row[field] ?? row.values[field]);
+}
+
+// Check every row of an upload and group the rows into invoices.
+// An invoice is ready (has fields and amounts) only when none of its rows has an error.
+async function checkInvoiceImport(req, batch) {
+  const fields = getInvoiceImportFields(req);
+  const labels = Object.fromEntries(fields.map(field => [field.key, field]));
+  const lookups = await loadLookups(req);
+  
+  const rows = [];
+  const invoices = new Map();
+  batch.rows.forEach((cells, index) => {
+    const values = getMappedValues(cells, batch.mapping, fields);
+    // Empty rows in the middle of the sheet are skipped
+    if (!Object.values(values).some(Boolean)) return;
+    
+    const rowNumber = batch.firstRowNumber + index;
+    const key = values.invoiceCode ? `code:${values.invoiceCode}` : `row:${rowNumber}`;
+    if (!invoices.has(key)) {
+      invoices.set(key, { invoiceCode: values.invoiceCode || '', rows: [] });
+    }
+    const invoice = invoices.get(key);
+    const [firstRow] = invoice.rows;
+    
+    // The next rows of an invoice may leave the invoice fields empty
+    if (firstRow) {
+      INVOICE_LEVEL_FIELDS.forEach(field => {
+        values[field] = values[field] || firstRow.values[field];
+      });
+    }
+    
+    const row = checkRow(values, rowNumber, lookups, labels);
+    if (firstRow) {
+      INVOICE_LEVEL_FIELDS
+        .filter(field => getInvoiceValue(row, field) !== getInvoiceValue(firstRow, field))
+        .forEach(field => row.errors.push(`${labels[field].label} يختلف عن الصف ${firstRow.rowNumber} من نفس الفاتورة`));
+    }
+    invoice.rows.push(row);
+    rows.push(row);
+  });
+  
+  const codes = [...invoices.values()].map(invoice => invoice.invoiceCode).filter(Boolean);
+  const usedCodes = new Set(codes.length > 0
+    ? (await Invoice.find({ invoiceCode: { $in: codes } }).select('invoiceCode')).map(invoice => invoice.invoiceCode)
+    : []);
+  
+  for (const invoice of invoices.values()) {
+    const [firstRow] = invoice.rows;
+    if (usedCodes.has(invoice.invoiceCode)) {
+      invoice.rows.forEach(row => row.errors.push(`رقم الفاتورة ${invoice.invoiceCode} مستخدم بالفعل`));
+    }
+    
+    if (invoice.rows.some(row => row.errors.length > 0)) {
+      invoice.rows
+        .filter(row => row.errors.length === 0)
+        .forEach(row => row.errors.push('صف آخر من نفس الفاتورة به أخطاء'));
+      continue;
+    }
+    
+    const amountInputs = {
+      lineItems: invoice.rows.map(row => row.lineItem),
+      managementTaxPercentage: firstRow.numbers.managementTaxPercentage,
+      corporateTaxPercentage: firstRow.numbers.corporateTaxPercentage,
+      profitPercentage: firstRow.numbers.profitPercentage,
+      discountAmount: firstRow.numbers.discountAmount
+    };
+    const inputErrors = validateInvoiceInputs(amountInputs);
+    const dueDate = inputErrors.length === 0
+      ? await resolveDueDate(firstRow.dueDate, firstRow.invoiceDate, firstRow.client._id)
+      : null;
+    if (inputErrors.length === 0 && !dueDate) {
+      inputErrors.push('تاريخ الاستحقاق يسبق تاريخ الفاتورة');
+    }
+    if (inputErrors.length > 0) {
+      invoice.rows.forEach(row => row.errors.push(...inputErrors));
+      continue;
+    }
+    
+    invoice.fields = {
+      invoiceCode: invoice.invoiceCode,
+      client: firstRow.client._id,
+      file: firstRow.file._id,
+      assignedDistributor: firstRow.distributor._id,
+      invoiceDate: firstRow.invoiceDate,
+      dueDate,
+      lineItems: amountInputs.lineItems
+    };
+    invoice.amounts = calculateInvoiceAmounts(amountInputs);
+  }
+  
+  return { rows, invoices: [...invoices.values()] };
+}
+
+// Rows with their errors, and the invoices that would be created with their
+// amounts and commission rates
+async function previewInvoiceImport(req, batch) {
+  const { rows, invoices } = await checkInvoiceImport(req, batch);
+  const readyInvoices = invoices.filter(invoice => invoice.amounts);
+  
+  const records = [];
+  for (const invoice of readyInvoices) {
+    const [firstRow] = invoice.rows;
+    const { total } = invoice.amounts;
+    const company = firstRow.file.company;
+    const [clientRate, distributorRate, companyRate] = await Promise.all([
+      calculateCommissionRate('client', firstRow.client._id, total),
+      calculateCommissionRate('distributor', firstRow.distributor._id, total),
+      company ? calculateCommissionRate('company', company._id, total) : 0
+    ]);
+    
+    records.push({
+      invoice: invoice.invoiceCode || 'رقم تلقائي',
+      rows: invoice.rows.map(row => row.rowNumber).join('، '),
+      client: firstRow.client.fullName,
+      total: formatAmount(total),
+      finalAmount: formatAmount(invoice.amounts.finalAmount),
+      clientRate: `${clientRate}%`,
+      distributorRate: `${distributorRate}%`,
+      companyRate: `${companyRate}%`
+    });
+  }
+  
+  return {
+    rowColumns: [
+      { key: 'invoice', label: 'الفاتورة' },
+      { key: 'client', label: 'العميل' },
+      { key: 'file', label: 'الملف' },
+      { key: 'distributor', label: 'الموزع' },
+      { key: 'invoiceDate', label: 'التاريخ' },
+      { key: 'description', label: 'البند' },
+      { key: 'quantity', label: 'الكمية' },
+      { key: 'unitPrice', label: 'السعر' },
+      { key: 'lineTotal', label: 'إجمالي البند' }
+    ],
+    rows: rows.map(row => ({
+      rowNumber: row.rowNumber,
+      errors: row.errors,
+      cells: {
+        invoice: row.values.invoiceCode || 'رقم تلقائي',
+        client: row.client?.fullName || row.values.client,
+        file: row.file?.fileName || row.values.file,
+        distributor: row.distributor?.username || row.values.assignedDistributor,
+        invoiceDate: row.invoiceDate || row.values.invoiceDate,
+        description: row.lineItem.description,
+        quantity: row.values.quantity || row.lineItem.quantity,
+        unitPrice: row.values.unitPrice,
+        lineTotal: row.errors.length === 0 ? formatAmount(calculateLineItem(row.lineItem).lineTotal) : ''
+      }
+    })),
+    recordColumns: [
+      { key: 'invoice', label: 'الفاتورة' },
+      { key: 'rows', label: 'الصفوف' },
+      { key: 'client', label: 'العميل' },
+      { key: 'total', label: 'الإجمالي' },
+      { key: 'finalAmount', label: 'المبلغ النهائي' },
+      { key: 'clientRate', label: 'عمولة العميل' },
+      { key: 'distributorRate', label: 'عمولة الموزع' },
+      { key: 'companyRate', label: 'عمولة الشركة' }
+    ],
+    records
+  };
+}
+
+// Create the invoices whose rows have no errors. The rows are checked again
+// first, other users may have changed the data since the preview.
+async function commitInvoiceImport(req, batch) {
+  const { invoices } = await checkInvoiceImport(req, batch);
+  const results = [];
+  
+  for (const invoice of invoices) {
+    const rowNumbers = invoice.rows.map(row => row.rowNumber);
+    if (!invoice.amounts) {
+      results.push({ rowNumbers, error: [...new Set(invoice.rows.flatMap(row => row.errors))].join('، ') });
+      continue;
+    }
+    
+    try {
+      const created = await createInvoice(req, { ...invoice.fields, amounts: invoice.amounts }, {
+        via: 'import',
+        importFile: batch.fileName,
+        rows: rowNumbers.join('، ')
+      });
+      results.push({ rowNumbers, entityId: created._id, label: created.invoiceCode, url: `/invoices/${created._id}` });
+    } catch (error) {
+      let message = 'حدث خطأ أثناء إنشاء الفاتورة';
+      if (error.code === 11000 && error.keyPattern?.invoiceCode) {
+        message = 'رقم الفاتورة مستخدم بالفعل';
+      } else if (error.code === 'PARENT_DELETED') {
+        message = error.message;
+      } else {
+        console.error('Invoice import error:', error);
+      }
+      results.push({ rowNumbers, error: message });
+    }
+  }
+  
+  return results;
+}
+
+export const invoiceImporter = {
+  module: 'invoices',
+  title: 'استيراد الفواتير',
+  recordName: 'فاتورة',
+  backUrl: '/invoices',
+  backLabel: 'العودة للفواتير',
+  getFields: getInvoiceImportFields,
+  preview: previewInvoiceImport,
+  commit: commitInvoiceImport
+};
@@ -0,0 +1,144 @@
+// Invoice helpers shared by the invoice pages and the API
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import File from '../models/File.js';
+import User from '../models/User.js';
+import Company from '../models/Company.js';
+import CommissionTier from '../models/CommissionTier.js';
+import InvoiceSequence from '../models/InvoiceSequence.js';
+import InvoiceVersion from '../models/InvoiceVersion.js';
+import { logInvoiceAudit } from './audit.js';
+import { removeIfParentDeleted } from './dependents.js';
+
+// Commission rate of a client, distributor or company for an invoice amount:
+// the matching commission tier, otherwise the entity's default rate
+export async function calculateCommissionRate(entityType, entityId, amount) {
+  // First try to find a commission tier for the specific amount
+  const tierRate = await CommissionTier.findCommissionRate(entityType, entityId, amount);
+  
+  if (tierRate !== null) {
+    return tierRate;
+  }
+  
+  // If no tier found, use default rate from the entity
+  let entity;
+  switch (entityType) {
+    case 'client':
+      entity = await Client.findById(entityId);
+      break;
+    case 'distributor':
+      entity = await User.findById(entityId);
+      break;
+    case 'company':
+      entity = await Company.findById(entityId);
+      break;
+  }
+  
+  return entity ? entity.commissionRate : 0;
+}
+
+// Due date of an invoice: the given override, otherwise the invoice date plus
+// the client's payment terms.
+// Returns null when the given date is invalid or before the invoice date.
+export async function resolveDueDate(dueDate, invoiceDate, clientId) {
+  const invoiceDay = new Date(invoiceDate);
+  
+  if (dueDate) {
+    const dueDateValue = new Date(dueDate);
+    return isNaN(dueDateValue) || dueDateValue < invoiceDay ? null : dueDateValue;
+  }
+  
+  const clientData = await Client.findById(clientId).select('paymentTermDays');
+  return Invoice.calculateDueDate(invoiceDay, clientData?.paymentTermDays);
+}
+
+// Store a version of the invoice after a change.
+// Like the audit log, a failure is logged but doesn't fail the saved change.
+export async function recordInvoiceVersion(req, invoice, options) {
+  try {
+    await InvoiceVersion.record(invoice, req.session.user.id, options);
+  } catch (error) {
+    console.error('Invoice version error:', error);
+  }
+}
+
+// Create an invoice from checked inputs and calculated amounts: picks the
+// commission rates, allocates the code (unless a manual one is given), saves,
+// and records the audit entry and first version.
+// Throws an error with code 'PARENT_DELETED' and a message for the user when
+// the client or file was deleted while saving.
+export async function createInvoice(req, fields, auditDetails = null) {
+  const {
+    invoiceCode,
+    client,
+    file,
+    assignedDistributor,
+    invoiceDate,
+    dueDate,
+    lineItems,
+    amounts,
+    customClientCommissionRate,
+    customDistributorCommissionRate
+  } = fields;
+  const invoiceTotal = amounts.total;
+  
+  // Calculate commission rates based on total
+  let clientCommissionRate, distributorCommissionRate;
+  let customClientCommissionRateValue = null, customDistributorCommissionRateValue = null;
+  
+  if (customClientCommissionRate && customClientCommissionRate > 0) {
+    clientCommissionRate = parseFloat(customClientCommissionRate);
+    customClientCommissionRateValue = clientCommissionRate;
+  } else {
+    clientCommissionRate = await calculateCommissionRate('client', client, invoiceTotal);
+  }
+  
+  if (customDistributorCommissionRate && customDistributorCommissionRate > 0) {
+    distributorCommissionRate = parseFloat(customDistributorCommissionRate);
+    customDistributorCommissionRateValue = distributorCommissionRate;
+  } else {
+    distributorCommissionRate = await calculateCommissionRate('distributor', assignedDistributor, invoiceTotal);
+  }
+  
+  const fileData = await File.findById(file).populate('company');
+  
+  let companyCommissionRate = 0;
+  if (fileData && fileData.company) {
+    companyCommissionRate = await calculateCommissionRate('company', fileData.company._id, invoiceTotal);
+  }
+  
+  const code = invoiceCode || await InvoiceSequence.allocateCode({
+    companyId: fileData?.company?._id,
+    date: new Date(invoiceDate)
+  });
+  
+  const invoice = new Invoice({
+    invoiceCode: code,
+    client,
+    file,
+    assignedDistributor,
+    invoiceDate: new Date(invoiceDate),
+    dueDate,
+    lineItems,
+    ...amounts,
+    clientCommissionRate,
+    distributorCommissionRate,
+    companyCommissionRate,
+    customClientCommissionRate: customClientCommissionRateValue,
+    customDistributorCommissionRate: customDistributorCommissionRateValue,
+    createdBy: req.session.user.id
+  });
+  
+  await invoice.save();
+  const parentDeletedMessage = await removeIfParentDeleted('invoice', invoice);
+  if (parentDeletedMessage) {
+    const error = new Error(parentDeletedMessage);
+    error.code = 'PARENT_DELETED';
+    throw error;
+  }
+  
+  await logInvoiceAudit(req, 'create', invoice, { details: auditDetails });
+  await recordInvoiceVersion(req, invoice, { reason: 'create' });
+  
+  return invoice;
+}
@@ -0,0 +1,147 @@
+// Login brute-force protection. Failures are counted per username and per IP:
+// after a few failures each new attempt has to wait longer, and past the limit
+// the username or IP is locked out for a while. Lockouts go to the audit log.
+import LoginThrottle from '../models/LoginThrottle.js';
+import User from '../models/User.js';
+import { logAudit } from './audit.js';
+
+export const LOGIN_LIMITS = {
+  username: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+  },
+  // Higher, an office can share one address
+  ip: {
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+  }
+};
+
+// Failures are forgotten after an hour without a new one
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+const MAX_DELAY_SECONDS = 30;
+
+// Wait before the next attempt: none for the first two failures, then 1, 2, 4... seconds
+export function getLoginDelaySeconds(failures) {
+  return failures < 2 ? 0 : Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS);
+}
+
+function getEntries(username, ip) {
+  return [
+    username ? { kind: 'username', key: username } : null,
+    ip ? { kind: 'ip', key: ip } : null
+  ].filter(Boolean);
+}
+
+// Usernames typed at the login form end up in the audit log, keep them harmless
+function toLabel(value) {
+  return value.replace(/[<>&"'`]/g, '').slice(0, 64);
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((date - now) / 1000));
+}
+
+// Whether a login attempt may be checked now. Returns { allowed, message }.
+export async function checkLoginAllowed(username, ip) {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({
+    $or: getEntries(username, ip),
+    expiresAt: { $gt: now }
+  });
+  
+  for (const throttle of throttles) {
+    if (throttle.isLocked) {
+      const minutes = Math.ceil(secondsUntil(throttle.lockedUntil, now) / 60);
+      return {
+        allowed: false,
+        message: throttle.kind === 'username'
+          ? `تم قفل الحساب مؤقتاً بسبب محاولات دخول فاشلة متكررة، حاول بعد ${minutes} دقيقة أو تواصل مع المدير`
+          : `تم إيقاف محاولات الدخول من هذا الجهاز مؤقتاً، حاول بعد ${minutes} دقيقة`
+      };
+    }
+    
+    const delaySeconds = getLoginDelaySeconds(throttle.failures);
+    const nextAttemptAt = throttle.lastFailureAt && new Date(throttle.lastFailureAt.getTime() + delaySeconds * 1000);
+    if (delaySeconds && nextAttemptAt > now) {
+      return {
+        allowed: false,
+        message: `محاولات كثيرة، يرجى الانتظار ${secondsUntil(nextAttemptAt, now)} ثانية قبل المحاولة مرة أخرى`
+      };
+    }
+  }
+  
+  return { allowed: true, message: null };
+}
+
+// Count a failed attempt for the username and the IP, locking them out past the limit.
+// Returns true when this attempt locked the username.
+export async function recordLoginFailure(req, username, ip) {
+  const now = new Date();
+  let usernameLocked = false;
+  
+  for (const { kind, key } of getEntries(username, ip)) {
+    // Start over once the previous failures have been forgotten
+    await LoginThrottle.deleteOne({ kind, key, expiresAt: { $lte: now } });
+    
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { kind, key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, lastIp: ip || '', expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) }
+      },
+      { upsert: true, new: true }
+    );
+    
+    const limit = LOGIN_LIMITS[kind];
+    if (throttle.failures < limit.maxFailures) {
+      continue;
+    }
+    
+    const lockedUntil = new Date(now.getTime() + limit.lockMinutes * 60 * 1000);
+    throttle.set({
+      failures: 0,
+      lockedUntil,
+      lockCount: throttle.lockCount + 1,
+      expiresAt: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS)
+    });
+    await throttle.save();
+    
+    if (kind === 'username') {
+      usernameLocked = true;
+    }
+    
+    const user = kind === 'username' ? await User.findOne({ username: key }).select('_id role') : null;
+    await logAudit(req, {
+      action: 'lockout',
+      entityType: user?.role === 'distributor' ? 'distributor' : 'user',
+      entityId: user?._id,
+      entityLabel: kind === 'username' ? toLabel(key) : `IP ${toLabel(key)}`,
+      details: { kind, key: toLabel(key), failures: limit.maxFailures, lockedUntil, lockCount: throttle.lockCount }
+    });
+    console.warn(`Login lockout: ${kind} "${key}" locked until ${lockedUntil.toISOString()}`);
+  }
+  
+  return usernameLocked;
+}
+
+// A successful login forgets the failures of that username
+export async function clearLoginFailures(username) {
+  await LoginThrottle.deleteOne({ kind: 'username', key: username });
+}
+
+// Admin unlock. Only a record that is still locked is deleted, the failures
+// counted without a lockout are kept. Returns true when it was locked.
+async function unlock(kind, key) {
+  const throttle = await LoginThrottle.findOneAndDelete({ kind, key, lockedUntil: { $gt: new Date() } });
+  return !!throttle;
+}
+
+export function unlockUsername(username) {
+  return unlock('username', username);
+}
+
+export function unlockIp(ip) {
+  return unlock('ip', ip);
+}
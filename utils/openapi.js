@@ -0,0 +1,666 @@
+// OpenAPI 3 description of the JSON API (routes/api-v1.js), served at /api/docs.
+// The request body schemas below are also what the API checks bodies against
+// (validateBody), and findSpecMismatches compares the documented paths with the
+// routes the router really has, so the document can't silently fall behind.
+import { paymentMethodNames } from '../models/Payment.js';
+import { agingGroupNames, agingBasisNames } from './aging.js';
+import { API_PAGE_SIZE, API_MAX_PAGE_SIZE, sendApiError } from './api.js';
+
+const PAYMENT_STEPS = ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+
+const percentage = { type: 'number', minimum: 0, maximum: 100 };
+const amount = { type: 'number', minimum: 0 };
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const text = (maxLength = 500) => ({ type: 'string', maxLength });
+
+const schemas = {
+  ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '65f1c2a9e4b0a1b2c3d4e5f6' },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: ['bad_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'validation_failed', 'internal_error'] },
+          message: { type: 'string' },
+          details: { type: 'object', additionalProperties: { type: 'string' }, description: 'الحقل ← سبب الرفض' }
+        }
+      }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      pages: { type: 'integer' }
+    }
+  },
+  Reference: {
+    type: 'object',
+    description: 'عنصر مرتبط، مختصراً',
+    properties: {
+      _id: ref('ObjectId')
+    },
+    additionalProperties: true
+  },
+  LineItem: {
+    type: 'object',
+    required: ['description', 'quantity', 'unitPrice'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string', minLength: 1, maxLength: 500 },
+      quantity: { type: 'number', exclusiveMinimum: true, minimum: 0 },
+      unitPrice: amount,
+      discount: { ...amount, description: 'مبلغ الخصم على البند (ليس نسبة)' },
+      taxRate: percentage
+    }
+  },
+  PaymentStatus: {
+    type: 'object',
+    properties: {
+      isPaid: { type: 'boolean' },
+      paidAmount: { type: 'number' },
+      paidAt: { ...dateTime, nullable: true },
+      markedBy: { type: 'string', nullable: true }
+    }
+  },
+  Invoice: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      invoiceCode: { type: 'string' },
+      documentType: { type: 'string', enum: ['invoice', 'credit_note'] },
+      client: ref('Reference'),
+      file: ref('Reference'),
+      assignedDistributor: ref('Reference'),
+      invoiceDate: dateTime,
+      dueDate: { ...dateTime, nullable: true },
+      lineItems: { type: 'array', items: ref('LineItem') },
+      total: { type: 'number' },
+      taxPercentage: { type: 'number' },
+      taxAmount: { type: 'number' },
+      managementTaxPercentage: { type: 'number' },
+      managementTaxAmount: { type: 'number' },
+      corporateTaxPercentage: { type: 'number' },
+      corporateTaxAmount: { type: 'number' },
+      profitPercentage: { type: 'number' },
+      profitAmount: { type: 'number' },
+      discountAmount: { type: 'number' },
+      finalAmount: { type: 'number' },
+      clientCommissionRate: { type: 'number' },
+      distributorCommissionRate: { type: 'number' },
+      companyCommissionRate: { type: 'number' },
+      isApproved: { type: 'boolean' },
+      status: { type: 'string', enum: ['pending', 'completed', 'cancelled'] },
+      paymentStatus: {
+        type: 'object',
+        properties: Object.fromEntries(PAYMENT_STEPS.map(step => [step, ref('PaymentStatus')]))
+      },
+      outstanding: {
+        type: 'object',
+        description: 'المتبقي على كل خطوة (في عرض الفاتورة الواحدة فقط)',
+        properties: Object.fromEntries(PAYMENT_STEPS.map(step => [step, { type: 'number' }]))
+      },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  InvoiceCreate: {
+    type: 'object',
+    required: ['client', 'file', 'assignedDistributor', 'invoiceDate', 'lineItems'],
+    additionalProperties: false,
+    description: 'المبالغ كلها تُحسب في الخادم من البنود والنسب',
+    properties: {
+      invoiceCode: { type: 'string', minLength: 1, maxLength: 50, description: 'للمديرين فقط، وإلا يُستخدم الرقم التالي في تسلسل الشركة' },
+      client: ref('ObjectId'),
+      file: ref('ObjectId'),
+      assignedDistributor: ref('ObjectId'),
+      invoiceDate: date,
+      dueDate: { ...date, description: 'افتراضياً: تاريخ الفاتورة + مدة سداد العميل' },
+      lineItems: { type: 'array', minItems: 1, maxItems: 200, items: ref('LineItem') },
+      managementTaxPercentage: percentage,
+      corporateTaxPercentage: percentage,
+      profitPercentage: percentage,
+      discountAmount: amount,
+      customClientCommissionRate: percentage,
+      customDistributorCommissionRate: percentage
+    }
+  },
+  Payment: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      invoice: ref('Reference'),
+      step: { type: 'string', enum: PAYMENT_STEPS },
+      amount: { type: 'number' },
+      paidAt: dateTime,
+      method: { type: 'string', enum: Object.keys(paymentMethodNames) },
+      reference: { type: 'string' },
+      notes: { type: 'string' },
+      recordedBy: ref('Reference'),
+      isVoided: { type: 'boolean' },
+      createdAt: dateTime
+    }
+  },
+  PaymentCreate: {
+    type: 'object',
+    required: ['step'],
+    additionalProperties: false,
+    properties: {
+      step: { type: 'string', enum: PAYMENT_STEPS },
+      amount: { type: 'number', exclusiveMinimum: true, minimum: 0, description: 'بدونه تُدفع الخطوة بالكامل' },
+      paidAt: { type: 'string', format: 'date-time', description: 'افتراضياً: الآن' },
+      method: { type: 'string', enum: Object.keys(paymentMethodNames) },
+      reference: text(200),
+      notes: text()
+    }
+  },
+  Client: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      fullName: { type: 'string' },
+      mobileNumber: { type: 'string' },
+      whatsappNumber: { type: 'string' },
+      notes: { type: 'string' },
+      commissionRate: { type: 'number' },
+      paymentTermDays: { type: 'integer' },
+      createdBy: ref('ObjectId'),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  ClientInput: {
+    type: 'object',
+    description: 'في الإنشاء: fullName و mobileNumber مطلوبان. في التعديل تُحدَّث الحقول المرسلة فقط.',
+    properties: {
+      fullName: { type: 'string' },
+      mobileNumber: { type: 'string' },
+      whatsappNumber: { type: 'string', description: 'بدون +20، تُضاف تلقائياً' },
+      notes: { type: 'string' },
+      commissionRate: { type: 'number' },
+      paymentTermDays: { type: 'integer', minimum: 0 }
+    }
+  },
+  Company: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      name: { type: 'string' },
+      commissionRate: { type: 'number' },
+      createdBy: ref('ObjectId'),
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  CompanyInput: {
+    type: 'object',
+    description: 'في الإنشاء: name مطلوب. في التعديل تُحدَّث الحقول المرسلة فقط.',
+    properties: {
+      name: { type: 'string' },
+      commissionRate: { type: 'number' }
+    }
+  },
+  File: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      fileName: { type: 'string' },
+      company: ref('Reference'),
+      status: { type: 'string', enum: ['active', 'archived', 'under_review', 'completed'] },
+      notes: { type: 'string' },
+      createdBy: ref('ObjectId'),
+      createdAt: dateTime
+    }
+  },
+  User: {
+    type: 'object',
+    properties: {
+      _id: ref('ObjectId'),
+      username: { type: 'string' },
+      role: { type: 'string', enum: ['admin', 'distributor'] },
+      roles: { type: 'array', items: ref('Reference') },
+      isActive: { type: 'boolean' },
+      commissionRate: { type: 'number' },
+      whatsappNumber: { type: 'string' },
+      createdAt: dateTime
+    }
+  }
+};
+
+// ---- Operation building blocks ----
+
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+
+const responses = {
+  BadRequest: errorResponse('طلب غير صالح (JSON أو معامل غير صالح)'),
+  Unauthorized: errorResponse('المفتاح مفقود أو غير صالح'),
+  Forbidden: errorResponse('ليس لصاحب المفتاح صلاحية'),
+  NotFound: errorResponse('غير موجود أو خارج نطاق صلاحيات المستخدم'),
+  Conflict: errorResponse('تعارض مع الحالة الحالية'),
+  ValidationFailed: errorResponse('البيانات لا تطابق المخطط أو قواعد النظام')
+};
+
+const responseRef = name => ({ $ref: `#/components/responses/${name}` });
+
+const parameters = {
+  id: { name: 'id', in: 'path', required: true, schema: ref('ObjectId') },
+  page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  limit: { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: API_MAX_PAGE_SIZE, default: API_PAGE_SIZE } },
+  from: { name: 'from', in: 'query', schema: date },
+  to: { name: 'to', in: 'query', schema: date }
+};
+
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+const query = (name, schema, description) => ({ name, in: 'query', schema, ...(description ? { description } : {}) });
+
+// One operation. Every operation needs a token, so 401 is always listed.
+function operation(tag, summary, { params = [], body = null, response, status = '200', errors = [] }) {
+  const op = {
+    tags: [tag],
+    summary,
+    parameters: params,
+    responses: {
+      [status]: { description: 'نجاح', content: json(response) },
+      401: responseRef('Unauthorized'),
+      ...Object.fromEntries(errors.map(([code, name]) => [code, responseRef(name)]))
+    }
+  };
+  if (body) {
+    op.requestBody = { required: true, content: json(ref(body)) };
+  }
+  if (!params.length) {
+    delete op.parameters;
+  }
+  
+  return op;
+}
+
+const one = name => ({ type: 'object', properties: { data: ref(name) } });
+const page = name => ({ type: 'object', properties: { data: { type: 'array', items: ref(name) }, pagination: ref('Pagination') } });
+
+const FORBIDDEN = ['403', 'Forbidden'];
+const NOT_FOUND = ['404', 'NotFound'];
+const BAD_REQUEST = ['400', 'BadRequest'];
+const CONFLICT = ['409', 'Conflict'];
+const INVALID = ['422', 'ValidationFailed'];
+
+const paths = {
+  '/me': {
+    get: operation('المستخدم', 'صاحب المفتاح وصلاحياته', {
+      response: {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              user: ref('User'),
+              permissions: { oneOf: [{ type: 'string', enum: ['all'] }, { type: 'array', items: { type: 'string' } }] }
+            }
+          }
+        }
+      }
+    })
+  },
+  '/invoices': {
+    get: operation('الفواتير', 'قائمة الفواتير', {
+      params: [
+        param('page'), param('limit'),
+        query('status', { type: 'string', enum: ['pending', 'completed', 'cancelled'] }),
+        query('documentType', { type: 'string', enum: ['invoice', 'credit_note'] }),
+        query('client', ref('ObjectId')),
+        query('distributor', ref('ObjectId')),
+        query('company', ref('ObjectId')),
+        query('file', ref('ObjectId')),
+        param('from'), param('to'),
+        query('overdue', { type: 'boolean' }, 'المتأخرة عن تاريخ الاستحقاق فقط')
+      ],
+      response: page('Invoice'),
+      errors: [BAD_REQUEST, FORBIDDEN]
+    }),
+    post: operation('الفواتير', 'إنشاء فاتورة', {
+      body: 'InvoiceCreate',
+      status: '201',
+      response: one('Invoice'),
+      errors: [BAD_REQUEST, FORBIDDEN, CONFLICT, INVALID]
+    })
+  },
+  '/invoices/{id}': {
+    get: operation('الفواتير', 'فاتورة واحدة مع المتبقي على كل خطوة', {
+      params: [param('id')],
+      response: one('Invoice'),
+      errors: [FORBIDDEN, NOT_FOUND]
+    })
+  },
+  '/invoices/{id}/payments': {
+    get: operation('الدفعات', 'دفعات فاتورة', {
+      params: [param('id')],
+      response: { type: 'object', properties: { data: { type: 'array', items: ref('Payment') } } },
+      errors: [FORBIDDEN, NOT_FOUND]
+    }),
+    post: operation('الدفعات', 'تسجيل دفعة على خطوة من الفاتورة', {
+      params: [param('id')],
+      body: 'PaymentCreate',
+      status: '201',
+      response: {
+        type: 'object',
+        properties: {
+          data: ref('Payment'),
+          invoice: {
+            type: 'object',
+            properties: {
+              _id: ref('ObjectId'),
+              paymentStatus: { type: 'object' },
+              outstanding: { type: 'number' }
+            }
+          }
+        }
+      },
+      errors: [BAD_REQUEST, FORBIDDEN, NOT_FOUND, CONFLICT, INVALID]
+    })
+  },
+  '/payments': {
+    get: operation('الدفعات', 'قائمة الدفعات', {
+      params: [
+        param('page'), param('limit'),
+        query('invoice', ref('ObjectId')),
+        query('step', { type: 'string', enum: PAYMENT_STEPS }),
+        param('from'), param('to'),
+        query('includeVoided', { type: 'boolean' }, 'تضمين الدفعات الملغاة')
+      ],
+      response: page('Payment'),
+      errors: [BAD_REQUEST, FORBIDDEN]
+    })
+  },
+  '/clients': {
+    get: operation('العملاء', 'قائمة العملاء', {
+      params: [param('page'), param('limit'), query('search', { type: 'string' }, 'بحث في الاسم ورقم الموبايل')],
+      response: page('Client'),
+      errors: [FORBIDDEN]
+    }),
+    post: operation('العملاء', 'إضافة عميل', {
+      body: 'ClientInput',
+      status: '201',
+      response: one('Client'),
+      errors: [BAD_REQUEST, FORBIDDEN, INVALID]
+    })
+  },
+  '/clients/{id}': {
+    get: operation('العملاء', 'عميل واحد', {
+      params: [param('id')],
+      response: one('Client'),
+      errors: [FORBIDDEN, NOT_FOUND]
+    }),
+    put: operation('العملاء', 'تعديل عميل (الحقول المرسلة فقط)', {
+      params: [param('id')],
+      body: 'ClientInput',
+      response: one('Client'),
+      errors: [BAD_REQUEST, FORBIDDEN, NOT_FOUND, INVALID]
+    })
+  },
+  '/companies': {
+    get: operation('الشركات', 'قائمة الشركات', {
+      params: [param('page'), param('limit')],
+      response: page('Company'),
+      errors: [FORBIDDEN]
+    }),
+    post: operation('الشركات', 'إضافة شركة', {
+      body: 'CompanyInput',
+      status: '201',
+      response: one('Company'),
+      errors: [BAD_REQUEST, FORBIDDEN, INVALID]
+    })
+  },
+  '/companies/{id}': {
+    get: operation('الشركات', 'شركة واحدة', {
+      params: [param('id')],
+      response: one('Company'),
+      errors: [FORBIDDEN, NOT_FOUND]
+    }),
+    put: operation('الشركات', 'تعديل شركة (الحقول المرسلة فقط)', {
+      params: [param('id')],
+      body: 'CompanyInput',
+      response: one('Company'),
+      errors: [BAD_REQUEST, FORBIDDEN, NOT_FOUND, INVALID]
+    })
+  },
+  '/files': {
+    get: operation('الملفات', 'قائمة الملفات', {
+      params: [
+        param('page'), param('limit'),
+        query('company', ref('ObjectId')),
+        query('status', { type: 'string', enum: ['active', 'archived', 'under_review', 'completed'] })
+      ],
+      response: page('File'),
+      errors: [BAD_REQUEST, FORBIDDEN]
+    })
+  },
+  '/files/{id}': {
+    get: operation('الملفات', 'ملف واحد', {
+      params: [param('id')],
+      response: one('File'),
+      errors: [FORBIDDEN, NOT_FOUND]
+    })
+  },
+  '/distributors': {
+    get: operation('الموزعون', 'قائمة الموزعين (للمديرين)', {
+      params: [param('page'), param('limit'), query('isActive', { type: 'boolean' })],
+      response: page('User'),
+      errors: [FORBIDDEN]
+    })
+  },
+  '/distributors/{id}': {
+    get: operation('الموزعون', 'موزع واحد (للمديرين)', {
+      params: [param('id')],
+      response: one('User'),
+      errors: [FORBIDDEN, NOT_FOUND]
+    })
+  },
+  '/reports/summary': {
+    get: operation('التقارير', 'إجماليات الفواتير والمتبقي على كل خطوة', {
+      params: [param('from'), param('to')],
+      response: {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              invoiceCount: { type: 'integer' },
+              total: { type: 'number' },
+              finalAmount: { type: 'number' },
+              outstanding: { type: 'object', properties: Object.fromEntries(PAYMENT_STEPS.map(step => [step, { type: 'number' }])) },
+              overdueCount: { type: 'integer' }
+            }
+          },
+          filters: { type: 'object' }
+        }
+      },
+      errors: [FORBIDDEN]
+    })
+  },
+  '/reports/aging': {
+    get: operation('التقارير', 'أعمار الديون', {
+      params: [
+        query('groupBy', { type: 'string', enum: Object.keys(agingGroupNames), default: 'client' }),
+        query('basis', { type: 'string', enum: Object.keys(agingBasisNames), default: 'invoiceDate' })
+      ],
+      response: {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              groups: { type: 'array', items: { type: 'object' } },
+              totals: { type: 'object' },
+              items: { type: 'array', items: { type: 'object' } }
+            }
+          },
+          filters: { type: 'object' }
+        }
+      },
+      errors: [FORBIDDEN]
+    })
+  }
+};
+
+// The OpenAPI document, with the server URL of the current request
+export function getOpenApiSpec(baseUrl = '') {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'واجهة نظام الفواتير البرمجية',
+      version: '1.0.0',
+      description: 'كل طلب يحتاج مفتاح API (من صفحة مفاتيح API) في ترويسة Authorization: Bearer inv_... ويعمل بصلاحيات صاحب المفتاح. القوائم مقسمة إلى صفحات.'
+    },
+    servers: [{ url: `${baseUrl}/api/v1` }],
+    security: [{ apiToken: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiToken: { type: 'http', scheme: 'bearer', bearerFormat: 'inv_...' }
+      },
+      parameters,
+      responses,
+      schemas
+    }
+  };
+}
+
+// ---- Request body validation ----
+
+// Check a value against a schema of the document. Covers the keywords the
+// schemas above use; returns { path: message } for every problem, or null.
+export function validateSchema(schema, value) {
+  const errors = {};
+  checkValue(schema, value, '', errors);
+  return Object.keys(errors).length ? errors : null;
+}
+
+function resolveSchema(schema) {
+  return schema.$ref ? schemas[schema.$ref.split('/').pop()] : schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function checkValue(rawSchema, value, path, errors) {
+  const schema = resolveSchema(rawSchema);
+  const field = path || 'body';
+  const type = typeOf(value);
+  
+  if (value === null) {
+    if (!schema.nullable) errors[field] = 'لا يقبل null';
+    return;
+  }
+  
+  if (schema.type && schema.type !== type && !(schema.type === 'number' && type === 'integer')) {
+    errors[field] = `يجب أن يكون من النوع ${schema.type}`;
+    return;
+  }
+  
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors[field] = `واحدة من: ${schema.enum.join(', ')}`;
+    return;
+  }
+  
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors[field] = schema.minLength === 1 ? 'لا يمكن أن يكون فارغاً' : `${schema.minLength} حروف على الأقل`;
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors[field] = `${schema.maxLength} حرف على الأكثر`;
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors[field] = rawSchema.$ref ? 'معرّف غير صالح' : 'صيغة غير صالحة';
+    } else if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value)))) {
+      errors[field] = 'تاريخ بصيغة YYYY-MM-DD';
+    } else if (schema.format === 'date-time' && isNaN(new Date(value))) {
+      errors[field] = 'تاريخ بصيغة ISO 8601';
+    }
+    return;
+  }
+  
+  if (type === 'number' || type === 'integer') {
+    if (!Number.isFinite(value)) {
+      errors[field] = 'رقم غير صالح';
+    } else if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors[field] = schema.exclusiveMinimum ? `أكبر من ${schema.minimum}` : `${schema.minimum} على الأقل`;
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors[field] = `${schema.maximum} على الأكثر`;
+    }
+    return;
+  }
+  
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors[field] = `${schema.minItems} عنصر على الأقل`;
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors[field] = `${schema.maxItems} عنصر على الأكثر`;
+    } else if (schema.items) {
+      value.forEach((item, index) => checkValue(schema.items, item, `${path}[${index}]`, errors));
+    }
+    return;
+  }
+  
+  if (type === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors[path ? `${path}.${name}` : name] = 'مطلوب';
+      }
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        checkValue(properties[name], propertyValue, propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors[propertyPath] = 'حقل غير معروف';
+      }
+    });
+  }
+}
+
+// Middleware: reject a request whose JSON body doesn't match a schema of the document
+export function validateBody(schemaName) {
+  return (req, res, next) => {
+    const errors = validateSchema(ref(schemaName), req.body);
+    if (errors) {
+      return sendApiError(res, 422, 'نص الطلب لا يطابق المخطط المنشور', errors);
+    }
+    next();
+  };
+}
+
+// ---- Keeping the document in step with the router ----
+
+// Routes of the router missing from the document, and documented operations
+// the router doesn't have, as "METHOD /path" strings
+export function findSpecMismatches(router) {
+  const routes = new Set();
+  router.stack
+    .filter(layer => layer.route)
+    .forEach(layer => {
+      const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach(method => routes.add(`${method.toUpperCase()} ${path}`));
+    });
+  
+  const documented = new Set();
+  Object.entries(paths).forEach(([path, operations]) => {
+    Object.keys(operations).forEach(method => documented.add(`${method.toUpperCase()} ${path}`));
+  });
+  
+  return [
+    ...[...routes].filter(route => !documented.has(route)).map(route => `undocumented: ${route}`),
+    ...[...documented].filter(route => !routes.has(route)).map(route => `no such route: ${route}`)
+  ];
+}
@@ -0,0 +1,35 @@
+// Payment helpers shared by the invoice pages and the API
+import Payment, { paymentMethodNames } from '../models/Payment.js';
+import { logInvoiceAudit, toAuditSnapshot } from './audit.js';
+
+// Read the payment fields posted with a payment form (or sent to the API)
+export function getPaymentDetails(body) {
+  const amount = parseFloat(body.amount);
+  
+  return {
+    amount: amount > 0 ? amount : null,
+    paidAt: body.paidAt ? new Date(body.paidAt) : new Date(),
+    method: paymentMethodNames[body.method] ? body.method : 'cash',
+    reference: body.reference?.trim() || '',
+    notes: body.notes?.trim() || ''
+  };
+}
+
+// Record a payment and add it to the invoice's audit trail
+export async function recordPayment(req, invoice, step, details) {
+  const before = toAuditSnapshot(invoice);
+  const payment = await Payment.record(invoice, step, details, req.session.user.id);
+  
+  await logInvoiceAudit(req, 'payment', invoice, {
+    before,
+    details: {
+      paymentId: payment._id,
+      step,
+      amount: payment.amount,
+      method: payment.method,
+      reference: payment.reference
+    }
+  });
+  
+  return payment;
+}
@@ -0,0 +1,217 @@
+// PDF rendering of printable documents.
+// The parts with logic (tables, conditions) are rendered from the fixed EJS
+// partials in views/pdf/partials, then put into the admin's template
+// (models/DocumentTemplate.js) by filling its {{placeholders}}. The result is
+// printed by headless Chrome, which handles Arabic shaping and RTL layout.
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import ejs from 'ejs';
+import puppeteer from 'puppeteer';
+import { fileURLToPath } from 'url';
+import QRCode from 'qrcode';
+import { documentTemplatePlaceholders } from '../models/DocumentTemplate.js';
+import { statementEntryNames } from './statements.js';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PARTIALS_DIR = path.join(__dirname, '../views/pdf/partials');
+
+const FONT_WEIGHTS = [400, 700];
+
+// {{name}}, spaces inside the braces allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+export const paymentStepNames = {
+  clientToDistributor: 'العميل → الموزع',
+  distributorToAdmin: 'الموزع → الإدارة',
+  adminToCompany: 'الإدارة → الشركة'
+};
+
+let fontFaceCss = null;
+let browserPromise = null;
+
+// @font-face rules of the bundled Cairo font with the font files inlined,
+// so documents render the same offline
+export async function getFontFaceCss() {
+  if (fontFaceCss) {
+    return fontFaceCss;
+  }
+  
+  const fontDir = path.dirname(require.resolve('@fontsource/cairo/package.json'));
+  const rules = [];
+  
+  for (const weight of FONT_WEIGHTS) {
+    const css = await fs.readFile(path.join(fontDir, `${weight}.css`), 'utf8');
+    const sourcePattern = /src: url\(\.\/files\/([^)]+\.woff2)\)[^;]*;/g;
+    
+    const fontData = {};
+    for (const [, file] of css.matchAll(sourcePattern)) {
+      fontData[file] = (await fs.readFile(path.join(fontDir, 'files', file))).toString('base64');
+    }
+    
+    rules.push(css.replace(sourcePattern, (source, file) =>
+      `src: url(data:font/woff2;base64,${fontData[file]}) format('woff2');`));
+  }
+  
+  fontFaceCss = rules.join('\n');
+  return fontFaceCss;
+}
+
+// One browser is shared by all requests and relaunched if it goes away
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--font-render-hinting=none']
+    }).then(browser => {
+      browser.on('disconnected', () => {
+        browserPromise = null;
+      });
+      return browser;
+    }).catch(error => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  
+  return browserPromise;
+}
+
+// Placeholders used in a template that the template key doesn't have
+export function findUnknownPlaceholders(key, template) {
+  const names = [...template.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name);
+  return [...new Set(names)].filter(name => !documentTemplatePlaceholders[key][name]);
+}
+
+// Fill the placeholders of a template. Text is escaped, the html parts are
+// inserted as they are; unknown placeholders are left empty.
+export function fillTemplate(key, template, values) {
+  const placeholders = documentTemplatePlaceholders[key];
+  
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = placeholders[name] ? values[name] : null;
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return placeholders[name].html ? value : ejs.escapeXML(String(value));
+  });
+}
+
+// Render one of the fixed partials
+function renderPartial(name, data) {
+  return ejs.renderFile(path.join(PARTIALS_DIR, `${name}.ejs`), data);
+}
+
+// Print an HTML document to an A4 PDF
+export async function htmlToPdf(html) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+  
+  try {
+    // Everything a template needs is inlined, nothing is loaded from the network
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.url().startsWith('data:')) {
+        request.continue();
+      } else {
+        request.abort();
+      }
+    });
+    
+    await page.setContent(html, { waitUntil: 'load' });
+    await page.evaluateHandle('document.fonts.ready');
+    
+    const pdf = await page.pdf({ format: 'A4', printBackground: true, preferCSSPageSize: true });
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+  }
+}
+
+function formatAmount(value) {
+  return (Number(value) || 0).toLocaleString('ar-EG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('ar-EG') : '-';
+}
+
+// Text of the invoice QR code: the figures needed to check a printed copy
+// and the address of the invoice in the system
+function getInvoiceQrText(invoice, verificationUrl) {
+  return [
+    `Invoice: ${invoice.invoiceCode}`,
+    `Date: ${new Date(invoice.invoiceDate).toISOString().split('T')[0]}`,
+    `Total: ${invoice.finalAmount.toFixed(2)}`,
+    verificationUrl
+  ].filter(Boolean).join('\n');
+}
+
+// Render an invoice with a template. The invoice needs client, file.company
+// and assignedDistributor populated (and originalInvoice for credit notes).
+export async function renderInvoicePdf(invoice, { template, verificationUrl = '' }) {
+  const qrCode = await QRCode.toDataURL(getInvoiceQrText(invoice, verificationUrl), { margin: 1, width: 180 });
+  
+  const paymentSteps = Object.entries(paymentStepNames).map(([key, label]) => ({
+    key,
+    label,
+    isPaid: invoice.paymentStatus[key].isPaid,
+    paidAmount: invoice.paymentStatus[key].paidAmount || 0,
+    dueAmount: invoice.getStepDueAmount(key),
+    outstandingAmount: invoice.getOutstandingAmount(key)
+  }));
+  const data = {
+    invoice,
+    paymentSteps,
+    paymentProgress: invoice.getPaymentProgress(),
+    formatAmount,
+    formatDate
+  };
+  
+  const creditNoteReason = invoice.creditReason ? ` - السبب: ${ejs.escapeXML(invoice.creditReason)}` : '';
+  const html = fillTemplate('invoice', template, {
+    fontFaceCss: await getFontFaceCss(),
+    'document.title': invoice.isCreditNote ? 'إشعار دائن' : 'فاتورة',
+    'invoice.code': invoice.invoiceCode,
+    'invoice.date': formatDate(invoice.invoiceDate),
+    'invoice.status': invoice.status === 'cancelled' ? '&nbsp;|&nbsp; <strong class="unpaid">ملغاة</strong>' : '',
+    'invoice.finalAmount': formatAmount(invoice.finalAmount),
+    'invoice.outstandingAmount': formatAmount(invoice.getOutstandingAmount('clientToDistributor')),
+    creditNote: invoice.isCreditNote
+      ? `<div class="note">إشعار دائن للفاتورة <strong>${ejs.escapeXML(invoice.originalInvoice?.invoiceCode || '')}</strong>${creditNoteReason}</div>`
+      : '',
+    'company.name': invoice.file?.company?.name || '-',
+    'file.name': invoice.file?.fileName || '-',
+    'client.name': invoice.client?.fullName || '-',
+    'client.mobile': invoice.client?.mobileNumber || '',
+    'distributor.name': invoice.assignedDistributor?.username || '-',
+    paymentProgress: data.paymentProgress,
+    qrCode,
+    lineItems: await renderPartial('invoice-line-items', data),
+    paymentStatus: await renderPartial('invoice-payment-status', data),
+    totals: await renderPartial('invoice-totals', data),
+    generatedAt: new Date().toLocaleString('ar-EG')
+  });
+  
+  return htmlToPdf(html);
+}
+
+// Render a client account statement (see utils/statements.js) with a template
+export async function renderStatementPdf(client, statement, { template }) {
+  const html = fillTemplate('statement', template, {
+    fontFaceCss: await getFontFaceCss(),
+    'client.name': client.fullName,
+    'client.mobile': client.mobileNumber || '',
+    'period.start': formatDate(statement.startDate),
+    'period.end': formatDate(statement.endDate),
+    'statement.openingBalance': formatAmount(statement.openingBalance),
+    'statement.totalDebit': formatAmount(statement.totalDebit),
+    'statement.totalCredit': formatAmount(statement.totalCredit),
+    'statement.closingBalance': formatAmount(statement.closingBalance),
+    entries: await renderPartial('statement-entries', { statement, statementEntryNames, formatAmount, formatDate }),
+    generatedAt: new Date().toLocaleString('ar-EG')
+  });
+  
+  return htmlToPdf(html);
+}
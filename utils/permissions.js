@@ -0,0 +1,143 @@
+// Resolved permission sets, cached in memory per user so a request does not
+// re-populate roles and permissions for every check. Entries are dropped when
+// a role, permission or user changes; the TTL bounds how stale another
+// server instance can be, since invalidation only reaches this process.
+import mongoose from 'mongoose';
+
+const PERMISSION_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const cache = new Map();
+
+const permissionKey = (module, action) => `${module}:${action}`;
+
+// Ids of the permissions granted by a user's roles. A deactivated role grants
+// nothing, so unticking "الدور نشط" takes its permissions away from every user
+// holding it (before the permission cache, inactive roles still counted).
+export function collectRolePermissionIds(roles) {
+  const ids = roles
+    .filter(role => role.isActive !== false)
+    .flatMap(role => role.permissions.map(id => id.toString()));
+  return [...new Set(ids)];
+}
+
+async function loadPermissionSet(userId) {
+  const User = mongoose.model('User');
+  const Permission = mongoose.model('Permission');
+  
+  const user = await User.findById(userId).select('role roles').lean();
+  if (!user) {
+    return null;
+  }
+  
+  let permissions;
+  if (user.role === 'admin') {
+    permissions = await Permission.find().lean();
+  } else {
+    const Role = mongoose.model('Role');
+    const roles = await Role.find({ _id: { $in: user.roles } }).select('permissions isActive').lean();
+    permissions = await Permission.find({ _id: { $in: collectRolePermissionIds(roles) } }).lean();
+  }
+  
+  return {
+    role: user.role,
+    hasAllPermissions: user.role === 'admin',
+    permissions,
+    keys: new Set(permissions.map(permission => permissionKey(permission.module, permission.action)))
+  };
+}
+
+// Get the permission set of a user, from the cache when it is still fresh.
+// Returns null when the user no longer exists.
+export async function resolveUserPermissions(userId) {
+  const id = userId.toString();
+  const cached = cache.get(id);
+  
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.resolved;
+  }
+  
+  const resolved = await loadPermissionSet(id);
+  if (resolved) {
+    cache.set(id, { resolved, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+  } else {
+    cache.delete(id);
+  }
+  
+  return resolved;
+}
+
+export function resolvedHasPermission(resolved, module, action) {
+  if (!resolved) return false;
+  if (resolved.hasAllPermissions) return true;
+  return resolved.keys.has(permissionKey(module, action));
+}
+
+// Query limiting a module's records to the ones the user may see in its
+// pages: all of them with view_all, the ones they created with view_own only,
+// none without either. For records picked by id in an import or the API.
+export async function getVisibleRecordsQuery(req, module) {
+  if (req.session.user.role === 'admin') {
+    return {};
+  }
+  
+  const resolved = await resolveUserPermissions(req.session.user.id);
+  if (resolvedHasPermission(resolved, module, 'view_all')) {
+    return {};
+  }
+  return resolvedHasPermission(resolved, module, 'view_own')
+    ? { createdBy: req.session.user.id }
+    : { _id: null };
+}
+
+// Legacy boolean flags kept on the session user for older checks and views
+export function getLegacyPermissions(resolved) {
+  const has = (module, action) => resolvedHasPermission(resolved, module, action);
+  
+  return {
+    canCreateCompanies: has('companies', 'create'),
+    canCreateInvoices: has('invoices', 'create'),
+    canManageClients: has('clients', 'create'),
+    canViewReports: has('reports', 'view_own') || has('reports', 'view_all'),
+    canCreateFiles: has('files', 'create')
+  };
+}
+
+export function invalidateUserPermissions(userId) {
+  if (userId) {
+    cache.delete(userId.toString());
+  }
+}
+
+// Roles and permissions are shared, so a change to one can affect anyone
+export function clearPermissionCache() {
+  cache.clear();
+}
+
+// Model operations that can change what a cached permission set was built from
+const WRITE_OPERATIONS = [
+  'save',
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+];
+
+// Invalidate the cache whenever a document of the schema is written.
+// resolveUserIds(doc) gives the users whose sets a document affects; without
+// it, or when the operation doesn't hand back a document (only save and the
+// findOneAnd* operations do), the whole cache is cleared.
+export function invalidateOnWrite(schema, resolveUserIds) {
+  WRITE_OPERATIONS.forEach(operation => {
+    schema.post(operation, function(result) {
+      if (resolveUserIds && result?._id) {
+        resolveUserIds(result).forEach(invalidateUserPermissions);
+      } else {
+        clearPermissionCache();
+      }
+    });
+  });
+}
@@ -0,0 +1,286 @@
+// Client and company import for the import wizard (routes/imports.js). Every
+// spreadsheet row is one record. A row that matches an existing record (same
+// phone number or name) is not added twice: the preview lets the user skip it
+// or merge it into the existing record.
+import Client from '../models/Client.js';
+import Company from '../models/Company.js';
+import { logAudit, toAuditSnapshot } from './audit.js';
+import {
+  getMappedValues,
+  parseImportNumber,
+  normalizeArabicText,
+  getPhoneKey,
+  toLatinDigits,
+  getMergePermission
+} from './imports.js';
+import { getVisibleRecordsQuery } from './permissions.js';
+
+// Commission rate of a row, 0 when empty
+function readCommissionRate(values, errors) {
+  if (!values.commissionRate) {
+    return 0;
+  }
+  
+  const rate = parseImportNumber(values.commissionRate);
+  if (isNaN(rate) || rate < 0 || rate > 100) {
+    errors.push(`نسبة العمولة يجب أن تكون رقماً بين 0 و 100: ${values.commissionRate}`);
+  }
+  return rate;
+}
+
+// Stored like the client form does: +20 and the number without its leading 0
+function formatWhatsappNumber(value) {
+  let digits = toLatinDigits(value).replace(/\D/g, '');
+  if (digits.startsWith('0020')) {
+    digits = digits.slice(4);
+  } else if (digits.startsWith('20') && digits.length === 12) {
+    digits = digits.slice(2);
+  }
+  return `+20${digits.replace(/^0/, '')}`;
+}
+
+// Importer of one model. The config names the fields, reads a row into the
+// document fields (readRow), gives the keys that identify a record
+// (getMatchKeys: `certain` keys always mean the same record, `possible` keys
+// probably do) and applies a row to an existing record (merge).
+function createRecordImporter(config) {
+  const { Model, entityType, labelField, fields } = config;
+  
+  // Check every row and find the existing record each one matches
+  async function checkRows(req, batch) {
+    // Records the user can't see are neither shown nor merged into
+    const records = await Model.find(await getVisibleRecordsQuery(req, config.module)).select(`${config.matchSelect} createdBy`);
+    const index = new Map();
+    records.forEach(record => {
+      const { certain, possible } = config.getMatchKeys(record);
+      [...certain, ...possible].forEach(key => {
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(record);
+      });
+    });
+    const findRecords = keys => [...new Set(keys.flatMap(key => [...(index.get(key) || [])]))];
+    const canMerge = await getMergePermission(req, config.module);
+    
+    const rows = [];
+    const seenKeys = new Map();
+    batch.rows.forEach((cells, rowIndex) => {
+      const values = getMappedValues(cells, batch.mapping, fields);
+      // Empty rows in the middle of the sheet are skipped
+      if (!Object.values(values).some(Boolean)) return;
+      
+      const row = { rowNumber: batch.firstRowNumber + rowIndex, values, errors: [] };
+      fields
+        .filter(field => field.required && !values[field.key])
+        .forEach(field => row.errors.push(`${field.label} مطلوب`));
+      row.data = config.readRow(values, row.errors);
+      rows.push(row);
+      if (row.errors.length > 0) return;
+      
+      const { certain, possible } = config.getMatchKeys(row.data);
+      const earlierRow = certain.map(key => seenKeys.get(key)).find(Boolean);
+      if (earlierRow) {
+        row.errors.push(`مكرر مع الصف ${earlierRow} في نفس الملف`);
+        return;
+      }
+      certain.forEach(key => seenKeys.set(key, row.rowNumber));
+      
+      const certainMatches = findRecords(certain);
+      const matches = certainMatches.length > 0 ? certainMatches : findRecords(possible);
+      if (matches.length > 1) {
+        row.errors.push(`يطابق أكثر من ${config.recordName} موجود: ${matches.map(record => record[labelField]).join('، ')}`);
+      } else if (matches.length === 1) {
+        const [record] = matches;
+        row.duplicate = {
+          record,
+          // Only a possible match may still be a different record
+          actions: ['skip', ...(canMerge(record) ? ['merge'] : []), ...(certainMatches.length === 0 ? ['create'] : [])]
+        };
+      }
+    });
+    
+    return rows;
+  }
+  
+  const getCells = row => Object.fromEntries(config.columns.map(column => [column.key, row.data?.[column.key] ?? row.values[column.key]]));
+  
+  async function preview(req, batch) {
+    const rows = await checkRows(req, batch);
+    
+    return {
+      rowColumns: config.columns,
+      rows: rows.map(row => ({
+        rowNumber: row.rowNumber,
+        errors: row.errors,
+        cells: getCells(row),
+        duplicate: row.duplicate && {
+          label: row.duplicate.record[labelField],
+          url: `${config.backUrl}/${row.duplicate.record._id}`,
+          actions: row.duplicate.actions
+        }
+      })),
+      recordColumns: config.columns,
+      records: rows.filter(row => row.errors.length === 0 && !row.duplicate).map(getCells),
+      duplicateCount: rows.filter(row => row.duplicate).length
+    };
+  }
+  
+  // Add the new rows and apply the action chosen for each duplicate
+  // (skip when none was chosen). Rows are checked again first.
+  async function commit(req, batch, duplicateActions = {}) {
+    const rows = await checkRows(req, batch);
+    const details = { via: 'import', importFile: batch.fileName };
+    const results = [];
+    
+    for (const row of rows) {
+      const rowNumbers = [row.rowNumber];
+      if (row.errors.length > 0) {
+        results.push({ rowNumbers, error: row.errors.join('، ') });
+        continue;
+      }
+      
+      try {
+        const action = row.duplicate?.actions.includes(duplicateActions[row.rowNumber])
+          ? duplicateActions[row.rowNumber]
+          : (row.duplicate ? 'skip' : 'create');
+        
+        if (action === 'skip') {
+          const { record } = row.duplicate;
+          results.push({ rowNumbers, label: record[labelField], url: `${config.backUrl}/${record._id}`, skipped: true, note: 'تم التخطي، مطابق لسجل موجود' });
+          continue;
+        }
+        
+        if (action === 'merge') {
+          const record = await Model.findById(row.duplicate.record._id);
+          const before = toAuditSnapshot(record);
+          config.merge(record, row.data);
+          await record.save();
+          await logAudit(req, { action: 'update', entityType, entityId: record._id, entityLabel: record[labelField], before, after: record, details });
+          results.push({ rowNumbers, entityId: record._id, label: record[labelField], url: `${config.backUrl}/${record._id}`, note: 'تم الدمج مع السجل الموجود' });
+          continue;
+        }
+        
+        const record = new Model({ ...row.data, createdBy: req.session.user.id });
+        await record.save();
+        await logAudit(req, { action: 'create', entityType, entityId: record._id, entityLabel: record[labelField], after: record, details });
+        results.push({ rowNumbers, entityId: record._id, label: record[labelField], url: `${config.backUrl}/${record._id}` });
+      } catch (error) {
+        console.error(`Import ${entityType} error:`, error);
+        results.push({ rowNumbers, error: 'حدث خطأ أثناء حفظ الصف' });
+      }
+    }
+    
+    return results;
+  }
+  
+  return {
+    module: config.module,
+    title: config.title,
+    recordName: config.recordName,
+    backUrl: config.backUrl,
+    backLabel: config.backLabel,
+    getFields: () => fields,
+    preview,
+    commit
+  };
+}
+
+export const clientImporter = createRecordImporter({
+  Model: Client,
+  module: 'clients',
+  entityType: 'client',
+  labelField: 'fullName',
+  title: 'استيراد العملاء',
+  recordName: 'عميل',
+  backUrl: '/clients',
+  backLabel: 'العودة للعملاء',
+  fields: [
+    { key: 'fullName', label: 'الاسم الكامل', required: true, aliases: ['name', 'full name', 'client', 'الاسم', 'اسم العميل', 'العميل'] },
+    { key: 'mobileNumber', label: 'رقم الموبايل', required: true, aliases: ['mobile', 'phone', 'mobile number', 'الموبايل', 'الهاتف', 'رقم الهاتف'] },
+    { key: 'whatsappNumber', label: 'رقم الواتساب', aliases: ['whatsapp', 'الواتساب', 'واتساب'] },
+    { key: 'notes', label: 'ملاحظات', aliases: ['notes', 'الملاحظات'] },
+    { key: 'commissionRate', label: 'نسبة العمولة', aliases: ['commission', 'commission rate', 'العمولة'], help: 'الافتراضي 0' },
+    { key: 'paymentTermDays', label: 'مدة السداد بالأيام', aliases: ['payment terms', 'مدة السداد'], help: 'الافتراضي 0 (عند الاستلام)' }
+  ],
+  columns: [
+    { key: 'fullName', label: 'الاسم' },
+    { key: 'mobileNumber', label: 'الموبايل' },
+    { key: 'whatsappNumber', label: 'الواتساب' },
+    { key: 'commissionRate', label: 'العمولة %' },
+    { key: 'paymentTermDays', label: 'مدة السداد' },
+    { key: 'notes', label: 'ملاحظات' }
+  ],
+  matchSelect: 'fullName mobileNumber',
+  readRow(values, errors) {
+    if (values.mobileNumber && !getPhoneKey(values.mobileNumber)) {
+      errors.push(`رقم الموبايل غير صحيح: ${values.mobileNumber}`);
+    }
+    if (values.whatsappNumber && !getPhoneKey(values.whatsappNumber)) {
+      errors.push(`رقم الواتساب غير صحيح: ${values.whatsappNumber}`);
+    }
+    
+    const paymentTermDays = values.paymentTermDays ? parseImportNumber(values.paymentTermDays) : 0;
+    if (!Number.isInteger(paymentTermDays) || paymentTermDays < 0) {
+      errors.push(`مدة السداد يجب أن تكون عدداً صحيحاً من الأيام: ${values.paymentTermDays}`);
+    }
+    
+    return {
+      fullName: values.fullName,
+      mobileNumber: toLatinDigits(values.mobileNumber),
+      whatsappNumber: values.whatsappNumber ? formatWhatsappNumber(values.whatsappNumber) : '',
+      notes: values.notes,
+      commissionRate: readCommissionRate(values, errors),
+      paymentTermDays
+    };
+  },
+  getMatchKeys(client) {
+    const phone = getPhoneKey(client.mobileNumber);
+    const name = normalizeArabicText(client.fullName);
+    return {
+      certain: phone ? [`phone:${phone}`] : [],
+      possible: name ? [`name:${name}`] : []
+    };
+  },
+  // The name and mobile number stay; filled cells replace the other fields
+  // and notes are added to the existing ones
+  merge(client, data) {
+    if (data.whatsappNumber) client.whatsappNumber = data.whatsappNumber;
+    if (data.commissionRate) client.commissionRate = data.commissionRate;
+    if (data.paymentTermDays) client.paymentTermDays = data.paymentTermDays;
+    if (data.notes && !(client.notes || '').includes(data.notes)) {
+      client.notes = client.notes ? `${client.notes}\n${data.notes}` : data.notes;
+    }
+  }
+});
+
+export const companyImporter = createRecordImporter({
+  Model: Company,
+  module: 'companies',
+  entityType: 'company',
+  labelField: 'name',
+  title: 'استيراد الشركات',
+  recordName: 'شركة',
+  backUrl: '/companies',
+  backLabel: 'العودة للشركات',
+  fields: [
+    { key: 'name', label: 'اسم الشركة', required: true, aliases: ['name', 'company', 'company name', 'الاسم', 'الشركة'] },
+    { key: 'commissionRate', label: 'نسبة العمولة', aliases: ['commission', 'commission rate', 'العمولة'], help: 'الافتراضي 0' }
+  ],
+  columns: [
+    { key: 'name', label: 'اسم الشركة' },
+    { key: 'commissionRate', label: 'العمولة %' }
+  ],
+  matchSelect: 'name',
+  readRow(values, errors) {
+    return {
+      name: values.name,
+      commissionRate: readCommissionRate(values, errors)
+    };
+  },
+  getMatchKeys(company) {
+    const name = normalizeArabicText(company.name);
+    return { certain: name ? [`name:${name}`] : [], possible: [] };
+  },
+  merge(company, data) {
+    if (data.commissionRate) company.commissionRate = data.commissionRate;
+  }
+});
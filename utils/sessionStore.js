@@ -0,0 +1,74 @@
+// express-session store backed by the Session model (see models/Session.js).
+// The cookie maxAge is the idle timeout (renewed on every request with
+// `rolling`), maxAge here is the absolute lifetime of a session.
+import session from 'express-session';
+import Session from '../models/Session.js';
+
+// Idle expiry is only written back once a minute to spare a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function getExpiresAt(sess) {
+  const expires = sess.cookie?.expires;
+  return expires ? new Date(expires) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+}
+
+export class MongoSessionStore extends session.Store {
+  constructor({ maxAge } = {}) {
+    super();
+    this.maxAge = maxAge || null;
+  }
+  
+  get(sid, callback) {
+    Session.findById(sid).lean()
+      .then(async doc => {
+        const now = Date.now();
+        if (!doc || doc.expiresAt <= now) {
+          return callback(null, null);
+        }
+        
+        if (this.maxAge && new Date(doc.createdAt).getTime() + this.maxAge <= now) {
+          await Session.deleteOne({ _id: sid });
+          return callback(null, null);
+        }
+        
+        callback(null, JSON.parse(doc.data));
+      })
+      .catch(error => callback(error));
+  }
+  
+  set(sid, sess, callback) {
+    const update = {
+      data: JSON.stringify(sess),
+      user: sess.user?.id || null,
+      lastActivity: new Date(),
+      expiresAt: getExpiresAt(sess)
+    };
+    
+    // Set at login by routes/auth.js
+    if (sess.client) {
+      update.ip = sess.client.ip || '';
+      update.userAgent = sess.client.userAgent || '';
+    }
+    
+    Session.updateOne({ _id: sid }, update, { upsert: true })
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+  
+  touch(sid, sess, callback) {
+    const now = new Date();
+    
+    Session.updateOne(
+      { _id: sid, lastActivity: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) } },
+      { lastActivity: now, expiresAt: getExpiresAt(sess) }
+    )
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+  
+  destroy(sid, callback) {
+    Session.deleteOne({ _id: sid })
+      .then(() => callback?.())
+      .catch(error => callback?.(error));
+  }
+}
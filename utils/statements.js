@@ -0,0 +1,136 @@
+// Client account statements: what the client was invoiced and what they paid
+// over a period. The client pays the first step of the payment chain
+// (clientToDistributor), so only payments of that step count.
+import Invoice from '../models/Invoice.js';
+import Payment, { paymentMethodNames } from '../models/Payment.js';
+import { roundAmount } from './invoiceCalculations.js';
+
+export const statementEntryNames = {
+  invoice: 'فاتورة',
+  credit_note: 'إشعار دائن',
+  payment: 'دفعة'
+};
+
+// Default period: from the start of the current year to today
+export function getStatementPeriod({ from, to } = {}) {
+  const now = new Date();
+  const startDate = from ? new Date(from) : new Date(now.getFullYear(), 0, 1);
+  const endDate = to ? new Date(to) : new Date(now);
+  
+  if (isNaN(startDate) || isNaN(endDate)) {
+    throw new Error('Invalid statement period');
+  }
+  
+  startDate.setHours(0, 0, 0, 0);
+  endDate.setHours(23, 59, 59, 999);
+  
+  return { startDate, endDate };
+}
+
+// Statement entries of a client up to a date, oldest first
+async function getClientEntries(clientId, endDate) {
+  // Invoices cancelled before credit notes existed were never reversed, leave them out
+  const invoices = await Invoice.find({
+    client: clientId,
+    invoiceDate: { $lte: endDate },
+    $nor: [{ status: 'cancelled', documentType: 'invoice', creditedAmount: { $in: [0, null] } }]
+  }).populate('originalInvoice', 'invoiceCode');
+  
+  const invoiceIds = invoices.filter(invoice => !invoice.isCreditNote).map(invoice => invoice._id);
+  const payments = await Payment.find({
+    invoice: { $in: invoiceIds },
+    step: 'clientToDistributor',
+    isVoided: false,
+    paidAt: { $lte: endDate }
+  });
+  const invoiceCodes = new Map(invoices.map(invoice => [invoice._id.toString(), invoice.invoiceCode]));
+  
+  const entries = invoices.map(invoice => invoice.isCreditNote
+    ? {
+      date: invoice.invoiceDate,
+      type: 'credit_note',
+      invoiceId: invoice._id,
+      reference: invoice.invoiceCode,
+      description: invoice.originalInvoice ? `للفاتورة ${invoice.originalInvoice.invoiceCode}` : (invoice.creditReason || ''),
+      debit: 0,
+      credit: Math.abs(invoice.finalAmount)
+    }
+    : {
+      date: invoice.invoiceDate,
+      type: 'invoice',
+      invoiceId: invoice._id,
+      reference: invoice.invoiceCode,
+      description: '',
+      debit: invoice.finalAmount,
+      credit: 0
+    });
+  
+  payments.forEach(payment => {
+    entries.push({
+      date: payment.paidAt,
+      type: 'payment',
+      invoiceId: payment.invoice,
+      reference: invoiceCodes.get(payment.invoice.toString()),
+      description: [paymentMethodNames[payment.method], payment.reference].filter(Boolean).join(' - '),
+      debit: 0,
+      credit: payment.amount
+    });
+  });
+  
+  // Steps marked paid before the payments ledger existed have no Payment records
+  invoices.forEach(invoice => {
+    const stepStatus = invoice.paymentStatus.clientToDistributor;
+    if (!invoice.isCreditNote && stepStatus.isPaid && !stepStatus.paidAmount) {
+      const paidAt = stepStatus.paidAt || invoice.invoiceDate;
+      if (paidAt <= endDate) {
+        entries.push({
+          date: paidAt,
+          type: 'payment',
+          invoiceId: invoice._id,
+          reference: invoice.invoiceCode,
+          description: 'سداد كامل',
+          debit: 0,
+          credit: invoice.getStepDueAmount('clientToDistributor')
+        });
+      }
+    }
+  });
+  
+  // Same day: invoices before the payments and credit notes against them
+  const typeOrder = { invoice: 0, credit_note: 1, payment: 2 };
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date) || typeOrder[a.type] - typeOrder[b.type]);
+}
+
+// Build the statement of a client for a period.
+// Everything before the period is summed into the opening balance.
+export async function buildClientStatement(clientId, period) {
+  const { startDate, endDate } = getStatementPeriod(period);
+  const allEntries = await getClientEntries(clientId, endDate);
+  
+  let balance = 0;
+  const entries = [];
+  let totalDebit = 0;
+  let totalCredit = 0;
+  
+  allEntries.forEach(entry => {
+    balance = roundAmount(balance + entry.debit - entry.credit);
+    
+    if (entry.date >= startDate) {
+      totalDebit += entry.debit;
+      totalCredit += entry.credit;
+      entries.push({ ...entry, balance });
+    }
+  });
+  
+  const openingBalance = roundAmount(balance - totalDebit + totalCredit);
+  
+  return {
+    startDate,
+    endDate,
+    openingBalance,
+    entries,
+    totalDebit: roundAmount(totalDebit),
+    totalCredit: roundAmount(totalCredit),
+    closingBalance: balance
+  };
+}
@@ -0,0 +1,135 @@
+// Time-based one-time passwords (RFC 6238) for two-factor login.
+// Compatible with the usual authenticator apps: SHA-1, 6 digits, 30 second steps.
+// Everything is computed locally, no network access is needed.
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+
+// Codes from one step before or after are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+
+// Easy to read out: no 0, 1, I, L or O
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const BACKUP_CODE_COUNT = 10;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+export function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+// New random shared secret (160 bits, base32 as shown to authenticator apps)
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step number for a moment
+export function getTotpStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+}
+
+// HOTP value (RFC 4226) of a secret for one time step
+export function generateTotp(secret, step = getTotpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the time step the code belongs to, or null when it does not match.
+// Callers keep the last accepted step so a code cannot be used twice.
+export function verifyTotp(secret, code, { lastUsedStep = null, time = Date.now() } = {}) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(token)) {
+    return null;
+  }
+  
+  const currentStep = getTotpStep(time);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+  
+  return null;
+}
+
+// otpauth:// link encoded in the enrollment QR code
+export function getOtpauthUrl(secret, accountName, issuer) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Backup codes are compared without dashes, spaces or case
+export function normalizeBackupCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+// One-time recovery codes like "ABCD-EF23", only their hashes are stored
+export function generateBackupCodes(count = BACKUP_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from({ length: 8 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+  });
+}
@@ -0,0 +1,244 @@
+// Outgoing webhooks (see models/Webhook.js). Invoice events are derived from
+// the invoice audit entries (logInvoiceAudit), so every page and API route that
+// changes an invoice sends them without calling this module itself.
+//
+// Each request is a POST with the JSON payload and these headers:
+//   X-Webhook-Event:     event name, e.g. invoice.payment_step.paid
+//   X-Webhook-Delivery:  delivery id (the same on every retry, not on redelivery)
+//   X-Webhook-Timestamp: unix seconds of this attempt
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+// payload.id is kept on redelivery too, receivers can use it to skip duplicates.
+import crypto from 'crypto';
+import Webhook, { WEBHOOK_PING_EVENT } from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+const PAYMENT_STEPS = ['clientToDistributor', 'distributorToAdmin', 'adminToCompany'];
+
+// Wait before each retry, in minutes; after the last one the delivery fails
+export const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_CHECK_INTERVAL_MS = 30 * 1000;
+// A delivery being sent is not picked up by the retry check for this long
+const DELIVERY_LEASE_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Invoice fields sent with every invoice event
+function getInvoicePayload(invoice) {
+  const idOf = value => value?._id || value || null;
+  
+  return {
+    _id: invoice._id,
+    invoiceCode: invoice.invoiceCode,
+    documentType: invoice.documentType,
+    originalInvoice: idOf(invoice.originalInvoice),
+    status: invoice.status,
+    isApproved: invoice.isApproved,
+    client: idOf(invoice.client),
+    file: idOf(invoice.file),
+    assignedDistributor: idOf(invoice.assignedDistributor),
+    invoiceDate: invoice.invoiceDate,
+    dueDate: invoice.dueDate,
+    total: invoice.total,
+    finalAmount: invoice.finalAmount,
+    paymentStatus: Object.fromEntries(PAYMENT_STEPS.map(step => [step, {
+      isPaid: invoice.paymentStatus?.[step]?.isPaid || false,
+      paidAmount: invoice.paymentStatus?.[step]?.paidAmount || 0,
+      paidAt: invoice.paymentStatus?.[step]?.paidAt || null
+    }]))
+  };
+}
+
+// The webhook events of an invoice change, from the invoice before and after it
+export function getInvoiceEvents(action, before, after) {
+  const events = [];
+  
+  if (!after) {
+    return events;
+  }
+  if (action === 'create') {
+    events.push({ event: 'invoice.created' });
+  }
+  if (before && !before.isApproved && after.isApproved) {
+    events.push({ event: 'invoice.approved' });
+  }
+  if (before && before.status !== 'cancelled' && after.status === 'cancelled') {
+    events.push({ event: 'invoice.cancelled' });
+  }
+  
+  PAYMENT_STEPS.forEach(step => {
+    const wasPaid = Boolean(before?.paymentStatus?.[step]?.isPaid);
+    const isPaid = Boolean(after.paymentStatus?.[step]?.isPaid);
+    if (before && !wasPaid && isPaid) {
+      events.push({ event: 'invoice.payment_step.paid', step });
+    } else if (before && wasPaid && !isPaid) {
+      events.push({ event: 'invoice.payment_step.unpaid', step });
+    }
+  });
+  
+  return events;
+}
+
+// Send the webhook events of an invoice change. Like the audit log, a failure
+// is logged but never breaks the request.
+export async function emitInvoiceEvents(req, action, before, after) {
+  try {
+    const events = getInvoiceEvents(action, before, after);
+    for (const { event, step } of events) {
+      await emitWebhookEvent(event, {
+        invoice: getInvoicePayload(after),
+        ...(step ? { step } : {}),
+        actor: req.session?.user?.username || ''
+      });
+    }
+  } catch (error) {
+    console.error('Webhook event error:', error);
+  }
+}
+
+// Queue an event for every active webhook that subscribed to it and start sending
+export async function emitWebhookEvent(event, data) {
+  const webhooks = await Webhook.find({ isActive: true, events: event });
+  
+  for (const webhook of webhooks) {
+    await queueDelivery(webhook, event, data);
+  }
+}
+
+// Send a ping to one webhook, whatever its events (the "test" button)
+export function sendWebhookPing(webhook, username) {
+  return queueDelivery(webhook, WEBHOOK_PING_EVENT, { webhook: { _id: webhook._id, name: webhook.name }, actor: username });
+}
+
+async function queueDelivery(webhook, event, data, extra = {}) {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    event,
+    nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS),
+    ...extra
+  });
+  delivery.payload = extra.payload || { id: String(delivery._id), event, createdAt: new Date(), data };
+  await delivery.save();
+  
+  // Sent in the background, the request doesn't wait for the endpoint
+  attemptDelivery(delivery, webhook).catch(error => console.error('Webhook delivery error:', error));
+  
+  return delivery;
+}
+
+// Send a delivery again as a new delivery with the same payload
+export function redeliver(delivery, webhook, userId) {
+  return queueDelivery(webhook, delivery.event, null, {
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+    redeliveredBy: userId
+  });
+}
+
+// One attempt of a delivery; schedules the next one or closes the delivery
+export async function attemptDelivery(delivery, webhook = null) {
+  webhook = webhook || await Webhook.findById(delivery.webhook);
+  
+  delivery.lastAttemptAt = new Date();
+  // A disabled webhook can still be tested
+  if (!webhook || (!webhook.isActive && delivery.event !== WEBHOOK_PING_EVENT)) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.error = webhook ? 'الرابط معطل' : 'الرابط محذوف';
+    return delivery.save();
+  }
+  
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  delivery.attempts += 1;
+  delivery.responseStatus = null;
+  delivery.responseBody = '';
+  delivery.error = '';
+  
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'invoice-system-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) {
+      delivery.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    delivery.error = error.name === 'TimeoutError'
+      ? `لا رد خلال ${REQUEST_TIMEOUT_MS / 1000} ثوان`
+      : (error.cause?.message || error.message);
+  }
+  delivery.durationMs = Date.now() - started;
+  
+  if (!delivery.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts > WEBHOOK_RETRY_DELAYS_MINUTES.length) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_DELAYS_MINUTES[delivery.attempts - 1] * 60 * 1000);
+  }
+  
+  return delivery.save();
+}
+
+// Send the deliveries whose retry is due. Each one is claimed by moving its
+// nextAttemptAt first, so two app instances never send it at the same time.
+export async function retryDueDeliveries() {
+  for (;;) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) {
+      return;
+    }
+    
+    try {
+      await attemptDelivery(delivery);
+    } catch (error) {
+      console.error('Webhook retry error:', error);
+    }
+  }
+}
+
+// Check for due retries in the background
+export function startWebhookRetries() {
+  let running = false;
+  
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error('Webhook retry error:', error);
+    } finally {
+      running = false;
+    }
+  }, RETRY_CHECK_INTERVAL_MS);
+  timer.unref();
+  
+  return timer;
+}